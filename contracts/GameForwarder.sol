@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title GameForwarder
+ * @dev ERC-2771 forwarder for gasless player actions. A relayer submits a
+ * player's signed request and pays the gas; GameTokenFactory and GameTokens
+ * that trust this forwarder attribute the call to the signer. Targets opt in
+ * through GameTokenFactory.setTrustedForwarder; requests to any other target
+ * are rejected by execute with ERC2771UntrustfulTarget.
+ */
+contract GameForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("GameForwarder") {}
+}
@@ -2,25 +2,68 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC5267.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./RedemptionLimits.sol";
 
 /**
  * @title GameToken
  * @dev Optimized ERC-20 game token with enhanced security
- * Each game gets its own instance of this contract
+ * One implementation is deployed; each game gets an EIP-1167 clone of it,
+ * set up through initialize instead of a constructor
  * Optimized for gas efficiency while maintaining security
+ * Supports EIP-2612 permit, so holders can authorise redemptions by signature
+ * Accepts ERC-2771 meta-transactions from the forwarder the factory trusted at creation
  */
-contract GameToken is ERC20, Ownable, ReentrancyGuard {
-    // ============ Immutable Variables (Gas Optimized) ============
-    uint8 private immutable _decimals;
-    address public immutable factory; // Factory contract that deployed this token
-    uint256 public immutable gameId; // Unique game identifier
+contract GameToken is 
+    Initializable, 
+    ERC20, 
+    IERC20Permit, 
+    IERC5267, 
+    Nonces, 
+    Ownable, 
+    ReentrancyGuard, 
+    ERC2771Context 
+{
+    // ============ Constants ============
+    bytes32 public constant GAME_MANAGER_ROLE = keccak256("GAME_MANAGER_ROLE"); // Checked on the factory
+    uint256 public constant REDEMPTION_WINDOW = RedemptionLimits.WINDOW;
+    uint256 public constant MAX_REDEMPTION_COOLDOWN = RedemptionLimits.MAX_COOLDOWN;
+    uint256 public constant MIN_REDEMPTION_LIMIT_BPS = RedemptionLimits.MIN_LIMIT_BPS;
+    uint256 public constant BPS_DENOMINATOR = RedemptionLimits.BPS_DENOMINATOR;
+    
+    bytes32 private constant PERMIT_TYPEHASH = 
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_TYPEHASH = 
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant HASHED_VERSION = keccak256("1");
+    
+    // ============ Game Configuration ============
+    // Set once by initialize; clones share the implementation's code, so these cannot be immutable
+    string private _tokenName;
+    string private _tokenSymbol;
+    bytes32 private _hashedName; // EIP-712 domain name hash
+    uint8 private _decimals;
+    address public factory; // Factory contract that created this token
+    uint256 public gameId; // Unique game identifier
+    address private _trustedForwarder;
     
     // ============ State Variables ============
     uint256 public totalBurned; // Track total burned for analytics
-    bool public burnEnabled = true; // Emergency disable burning
+    bool public burnEnabled; // Emergency disable burning
+    
+    // ============ Redemption Limits ============
+    // Limits on factory redemptions (burnFrom)
+    RedemptionLimits.Limits private _redemptionLimits;
     
     // ============ Minting Protection ============
     
@@ -30,18 +73,27 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
     // ============ Events ============
     event TokensBurned(address indexed user, uint256 amount, uint256 totalBurned);
     event BurnStatusChanged(bool enabled);
+    event RedemptionPolicyUpdated(
+        address indexed by,
+        uint256 maxPerTransaction,
+        uint256 maxPerAddressPerDay,
+        uint256 maxGlobalPerDay,
+        uint256 cooldown
+    );
+    event TokensRecovered(address indexed token, address indexed to, uint256 amount, address indexed by);
     
     // ============ Comprehensive Error Definitions ============
     // Input Validation Errors
     error ZeroAmount();
     error ZeroAddress();
     error InvalidAddress(address provided, string reason);
-    error InvalidAmount(uint256 provided, uint256 min, uint256 max);
+    // InvalidAmount(provided, min, max) is declared in RedemptionLimits.sol
     
     // Access Control Errors
     error UnauthorizedFactory(address caller, address expectedFactory);
     error UnauthorizedOwner(address caller, address expectedOwner);
     error UnauthorizedBurner(address caller);
+    error UnauthorizedPolicyManager(address caller);
     
     // Contract State Errors
     error BurnDisabled(string reason);
@@ -65,6 +117,10 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
     error MathOverflow(string operation);
     error MathUnderflow(string operation);
     
+    // Permit Errors (as in OpenZeppelin ERC20Permit)
+    error ERC2612ExpiredSignature(uint256 deadline);
+    error ERC2612InvalidSigner(address signer, address owner);
+    
     // Recovery Errors
     error RecoveryFailed(address token, string reason);
     error InvalidRecoveryTarget(address target);
@@ -81,21 +137,41 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
         _;
     }
     
-    // ============ Constructor ============
-    constructor(
-        string memory name,
-        string memory symbol,
+    // ============ Initialization ============
+    /**
+     * @dev Locks the implementation; only clones can be initialized
+     */
+    constructor() ERC20("", "") Ownable(msg.sender) ERC2771Context(address(0)) {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up a freshly cloned game token and mint its initial supply to `owner`.
+     * Called by GameTokenDeployer in the same transaction as the clone is created.
+     * @param name_ Token name, also the EIP-712 domain name for permits
+     * @param symbol_ Token symbol
+     * @param decimals_ Token decimals (at most 18)
+     * @param initialSupply Supply minted to `owner`
+     * @param owner Game creator
+     * @param factory_ Factory allowed to mint and burn
+     * @param gameId_ Factory game ID
+     * @param trustedForwarder_ ERC-2771 forwarder the token trusts (zero for none)
+     */
+    function initialize(
+        string calldata name_,
+        string calldata symbol_,
         uint8 decimals_,
         uint256 initialSupply,
         address owner,
         address factory_,
-        uint256 gameId_
-    ) ERC20(name, symbol) Ownable(owner) {
+        uint256 gameId_,
+        address trustedForwarder_
+    ) external initializer {
         // Comprehensive input validation
-        if (bytes(name).length == 0) {
+        if (bytes(name_).length == 0) {
             revert InvalidAddress(address(0), "Token name cannot be empty");
         }
-        if (bytes(symbol).length == 0) {
+        if (bytes(symbol_).length == 0) {
             revert InvalidAddress(address(0), "Token symbol cannot be empty");
         }
         if (owner == address(0)) {
@@ -114,9 +190,15 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
             revert InvalidContractState("Owner and factory cannot be the same");
         }
         
+        _tokenName = name_;
+        _tokenSymbol = symbol_;
+        _hashedName = keccak256(bytes(name_));
         _decimals = decimals_;
         factory = factory_;
         gameId = gameId_;
+        _trustedForwarder = trustedForwarder_;
+        burnEnabled = true;
+        _transferOwnership(owner);
         
         // Mint initial supply directly to owner - simplified for deployment success
         _mint(owner, initialSupply);
@@ -124,10 +206,71 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
     }
     
     // ============ View Functions ============
+    function name() public view override returns (string memory) {
+        return _tokenName;
+    }
+    
+    function symbol() public view override returns (string memory) {
+        return _tokenSymbol;
+    }
+    
     function decimals() public view override returns (uint8) {
         return _decimals;
     }
     
+    /**
+     * @dev Forwarder set at initialization; replaces ERC2771Context's immutable one
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _trustedForwarder;
+    }
+    
+    /**
+     * @dev Largest amount `account` can redeem through the factory right now
+     * @param account Address redeeming
+     * @return amount Redeemable amount, capped by balance and every redemption limit
+     * @return availableAt When amount is 0 because of a limit, when more becomes redeemable
+     */
+    function maxRedeemable(address account) external view returns (uint256 amount, uint256 availableAt) {
+        if (!burnEnabled) return (0, 0);
+        return RedemptionLimits.maxRedeemable(_redemptionLimits, account, balanceOf(account));
+    }
+    
+    /**
+     * @dev Current limits on factory redemptions; zero fields are disabled
+     */
+    function redemptionPolicy() 
+        external 
+        view 
+        returns (uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown) 
+    {
+        RedemptionLimits.Policy memory policy = _redemptionLimits.policy;
+        return (policy.maxPerTransaction, policy.maxPerAddressPerDay, policy.maxGlobalPerDay, policy.cooldown);
+    }
+    
+    /**
+     * @dev Redemptions by all holders in the current or last daily window
+     */
+    function globalRedemptions() external view returns (uint128 redeemed, uint64 startedAt) {
+        RedemptionLimits.Window memory window = _redemptionLimits.global;
+        return (window.redeemed, window.startedAt);
+    }
+    
+    /**
+     * @dev Redemptions by `account` in its current or last daily window
+     */
+    function addressRedemptions(address account) external view returns (uint128 redeemed, uint64 startedAt) {
+        RedemptionLimits.Window memory window = _redemptionLimits.byAccount[account];
+        return (window.redeemed, window.startedAt);
+    }
+    
+    /**
+     * @dev When `account` last redeemed, while a cooldown was set (0 if never)
+     */
+    function lastRedemptionAt(address account) external view returns (uint256) {
+        return _redemptionLimits.lastRedemptionAt[account];
+    }
+    
     // ============ Burn Functions ============
     /**
      * @dev Burn tokens from a specific account (called by factory)
@@ -140,6 +283,30 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
         burnAllowed 
         nonReentrant 
     {
+        _burnFrom(from, amount);
+    }
+    
+    /**
+     * @dev Burn tokens from an account, spending the allowance it gave the factory
+     * (called by factory for redemptions the holder authorised by permit)
+     * @param from Address to burn tokens from
+     * @param amount Amount of tokens to burn
+     */
+    function burnFromWithAllowance(address from, uint256 amount) 
+        external 
+        onlyFactory 
+        burnAllowed 
+        nonReentrant 
+    {
+        _spendAllowance(from, msg.sender, amount);
+        _burnFrom(from, amount);
+    }
+    
+    /**
+     * @dev Burn `amount` of `from`'s tokens within the redemption limits; shared by
+     * burnFrom and burnFromWithAllowance
+     */
+    function _burnFrom(address from, uint256 amount) private {
         // Enhanced input validation
         if (from == address(0)) {
             revert ZeroAddress();
@@ -158,11 +325,7 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
             revert ExcessiveBurnRequest(amount, totalSupply());
         }
         
-        // Additional security check - prevent burning more than reasonable limit per transaction
-        uint256 maxBurnPerTx = totalSupply() / 10; // Max 10% of supply per transaction
-        if (amount > maxBurnPerTx) {
-            revert InvalidBurnAmount(amount, "Exceeds maximum burn per transaction");
-        }
+        RedemptionLimits.consume(_redemptionLimits, from, amount);
         
         // Update total burned before burning (for reentrancy safety)
         totalBurned += amount;
@@ -180,6 +343,19 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
         }
     }
     
+    /**
+     * @dev Burn tokens sold back to the factory along the game's pricing curve.
+     * Unlike burnFrom, ignores burnEnabled and the redemption policy: those let
+     * the owner hold back redemptions, and a curve game's holders can always sell.
+     * @param from Address to burn tokens from
+     * @param amount Amount of tokens to burn
+     */
+    function factoryBurn(address from, uint256 amount) external onlyFactory {
+        totalBurned += amount;
+        _burn(from, amount);
+        emit TokensBurned(from, amount, totalBurned);
+    }
+    
     /**
      * @dev Internal burn function for error handling separation
      */
@@ -198,24 +374,25 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
             revert ZeroAmount();
         }
         
-        uint256 userBalance = balanceOf(msg.sender);
+        address account = _msgSender();
+        uint256 userBalance = balanceOf(account);
         if (userBalance < amount) {
-            revert InsufficientBalance(msg.sender, amount, userBalance);
+            revert InsufficientBalance(account, amount, userBalance);
         }
         
         // Update total burned and perform burn
         totalBurned += amount;
         
-        try this._performBurn(msg.sender, amount) {
-            emit TokensBurned(msg.sender, amount, totalBurned);
+        try this._performBurn(account, amount) {
+            emit TokensBurned(account, amount, totalBurned);
         } catch Error(string memory reason) {
             // Revert total burned update if burn fails
             totalBurned -= amount;
-            revert BurningOperationFailed(msg.sender, amount, reason);
+            revert BurningOperationFailed(account, amount, reason);
         } catch {
             // Revert total burned update if burn fails
             totalBurned -= amount;
-            revert BurningOperationFailed(msg.sender, amount, "Unknown burn error");
+            revert BurningOperationFailed(account, amount, "Unknown burn error");
         }
     }
     
@@ -230,7 +407,31 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Emergency function to recover stuck tokens
+     * @dev Set the limits on factory redemptions. Callable by the owner or by
+     * GAME_MANAGER_ROLE on the factory. Non-zero caps must allow at least
+     * MIN_REDEMPTION_LIMIT_BPS of the current supply so holders cannot be locked in.
+     * @param policy New limits; zero fields disable the corresponding limit
+     */
+    function setRedemptionPolicy(RedemptionLimits.Policy calldata policy) external {
+        address caller = _msgSender();
+        if (caller != owner() && !IAccessControl(factory).hasRole(GAME_MANAGER_ROLE, caller)) {
+            revert UnauthorizedPolicyManager(caller);
+        }
+        
+        RedemptionLimits.setPolicy(_redemptionLimits, policy, totalSupply());
+        emit RedemptionPolicyUpdated(
+            caller,
+            policy.maxPerTransaction,
+            policy.maxPerAddressPerDay,
+            policy.maxGlobalPerDay,
+            policy.cooldown
+        );
+    }
+    
+    /**
+     * @dev Emergency function to recover tokens sent here by mistake. This
+     * game's own tokens cannot be recovered: holders send them here only to
+     * have them stuck, and moving them would let the owner take them.
      * @param token Address of token to recover (address(0) for ETH)
      * @param to Address to send recovered tokens
      * @param amount Amount to recover
@@ -239,17 +440,25 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
         address token,
         address to,
         uint256 amount
-    ) external onlyOwner {
+    ) external onlyOwner nonReentrant {
         if (to == address(0)) revert ZeroAddress();
+        if (to == address(this)) revert InvalidRecoveryTarget(to);
+        if (token == address(this)) revert RecoveryNotAllowed("Cannot recover the game token itself");
+        if (amount == 0) revert ZeroAmount();
         
         if (token == address(0)) {
             // Recover ETH
             (bool success, ) = payable(to).call{value: amount}("");
-            require(success, "ETH transfer failed");
+            if (!success) revert RecoveryFailed(token, "ETH transfer failed");
         } else {
-            // Recover ERC20 tokens
-            IERC20(token).transfer(to, amount);
+            // Recover ERC20 tokens; tokens that return nothing count as success, false does not
+            (bool success, bytes memory data) = token.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+            if (!success || (data.length != 0 && !abi.decode(data, (bool))) || token.code.length == 0) {
+                revert RecoveryFailed(token, "Token transfer failed");
+            }
         }
+        
+        emit TokensRecovered(token, to, amount, _msgSender());
     }
     
     /**
@@ -262,6 +471,70 @@ contract GameToken is ERC20, Ownable, ReentrancyGuard {
         _mint(to, amount);
     }
     
+    // ============ EIP-2612 Permit ============
+    /**
+     * @dev Approve `spender` by `owner`'s signature. Implemented here rather than
+     * inherited from ERC20Permit, whose EIP-712 domain lives in immutables that
+     * clones would share with the implementation.
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        if (block.timestamp > deadline) revert ERC2612ExpiredSignature(deadline);
+        
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        address signer = ECDSA.recover(MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash), v, r, s);
+        if (signer != owner) revert ERC2612InvalidSigner(signer, owner);
+        
+        _approve(owner, spender, value);
+    }
+    
+    function nonces(address owner) public view override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+    
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, _hashedName, HASHED_VERSION, block.chainid, address(this)));
+    }
+    
+    /**
+     * @dev EIP-5267 domain, so wallets and the SDK can build permits for this clone
+     */
+    function eip712Domain() 
+        external 
+        view 
+        returns (
+            bytes1 fields,
+            string memory name_,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        ) 
+    {
+        return (hex"0f", _tokenName, "1", block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+    
+    // ============ ERC-2771 Context ============
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+    
     /**
      * @dev Block any attempts to call mint functions directly
      * Prevents manual token creation outside the XP locking mechanism
@@ -0,0 +1,316 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./RedemptionLimits.sol";
+
+/**
+ * @title GameToken1155
+ * @dev Single ERC-1155 collection holding the game tokens of every game the
+ * factory creates in ERC-1155 mode; the token id is the factory game ID.
+ * Mirrors GameToken per id: the factory mints the initial supply and top-ups
+ * and burns on redemption, the game's creator can disable burning, and the
+ * creator or GAME_MANAGER_ROLE on the factory sets redemption limits.
+ * Deployed once alongside the factory and registered with setGameToken1155.
+ * Accepts ERC-2771 meta-transactions from the forwarder it was deployed with.
+ */
+contract GameToken1155 is ERC1155Supply, ReentrancyGuard, ERC2771Context {
+    // ============ Constants ============
+    bytes32 public constant GAME_MANAGER_ROLE = keccak256("GAME_MANAGER_ROLE"); // Checked on the factory
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00; // Checked on the factory
+    uint256 public constant REDEMPTION_WINDOW = RedemptionLimits.WINDOW;
+    uint256 public constant MAX_REDEMPTION_COOLDOWN = RedemptionLimits.MAX_COOLDOWN;
+    uint256 public constant MIN_REDEMPTION_LIMIT_BPS = RedemptionLimits.MIN_LIMIT_BPS;
+    uint256 public constant BPS_DENOMINATOR = RedemptionLimits.BPS_DENOMINATOR;
+    
+    // ============ Game Configuration ============
+    address public immutable factory; // Factory allowed to create games, mint and burn
+    
+    struct GameConfig {
+        address creator;         // 20 bytes
+        uint8 decimals;          // 1 byte
+        bool burnEnabled;        // 1 byte
+        bool exists;             // 1 byte
+    }
+    
+    mapping(uint256 => GameConfig) public games;
+    mapping(uint256 => uint256) public totalBurned; // Per game, for analytics
+    
+    // ============ Redemption Limits ============
+    // Limits on factory redemptions (burnFrom), per game
+    mapping(uint256 => RedemptionLimits.Limits) private _redemptionLimits;
+    
+    // ============ Events ============
+    event GameCreated(uint256 indexed id, address indexed creator, uint8 decimals, uint256 initialSupply);
+    event TokensBurned(uint256 indexed id, address indexed user, uint256 amount, uint256 totalBurned);
+    event BurnStatusChanged(uint256 indexed id, bool enabled);
+    event RedemptionPolicyUpdated(
+        uint256 indexed id,
+        address indexed by,
+        uint256 maxPerTransaction,
+        uint256 maxPerAddressPerDay,
+        uint256 maxGlobalPerDay,
+        uint256 cooldown
+    );
+    
+    // ============ Comprehensive Error Definitions ============
+    // Input Validation Errors
+    error ZeroAmount();
+    error ZeroAddress();
+    // InvalidAmount(provided, min, max) is declared in RedemptionLimits.sol
+    
+    // Access Control Errors
+    error UnauthorizedBurner(address caller);
+    error UnauthorizedCreator(uint256 gameId, address caller);
+    error UnauthorizedPolicyManager(address caller);
+    error UnauthorizedAccess(address caller, bytes32 requiredRole);
+    
+    // Game State Errors
+    error UnknownGame(uint256 gameId);
+    error GameAlreadyExists(uint256 gameId);
+    error BurnDisabled(string reason);
+    
+    // Balance and Supply Errors
+    error InsufficientBalance(address account, uint256 required, uint256 available);
+    
+    // ============ Modifiers ============
+    modifier onlyFactory() {
+        if (msg.sender != factory) revert UnauthorizedBurner(msg.sender);
+        _;
+    }
+    
+    modifier burnAllowed(uint256 id) {
+        if (!games[id].burnEnabled) revert BurnDisabled("Burning is disabled");
+        _;
+    }
+    
+    // ============ Constructor ============
+    /**
+     * @param factory_ GameTokenFactory that will register this collection
+     * @param uri_ ERC-1155 metadata URI, with `{id}` substituted by clients
+     * @param trustedForwarder_ ERC-2771 forwarder the collection trusts (zero for none)
+     */
+    constructor(address factory_, string memory uri_, address trustedForwarder_) 
+        ERC1155(uri_) 
+        ERC2771Context(trustedForwarder_) 
+    {
+        if (factory_ == address(0)) revert ZeroAddress();
+        factory = factory_;
+    }
+    
+    // ============ View Functions ============
+    /**
+     * @dev Decimals of game `id`'s token, for display (ERC-1155 has none of its own)
+     */
+    function decimals(uint256 id) external view returns (uint8) {
+        return games[id].decimals;
+    }
+    
+    function creatorOf(uint256 id) external view returns (address) {
+        return games[id].creator;
+    }
+    
+    function burnEnabled(uint256 id) external view returns (bool) {
+        return games[id].burnEnabled;
+    }
+    
+    /**
+     * @dev Largest amount of game `id` that `account` can redeem through the factory right now
+     * @param account Address redeeming
+     * @param id Game ID
+     * @return amount Redeemable amount, capped by balance and every redemption limit
+     * @return availableAt When amount is 0 because of a limit, when more becomes redeemable
+     */
+    function maxRedeemable(address account, uint256 id) external view returns (uint256 amount, uint256 availableAt) {
+        if (!games[id].burnEnabled) return (0, 0);
+        return RedemptionLimits.maxRedeemable(_redemptionLimits[id], account, balanceOf(account, id));
+    }
+    
+    /**
+     * @dev Current limits on factory redemptions of game `id`; zero fields are disabled
+     */
+    function redemptionPolicy(uint256 id) 
+        external 
+        view 
+        returns (uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown) 
+    {
+        RedemptionLimits.Policy memory policy = _redemptionLimits[id].policy;
+        return (policy.maxPerTransaction, policy.maxPerAddressPerDay, policy.maxGlobalPerDay, policy.cooldown);
+    }
+    
+    /**
+     * @dev Redemptions of game `id` by all holders in the current or last daily window
+     */
+    function globalRedemptions(uint256 id) external view returns (uint128 redeemed, uint64 startedAt) {
+        RedemptionLimits.Window memory window = _redemptionLimits[id].global;
+        return (window.redeemed, window.startedAt);
+    }
+    
+    /**
+     * @dev Redemptions of game `id` by `account` in its current or last daily window
+     */
+    function addressRedemptions(uint256 id, address account) external view returns (uint128 redeemed, uint64 startedAt) {
+        RedemptionLimits.Window memory window = _redemptionLimits[id].byAccount[account];
+        return (window.redeemed, window.startedAt);
+    }
+    
+    /**
+     * @dev When `account` last redeemed game `id`, while a cooldown was set (0 if never)
+     */
+    function lastRedemptionAt(uint256 id, address account) external view returns (uint256) {
+        return _redemptionLimits[id].lastRedemptionAt[account];
+    }
+    
+    // ============ Factory Functions ============
+    /**
+     * @dev Register game `id` and mint its initial supply to `creator`
+     * @param id Factory game ID, used as the token id
+     * @param creator Game creator
+     * @param initialSupply Supply minted to `creator`
+     * @param decimals_ Decimals for display (at most 18)
+     */
+    function create(uint256 id, address creator, uint256 initialSupply, uint8 decimals_) external onlyFactory {
+        if (creator == address(0)) revert ZeroAddress();
+        if (initialSupply == 0) revert ZeroAmount();
+        if (decimals_ > 18) revert InvalidAmount(decimals_, 0, 18);
+        if (games[id].exists) revert GameAlreadyExists(id);
+        
+        games[id] = GameConfig({
+            creator: creator,
+            decimals: decimals_,
+            burnEnabled: true,
+            exists: true
+        });
+        
+        _mint(creator, id, initialSupply, "");
+        emit GameCreated(id, creator, decimals_, initialSupply);
+    }
+    
+    /**
+     * @dev Mint more of game `id` against XP the factory has locked
+     */
+    function factoryMint(address to, uint256 id, uint256 amount) external onlyFactory {
+        if (!games[id].exists) revert UnknownGame(id);
+        _mint(to, id, amount, "");
+    }
+    
+    /**
+     * @dev Burn game `id` tokens from an account on redemption (called by factory)
+     * @param from Address to burn tokens from
+     * @param id Game ID
+     * @param amount Amount of tokens to burn
+     */
+    function burnFrom(address from, uint256 id, uint256 amount) 
+        external 
+        onlyFactory 
+        burnAllowed(id) 
+        nonReentrant 
+    {
+        if (from == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        
+        uint256 userBalance = balanceOf(from, id);
+        if (userBalance < amount) {
+            revert InsufficientBalance(from, amount, userBalance);
+        }
+        
+        RedemptionLimits.consume(_redemptionLimits[id], from, amount);
+        _burnTokens(from, id, amount);
+    }
+    
+    // ============ Holder Functions ============
+    /**
+     * @dev Burn your own game `id` tokens without redeeming them. The XP backing
+     * stays with the game and is shared by the remaining holders.
+     * @param id Game ID
+     * @param amount Amount of tokens to burn
+     */
+    function burn(uint256 id, uint256 amount) external burnAllowed(id) nonReentrant {
+        if (amount == 0) revert ZeroAmount();
+        
+        address account = _msgSender();
+        uint256 userBalance = balanceOf(account, id);
+        if (userBalance < amount) {
+            revert InsufficientBalance(account, amount, userBalance);
+        }
+        
+        _burnTokens(account, id, amount);
+    }
+    
+    // ============ Admin Functions ============
+    /**
+     * @dev Enable/disable burning of game `id` (emergency control, creator only)
+     * @param id Game ID
+     * @param enabled Whether burning should be enabled
+     */
+    function setBurnEnabled(uint256 id, bool enabled) external {
+        address caller = _msgSender();
+        if (!games[id].exists) revert UnknownGame(id);
+        if (caller != games[id].creator) revert UnauthorizedCreator(id, caller);
+        
+        games[id].burnEnabled = enabled;
+        emit BurnStatusChanged(id, enabled);
+    }
+    
+    /**
+     * @dev Set the limits on factory redemptions of game `id`. Callable by the
+     * game's creator or by GAME_MANAGER_ROLE on the factory. Non-zero caps must
+     * allow at least MIN_REDEMPTION_LIMIT_BPS of the game's current supply.
+     * @param id Game ID
+     * @param policy New limits; zero fields disable the corresponding limit
+     */
+    function setRedemptionPolicy(uint256 id, RedemptionLimits.Policy calldata policy) external {
+        address caller = _msgSender();
+        if (!games[id].exists) revert UnknownGame(id);
+        if (caller != games[id].creator && !IAccessControl(factory).hasRole(GAME_MANAGER_ROLE, caller)) {
+            revert UnauthorizedPolicyManager(caller);
+        }
+        
+        RedemptionLimits.setPolicy(_redemptionLimits[id], policy, totalSupply(id));
+        emit RedemptionPolicyUpdated(
+            id,
+            caller,
+            policy.maxPerTransaction,
+            policy.maxPerAddressPerDay,
+            policy.maxGlobalPerDay,
+            policy.cooldown
+        );
+    }
+    
+    /**
+     * @dev Update the metadata URI of every game. Callable by DEFAULT_ADMIN_ROLE on the factory.
+     * @param newUri URI with `{id}` substituted by clients
+     */
+    function setURI(string calldata newUri) external {
+        address caller = _msgSender();
+        if (!IAccessControl(factory).hasRole(DEFAULT_ADMIN_ROLE, caller)) {
+            revert UnauthorizedAccess(caller, DEFAULT_ADMIN_ROLE);
+        }
+        _setURI(newUri);
+    }
+    
+    // ============ ERC-2771 Context ============
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+    
+    // ============ Internal Functions ============
+    function _burnTokens(address from, uint256 id, uint256 amount) private {
+        uint256 burned = totalBurned[id] + amount;
+        totalBurned[id] = burned;
+        _burn(from, id, amount);
+        emit TokensBurned(id, from, amount, burned);
+    }
+}
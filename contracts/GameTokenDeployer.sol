@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./GameToken.sol";
+
+/**
+ * @title GameTokenDeployer
+ * @dev Creates each of GameTokenFactory's game tokens as an EIP-1167 clone of
+ * a GameToken implementation deployed beforehand, so a game costs a clone
+ * rather than a full contract deployment.
+ * Clones are created with CREATE2 keyed by creator and name, so a game's token
+ * address is known before it is created.
+ * Deployed by the factory in its constructor; only that factory may deploy tokens.
+ */
+contract GameTokenDeployer {
+    address public immutable factory;
+    address public immutable implementation;
+    
+    error UnauthorizedFactory(address caller, address expectedFactory);
+    error ZeroAddress();
+    
+    /**
+     * @param implementation_ GameToken deployed without initialization, as the clones' code
+     */
+    constructor(address implementation_) {
+        if (implementation_ == address(0)) revert ZeroAddress();
+        factory = msg.sender;
+        implementation = implementation_;
+    }
+    
+    /**
+     * @dev Clone and initialize a GameToken owned by `owner` and managed by the factory
+     * @param trustedForwarder ERC-2771 forwarder the token trusts (zero for none)
+     * @return tokenAddress Address of the new GameToken, as given by predictAddress(owner, name)
+     */
+    function deploy(
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        uint256 initialSupply,
+        address owner,
+        uint256 gameId,
+        address trustedForwarder
+    ) external returns (address tokenAddress) {
+        if (msg.sender != factory) {
+            revert UnauthorizedFactory(msg.sender, factory);
+        }
+        
+        tokenAddress = Clones.cloneDeterministic(implementation, salt(owner, name));
+        GameToken(tokenAddress).initialize(name, symbol, decimals, initialSupply, owner, factory, gameId, trustedForwarder);
+    }
+    
+    /**
+     * @dev Address the token for `creator`'s game `name` has or will have
+     */
+    function predictAddress(address creator, string calldata name) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, salt(creator, name));
+    }
+    
+    /**
+     * @dev CREATE2 salt for `creator`'s game `name`; names are unique per creator
+     */
+    function salt(address creator, string calldata name) public pure returns (bytes32) {
+        return keccak256(abi.encode(creator, name));
+    }
+}
@@ -1,22 +1,11 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.20;
+pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "./GameToken.sol";
-
-/**
- * @title IXPToken
- * @dev Interface for XP token with minting capability
- */
-interface IXPToken {
-    function mint(address to, uint256 amount) external;
-    function burn(uint256 amount) external;
-    function burnFrom(address from, uint256 amount) external;
-}
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./GameTokenFactoryStorage.sol";
+import "./GameTokenFactoryExtension.sol";
 
 /**
  * @title GameTokenFactory
@@ -27,225 +16,137 @@ interface IXPToken {
  * - Comprehensive input validation and error handling
  * - Emergency controls and reserve management
  * - Maintains original flow: CREDA → XP → Deploy GameToken → Burn → XP
+ * - Accepts ERC-2771 meta-transactions from an admin-configured trusted forwarder
+ * - Game tokens are ERC-20 clones, or token ids in the GameToken1155 collection
+ *   when created with createGameToken1155; gameTokenStandards records which
+ * - Runs behind GameTokenFactoryProxy so fixes ship as UUPS upgrades, by the
+ *   admin through upgradeToAndCall, that keep every game; scripts/upgrade.js
+ *   refuses implementations with an unsafe storage layout
+ * - Locks CREDA, or any ERC-20 an admin lists with its own rate, caps and pause flag
+ * - Charges admin-configured protocol fees on game creation and redemption, held
+ *   for the treasury until withdrawFees
+ * - Optionally prices a game's tokens past its initial supply along a bonding
+ *   curve, bought and sold against the game's own XP reserve
+ * This contract creates games (singly, in batches or by permit), redeems game
+ * tokens for their XP backing, pauses the factory, authorizes upgrades and
+ * answers the game lookups. Any other call goes from its fallback by
+ * delegatecall to GameTokenFactoryExtension, which hands what it does not
+ * implement on to GameTokenFactoryLocking and then GameTokenFactoryCurves, all
+ * against the proxy's storage. sdk/abi/GameTokenFactory.json is the ABI of the
+ * whole chain, generated by scripts/exportFactoryAbi.js.
  */
-contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
+contract GameTokenFactory is GameTokenFactoryStorage, UUPSUpgradeable {
+    using EnumerableSet for EnumerableSet.UintSet;
     using Math for uint256;
-
-    // ============ Constants ============
-    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
-    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
-    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
     
-    uint256 public constant MIN_XP_LOCK_AMOUNT = 1 * 1e18; // Minimum 1 XP to create game token
-    uint256 public constant MAX_GAME_TOKEN_DECIMALS = 18;
-    uint256 public constant PRECISION_FACTOR = 1e18; // For precise calculations
-    uint256 public constant MAX_NAME_LENGTH = 100;
-    uint256 public constant MAX_SYMBOL_LENGTH = 10;
+    // Runs every function this contract does not implement itself
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    GameTokenFactoryExtension public immutable extension;
     
-    // ============ State Variables ============
-    IERC20 public immutable credaToken;
-    IERC20 public immutable xpToken;
-    
-    uint256 public credaToXpRate = 1e18; // 1 CREDA = 1 XP (with 18 decimal precision)
-    uint256 public nextGameId = 0;
-    
-    // Track user's locked CREDA for potential future unlocking features
-    mapping(address => uint256) public userLockedCreda;
-    uint256 public totalLockedCreda;
-    
-    // Gas-optimized packed struct for game token info
-    struct GameTokenInfo {
-        address tokenAddress;    // 20 bytes
-        address creator;         // 20 bytes
-        uint88 xpLocked;        // 11 bytes (up to ~77M XP tokens)
-        uint8 decimals;         // 1 byte
-        bool active;            // 1 byte
-        // Total: 53 bytes (fits in 2 storage slots)
+    // ============ Constructor ============
+    /**
+     * @dev Deploy the implementation with this version's extension, which forwards
+     * locking calls to `locking`. Each proxy is set up once through
+     * GameTokenFactoryExtension.initialize.
+     * @param locking GameTokenFactoryLocking deployed for this version
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(GameTokenFactoryLocking locking) {
+        if (address(locking).code.length == 0) {
+            revert InvalidImplementation(address(locking));
+        }
+        extension = new GameTokenFactoryExtension(locking);
     }
     
-    // Additional metadata stored separately to optimize gas
-    struct GameTokenMetadata {
-        string name;
-        string symbol;
-        uint256 initialSupply;
-        uint256 creationTime;
+    // ============ Extension ============
+    /**
+     * @dev Run any other call in GameTokenFactoryExtension against this contract's
+     * storage, bubbling up its return data or revert
+     */
+    fallback() external {
+        address target = address(extension);
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
     }
     
-    mapping(uint256 => GameTokenInfo) public gameTokens;
-    mapping(uint256 => GameTokenMetadata) public gameTokenMetadata;
-    mapping(address => uint256[]) public userGameTokens; // Track user's created tokens
-    mapping(address => mapping(string => bool)) public userGameNames; // Prevent duplicate names per user
-    
-    // XP reserves management
-    uint256 public xpReserves; // XP held for game token redemptions
-    
-    // ============ Events ============
-    event CredaLocked(address indexed user, uint256 credaAmount, uint256 xpMinted);
-    event GameTokenCreated(
-        uint256 indexed gameId,
-        address indexed creator,
-        address indexed tokenAddress,
-        string name,
-        string symbol,
-        uint256 xpLocked,
-        uint256 initialSupply
-    );
-    event GameTokenBurned(
-        uint256 indexed gameId,
-        address indexed user,
-        uint256 burnAmount,
-        uint256 xpReturned
-    );
-    event RateUpdated(uint256 oldRate, uint256 newRate);
-    event EmergencyWithdraw(address indexed token, address indexed to, uint256 amount);
-    
-    // ============ Comprehensive Error Definitions ============
-    // Input Validation Errors
-    error ZeroAmount();
-    error ZeroRate();
-    error ZeroAddress();
-    error InvalidGameId(uint256 provided, uint256 maxValid);
-    error InvalidDecimals(uint8 provided, uint8 maxAllowed);
-    error InsufficientAmount(uint256 provided, uint256 required);
-    error ExcessiveAmount(uint256 provided, uint256 maximum);
-    
-    // String Validation Errors
-    error EmptyString(string fieldName);
-    error StringTooLong(string fieldName, uint256 length, uint256 maxLength);
-    error InvalidCharacters(string fieldName);
-    
-    // Business Logic Errors  
-    error GameTokenNotActive(uint256 gameId);
-    error DuplicateGameName(address user, string name);
-    error InsufficientXpReserves(uint256 required, uint256 available);
-    error InsufficientUserBalance(address user, address token, uint256 required, uint256 available);
-    error InsufficientAllowance(address user, address spender, address token, uint256 required, uint256 current);
-    
-    // Contract State Errors
-    error ContractPaused();
-    error ContractNotPaused();
-    error ReentrancyDetected();
-    error InvalidContractState(string reason);
-    
-    // External Call Errors
-    error TransferFailed(address token, address from, address to, uint256 amount);
-    error MintFailed(address token, address to, uint256 amount);
-    error BurnFailed(address token, address from, uint256 amount);
-    error GameTokenDeploymentFailed(string reason);
-    error ExternalCallFailed(address target, bytes data);
-    
-    // Access Control Errors
-    error UnauthorizedAccess(address caller, bytes32 requiredRole);
-    error InvalidRole(bytes32 role);
-    error RoleAlreadyGranted(address account, bytes32 role);
-    error RoleNotGranted(address account, bytes32 role);
-    
-    // Mathematical Errors
-    error MathOverflow(string operation);
-    error MathUnderflow(string operation);
-    error DivisionByZero(string operation);
-    error InvalidCalculation(string operation, string reason);
-    
-    // Rate and Conversion Errors
-    error InvalidConversionRate(uint256 rate);
-    error RateChangeTooBig(uint256 oldRate, uint256 newRate, uint256 maxChangePercent);
-    error ConversionResultsInZero(uint256 input, uint256 rate);
-    
-    // Game Token Specific Errors
-    error GameTokenLimitExceeded(address user, uint256 current, uint256 maximum);
-    error InvalidInitialSupply(uint256 calculated, uint256 minimum, uint256 maximum);
-    error TokenCreationCooldown(address user, uint256 timeRemaining);
-    
-    // Recovery and Emergency Errors
-    error EmergencyActionFailed(string action, string reason);
-    error RecoveryNotAllowed(address token, string reason);
-    error InvalidRecoveryTarget(address target);
-    
-    // ============ Constructor ============
-    constructor(
-        address _credaToken,
-        address _xpToken
-    ) {
-        // Comprehensive input validation
-        if (_credaToken == address(0)) {
-            revert ZeroAddress();
-        }
-        if (_xpToken == address(0)) {
-            revert ZeroAddress();
-        }
-        if (_credaToken == _xpToken) {
-            revert InvalidContractState("CREDA and XP tokens cannot be the same");
-        }
-        
-        credaToken = IERC20(_credaToken);
-        xpToken = IERC20(_xpToken);
-        
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(RATE_MANAGER_ROLE, msg.sender);
-        _grantRole(PAUSER_ROLE, msg.sender);
-        _grantRole(EMERGENCY_ROLE, msg.sender);
+    // ============ XP → Game Token Factory ============
+    /**
+     * @dev Create a new ERC-20 game token by locking XP tokens. The creator also
+     * pays the creation fee, if any (see calculateCreationFee).
+     * @param xpAmount Amount of XP tokens to lock
+     * @param name Name of the game token
+     * @param symbol Symbol of the game token
+     * @param decimals Decimals for the game token
+     */
+    function createGameToken(
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals
+    ) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
+        nonReentrant 
+        returns (uint256 gameId, address tokenAddress)
+    {
+        address creator = _msgSender();
+        _useCreationQuota(creator, 1);
+        return _createGameToken(creator, xpAmount, name, symbol, decimals);
     }
     
-    // ============ CREDA → XP Locking ============
     /**
-     * @dev Lock CREDA tokens and mint XP tokens to user
-     * @param amountCreda Amount of CREDA tokens to lock
+     * @dev Create a game token using an EIP-2612 permit for the XP allowance
+     * @param xpAmount Amount of XP tokens to lock; the permit value is this plus
+     * the creation fee when it is paid in XP (see calculateCreationFee)
+     * @param name Name of the game token
+     * @param symbol Symbol of the game token
+     * @param decimals Decimals for the game token
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
      */
-    function lockCreda(uint256 amountCreda) 
+    function createGameTokenWithPermit(
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
         external 
         whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
         nonReentrant 
+        returns (uint256 gameId, address tokenAddress)
     {
-        // Enhanced input validation
-        if (amountCreda == 0) revert ZeroAmount();
-        
-        // Validate user has sufficient balance and allowance
-        _validateUserTokenAccess(msg.sender, address(credaToken), amountCreda);
-        
-        // Safe calculation of XP to mint with overflow protection
-        if (credaToXpRate == 0) {
-            revert InvalidConversionRate(credaToXpRate);
-        }
-        
-        uint256 xpAmount = _safeMul(amountCreda, credaToXpRate, "CREDA_TO_XP_MULTIPLICATION");
-        xpAmount = _safeDiv(xpAmount, PRECISION_FACTOR, "CREDA_TO_XP_DIVISION");
-        
-        if (xpAmount == 0) {
-            revert ConversionResultsInZero(amountCreda, credaToXpRate);
-        }
-        
-        // Transfer CREDA from user to contract with enhanced error handling
-        bool transferSuccess = credaToken.transferFrom(msg.sender, address(this), amountCreda);
-        if (!transferSuccess) {
-            revert TransferFailed(address(credaToken), msg.sender, address(this), amountCreda);
-        }
-        
-        // Update user's locked CREDA with overflow protection
-        userLockedCreda[msg.sender] = _safeAdd(userLockedCreda[msg.sender], amountCreda, "USER_LOCKED_CREDA_UPDATE");
-        totalLockedCreda = _safeAdd(totalLockedCreda, amountCreda, "TOTAL_LOCKED_CREDA_UPDATE");
-        
-        // Mint XP tokens to user with error handling
-        try IXPToken(address(xpToken)).mint(msg.sender, xpAmount) {
-            // Success - emit event
-            emit CredaLocked(msg.sender, amountCreda, xpAmount);
-        } catch (bytes memory reason) {
-            // Revert the CREDA transfer if XP minting fails
-            credaToken.transfer(msg.sender, amountCreda);
-            userLockedCreda[msg.sender] = _safeSub(userLockedCreda[msg.sender], amountCreda, "REVERT_USER_LOCKED_CREDA");
-            totalLockedCreda = _safeSub(totalLockedCreda, amountCreda, "REVERT_TOTAL_LOCKED_CREDA");
-            revert MintFailed(address(xpToken), msg.sender, xpAmount);
-        }
+        address creator = _msgSender();
+        _useCreationQuota(creator, 1);
+        _tryPermit(address(xpToken), creator, _xpBurnedFor(creator, xpAmount), deadline, v, r, s);
+        return _createGameToken(creator, xpAmount, name, symbol, decimals);
     }
     
-    // ============ XP → Game Token Factory ============
     /**
-     * @dev Create a new ERC-20 game token by locking XP tokens
+     * @dev Create a game whose tokens are an id in the shared ERC-1155 collection
+     * instead of an ERC-20 of their own. Locking, top-ups and redemption work as
+     * for createGameToken; the game ID is the token id.
      * @param xpAmount Amount of XP tokens to lock
      * @param name Name of the game token
      * @param symbol Symbol of the game token
-     * @param decimals Decimals for the game token
+     * @param decimals Decimals for the game token, for display
+     * @return gameId ID of the new game, also its token id
+     * @return tokenAddress Address of the GameToken1155 collection
      */
-    function createGameToken(
+    function createGameToken1155(
         uint256 xpAmount,
         string calldata name,
         string calldata symbol,
@@ -253,86 +154,51 @@ contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
     ) 
         external 
         whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
         nonReentrant 
         returns (uint256 gameId, address tokenAddress)
     {
-        // Enhanced input validation with detailed error messages
-        if (xpAmount < MIN_XP_LOCK_AMOUNT) {
-            revert InsufficientAmount(xpAmount, MIN_XP_LOCK_AMOUNT);
-        }
-        if (decimals > MAX_GAME_TOKEN_DECIMALS) {
-            revert InvalidDecimals(decimals, uint8(MAX_GAME_TOKEN_DECIMALS));
-        }
-        
-        // Validate string inputs with comprehensive checks
-        _validateString(name, "name", MAX_NAME_LENGTH);
-        _validateString(symbol, "symbol", MAX_SYMBOL_LENGTH);
-        
-        // Check for duplicate name
-        if (userGameNames[msg.sender][name]) {
-            revert DuplicateGameName(msg.sender, name);
-        }
-        
-        // Validate user has sufficient XP balance and allowance
-        _validateUserTokenAccess(msg.sender, address(xpToken), xpAmount);
-        
-        // FIXED: Burn XP tokens instead of transferring to contract
-        // This ensures XP tokens are consumed when creating game tokens
-        IXPToken(address(xpToken)).burnFrom(msg.sender, xpAmount);
-        
-        // Update XP reserves (tracking locked value for redemption)
-        xpReserves += xpAmount;
-        
-        gameId = nextGameId++;
-        
-        // Calculate initial supply based on XP amount and decimals
-        uint256 initialSupply = xpAmount * (10 ** decimals) / PRECISION_FACTOR;
-        
-        // Deploy new GameToken contract
-        try new GameToken(
-            name,
-            symbol,
-            decimals,
-            initialSupply,
-            msg.sender, // owner
-            address(this), // factory
-            gameId
-        ) returns (GameToken newToken) {
-            tokenAddress = address(newToken);
-        } catch Error(string memory reason) {
-            // Revert XP burn if deployment fails - mint back the burned tokens
-            xpReserves -= xpAmount;
-            IXPToken(address(xpToken)).mint(msg.sender, xpAmount);
-            revert GameTokenDeploymentFailed(reason);
-        } catch (bytes memory lowLevelData) {
-            // Revert XP burn if deployment fails - mint back the burned tokens
-            xpReserves -= xpAmount;
-            IXPToken(address(xpToken)).mint(msg.sender, xpAmount);
-            revert GameTokenDeploymentFailed("Unknown deployment error");
+        address creator = _msgSender();
+        _useCreationQuota(creator, 1);
+        return _createGameToken1155(creator, xpAmount, name, symbol, decimals);
+    }
+    
+    /**
+     * @dev Create several game tokens in one transaction. Every game is validated
+     * as in createGameToken and the batch reverts as a whole if any of them fails,
+     * including a name repeated within the batch. The XP allowance must cover the
+     * whole batch, and the batch counts once against the creation cooldown.
+     * @param games Games to create, in order
+     * @return gameIds IDs of the new games, in the order given
+     * @return tokenAddresses Addresses of the new game tokens, in the order given
+     */
+    function createGameTokensBatch(GameTokenParams[] calldata games) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
+        nonReentrant 
+        returns (uint256[] memory gameIds, address[] memory tokenAddresses)
+    {
+        _validateBatchSize(games.length);
+        address creator = _msgSender();
+        _useCreationQuota(creator, games.length);
+        
+        // burnFrom does not spend the allowance, so check it against the batch total,
+        // XP creation fees included, up front
+        uint256 totalXp;
+        for (uint256 i = 0; i < games.length; i++) {
+            totalXp += _xpBurnedFor(creator, games[i].xpAmount);
+        }
+        _validateUserTokenAccess(creator, address(xpToken), totalXp);
+        
+        gameIds = new uint256[](games.length);
+        tokenAddresses = new address[](games.length);
+        for (uint256 i = 0; i < games.length; i++) {
+            GameTokenParams calldata game = games[i];
+            (gameIds[i], tokenAddresses[i]) = _createGameToken(
+                creator, game.xpAmount, game.name, game.symbol, game.decimals
+            );
         }
-        
-        // Store game token info (gas-optimized)
-        gameTokens[gameId] = GameTokenInfo({
-            tokenAddress: tokenAddress,
-            creator: msg.sender,
-            xpLocked: uint88(xpAmount), // Safe cast due to validation
-            decimals: decimals,
-            active: true
-        });
-        
-        // Store metadata separately
-        gameTokenMetadata[gameId] = GameTokenMetadata({
-            name: name,
-            symbol: symbol,
-            initialSupply: initialSupply,
-            creationTime: block.timestamp
-        });
-        
-        // Track user's game tokens and names
-        userGameTokens[msg.sender].push(gameId);
-        userGameNames[msg.sender][name] = true;
-        
-        emit GameTokenCreated(gameId, msg.sender, tokenAddress, name, symbol, xpAmount, initialSupply);
     }
     
     // ============ Game Token Burning → XP Unlocking ============
@@ -344,98 +210,94 @@ contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
     function burnGameToken(uint256 gameId, uint256 burnAmount) 
         external 
         whenNotPaused 
+        whenOperationNotPaused(Operation.Redeem) 
         nonReentrant 
     {
-        // Enhanced input validation
-        if (burnAmount == 0) revert ZeroAmount();
-        if (gameId == 0 || gameId >= nextGameId) {
-            revert InvalidGameId(gameId, nextGameId - 1);
-        }
-        
-        GameTokenInfo storage gameInfo = gameTokens[gameId];
-        if (!gameInfo.active) {
-            revert GameTokenNotActive(gameId);
-        }
-        
-        GameTokenMetadata memory metadata = gameTokenMetadata[gameId];
-        
-        // Validate initial supply to prevent division by zero
-        if (metadata.initialSupply == 0) {
-            revert InvalidCalculation("XP_RETURN_CALCULATION", "Initial supply is zero");
-        }
-        
-        // Validate user has sufficient game tokens to burn
-        GameToken gameToken = GameToken(gameInfo.tokenAddress);
-        uint256 userBalance = gameToken.balanceOf(msg.sender);
-        if (userBalance < burnAmount) {
-            revert InsufficientUserBalance(msg.sender, gameInfo.tokenAddress, burnAmount, userBalance);
-        }
-        
-        // Safe calculation of XP to return with overflow protection
-        uint256 xpToReturn = _safeMul(burnAmount, uint256(gameInfo.xpLocked), "XP_RETURN_MULTIPLICATION");
-        xpToReturn = _safeDiv(xpToReturn, metadata.initialSupply, "XP_RETURN_DIVISION");
-        
-        // Validate XP reserves are sufficient
-        if (xpReserves < xpToReturn) {
-            revert InsufficientXpReserves(xpToReturn, xpReserves);
-        }
-        
-        // Burn tokens from the game token contract with error handling
-        try gameToken.burnFrom(msg.sender, burnAmount) {
-            // Success - continue with XP minting
-        } catch (bytes memory reason) {
-            revert BurnFailed(gameInfo.tokenAddress, msg.sender, burnAmount);
-        }
-        
-        // Update state with safe arithmetic
-        xpReserves = _safeSub(xpReserves, xpToReturn, "XP_RESERVES_UPDATE");
-        
-        // Mint XP tokens back to user with error handling
-        try IXPToken(address(xpToken)).mint(msg.sender, xpToReturn) {
-            // Success - emit event
-            emit GameTokenBurned(gameId, msg.sender, burnAmount, xpToReturn);
-        } catch (bytes memory reason) {
-            // Revert the burn and state changes if XP minting fails
-            revert MintFailed(address(xpToken), msg.sender, xpToReturn);
+        _burnGameToken(gameId, _msgSender(), burnAmount, false);
+    }
+    
+    /**
+     * @dev Burn game tokens to reclaim XP tokens, reverting if less than `minXpOut`
+     * comes back, e.g. because a redemption fee increase took effect first
+     * @param gameId ID of the game token to burn
+     * @param burnAmount Amount of game tokens to burn
+     * @param minXpOut Least XP to accept, after the redemption fee
+     * @return xpOut XP minted to the caller
+     */
+    function burnGameTokenWithMinXp(uint256 gameId, uint256 burnAmount, uint256 minXpOut) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Redeem) 
+        nonReentrant 
+        returns (uint256 xpOut)
+    {
+        xpOut = _burnGameToken(gameId, _msgSender(), burnAmount, false);
+        if (xpOut < minXpOut) revert SlippageExceeded(xpOut, minXpOut);
+    }
+    
+    /**
+     * @dev Redeem game tokens of several games (or the same game more than once)
+     * in one transaction. Every redemption is validated as in burnGameToken and
+     * the batch reverts as a whole if any of them fails.
+     * @param burns Redemptions to make, in order
+     * @return xpReturned Total XP minted back to the caller
+     */
+    function burnGameTokensBatch(BurnParams[] calldata burns) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Redeem) 
+        nonReentrant 
+        returns (uint256 xpReturned)
+    {
+        _validateBatchSize(burns.length);
+        address holder = _msgSender();
+        for (uint256 i = 0; i < burns.length; i++) {
+            xpReturned += _burnGameToken(burns[i].gameId, holder, burns[i].burnAmount, false);
         }
     }
     
-    // ============ Admin Functions ============
     /**
-     * @dev Update CREDA to XP conversion rate
-     * @param newRate New rate (with PRECISION_FACTOR scaling)
+     * @dev Redeem on behalf of `holder`, authorised by their EIP-2612 permit for
+     * `burnAmount` to this factory, so a relayer can pay the gas. XP goes to the holder.
+     * The permit's allowance is spent by the burn, so it redeems once. Without a
+     * permit that applies (a front-run one included) only the holder may call this,
+     * and it redeems like burnGameToken: an allowance the holder gave for something
+     * else never lets a third party redeem their tokens.
+     * @param gameId ID of the game token to burn
+     * @param holder Account whose game tokens are burned and who receives the XP
+     * @param burnAmount Amount of game tokens to burn; also the permit value
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
      */
-    function setRate(uint256 newRate) external onlyRole(RATE_MANAGER_ROLE) {
-        // Enhanced rate validation
-        if (newRate == 0) revert ZeroRate();
-        
-        uint256 oldRate = credaToXpRate;
-        
-        // Prevent excessive rate changes (max 50% change per update for safety)
-        uint256 maxChangePercent = 50;
-        if (oldRate != 0) {
-            uint256 changePercent;
-            if (newRate > oldRate) {
-                changePercent = ((newRate - oldRate) * 100) / oldRate;
-            } else {
-                changePercent = ((oldRate - newRate) * 100) / oldRate;
-            }
-            
-            if (changePercent > maxChangePercent) {
-                revert RateChangeTooBig(oldRate, newRate, maxChangePercent);
-            }
+    function burnGameTokenWithPermit(
+        uint256 gameId,
+        address holder,
+        uint256 burnAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Redeem) 
+        nonReentrant 
+    {
+        _validateGameId(gameId);
+        if (gameTokenStandards[gameId] != TokenStandard.ERC20) {
+            revert UnsupportedTokenStandard(gameId, gameTokenStandards[gameId]);
         }
-        
-        // Validate rate is within reasonable bounds (not too high)
-        uint256 maxReasonableRate = 1000 * PRECISION_FACTOR; // Max 1000:1 ratio
-        if (newRate > maxReasonableRate) {
-            revert ExcessiveAmount(newRate, maxReasonableRate);
+        address tokenAddress = gameTokens[gameId].tokenAddress;
+        bool permitted = _tryPermit(tokenAddress, holder, burnAmount, deadline, v, r, s);
+        if (!permitted && holder != _msgSender()) {
+            revert UnauthorizedRedeemer(holder, _msgSender());
         }
-        
-        credaToXpRate = newRate;
-        emit RateUpdated(oldRate, newRate);
+        _burnGameToken(gameId, holder, burnAmount, permitted);
     }
     
+    // ============ Admin Functions ============
     /**
      * @dev Pause contract operations
      */
@@ -449,77 +311,75 @@ contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
     function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
+
+    /**
+     * @dev Only the admin may upgrade the proxy (see UUPSUpgradeable.upgradeToAndCall).
+     * Nothing here checks the storage layout: upgrade with scripts/upgrade.js, which does.
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    // ============ View Functions ============
+    /**
+     * @dev Get complete game token information
+     * @param gameId ID of the game token
+     */
+    function getGameTokenInfo(uint256 gameId) 
+        external 
+        view 
+        returns (
+            GameTokenInfo memory info,
+            GameTokenMetadata memory metadata
+        ) 
+    {
+        info = gameTokens[gameId];
+        metadata = gameTokenMetadata[gameId];
+    }
     
     /**
-     * @dev Emergency withdraw function for stuck tokens
-     * @param token Address of token to withdraw
-     * @param to Address to send tokens to
-     * @param amount Amount to withdraw
+     * @dev Get where a game is in its lifecycle. A sunset game counts as
+     * Closed as soon as its redemption window ends, even before finalizeSunset.
+     * @param gameId ID of the game token
      */
-    function emergencyWithdraw(
-        address token,
-        address to,
-        uint256 amount
-    ) external onlyRole(EMERGENCY_ROLE) {
-        // Enhanced input validation
-        if (to == address(0)) {
-            revert ZeroAddress();
-        }
-        if (amount == 0) {
-            revert ZeroAmount();
-        }
+    function getGameStatus(uint256 gameId) external view returns (GameStatus) {
+        _validateGameId(gameId);
+        GameLifecycle memory lifecycle = gameLifecycles[gameId];
         
-        // Prevent withdrawal of critical tokens without proper validation
-        if (token == address(credaToken) && totalLockedCreda > 0) {
-            revert RecoveryNotAllowed(token, "Cannot withdraw CREDA while tokens are locked");
+        if (lifecycle.redemptionEndsAt != 0) {
+            return block.timestamp < lifecycle.redemptionEndsAt ? GameStatus.Sunset : GameStatus.Closed;
         }
-        
-        if (token == address(0)) {
-            // Withdraw ETH with enhanced error handling
-            uint256 contractBalance = address(this).balance;
-            if (amount > contractBalance) {
-                revert InsufficientUserBalance(address(this), address(0), amount, contractBalance);
-            }
-            
-            (bool success, bytes memory returnData) = payable(to).call{value: amount}("");
-            if (!success) {
-                revert EmergencyActionFailed("ETH_WITHDRAWAL", "Transfer failed");
-            }
-        } else {
-            // Withdraw ERC20 token with enhanced validation
-            IERC20 tokenContract = IERC20(token);
-            uint256 contractBalance = tokenContract.balanceOf(address(this));
-            
-            if (amount > contractBalance) {
-                revert InsufficientUserBalance(address(this), token, amount, contractBalance);
-            }
-            
-            bool success = tokenContract.transfer(to, amount);
-            if (!success) {
-                revert TransferFailed(token, address(this), to, amount);
-            }
-        }
-        
-        emit EmergencyWithdraw(token, to, amount);
+        return gameTokens[gameId].active ? GameStatus.Active : GameStatus.Inactive;
     }
     
-    // ============ View Functions ============
     /**
-     * @dev Get complete game token information
-     * @param gameId ID of the game token
+     * @dev Look up a game by its token address
+     * @param tokenAddress Address of a GameToken deployed by this factory
      */
-    function getGameTokenInfo(uint256 gameId) 
+    function getGameByToken(address tokenAddress) 
         external 
         view 
         returns (
+            uint256 gameId,
             GameTokenInfo memory info,
             GameTokenMetadata memory metadata
         ) 
     {
+        if (!isFactoryToken[tokenAddress]) revert UnknownGameToken(tokenAddress);
+        
+        gameId = gameIdByToken[tokenAddress];
         info = gameTokens[gameId];
         metadata = gameTokenMetadata[gameId];
     }
     
+    /**
+     * @dev Address of `creator`'s game token named `name`, whether or not it exists yet.
+     * Game tokens are CREATE2 clones keyed by creator and name.
+     * @param creator Game creator
+     * @param name Game token name
+     */
+    function predictGameTokenAddress(address creator, string calldata name) external view returns (address) {
+        return gameTokenDeployer.predictAddress(creator, name);
+    }
+    
     /**
      * @dev Get user's created game tokens
      * @param user Address of the user
@@ -533,36 +393,18 @@ contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev Calculate XP amount for given CREDA amount
-     * @param credaAmount Amount of CREDA tokens
+     * @dev Get the number of game tokens a user has created
+     * @param user Address of the user
      */
-    function calculateXpAmount(uint256 credaAmount) 
-        external 
-        view 
-        returns (uint256) 
-    {
-        return (credaAmount * credaToXpRate) / PRECISION_FACTOR;
+    function getUserGameTokenCount(address user) external view returns (uint256) {
+        return userGameTokens[user].length;
     }
     
     /**
-     * @dev Calculate XP return for burning game tokens
-     * @param gameId ID of the game token
-     * @param burnAmount Amount to burn
+     * @dev Get the number of active games
      */
-    function calculateXpReturn(uint256 gameId, uint256 burnAmount) 
-        external 
-        view 
-        returns (uint256) 
-    {
-        if (gameId == 0 || gameId >= nextGameId) return 0;
-        
-        GameTokenInfo memory gameInfo = gameTokens[gameId];
-        if (!gameInfo.active) return 0;
-        
-        GameTokenMetadata memory metadata = gameTokenMetadata[gameId];
-        if (metadata.initialSupply == 0) return 0;
-        
-        return (burnAmount * uint256(gameInfo.xpLocked)) / metadata.initialSupply;
+    function getActiveGameCount() external view returns (uint256) {
+        return activeGameIds.length();
     }
     
     /**
@@ -578,92 +420,100 @@ contract GameTokenFactory is AccessControl, Pausable, ReentrancyGuard {
         return userGameNames[user][name];
     }
     
-    // ============ Enhanced Input Validation Functions ============
-    
+    // ============ Internal Flows ============
     /**
-     * @dev Validate string inputs with comprehensive checks
+     * @dev Burn `holder`'s game tokens and mint their share of the game's XP to them;
+     * with `spendAllowance` the burn spends the holder's allowance to this factory
      */
-    function _validateString(string calldata str, string memory fieldName, uint256 maxLength) private pure {
-        bytes memory strBytes = bytes(str);
-        if (strBytes.length == 0) {
-            revert EmptyString(fieldName);
+    function _burnGameToken(uint256 gameId, address holder, uint256 burnAmount, bool spendAllowance) 
+        private 
+        returns (uint256 xpToReturn)
+    {
+        // Enhanced input validation
+        if (burnAmount == 0) revert ZeroAmount();
+        _validateGameId(gameId);
+        _validateNotFrozen(gameId);
+        _validateNotCurveGame(gameId);
+        
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        if (!gameInfo.active && gameLifecycles[gameId].deactivatedByManager) {
+            revert GameTokenNotActive(gameId);
         }
-        if (strBytes.length > maxLength) {
-            revert StringTooLong(fieldName, strBytes.length, maxLength);
+        uint256 redemptionEndsAt = gameLifecycles[gameId].redemptionEndsAt;
+        if (redemptionEndsAt != 0 && block.timestamp >= redemptionEndsAt) {
+            revert RedemptionWindowClosed(gameId, redemptionEndsAt);
         }
         
-        // Check for invalid characters (basic validation)
-        for (uint256 i = 0; i < strBytes.length; i++) {
-            bytes1 char = strBytes[i];
-            // Allow alphanumeric, spaces, and basic symbols
-            if (!(
-                (char >= 0x30 && char <= 0x39) || // 0-9
-                (char >= 0x41 && char <= 0x5A) || // A-Z
-                (char >= 0x61 && char <= 0x7A) || // a-z
-                char == 0x20 || char == 0x2D || char == 0x5F || char == 0x2E // space, -, _, .
-            )) {
-                revert InvalidCharacters(fieldName);
-            }
-        }
-    }
-    
-    /**
-     * @dev Validate user token balance and allowance
-     */
-    function _validateUserTokenAccess(
-        address user,
-        address token,
-        uint256 amount
-    ) private view {
-        if (amount == 0) {
-            revert ZeroAmount();
+        GameTokenMetadata memory metadata = gameTokenMetadata[gameId];
+        
+        // Validate initial supply to prevent division by zero
+        if (metadata.initialSupply == 0) {
+            revert InvalidCalculation("XP_RETURN_CALCULATION", "Initial supply is zero");
         }
         
-        // Check user balance
-        uint256 userBalance = IERC20(token).balanceOf(user);
-        if (userBalance < amount) {
-            revert InsufficientUserBalance(user, token, amount, userBalance);
+        // Validate user has sufficient game tokens to burn
+        address tokenAddress = gameInfo.tokenAddress;
+        bool isErc1155 = gameTokenStandards[gameId] == TokenStandard.ERC1155;
+        uint256 userBalance = isErc1155
+            ? GameToken1155(tokenAddress).balanceOf(holder, gameId)
+            : GameToken(tokenAddress).balanceOf(holder);
+        if (userBalance < burnAmount) {
+            revert InsufficientUserBalance(holder, tokenAddress, burnAmount, userBalance);
         }
         
-        // Check allowance
-        uint256 allowance = IERC20(token).allowance(user, address(this));
-        if (allowance < amount) {
-            revert InsufficientAllowance(user, address(this), token, amount, allowance);
+        // XP still locked for the game is shared pro rata across its outstanding supply
+        xpToReturn = burnAmount * uint256(gameInfo.xpLocked) / _gameTokenSupply(gameId, tokenAddress);
+        
+        // Validate XP reserves are sufficient
+        if (xpReserves < xpToReturn) {
+            revert InsufficientXpReserves(xpToReturn, xpReserves);
         }
-    }
-    
-    /**
-     * @dev Safe mathematical operations with overflow/underflow protection
-     */
-    function _safeMul(uint256 a, uint256 b, string memory operation) private pure returns (uint256) {
-        if (a == 0) return 0;
         
-        uint256 c = a * b;
-        if (c / a != b) {
-            revert MathOverflow(operation);
+        // Burn tokens from the game token contract with error handling. Imported
+        // games' tokens only answer to their source factory, so they are escrowed
+        // here with transferFrom, which always spends the allowance.
+        (bool burned, bytes memory reason) = tokenAddress.call(isErc1155
+            ? abi.encodeCall(GameToken1155.burnFrom, (holder, gameId, burnAmount))
+            : gameImportedFrom[gameId] != address(0)
+                ? abi.encodeCall(IERC20.transferFrom, (holder, address(this), burnAmount))
+                : spendAllowance
+                    ? abi.encodeCall(GameToken.burnFromWithAllowance, (holder, burnAmount))
+                    : abi.encodeCall(GameToken.burnFrom, (holder, burnAmount)));
+        if (!burned) {
+            // Surface the token's own error (e.g. a redemption limit) so callers can decode it
+            if (reason.length == 0) revert BurnFailed(tokenAddress, holder, burnAmount);
+            assembly ("memory-safe") {
+                revert(add(reason, 32), mload(reason))
+            }
         }
-        return c;
-    }
-    
-    function _safeDiv(uint256 a, uint256 b, string memory operation) private pure returns (uint256) {
-        if (b == 0) {
-            revert DivisionByZero(operation);
+        
+        // Update state with safe arithmetic; xpReserves stays equal to the sum of xpLocked
+        gameInfo.xpLocked -= uint88(xpToReturn);
+        xpReserves -= xpToReturn;
+        
+        // The redemption fee is kept out of the XP minted back
+        uint256 fee = _feeFor(redemptionFee, holder, xpToReturn);
+        if (fee != 0) {
+            if (fee >= xpToReturn) revert FeeExceedsAmount(xpToReturn, fee);
+            xpToReturn -= fee;
+            _accrueFee(Operation.Redeem, gameId, holder, address(xpToken), fee);
         }
-        return a / b;
-    }
-    
-    function _safeAdd(uint256 a, uint256 b, string memory operation) private pure returns (uint256) {
-        uint256 c = a + b;
-        if (c < a) {
-            revert MathOverflow(operation);
+        
+        // Mint XP tokens back to user with error handling
+        try IXPToken(address(xpToken)).mint(holder, xpToReturn) {
+            // Success - emit event
+            emit GameTokenBurned(gameId, holder, burnAmount, xpToReturn);
+        } catch (bytes memory mintError) {
+            // Revert the burn and state changes if XP minting fails
+            _revertMintFailed(mintError, holder, xpToReturn);
         }
-        return c;
     }
     
-    function _safeSub(uint256 a, uint256 b, string memory operation) private pure returns (uint256) {
-        if (b > a) {
-            revert MathUnderflow(operation);
-        }
-        return a - b;
+    // ============ Enhanced Input Validation Functions ============
+    /**
+     * @dev Batches must hold between 1 and MAX_BATCH_SIZE items
+     */
+    function _validateBatchSize(uint256 size) private pure {
+        if (size == 0 || size > MAX_BATCH_SIZE) revert InvalidBatchSize(size, MAX_BATCH_SIZE);
     }
-} 
\ No newline at end of file
+}
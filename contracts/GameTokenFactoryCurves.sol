@@ -0,0 +1,298 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./GameTokenFactoryStorage.sol";
+
+/**
+ * @title GameTokenFactoryCurves
+ * @dev Bonding curves: creating games priced along a curve, buying and selling
+ * their tokens against each game's XP reserve, and the quotes for both. Runs
+ * against the factory proxy's storage, reached through GameTokenFactoryLocking's
+ * fallback; calls no module implements revert here.
+ * sdk/curves.js reproduces the curve math here exactly, so changes to it must
+ * be made in both.
+ * Deployed by GameTokenFactoryLocking in its constructor.
+ */
+contract GameTokenFactoryCurves is GameTokenFactoryStorage {
+    uint256 private constant LN2_WAD = 693_147_180_559_945_309; // ln 2 in 18-decimal fixed point
+    uint256 private constant MAX_EXP_INPUT = 130 * 1e18; // Keeps _expWad's result within uint256
+    
+    // ============ Game Creation ============
+    /**
+     * @dev Create an ERC-20 game token priced along a bonding curve past its
+     * initial supply: the creator locks XP and receives tokens as for
+     * createGameToken, then anyone can buy more with buyGameTokens and sell them
+     * back with sellGameTokens. See PricingCurve for the curve parameters.
+     * @param xpAmount Amount of XP tokens to lock
+     * @param name Name of the game token
+     * @param symbol Symbol of the game token
+     * @param decimals Decimals for the game token
+     * @param curve Pricing curve past the initial supply
+     */
+    function createGameTokenWithCurve(
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        PricingCurve calldata curve
+    ) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
+        nonReentrant 
+        returns (uint256 gameId, address tokenAddress)
+    {
+        CurveKind kind = curve.kind;
+        uint256 a = curve.a;
+        uint256 b = curve.b;
+        // Linear curves may be flat or start from zero but not both; the others need both parameters
+        bool valid = kind == CurveKind.Linear ? a != 0 || b != 0 : kind != CurveKind.None && a != 0 && b != 0;
+        if (!valid || a > MAX_CURVE_PARAMETER || b > MAX_CURVE_PARAMETER) revert InvalidPricingCurve(kind, a, b);
+        
+        address creator = _msgSender();
+        _useCreationQuota(creator, 1);
+        (gameId, tokenAddress) = _createGameToken(creator, xpAmount, name, symbol, decimals);
+        gameCurves[gameId] = curve;
+        emit PricingCurveSet(gameId, kind, a, b);
+    }
+    
+    // ============ Trading ============
+    /**
+     * @dev Buy tokens of a game created with createGameTokenWithCurve. The XP is
+     * burned into the game's reserve and the tokens it buys along the curve are
+     * minted to the caller.
+     * @param gameId ID of the game token
+     * @param xpAmount XP to spend
+     * @param minTokensOut Fewest game tokens to accept
+     * @param deadline Timestamp after which the trade reverts
+     * @return tokensOut Game tokens minted to the caller
+     */
+    function buyGameTokens(uint256 gameId, uint256 xpAmount, uint256 minTokensOut, uint256 deadline) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
+        nonReentrant 
+        returns (uint256 tokensOut)
+    {
+        if (block.timestamp > deadline) revert TradeExpired(deadline);
+        if (xpAmount == 0) revert ZeroAmount();
+        _validateGameId(gameId);
+        _validateNotFrozen(gameId);
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        
+        if (gameLifecycles[gameId].redemptionEndsAt != 0) revert GameAlreadySunset(gameId);
+        if (!gameInfo.active) revert GameTokenNotActive(gameId);
+        
+        uint256 newXpLocked = uint256(gameInfo.xpLocked) + xpAmount;
+        if (newXpLocked > type(uint88).max) {
+            revert ExcessiveAmount(xpAmount, type(uint88).max - gameInfo.xpLocked);
+        }
+        
+        tokensOut = _curveTrade(gameId, xpAmount, true);
+        if (tokensOut == 0) revert ConversionResultsInZero(xpAmount, gameInfo.xpLocked);
+        if (tokensOut < minTokensOut) revert SlippageExceeded(tokensOut, minTokensOut);
+        
+        address buyer = _msgSender();
+        _validateUserTokenAccess(buyer, address(xpToken), xpAmount);
+        IXPToken(address(xpToken)).burnFrom(buyer, xpAmount);
+        
+        gameInfo.xpLocked = uint88(newXpLocked);
+        xpReserves += xpAmount;
+        
+        GameToken(gameInfo.tokenAddress).factoryMint(buyer, tokensOut);
+        
+        emit GameTokensBought(gameId, buyer, xpAmount, tokensOut, newXpLocked);
+    }
+    
+    /**
+     * @dev Sell tokens of a curve game back down its curve. The XP released from
+     * the game's reserve, less the redemption fee, is minted to the caller.
+     * The game must be active or within its sunset redemption window, as for
+     * burnGameToken, but the token's burn switch and redemption limits, which its
+     * creator controls, do not apply.
+     * @param gameId ID of the game token
+     * @param tokenAmount Game tokens to sell
+     * @param minXpOut Least XP to accept, after the redemption fee
+     * @param deadline Timestamp after which the trade reverts
+     * @return xpOut XP minted to the caller
+     */
+    function sellGameTokens(uint256 gameId, uint256 tokenAmount, uint256 minXpOut, uint256 deadline) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Redeem) 
+        nonReentrant 
+        returns (uint256 xpOut)
+    {
+        if (block.timestamp > deadline) revert TradeExpired(deadline);
+        if (tokenAmount == 0) revert ZeroAmount();
+        _validateGameId(gameId);
+        _validateNotFrozen(gameId);
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        
+        if (!gameInfo.active) revert GameTokenNotActive(gameId);
+        uint256 redemptionEndsAt = gameLifecycles[gameId].redemptionEndsAt;
+        if (redemptionEndsAt != 0 && block.timestamp >= redemptionEndsAt) {
+            revert RedemptionWindowClosed(gameId, redemptionEndsAt);
+        }
+        
+        address seller = _msgSender();
+        address tokenAddress = gameInfo.tokenAddress;
+        uint256 balance = GameToken(tokenAddress).balanceOf(seller);
+        if (balance < tokenAmount) revert InsufficientUserBalance(seller, tokenAddress, tokenAmount, balance);
+        
+        uint256 xpReleased = _curveTrade(gameId, tokenAmount, false);
+        if (xpReleased == 0) revert ConversionResultsInZero(tokenAmount, gameInfo.xpLocked);
+        uint256 fee = _feeFor(redemptionFee, seller, xpReleased);
+        if (fee >= xpReleased) revert FeeExceedsAmount(xpReleased, fee);
+        xpOut = xpReleased - fee;
+        if (xpOut < minXpOut) revert SlippageExceeded(xpOut, minXpOut);
+        
+        GameToken(tokenAddress).factoryBurn(seller, tokenAmount);
+        
+        uint256 newXpLocked = gameInfo.xpLocked - xpReleased;
+        gameInfo.xpLocked = uint88(newXpLocked);
+        xpReserves -= xpReleased;
+        if (fee != 0) _accrueFee(Operation.Redeem, gameId, seller, address(xpToken), fee);
+        
+        try IXPToken(address(xpToken)).mint(seller, xpOut) {
+        } catch (bytes memory reason) {
+            _revertMintFailed(reason, seller, xpOut);
+        }
+        
+        emit GameTokensSold(gameId, seller, tokenAmount, xpOut, newXpLocked);
+    }
+    
+    /**
+     * @dev Calculate the game tokens buyGameTokens mints for `xpAmount`; zero
+     * for games without a curve. Does not check whether the game accepts buys.
+     * @param gameId ID of the game token
+     * @param xpAmount XP to spend
+     */
+    function calculateCurveBuy(uint256 gameId, uint256 xpAmount) external view returns (uint256) {
+        if (gameCurves[gameId].kind == CurveKind.None) return 0;
+        return _curveTrade(gameId, xpAmount, true);
+    }
+    
+    /**
+     * @dev Calculate the XP `holder` receives from sellGameTokens, net of the
+     * redemption fee, and the fee itself; zero for games without a curve or
+     * more tokens than are outstanding
+     * @param holder Account selling; FEE_EXEMPT_ROLE holders pay no fee
+     * @param gameId ID of the game token
+     * @param tokenAmount Game tokens to sell
+     * @return xpAmount XP minted to the holder
+     * @return fee XP kept for the treasury
+     */
+    function calculateCurveSell(address holder, uint256 gameId, uint256 tokenAmount) 
+        external 
+        view 
+        returns (uint256 xpAmount, uint256 fee) 
+    {
+        if (gameCurves[gameId].kind == CurveKind.None) return (0, 0);
+        if (tokenAmount > GameToken(gameTokens[gameId].tokenAddress).totalSupply()) return (0, 0);
+        xpAmount = _curveTrade(gameId, tokenAmount, false);
+        fee = Math.min(_feeFor(redemptionFee, holder, xpAmount), xpAmount);
+        xpAmount -= fee;
+    }
+    
+    // ============ Internal Curve Math ============
+    /**
+     * @dev Tokens `amount` XP buys from a curve game, or XP released by selling
+     * it `amount` tokens. Supplies are compared in whole tokens scaled to 18
+     * decimals; up to the initial supply a whole token costs one XP. A sale
+     * leaves the reserve at exactly the curve's cost of the remaining supply,
+     * so whatever rounding left in the reserve goes to the seller and the
+     * reserve always covers selling back every token still outstanding.
+     */
+    function _curveTrade(uint256 gameId, uint256 amount, bool buying) private view returns (uint256) {
+        PricingCurve memory curve = gameCurves[gameId];
+        if (curve.kind == CurveKind.None) revert NotCurveGame(gameId);
+        GameTokenInfo memory gameInfo = gameTokens[gameId];
+        
+        uint256 scale = 10 ** (MAX_GAME_TOKEN_DECIMALS - gameInfo.decimals);
+        uint256 seed = gameTokenMetadata[gameId].initialSupply * scale;
+        uint256 supply = GameToken(gameInfo.tokenAddress).totalSupply();
+        uint256 reserve = gameInfo.xpLocked;
+        
+        if (buying) {
+            reserve += amount;
+            uint256 newSupply = (reserve <= seed ? reserve : seed + _curveSupply(curve, reserve - seed)) / scale;
+            return newSupply > supply ? newSupply - supply : 0;
+        }
+        uint256 remaining = (supply - amount) * scale;
+        uint256 cost = remaining <= seed ? remaining : seed + _curveCost(curve, remaining - seed);
+        return reserve > cost ? reserve - cost : 0;
+    }
+    
+    /**
+     * @dev XP cost of the first `tokens` whole tokens (18 decimals) along `curve`
+     */
+    function _curveCost(PricingCurve memory curve, uint256 tokens) private pure returns (uint256) {
+        uint256 a = curve.a;
+        uint256 b = curve.b;
+        if (curve.kind == CurveKind.Linear) {
+            return Math.mulDiv(tokens, 2 * a * PRECISION_FACTOR + b * tokens, 2 * PRECISION_FACTOR * PRECISION_FACTOR);
+        }
+        if (curve.kind == CurveKind.Exponential) {
+            return Math.mulDiv(a, _expWad(Math.mulDiv(b, tokens, PRECISION_FACTOR)) - PRECISION_FACTOR, b);
+        }
+        return Math.mulDiv(a, tokens, b - tokens);
+    }
+    
+    /**
+     * @dev Whole tokens (18 decimals) that `xp` buys along `curve` from none sold,
+     * rounded down: the inverse of _curveCost. `xp` is never zero. An exponential
+     * supply whose exponent would pass MAX_EXP_INPUT reverts, as _curveCost would
+     * for it, so no buy leaves tokens that cannot be sold back.
+     */
+    function _curveSupply(PricingCurve memory curve, uint256 xp) private pure returns (uint256) {
+        uint256 a = curve.a;
+        uint256 b = curve.b;
+        if (curve.kind == CurveKind.Linear) {
+            // 2x / (sqrt(a^2 + 2bx) + a) rather than (sqrt(a^2 + 2bx) - a) / b, which loses precision
+            // for shallow slopes and divides by zero for flat ones
+            return Math.mulDiv(2 * xp, PRECISION_FACTOR, Math.sqrt(a * a + 2 * b * xp, Math.Rounding.Ceil) + a);
+        }
+        if (curve.kind == CurveKind.Exponential) {
+            uint256 exponent = _lnWad(PRECISION_FACTOR + Math.mulDiv(xp, b, a));
+            if (exponent > MAX_EXP_INPUT) revert MathOverflow("CURVE_EXP");
+            return Math.mulDiv(exponent, PRECISION_FACTOR, b);
+        }
+        return Math.mulDiv(b, xp, a + xp);
+    }
+    
+    /**
+     * @dev e^(x / 1e18) in 18-decimal fixed point: 2^n * e^r for
+     * x = n * ln 2 + r, with e^r summed from its Taylor series
+     */
+    function _expWad(uint256 x) private pure returns (uint256) {
+        if (x > MAX_EXP_INPUT) revert MathOverflow("CURVE_EXP");
+        uint256 n = x / LN2_WAD;
+        uint256 r = x - n * LN2_WAD;
+        uint256 term = PRECISION_FACTOR;
+        uint256 sum = PRECISION_FACTOR;
+        for (uint256 i = 1; term != 0; i++) {
+            term = term * r / (i * PRECISION_FACTOR);
+            sum += term;
+        }
+        return sum << n;
+    }
+    
+    /**
+     * @dev ln(x / 1e18) in 18-decimal fixed point for x >= 1e18: n * ln 2 + ln y
+     * for x = 2^n * y, with ln y = 2 atanh((y - 1) / (y + 1)) summed from its series
+     */
+    function _lnWad(uint256 x) private pure returns (uint256) {
+        uint256 n = Math.log2(x / PRECISION_FACTOR);
+        uint256 y = x >> n;
+        uint256 z = (y - PRECISION_FACTOR) * PRECISION_FACTOR / (y + PRECISION_FACTOR);
+        uint256 z2 = z * z / PRECISION_FACTOR;
+        uint256 sum;
+        for (uint256 i = 1; z != 0; i += 2) {
+            sum += z / i;
+            z = z * z2 / PRECISION_FACTOR;
+        }
+        return n * LN2_WAD + 2 * sum;
+    }
+}
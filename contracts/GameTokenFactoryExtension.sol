@@ -0,0 +1,717 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./GameTokenFactoryStorage.sol";
+import "./GameTokenFactoryLocking.sol";
+
+/**
+ * @title GameTokenFactoryExtension
+ * @dev Administration and the game lifecycle: the initializer, the treasury,
+ * creation policy, forwarder and ERC-1155 settings, supply top-ups,
+ * deactivation and sunsets, emergency controls and withdrawals, game migration
+ * and the paginated catalog views. Runs against the factory proxy's storage,
+ * reached through GameTokenFactory's fallback, and passes calls it does not
+ * implement to GameTokenFactoryLocking.
+ * Deployed by the factory implementation in its constructor.
+ */
+contract GameTokenFactoryExtension is GameTokenFactoryStorage {
+    using EnumerableSet for EnumerableSet.UintSet;
+    
+    // Runs every function neither the factory nor this contract implements
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    GameTokenFactoryLocking public immutable locking;
+    
+    // ============ Constructor ============
+    /**
+     * @dev Deployed by the factory implementation with the locking module it was given
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(GameTokenFactoryLocking _locking) {
+        locking = _locking;
+    }
+    
+    // ============ Locking ============
+    /**
+     * @dev Run any other call in GameTokenFactoryLocking against the proxy's
+     * storage, bubbling up its return data or revert
+     */
+    fallback() external {
+        address target = address(locking);
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
+    }
+    
+    // ============ Initialization ============
+    /**
+     * @dev Set up a factory proxy: its tokens, its GameTokenDeployer, default
+     * parameters and the caller's admin roles. Runs once, from the proxy's
+     * constructor, so nobody can initialize the proxy before its deployer.
+     * @param _credaToken CREDA token locked for XP
+     * @param _xpToken XP token minted on lock and burned into games
+     * @param _gameTokenImplementation GameToken implementation the game tokens are cloned from
+     */
+    function initialize(
+        address _credaToken,
+        address _xpToken,
+        address _gameTokenImplementation
+    ) external initializer {
+        // Comprehensive input validation
+        if (_credaToken == address(0) || _xpToken == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_credaToken == _xpToken) {
+            revert InvalidContractState("CREDA and XP tokens cannot be the same");
+        }
+        
+        credaToken = IERC20(_credaToken);
+        xpToken = IERC20(_xpToken);
+        // Deployed from the proxy, so the deployer only accepts calls from the proxy
+        gameTokenDeployer = new GameTokenDeployer(_gameTokenImplementation);
+        
+        credaToXpRate = 1e18; // 1 CREDA = 1 XP
+        rateChangeDelay = 1 days;
+        emergencyWithdrawalDelay = 2 days;
+        sunsetRedemptionWindow = 30 days;
+        treasury = msg.sender;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(RATE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(EMERGENCY_ROLE, msg.sender);
+        _grantRole(GAME_MANAGER_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Highest initializer or reinitializer version run against this proxy;
+     * upgrades that need a migration step bump it with a reinitializer
+     */
+    function initializedVersion() external view returns (uint64) {
+        return _getInitializedVersion();
+    }
+    
+    // ============ Supply Top-ups ============
+    /**
+     * @dev Burn more of the creator's XP into a game and mint matching supply.
+     * New tokens are minted at the game's current XP per token, so the
+     * redemption value of existing tokens is unchanged.
+     * @param gameId ID of the game token
+     * @param xpAmount Amount of XP to add to the game's backing
+     * @return tokensMinted Game tokens minted to the creator
+     */
+    function increaseGameTokenSupply(uint256 gameId, uint256 xpAmount) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Create) 
+        nonReentrant 
+        returns (uint256 tokensMinted)
+    {
+        _validateGameId(gameId);
+        _validateNotFrozen(gameId);
+        address creator = _msgSender();
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        
+        if (creator != gameInfo.creator) revert UnauthorizedCreator(gameId, creator);
+        _validateNotCurveGame(gameId);
+        if (gameLifecycles[gameId].redemptionEndsAt != 0) revert GameAlreadySunset(gameId);
+        if (!gameInfo.active) revert GameTokenNotActive(gameId);
+        
+        uint256 newXpLocked = uint256(gameInfo.xpLocked) + xpAmount;
+        if (newXpLocked > type(uint88).max) {
+            revert ExcessiveAmount(xpAmount, type(uint88).max - gameInfo.xpLocked);
+        }
+        
+        tokensMinted = _supplyForXp(gameId, gameInfo, xpAmount);
+        if (tokensMinted == 0) revert ConversionResultsInZero(xpAmount, gameInfo.xpLocked);
+        
+        _validateUserTokenAccess(creator, address(xpToken), xpAmount);
+        IXPToken(address(xpToken)).burnFrom(creator, xpAmount);
+        
+        gameInfo.xpLocked = uint88(newXpLocked);
+        xpReserves += xpAmount;
+        
+        _mintGameTokens(gameId, gameInfo.tokenAddress, creator, tokensMinted);
+        
+        emit GameTokenSupplyIncreased(gameId, creator, xpAmount, tokensMinted, newXpLocked);
+    }
+    
+    /**
+     * @dev Calculate game tokens minted by increaseGameTokenSupply.
+     * Does not check whether the game currently accepts top-ups.
+     * @param gameId ID of the game token
+     * @param xpAmount Amount of XP to add
+     */
+    function calculateSupplyIncrease(uint256 gameId, uint256 xpAmount) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        if (gameId >= nextGameId || gameCurves[gameId].kind != CurveKind.None) return 0;
+        return _supplyForXp(gameId, gameTokens[gameId], xpAmount);
+    }
+    
+    // ============ Game Lifecycle ============
+    /**
+     * @dev Take a game off the active list and stop top-ups until it is reactivated.
+     * Holders can still redeem while the creator has it deactivated; only a
+     * GAME_MANAGER_ROLE deactivation suspends redemptions.
+     * Callable by the game's creator or GAME_MANAGER_ROLE; only the latter for curve games.
+     * @param gameId ID of the game token
+     */
+    function deactivateGame(uint256 gameId) external {
+        bool isManager = _authorizeGameManager(gameId);
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        GameLifecycle storage lifecycle = gameLifecycles[gameId];
+        
+        if (lifecycle.redemptionEndsAt != 0) revert GameAlreadySunset(gameId);
+        if (!gameInfo.active) revert GameTokenNotActive(gameId);
+        
+        gameInfo.active = false;
+        lifecycle.deactivatedByManager = isManager;
+        activeGameIds.remove(gameId);
+        
+        emit GameDeactivated(gameId, _msgSender());
+    }
+    
+    /**
+     * @dev Return a deactivated game to the active list. A creator cannot
+     * reactivate a game that GAME_MANAGER_ROLE deactivated.
+     * @param gameId ID of the game token
+     */
+    function reactivateGame(uint256 gameId) external {
+        bool isManager = _authorizeGameManager(gameId);
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        GameLifecycle storage lifecycle = gameLifecycles[gameId];
+        
+        if (lifecycle.redemptionEndsAt != 0) revert GameAlreadySunset(gameId);
+        if (gameInfo.active) revert GameAlreadyActive(gameId);
+        if (lifecycle.deactivatedByManager && !isManager) {
+            revert UnauthorizedGameManager(gameId, _msgSender());
+        }
+        
+        gameInfo.active = true;
+        lifecycle.deactivatedByManager = false;
+        activeGameIds.add(gameId);
+        
+        emit GameReactivated(gameId, _msgSender());
+    }
+    
+    /**
+     * @dev Permanently wind down a game. Redemptions stay open (or reopen, for a
+     * game a manager deactivated) for sunsetRedemptionWindow; afterwards finalizeSunset
+     * sends the XP backing nobody redeemed to the treasury.
+     * @param gameId ID of the game token
+     */
+    function sunsetGame(uint256 gameId) external {
+        bool isManager = _authorizeGameManager(gameId);
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        GameLifecycle storage lifecycle = gameLifecycles[gameId];
+        
+        if (lifecycle.redemptionEndsAt != 0) revert GameAlreadySunset(gameId);
+        if (lifecycle.deactivatedByManager && !isManager) {
+            revert UnauthorizedGameManager(gameId, _msgSender());
+        }
+        
+        uint256 redemptionEndsAt = block.timestamp + sunsetRedemptionWindow;
+        lifecycle.redemptionEndsAt = uint64(redemptionEndsAt);
+        lifecycle.deactivatedByManager = false;
+        if (!gameInfo.active) {
+            gameInfo.active = true;
+            activeGameIds.add(gameId);
+        }
+        
+        emit GameSunset(gameId, _msgSender(), redemptionEndsAt);
+    }
+    
+    /**
+     * @dev Close a sunset game once its redemption window has ended and send
+     * its remaining XP backing to the treasury. Callable by anyone.
+     * @param gameId ID of the game token
+     */
+    function finalizeSunset(uint256 gameId) external whenNotPaused nonReentrant {
+        _validateGameId(gameId);
+        _validateNotFrozen(gameId);
+        GameLifecycle storage lifecycle = gameLifecycles[gameId];
+        
+        if (lifecycle.redemptionEndsAt == 0) revert GameNotSunset(gameId);
+        if (lifecycle.finalized) revert SunsetAlreadyFinalized(gameId);
+        if (block.timestamp < lifecycle.redemptionEndsAt) {
+            revert RedemptionWindowOpen(gameId, lifecycle.redemptionEndsAt);
+        }
+        
+        GameTokenInfo storage gameInfo = gameTokens[gameId];
+        uint256 leftoverXp = gameInfo.xpLocked;
+        
+        lifecycle.finalized = true;
+        gameInfo.active = false;
+        gameInfo.xpLocked = 0;
+        activeGameIds.remove(gameId);
+        xpReserves -= leftoverXp;
+        
+        if (leftoverXp > 0) {
+            try IXPToken(address(xpToken)).mint(treasury, leftoverXp) {
+                // Success
+            } catch {
+                revert MintFailed(address(xpToken), treasury, leftoverXp);
+            }
+        }
+        
+        emit GameSunsetFinalized(gameId, treasury, leftoverXp);
+    }
+    
+    // ============ Admin Functions ============
+    /**
+     * @dev Set the address receiving leftover XP from closed games
+     * @param newTreasury Treasury address
+     */
+    function setTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newTreasury == address(0)) revert ZeroAddress();
+        
+        address oldTreasury = treasury;
+        treasury = newTreasury;
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+    
+    /**
+     * @dev Update how long redemptions stay open after a game is sunset.
+     * Only applies to games sunset after the update.
+     * @param newWindow Window in seconds
+     */
+    function setSunsetRedemptionWindow(uint256 newWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newWindow < MIN_SUNSET_REDEMPTION_WINDOW) {
+            revert InsufficientAmount(newWindow, MIN_SUNSET_REDEMPTION_WINDOW);
+        }
+        if (newWindow > MAX_SUNSET_REDEMPTION_WINDOW) {
+            revert ExcessiveAmount(newWindow, MAX_SUNSET_REDEMPTION_WINDOW);
+        }
+        
+        uint256 oldWindow = sunsetRedemptionWindow;
+        sunsetRedemptionWindow = newWindow;
+        emit SunsetRedemptionWindowUpdated(oldWindow, newWindow);
+    }
+    
+    /**
+     * @dev Set who may create games, how many and how often. Zero turns a limit off.
+     * Games already created count towards a new maxGamesPerCreator.
+     * @param policy Creation policy; supplies in whole tokens scaled to 18 decimals
+     */
+    function setCreationPolicy(CreationPolicy calldata policy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (policy.cooldown > MAX_CREATION_COOLDOWN) {
+            revert ExcessiveAmount(policy.cooldown, MAX_CREATION_COOLDOWN);
+        }
+        if (policy.maxInitialSupply != 0 && policy.minInitialSupply > policy.maxInitialSupply) {
+            revert InvalidInitialSupply(0, policy.minInitialSupply, policy.maxInitialSupply);
+        }
+        
+        creationPolicy = policy;
+        emit CreationPolicyUpdated(
+            _msgSender(),
+            policy.maxGamesPerCreator,
+            policy.cooldown,
+            policy.creatorRoleRequired,
+            policy.minInitialSupply,
+            policy.maxInitialSupply
+        );
+    }
+    
+    /**
+     * @dev What the creation policy still allows a user
+     * @param user Address of the user
+     * @return created Games the user has created
+     * @return remaining Games the user may still create; type(uint256).max without a limit
+     * @return availableAt When the user's cooldown ends; 0 when they may create now
+     * @return authorized Whether the user may create games at all
+     */
+    function getCreationQuota(address user)
+        external
+        view
+        returns (uint256 created, uint256 remaining, uint256 availableAt, bool authorized)
+    {
+        CreationPolicy memory policy = creationPolicy;
+        created = userGameTokens[user].length;
+        remaining = type(uint256).max;
+        if (policy.maxGamesPerCreator != 0) {
+            remaining = created < policy.maxGamesPerCreator ? policy.maxGamesPerCreator - created : 0;
+        }
+        uint256 cooldownEnds = lastGameCreatedAt[user] + policy.cooldown;
+        if (lastGameCreatedAt[user] != 0 && block.timestamp < cooldownEnds) availableAt = cooldownEnds;
+        authorized = !policy.creatorRoleRequired || hasRole(CREATOR_ROLE, user);
+    }
+    
+    /**
+     * @dev Set the ERC-2771 forwarder trusted to relay calls on behalf of their signers.
+     * Game tokens created afterwards trust the same forwarder. Zero disables relaying.
+     * @param newForwarder Forwarder address, or zero
+     */
+    function setTrustedForwarder(address newForwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldForwarder = forwarder;
+        forwarder = newForwarder;
+        emit TrustedForwarderUpdated(oldForwarder, newForwarder);
+    }
+    
+    /**
+     * @dev Register the ERC-1155 collection used by createGameToken1155. Can be
+     * set once; games already created in it keep their token id there.
+     * @param collection GameToken1155 deployed for this factory
+     */
+    function setGameToken1155(GameToken1155 collection) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (address(collection) == address(0)) revert ZeroAddress();
+        if (address(gameToken1155) != address(0)) {
+            revert InvalidContractState("ERC-1155 collection already set");
+        }
+        if (collection.factory() != address(this)) {
+            revert InvalidContractState("Collection belongs to another factory");
+        }
+        
+        gameToken1155 = collection;
+        emit GameToken1155Set(address(collection));
+    }
+    
+    // ============ Emergency Controls ============
+    /**
+     * @dev Pause or resume one operation (locking, game creation or redemption)
+     * while the rest of the factory keeps running. Unlocking is never paused.
+     * @param operation Operation to pause or resume
+     * @param paused Whether it is paused
+     */
+    function setOperationPaused(Operation operation, bool paused) external onlyRole(PAUSER_ROLE) {
+        operationPaused[operation] = paused;
+        emit OperationPauseUpdated(operation, paused, _msgSender());
+    }
+    
+    /**
+     * @dev Freeze or unfreeze a game: while frozen its tokens cannot be redeemed,
+     * its supply cannot be increased and its sunset cannot be finalized
+     * @param gameId ID of the game token
+     * @param frozen Whether the game is frozen
+     */
+    function setGameFrozen(uint256 gameId, bool frozen) external onlyRole(PAUSER_ROLE) {
+        _validateGameId(gameId);
+        gameFrozen[gameId] = frozen;
+        emit GameFreezeUpdated(gameId, frozen, _msgSender());
+    }
+    
+    /**
+     * @dev Queue a withdrawal of stuck tokens or ETH, executable after the
+     * emergency withdrawal delay. It must fit in the withdrawable balance now
+     * and again when it is executed.
+     * @param token Token to withdraw; address(0) for ETH
+     * @param to Recipient
+     * @param amount Amount to withdraw
+     * @return id ID of the queued withdrawal
+     */
+    function queueEmergencyWithdrawal(
+        address token,
+        address to,
+        uint256 amount
+    ) external onlyRole(EMERGENCY_ROLE) returns (uint256 id) {
+        if (to == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        _checkWithdrawable(token, amount);
+        
+        uint256 executableAt = block.timestamp + Math.max(emergencyWithdrawalDelay, MIN_EMERGENCY_WITHDRAWAL_DELAY);
+        id = nextEmergencyWithdrawalId++;
+        emergencyWithdrawals[id] = EmergencyWithdrawal({
+            token: token,
+            to: to,
+            amount: amount,
+            executableAt: uint64(executableAt),
+            status: WithdrawalStatus.Queued
+        });
+        
+        emit EmergencyWithdrawalQueued(id, token, to, amount, executableAt, _msgSender());
+    }
+    
+    /**
+     * @dev Send a queued withdrawal once its delay has elapsed
+     * @param id ID of the queued withdrawal
+     */
+    function executeEmergencyWithdrawal(uint256 id) external onlyRole(EMERGENCY_ROLE) nonReentrant {
+        EmergencyWithdrawal storage withdrawal = emergencyWithdrawals[id];
+        if (withdrawal.status != WithdrawalStatus.Queued) revert EmergencyWithdrawalNotQueued(id);
+        if (block.timestamp < withdrawal.executableAt) {
+            revert EmergencyWithdrawalNotReady(id, withdrawal.executableAt);
+        }
+        
+        (address token, address to, uint256 amount) = (withdrawal.token, withdrawal.to, withdrawal.amount);
+        _checkWithdrawable(token, amount);
+        withdrawal.status = WithdrawalStatus.Executed;
+        
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) {
+                revert EmergencyActionFailed("ETH_WITHDRAWAL", "Transfer failed");
+            }
+        } else if (!IERC20(token).transfer(to, amount)) {
+            revert TransferFailed(token, address(this), to, amount);
+        }
+        
+        emit EmergencyWithdrawalExecuted(id, token, to, amount, _msgSender());
+    }
+    
+    /**
+     * @dev Drop a queued withdrawal. DEFAULT_ADMIN_ROLE can veto withdrawals
+     * queued by EMERGENCY_ROLE.
+     * @param id ID of the queued withdrawal
+     */
+    function cancelEmergencyWithdrawal(uint256 id) external {
+        if (!hasRole(EMERGENCY_ROLE, _msgSender())) {
+            _checkRole(DEFAULT_ADMIN_ROLE);
+        }
+        EmergencyWithdrawal storage withdrawal = emergencyWithdrawals[id];
+        if (withdrawal.status != WithdrawalStatus.Queued) revert EmergencyWithdrawalNotQueued(id);
+        
+        withdrawal.status = WithdrawalStatus.Cancelled;
+        emit EmergencyWithdrawalCancelled(id, _msgSender());
+    }
+    
+    /**
+     * @dev Update the delay between queueing and executing an emergency
+     * withdrawal. Only applies to withdrawals queued after the update.
+     * @param newDelay Delay in seconds
+     */
+    function setEmergencyWithdrawalDelay(uint256 newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newDelay < MIN_EMERGENCY_WITHDRAWAL_DELAY) {
+            revert InsufficientAmount(newDelay, MIN_EMERGENCY_WITHDRAWAL_DELAY);
+        }
+        if (newDelay > MAX_EMERGENCY_WITHDRAWAL_DELAY) {
+            revert ExcessiveAmount(newDelay, MAX_EMERGENCY_WITHDRAWAL_DELAY);
+        }
+        
+        uint256 oldDelay = emergencyWithdrawalDelay;
+        emergencyWithdrawalDelay = newDelay;
+        emit EmergencyWithdrawalDelayUpdated(oldDelay, newDelay);
+    }
+    
+    /**
+     * @dev How much of a token an emergency withdrawal may take: the factory's
+     * balance above locked CREDA or assets and CREDA fees owed to the treasury.
+     * Escrowed game tokens are never withdrawable.
+     * @param token Token address; address(0) for ETH
+     */
+    function withdrawableBalanceOf(address token) public view returns (uint256) {
+        if (isFactoryToken[token]) return 0;
+        
+        uint256 balance = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 reserved = lockableAssets[token].totalLocked;
+        if (token == address(credaToken)) {
+            reserved += legacyTotalLockedCreda + accruedFees[token];
+        }
+        return balance > reserved ? balance - reserved : 0;
+    }
+    
+    // ============ Migration ============
+    /**
+     * @dev Import games from a factory deployed before this one was upgradeable,
+     * so they are listed, managed and redeemable here. Each game gets the next
+     * game ID here. Its tokens still only let their source factory burn or mint
+     * them, so redemptions here escrow the tokens in this contract and supply
+     * top-ups are not available. The source factory must be paused, and lose
+     * XP MINTER_ROLE, or the same XP backing could be redeemed there too;
+     * redemption limits set on imported tokens only apply to the source factory.
+     * See scripts/migrateFactory.js.
+     * @param sourceFactory Factory the games were created by
+     * @param games Game records read from the source factory
+     * @return gameIds IDs of the imported games here, in order
+     */
+    function importGames(address sourceFactory, ImportedGame[] calldata games) 
+        external 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        returns (uint256[] memory gameIds)
+    {
+        if (sourceFactory == address(0)) revert ZeroAddress();
+        if (games.length == 0 || games.length > MAX_BATCH_SIZE) {
+            revert InvalidBatchSize(games.length, MAX_BATCH_SIZE);
+        }
+        
+        gameIds = new uint256[](games.length);
+        for (uint256 i = 0; i < games.length; i++) {
+            gameIds[i] = _importGame(sourceFactory, games[i]);
+        }
+    }
+    
+    /**
+     * @dev ID here of `sourceFactory`'s game `sourceGameId`, if it was imported
+     */
+    function importedGameId(address sourceFactory, uint256 sourceGameId) 
+        external 
+        view 
+        returns (bool imported, uint256 gameId)
+    {
+        uint256 stored = importedGameIds[sourceFactory][sourceGameId];
+        return (stored != 0, stored == 0 ? 0 : stored - 1);
+    }
+    
+    // ============ Game Catalog ============
+    /**
+     * @dev Enumerate all games in creation order
+     * @param offset First game ID to return
+     * @param limit Maximum number of games to return
+     */
+    function getGames(uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (GameRecord[] memory games) 
+    {
+        if (offset >= nextGameId) return new GameRecord[](0);
+        
+        uint256 end = limit >= nextGameId - offset ? nextGameId : offset + limit;
+        games = new GameRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            games[i - offset] = _gameRecord(i);
+        }
+    }
+    
+    /**
+     * @dev Enumerate a user's created games, oldest first
+     * @param user Address of the creator
+     * @param offset Index of the first game to return
+     * @param limit Maximum number of games to return
+     */
+    function getUserGameTokensPaged(address user, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (GameRecord[] memory games) 
+    {
+        uint256[] storage gameIds = userGameTokens[user];
+        if (offset >= gameIds.length) return new GameRecord[](0);
+        
+        uint256 end = limit >= gameIds.length - offset ? gameIds.length : offset + limit;
+        games = new GameRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            games[i - offset] = _gameRecord(gameIds[i]);
+        }
+    }
+    
+    /**
+     * @dev Enumerate active games. Order follows the active set, which is
+     * creation order until a game leaves it; do not rely on it across writes.
+     * @param offset Index of the first active game to return
+     * @param limit Maximum number of games to return
+     */
+    function getActiveGames(uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (GameRecord[] memory games) 
+    {
+        uint256 count = activeGameIds.length();
+        if (offset >= count) return new GameRecord[](0);
+        
+        uint256 end = limit >= count - offset ? count : offset + limit;
+        games = new GameRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            games[i - offset] = _gameRecord(activeGameIds.at(i));
+        }
+    }
+    
+    // ============ Internal Supply ============
+    /**
+     * @dev Mint a game's tokens against XP already locked
+     */
+    function _mintGameTokens(uint256 gameId, address tokenAddress, address to, uint256 amount) private {
+        address sourceFactory = gameImportedFrom[gameId];
+        if (sourceFactory != address(0)) revert UnsupportedForImportedGame(gameId, sourceFactory);
+        if (gameTokenStandards[gameId] == TokenStandard.ERC1155) {
+            GameToken1155(tokenAddress).factoryMint(to, gameId, amount);
+        } else {
+            GameToken(tokenAddress).factoryMint(to, amount);
+        }
+    }
+    
+    /**
+     * @dev Game tokens matching `xpAmount` at the game's current XP per token.
+     * Falls back to the creation ratio once all backing has been redeemed.
+     */
+    function _supplyForXp(uint256 gameId, GameTokenInfo storage gameInfo, uint256 xpAmount) 
+        private 
+        view 
+        returns (uint256) 
+    {
+        uint256 outstandingSupply = _gameTokenSupply(gameId, gameInfo.tokenAddress);
+        if (outstandingSupply == 0 || gameInfo.xpLocked == 0) {
+            return xpAmount * (10 ** gameInfo.decimals) / PRECISION_FACTOR;
+        }
+        return xpAmount * outstandingSupply / gameInfo.xpLocked;
+    }
+    
+    // ============ Internal Migration ============
+    function _importGame(address sourceFactory, ImportedGame calldata game) private returns (uint256 gameId) {
+        address tokenAddress = game.info.tokenAddress;
+        address creator = game.info.creator;
+        string calldata name = game.metadata.name;
+        
+        if (importedGameIds[sourceFactory][game.sourceGameId] != 0 || isFactoryToken[tokenAddress]) {
+            revert GameAlreadyImported(sourceFactory, game.sourceGameId);
+        }
+        if (GameToken(tokenAddress).factory() != sourceFactory) {
+            revert UnknownGameToken(tokenAddress);
+        }
+        if (userGameNames[creator][name]) {
+            revert DuplicateGameName(creator, name);
+        }
+        
+        gameId = nextGameId++;
+        gameTokens[gameId] = game.info;
+        gameTokenMetadata[gameId] = game.metadata;
+        gameLifecycles[gameId] = game.lifecycle;
+        userGameTokens[creator].push(gameId);
+        userGameNames[creator][name] = true;
+        isFactoryToken[tokenAddress] = true;
+        gameIdByToken[tokenAddress] = gameId;
+        gameImportedFrom[gameId] = sourceFactory;
+        importedGameIds[sourceFactory][game.sourceGameId] = gameId + 1;
+        if (game.info.active) {
+            activeGameIds.add(gameId);
+        }
+        xpReserves += game.info.xpLocked;
+        
+        emit GameImported(gameId, sourceFactory, game.sourceGameId, tokenAddress);
+    }
+    
+    // ============ Internal Validation ============
+    /**
+     * @dev Validate that an emergency withdrawal leaves locked balances and
+     * escrowed game tokens untouched
+     */
+    function _checkWithdrawable(address token, uint256 amount) private view {
+        if (isFactoryToken[token]) {
+            revert RecoveryNotAllowed(token, "Cannot withdraw escrowed game tokens");
+        }
+        uint256 withdrawable = withdrawableBalanceOf(token);
+        if (amount > withdrawable) {
+            revert InsufficientUserBalance(address(this), token, amount, withdrawable);
+        }
+    }
+    
+    /**
+     * @dev Require the caller to be the game's creator or GAME_MANAGER_ROLE. Only
+     * GAME_MANAGER_ROLE manages curve games, whose creators could otherwise stop
+     * holders selling back to the reserve.
+     * @return isManager Whether the caller holds GAME_MANAGER_ROLE
+     */
+    function _authorizeGameManager(uint256 gameId) private view returns (bool isManager) {
+        _validateGameId(gameId);
+        address caller = _msgSender();
+        isManager = hasRole(GAME_MANAGER_ROLE, caller);
+        if (!isManager && (caller != gameTokens[gameId].creator || gameCurves[gameId].kind != CurveKind.None)) {
+            revert UnauthorizedGameManager(gameId, caller);
+        }
+    }
+    
+    /**
+     * @dev Combined info and metadata for one game
+     */
+    function _gameRecord(uint256 gameId) private view returns (GameRecord memory) {
+        return GameRecord({
+            gameId: gameId,
+            info: gameTokens[gameId],
+            metadata: gameTokenMetadata[gameId]
+        });
+    }
+}
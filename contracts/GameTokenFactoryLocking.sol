@@ -0,0 +1,1096 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./GameTokenFactoryStorage.sol";
+import "./GameTokenFactoryCurves.sol";
+
+/**
+ * @title GameTokenFactoryLocking
+ * @dev Locking and the protocol's economics: the CREDA and asset lock and unlock
+ * flows, their quotes and the lock position views, the rate timelocks and
+ * unlock configuration, the registry of ERC-20s lockable besides CREDA, and
+ * protocol fee configuration, quotes and withdrawal. Runs against the factory
+ * proxy's storage, reached through GameTokenFactoryExtension's fallback, and
+ * passes calls it does not implement to GameTokenFactoryCurves.
+ * Deployed on its own and handed to each factory implementation.
+ */
+contract GameTokenFactoryLocking is GameTokenFactoryStorage {
+    // Runs every function neither the factory, its extension nor this contract implements
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    GameTokenFactoryCurves public immutable curves;
+    
+    // ============ Constructor ============
+    /**
+     * @dev Deploy this version's bonding curve module along with it
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        curves = new GameTokenFactoryCurves();
+    }
+    
+    // ============ Bonding Curves ============
+    /**
+     * @dev Run any other call in GameTokenFactoryCurves against the proxy's
+     * storage, bubbling up its return data or revert
+     */
+    fallback() external {
+        address target = address(curves);
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
+    }
+    
+    // ============ CREDA / Asset → XP Locking ============
+    /**
+     * @dev Lock CREDA tokens and mint XP tokens to user
+     * @param amountCreda Amount of CREDA tokens to lock
+     * @return positionId ID of the lock position recording this lock's rate
+     */
+    function lockCreda(uint256 amountCreda) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Lock) 
+        nonReentrant 
+        returns (uint256 positionId)
+    {
+        return _lock(_msgSender(), address(credaToken), amountCreda);
+    }
+    
+    /**
+     * @dev Lock CREDA using an EIP-2612 permit instead of a prior approve
+     * @param amountCreda Amount of CREDA tokens to lock; also the permit value
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return positionId ID of the lock position recording this lock's rate
+     */
+    function lockCredaWithPermit(
+        uint256 amountCreda,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Lock) 
+        nonReentrant 
+        returns (uint256 positionId)
+    {
+        address user = _msgSender();
+        _tryPermit(address(credaToken), user, amountCreda, deadline, v, r, s);
+        return _lock(user, address(credaToken), amountCreda);
+    }
+    
+    /**
+     * @dev Lock CREDA or an asset listed with addLockableAsset and mint XP to the
+     * caller at that asset's rate
+     * @param asset Token to lock
+     * @param amount Amount to lock, in the asset's own decimals
+     * @return positionId ID of the lock position recording this lock's rate
+     */
+    function lock(address asset, uint256 amount) 
+        external 
+        whenNotPaused 
+        whenOperationNotPaused(Operation.Lock) 
+        nonReentrant 
+        returns (uint256 positionId)
+    {
+        return _lock(_msgSender(), asset, amount);
+    }
+    
+    // ============ XP → CREDA / Asset Unlocking ============
+    /**
+     * @dev Burn XP to unlock CREDA, drawing on the user's CREDA positions oldest first.
+     * Each position returns CREDA at its own locked rate; positions still inside
+     * the lock-up period incur the early-exit penalty.
+     * @param xpAmount Amount of XP tokens to burn
+     */
+    function unlockCreda(uint256 xpAmount) 
+        external 
+        whenNotPaused 
+        nonReentrant 
+    {
+        _unlock(_msgSender(), address(0), xpAmount);
+    }
+    
+    /**
+     * @dev Burn XP to unlock a locked asset, drawing on the user's positions in
+     * that asset oldest first, as unlockCreda does for CREDA
+     * @param asset CREDA or a listed asset; pausing an asset does not stop unlocks
+     * @param xpAmount Amount of XP tokens to burn
+     */
+    function unlock(address asset, uint256 xpAmount) 
+        external 
+        whenNotPaused 
+        nonReentrant 
+    {
+        if (asset == address(0)) revert AssetNotLockable(asset);
+        _unlock(_msgSender(), asset == address(credaToken) ? address(0) : asset, xpAmount);
+    }
+    
+    /**
+     * @dev Burn XP to unlock a specific position's asset at that position's rate
+     * @param positionId ID of the caller's lock position
+     * @param xpAmount Amount of XP tokens to burn
+     */
+    function unlockPosition(uint256 positionId, uint256 xpAmount) 
+        external 
+        whenNotPaused 
+        nonReentrant 
+    {
+        if (xpAmount == 0) revert ZeroAmount();
+        
+        address user = _msgSender();
+        LockPosition storage position = lockPositions[positionId];
+        if (position.owner != user) {
+            revert LockPositionNotFound(user, positionId);
+        }
+        if (xpAmount > position.xpRemaining) {
+            revert ExcessiveAmount(xpAmount, position.xpRemaining);
+        }
+        
+        // Validate user has sufficient XP balance and allowance
+        _validateUserTokenAccess(user, address(xpToken), xpAmount);
+        
+        (uint256 grossAmount, uint256 penalty) = _releaseFromPosition(position, xpAmount);
+        
+        _settleUnlock(user, position.asset, xpAmount, grossAmount, penalty);
+    }
+    
+    // ============ Lock Configuration ============
+    /**
+     * @dev Propose a new CREDA to XP conversion rate, executable after rateChangeDelay
+     * @param newRate New rate (with PRECISION_FACTOR scaling)
+     */
+    function proposeRateChange(uint256 newRate) external onlyRole(RATE_MANAGER_ROLE) {
+        uint256 oldRate = credaToXpRate;
+        uint256 effectiveAt = _proposeRate(pendingRateChange, oldRate, newRate);
+        
+        emit RateChangeProposed(oldRate, newRate, effectiveAt);
+    }
+    
+    /**
+     * @dev Apply the pending rate change once its delay has elapsed
+     */
+    function executeRateChange() external onlyRole(RATE_MANAGER_ROLE) {
+        uint256 oldRate = credaToXpRate;
+        uint256 newRate = _takeReadyRate(pendingRateChange);
+        
+        credaToXpRate = newRate;
+        emit RateChangeExecuted(oldRate, newRate);
+    }
+    
+    /**
+     * @dev Cancel the pending rate change
+     */
+    function cancelRateChange() external onlyRole(RATE_MANAGER_ROLE) {
+        emit RateChangeCancelled(_cancelRate(pendingRateChange));
+    }
+    
+    /**
+     * @dev Get the pending rate change, if any
+     * @return newRate Proposed rate (0 when nothing is pending)
+     * @return proposedAt Timestamp of the proposal
+     * @return effectiveAt Earliest timestamp the change can be executed
+     */
+    function getPendingRateChange() 
+        external 
+        view 
+        returns (uint256 newRate, uint256 proposedAt, uint256 effectiveAt) 
+    {
+        PendingRateChange memory pending = pendingRateChange;
+        return (pending.newRate, pending.proposedAt, pending.effectiveAt);
+    }
+    
+    /**
+     * @dev Update the delay between proposing and executing a rate change.
+     * Only applies to proposals made after the update.
+     * @param newDelay Delay in seconds
+     */
+    function setRateChangeDelay(uint256 newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newDelay < MIN_RATE_CHANGE_DELAY) {
+            revert InsufficientAmount(newDelay, MIN_RATE_CHANGE_DELAY);
+        }
+        if (newDelay > MAX_RATE_CHANGE_DELAY) {
+            revert ExcessiveAmount(newDelay, MAX_RATE_CHANGE_DELAY);
+        }
+        
+        uint256 oldDelay = rateChangeDelay;
+        rateChangeDelay = newDelay;
+        emit RateChangeDelayUpdated(oldDelay, newDelay);
+    }
+    
+    /**
+     * @dev Configure the lock-up period and early-exit penalty for unlocking. Each
+     * position keeps the terms in force when it was opened; only later locks get these.
+     * @param newLockupPeriod Seconds after a position is opened during which unlocking it is penalised
+     * @param newPenaltyBps Penalty in basis points applied to early unlocks
+     * @param newPenaltyRecipient Address receiving penalty CREDA
+     */
+    function setUnlockConfig(
+        uint256 newLockupPeriod,
+        uint256 newPenaltyBps,
+        address newPenaltyRecipient
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newLockupPeriod > MAX_LOCKUP_PERIOD) {
+            revert ExcessiveAmount(newLockupPeriod, MAX_LOCKUP_PERIOD);
+        }
+        if (newPenaltyBps > MAX_EARLY_UNLOCK_PENALTY_BPS) {
+            revert ExcessiveAmount(newPenaltyBps, MAX_EARLY_UNLOCK_PENALTY_BPS);
+        }
+        if (newPenaltyBps > 0 && newPenaltyRecipient == address(0)) {
+            revert ZeroAddress();
+        }
+        
+        lockupPeriod = newLockupPeriod;
+        earlyUnlockPenaltyBps = newPenaltyBps;
+        penaltyRecipient = newPenaltyRecipient;
+        
+        emit UnlockConfigUpdated(newLockupPeriod, newPenaltyBps, newPenaltyRecipient);
+    }
+    
+    // ============ Protocol Fees ============
+    /**
+     * @dev Set the fee creators pay on top of the XP they lock: `flat` plus `bps`
+     * of that XP, in XP or CREDA. Applies to every createGameToken* entry point.
+     * An increase or a change of asset is only proposed: executeFeeChange applies
+     * it after rateChangeDelay.
+     * @param bps Fee in basis points, at most MAX_FEE_BPS
+     * @param flat Flat fee in the fee token, at most MAX_FLAT_FEE
+     * @param asset Token the fee is paid in
+     */
+    function setCreationFee(uint256 bps, uint256 flat, FeeAsset asset) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeeSchedule(Operation.Create, creationFee, _feeSchedule(bps, flat, asset));
+    }
+    
+    /**
+     * @dev Set the fee kept out of redemptions: `flat` plus `bps` of the XP
+     * released, in XP. Redemptions worth no more than the fee revert. An
+     * increase is only proposed: executeFeeChange applies it after rateChangeDelay.
+     * @param bps Fee in basis points, at most MAX_FEE_BPS
+     * @param flat Flat fee in XP, at most MAX_FLAT_FEE
+     */
+    function setRedemptionFee(uint256 bps, uint256 flat) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeeSchedule(Operation.Redeem, redemptionFee, _feeSchedule(bps, flat, FeeAsset.XP));
+    }
+    
+    /**
+     * @dev Apply the fee increase pending for `operation` once its delay has elapsed
+     * @param operation Create or Redeem
+     */
+    function executeFeeChange(Operation operation) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        PendingFeeChange memory pending = pendingFeeChanges[operation];
+        if (pending.effectiveAt == 0) revert NoPendingFeeChange(operation);
+        if (block.timestamp < pending.effectiveAt) {
+            revert FeeChangeNotReady(pending.effectiveAt, block.timestamp);
+        }
+        
+        delete pendingFeeChanges[operation];
+        FeeSchedule storage schedule = operation == Operation.Create ? creationFee : redemptionFee;
+        schedule.bps = pending.bps;
+        schedule.flat = pending.flat;
+        schedule.asset = pending.asset;
+        emit FeeScheduleUpdated(operation, pending.bps, pending.flat, pending.asset, _msgSender());
+    }
+    
+    /**
+     * @dev Send the fees collected in `token` to the treasury: CREDA is
+     * transferred, XP is minted. Callable by anyone.
+     * @param token XP or CREDA
+     * @return amount Fees sent
+     */
+    function withdrawFees(address token) external nonReentrant returns (uint256 amount) {
+        amount = accruedFees[token];
+        if (amount == 0) revert ZeroAmount();
+        accruedFees[token] = 0;
+        
+        address to = treasury;
+        if (token == address(xpToken)) {
+            try IXPToken(token).mint(to, amount) {
+            } catch (bytes memory reason) {
+                _revertMintFailed(reason, to, amount);
+            }
+        } else if (!IERC20(token).transfer(to, amount)) {
+            revert TransferFailed(token, address(this), to, amount);
+        }
+        
+        emit FeesWithdrawn(token, to, amount, _msgSender());
+    }
+    
+    /**
+     * @dev Calculate XP return for burning game tokens, before any redemption
+     * fee (see calculateRedemptionReturn). Zero for curve games, which are
+     * redeemed with sellGameTokens.
+     * @param gameId ID of the game token
+     * @param burnAmount Amount to burn
+     */
+    function calculateXpReturn(uint256 gameId, uint256 burnAmount) 
+        public 
+        view 
+        returns (uint256) 
+    {
+        if (gameId >= nextGameId || gameCurves[gameId].kind != CurveKind.None) return 0;
+        
+        GameTokenInfo memory gameInfo = gameTokens[gameId];
+        GameLifecycle memory lifecycle = gameLifecycles[gameId];
+        if (!gameInfo.active && lifecycle.deactivatedByManager) return 0;
+        
+        uint256 redemptionEndsAt = lifecycle.redemptionEndsAt;
+        if (redemptionEndsAt != 0 && block.timestamp >= redemptionEndsAt) return 0;
+        
+        uint256 outstandingSupply = _gameTokenSupply(gameId, gameInfo.tokenAddress);
+        if (outstandingSupply == 0) return 0;
+        
+        return (burnAmount * uint256(gameInfo.xpLocked)) / outstandingSupply;
+    }
+    
+    /**
+     * @dev Calculate the XP `holder` receives for burning game tokens, net of
+     * the redemption fee, and the fee itself
+     * @param holder Account redeeming; FEE_EXEMPT_ROLE holders pay no fee
+     * @param gameId ID of the game token
+     * @param burnAmount Amount to burn
+     * @return xpAmount XP minted to the holder
+     * @return fee XP kept for the treasury
+     */
+    function calculateRedemptionReturn(address holder, uint256 gameId, uint256 burnAmount) 
+        external 
+        view 
+        returns (uint256 xpAmount, uint256 fee) 
+    {
+        xpAmount = calculateXpReturn(gameId, burnAmount);
+        if (xpAmount == 0) return (0, 0);
+        fee = Math.min(_feeFor(redemptionFee, holder, xpAmount), xpAmount);
+        xpAmount -= fee;
+    }
+    
+    /**
+     * @dev Calculate the creation fee `creator` pays, on top of the XP locked,
+     * to create a game backed by `xpAmount`
+     * @param creator Game creator; FEE_EXEMPT_ROLE holders pay no fee
+     * @param xpAmount Amount of XP to lock
+     * @return fee Fee amount
+     * @return token Token the fee is paid in (XP or CREDA)
+     */
+    function calculateCreationFee(address creator, uint256 xpAmount) 
+        external 
+        view 
+        returns (uint256 fee, address token) 
+    {
+        return _creationFeeOf(creator, xpAmount);
+    }
+    
+    // ============ Lockable Assets ============
+    /**
+     * @dev List an ERC-20 that can be locked for XP besides CREDA. Only list plain
+     * ERC-20s: transfers must return true and move exactly the amount, so
+     * fee-on-transfer and rebasing tokens are not supported.
+     * @param asset Token to list; its decimals() is read once, here
+     * @param rate XP minted per whole token (with PRECISION_FACTOR scaling)
+     * @param userCap Most a single user may have locked at once; 0 for no cap
+     * @param totalCap Most that may be locked in total; 0 for no cap
+     */
+    function addLockableAsset(
+        address asset,
+        uint256 rate,
+        uint256 userCap,
+        uint256 totalCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (asset == address(credaToken) || lockableAssets[asset].listed) {
+            revert AssetAlreadyListed(asset);
+        }
+        if (asset.code.length == 0 || asset == address(xpToken) || isFactoryToken[asset]) {
+            revert AssetNotLockable(asset);
+        }
+        _validateRateChange(0, rate);
+        
+        uint8 decimals = IERC20Metadata(asset).decimals();
+        lockableAssets[asset] = LockableAsset({
+            rate: rate,
+            userCap: userCap,
+            totalCap: totalCap,
+            totalLocked: 0,
+            decimals: decimals,
+            listed: true,
+            paused: false
+        });
+        lockableAssetList.push(asset);
+        
+        emit LockableAssetAdded(asset, rate, decimals, userCap, totalCap);
+    }
+    
+    /**
+     * @dev Update a listed asset's caps and propose a new rate. The caps apply at once;
+     * lowering one below what is already locked only stops new locks. A different rate
+     * is only proposed, within MAX_RATE_CHANGE_PERCENT of the current one, and
+     * executeAssetRateChange applies it after rateChangeDelay, as for CREDA. Open
+     * positions keep the rate they were opened at.
+     * @param asset Listed asset
+     * @param rate New XP per whole token; the current rate to change only the caps
+     * @param userCap New per-user cap; 0 for no cap
+     * @param totalCap New total cap; 0 for no cap
+     */
+    function updateLockableAsset(
+        address asset,
+        uint256 rate,
+        uint256 userCap,
+        uint256 totalCap
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        LockableAsset storage config = lockableAssets[asset];
+        if (!config.listed) revert AssetNotLockable(asset);
+        
+        uint256 oldRate = config.rate;
+        if (rate != oldRate) {
+            uint256 effectiveAt = _proposeRate(pendingAssetRateChanges[asset], oldRate, rate);
+            emit AssetRateChangeProposed(asset, oldRate, rate, effectiveAt);
+        }
+        
+        config.userCap = userCap;
+        config.totalCap = totalCap;
+        
+        emit LockableAssetUpdated(asset, oldRate, userCap, totalCap);
+    }
+    
+    /**
+     * @dev Apply a listed asset's pending rate change once its delay has elapsed
+     * @param asset Listed asset
+     */
+    function executeAssetRateChange(address asset) external onlyRole(RATE_MANAGER_ROLE) {
+        LockableAsset storage config = lockableAssets[asset];
+        uint256 newRate = _takeReadyRate(pendingAssetRateChanges[asset]);
+        
+        config.rate = newRate;
+        emit LockableAssetUpdated(asset, newRate, config.userCap, config.totalCap);
+    }
+    
+    /**
+     * @dev Cancel a listed asset's pending rate change
+     * @param asset Listed asset
+     */
+    function cancelAssetRateChange(address asset) external onlyRole(RATE_MANAGER_ROLE) {
+        emit AssetRateChangeCancelled(asset, _cancelRate(pendingAssetRateChanges[asset]));
+    }
+    
+    /**
+     * @dev Stop or resume new locks of a listed asset; unlocking is never paused per asset
+     * @param asset Listed asset
+     * @param paused Whether new locks are refused
+     */
+    function setLockableAssetPaused(address asset, bool paused) external onlyRole(PAUSER_ROLE) {
+        LockableAsset storage config = lockableAssets[asset];
+        if (!config.listed) revert AssetNotLockable(asset);
+        
+        config.paused = paused;
+        emit LockableAssetPaused(asset, paused);
+    }
+    
+    /**
+     * @dev Every asset listed with addLockableAsset, in listing order, with its
+     * configuration; CREDA is not included
+     */
+    function getLockableAssets() 
+        external 
+        view 
+        returns (address[] memory assets, LockableAsset[] memory configs) 
+    {
+        assets = lockableAssetList;
+        configs = new LockableAsset[](assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            configs[i] = lockableAssets[assets[i]];
+        }
+    }
+    
+    /**
+     * @dev A user's locked amount of CREDA or a listed asset and the XP issued against it
+     * @param asset CREDA or a listed asset
+     * @param user Address of the user
+     */
+    function lockedBalanceOf(address asset, address user) external view returns (uint256 amount, uint256 xp) {
+        return _lockedBalance(asset, user);
+    }
+    
+    /**
+     * @dev Total locked amount of CREDA or a listed asset
+     * @param asset CREDA or a listed asset
+     */
+    function totalLockedOf(address asset) external view returns (uint256) {
+        return _totalLocked(asset);
+    }
+    
+    /**
+     * @dev CREDA `user` has locked; the amount lockedBalanceOf(credaToken, user) reports
+     * @param user Address of the user
+     */
+    function userLockedCreda(address user) external view returns (uint256 amount) {
+        (amount, ) = _lockedBalance(address(credaToken), user);
+    }
+    
+    /**
+     * @dev XP issued against `user`'s locked CREDA; the XP lockedBalanceOf(credaToken, user) reports
+     * @param user Address of the user
+     */
+    function userLockedXp(address user) external view returns (uint256 xp) {
+        (, xp) = _lockedBalance(address(credaToken), user);
+    }
+    
+    /**
+     * @dev Total CREDA locked; totalLockedOf(credaToken)
+     */
+    function totalLockedCreda() external view returns (uint256) {
+        return _totalLocked(address(credaToken));
+    }
+    
+    /**
+     * @dev Calculate XP minted for locking `amount` of CREDA or a listed asset at
+     * its current rate; 0 when the asset cannot be locked right now
+     * @param asset CREDA or a listed asset
+     * @param amount Amount in the asset's own decimals
+     */
+    function calculateLockXp(address asset, uint256 amount) external view returns (uint256 xpAmount) {
+        if (asset != address(credaToken)) {
+            LockableAsset storage config = lockableAssets[asset];
+            if (!config.listed || config.paused) return 0;
+        }
+        (xpAmount, ) = _lockXpAmount(asset, amount);
+    }
+    
+    // ============ Lock Positions ============
+    /**
+     * @dev Timestamp from which a position can be unlocked without penalty
+     * @param positionId ID of the lock position
+     */
+    function positionUnlockAvailableAt(uint256 positionId) external view returns (uint256) {
+        (uint256 unlockableAt, ) = _unlockTerms(lockPositions[positionId]);
+        return unlockableAt;
+    }
+    
+    /**
+     * @dev Get a lock position by ID
+     * @param positionId ID of the lock position
+     */
+    function getLockPosition(uint256 positionId) external view returns (LockPosition memory) {
+        return lockPositions[positionId];
+    }
+    
+    /**
+     * @dev Get the number of lock positions a user has opened
+     * @param user Address of the user
+     */
+    function getUserPositionCount(address user) external view returns (uint256) {
+        return userPositionIds[user].length;
+    }
+    
+    /**
+     * @dev Enumerate a user's lock positions, oldest first
+     * @param user Address of the user
+     * @param offset Index of the first position to return
+     * @param limit Maximum number of positions to return
+     */
+    function getUserPositions(address user, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (LockPosition[] memory positions) 
+    {
+        uint256[] storage positionIds = userPositionIds[user];
+        if (offset >= positionIds.length) return new LockPosition[](0);
+        
+        uint256 end = limit >= positionIds.length - offset ? positionIds.length : offset + limit;
+        positions = new LockPosition[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            positions[i - offset] = lockPositions[positionIds[i]];
+        }
+    }
+    
+    // ============ Quotes ============
+    /**
+     * @dev Calculate XP amount for given CREDA amount
+     * @param credaAmount Amount of CREDA tokens
+     */
+    function calculateXpAmount(uint256 credaAmount) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        (uint256 xpAmount, ) = _lockXpAmount(address(credaToken), credaAmount);
+        return xpAmount;
+    }
+    
+    
+    /**
+     * @dev Calculate CREDA returned (after penalty) for unlocking XP through unlockCreda
+     * @param user Address of the user unlocking
+     * @param xpAmount Amount of XP to burn
+     */
+    function calculateCredaReturn(address user, uint256 xpAmount) 
+        external 
+        view 
+        returns (uint256 credaAmount, uint256 penalty) 
+    {
+        return _unlockReturn(address(0), user, xpAmount);
+    }
+    
+    /**
+     * @dev Calculate the asset returned (after penalty) for unlocking XP through unlock
+     * @param asset CREDA or a listed asset
+     * @param user Address of the user unlocking
+     * @param xpAmount Amount of XP to burn
+     */
+    function calculateUnlockReturn(address asset, address user, uint256 xpAmount) 
+        external 
+        view 
+        returns (uint256 amount, uint256 penalty) 
+    {
+        if (asset == address(0)) return (0, 0);
+        return _unlockReturn(asset == address(credaToken) ? address(0) : asset, user, xpAmount);
+    }
+    
+    /**
+     * @dev Calculate CREDA returned (after penalty) for unlocking XP from one position
+     * @param positionId ID of the lock position
+     * @param xpAmount Amount of XP to burn
+     */
+    function calculatePositionUnlock(uint256 positionId, uint256 xpAmount) 
+        external 
+        view 
+        returns (uint256 credaAmount, uint256 penalty) 
+    {
+        LockPosition storage position = lockPositions[positionId];
+        if (xpAmount == 0 || xpAmount > position.xpRemaining) return (0, 0);
+        
+        uint256 grossCreda = _positionAmountFor(position, xpAmount);
+        penalty = _earlyUnlockPenalty(position, grossCreda);
+        credaAmount = grossCreda - penalty;
+    }
+    
+    
+    // ============ Internal Flows ============
+    /**
+     * @dev Lock `user`'s CREDA or listed asset and mint XP to them; shared by every lock entry point
+     */
+    function _lock(address user, address asset, uint256 amount) private returns (uint256 positionId) {
+        // Enhanced input validation
+        if (amount == 0) revert ZeroAmount();
+        
+        // Validate user has sufficient balance and allowance
+        _validateUserTokenAccess(user, asset, amount);
+        
+        bool isCreda = asset == address(credaToken);
+        if (isCreda) {
+            if (credaToXpRate == 0) {
+                revert InvalidConversionRate(credaToXpRate);
+            }
+        } else {
+            LockableAsset storage config = lockableAssets[asset];
+            if (!config.listed) revert AssetNotLockable(asset);
+            if (config.paused) revert AssetLockingPaused(asset);
+            _checkLockCap(asset, amount, assetLockedBalances[asset][user].amount, config.userCap);
+            _checkLockCap(asset, amount, config.totalLocked, config.totalCap);
+        }
+        
+        // Safe calculation of XP to mint with overflow protection
+        (uint256 xpAmount, uint256 rate) = _lockXpAmount(asset, amount);
+        
+        if (xpAmount == 0) {
+            revert ConversionResultsInZero(amount, rate);
+        }
+        
+        // Transfer the asset from user to contract with enhanced error handling
+        bool transferSuccess = IERC20(asset).transferFrom(user, address(this), amount);
+        if (!transferSuccess) {
+            revert TransferFailed(asset, user, address(this), amount);
+        }
+        
+        // Update user's locked balance with overflow protection
+        if (isCreda) _migrateLegacyCreda(user);
+        LockedBalance storage balance = assetLockedBalances[asset][user];
+        balance.amount += amount;
+        balance.xp += xpAmount;
+        lockableAssets[asset].totalLocked += amount;
+        
+        // Mint XP tokens to user with error handling
+        try IXPToken(address(xpToken)).mint(user, xpAmount) {
+            // Success - emit event
+            if (isCreda) {
+                emit CredaLocked(user, amount, xpAmount);
+            } else {
+                emit AssetLocked(user, asset, amount, xpAmount);
+            }
+        } catch (bytes memory reason) {
+            // Reverting undoes the transfer and accounting above
+            _revertMintFailed(reason, user, xpAmount);
+        }
+        
+        // Record the position with the rate used for this lock
+        positionId = nextPositionId++;
+        lockPositions[positionId] = LockPosition({
+            id: positionId,
+            owner: user,
+            lockedAt: uint64(block.timestamp),
+            rate: rate,
+            credaAmount: amount,
+            xpAmount: xpAmount,
+            credaRemaining: amount,
+            xpRemaining: xpAmount,
+            asset: isCreda ? address(0) : asset,
+            unlockableAt: uint64(block.timestamp + lockupPeriod),
+            penaltyBps: uint16(earlyUnlockPenaltyBps)
+        });
+        _indexLegacyPositions(user);
+        userPositionIds[user].push(positionId);
+        userAssetPositionIds[user][isCreda ? address(0) : asset].push(positionId);
+        
+        emit LockPositionCreated(positionId, user, amount, xpAmount, rate);
+    }
+    
+    /**
+     * @dev Burn `user`'s XP against their positions in `asset` (zero for CREDA),
+     * oldest first; shared by unlockCreda and unlock
+     */
+    function _unlock(address user, address asset, uint256 xpAmount) private {
+        if (xpAmount == 0) revert ZeroAmount();
+        
+        (, uint256 lockedXp) = _lockedBalance(asset == address(0) ? address(credaToken) : asset, user);
+        if (xpAmount > lockedXp) {
+            revert ExcessiveAmount(xpAmount, lockedXp);
+        }
+        
+        // Validate user has sufficient XP balance and allowance
+        _validateUserTokenAccess(user, address(xpToken), xpAmount);
+        
+        _indexLegacyPositions(user);
+        uint256[] storage positionIds = userAssetPositionIds[user][asset];
+        uint256 first = userFirstOpenAssetPosition[user][asset];
+        uint256 remaining = xpAmount;
+        uint256 grossAmount;
+        uint256 penalty;
+        
+        // Every position before `first` is drained, so the positions from `first` on
+        // hold lockedXp between them and this terminates in bounds
+        for (uint256 index = first; remaining > 0; index++) {
+            LockPosition storage position = lockPositions[positionIds[index]];
+            uint256 take = remaining < position.xpRemaining ? remaining : position.xpRemaining;
+            if (take > 0) {
+                (uint256 positionAmount, uint256 positionPenalty) = _releaseFromPosition(position, take);
+                grossAmount += positionAmount;
+                penalty += positionPenalty;
+                remaining -= take;
+            }
+            if (index == first && position.xpRemaining == 0) {
+                first++;
+            }
+        }
+        userFirstOpenAssetPosition[user][asset] = first;
+        
+        _settleUnlock(user, asset, xpAmount, grossAmount, penalty);
+    }
+    
+    /**
+     * @dev Copy `user`'s open positions from before the per-asset lists, all CREDA, into
+     * their CREDA list; no-op once copied
+     */
+    function _indexLegacyPositions(address user) private {
+        if (userPositionsByAsset[user]) return;
+        userPositionsByAsset[user] = true;
+        
+        uint256[] storage positionIds = userPositionIds[user];
+        uint256[] storage credaPositionIds = userAssetPositionIds[user][address(0)];
+        for (uint256 i = userFirstOpenPosition[user]; i < positionIds.length; i++) {
+            credaPositionIds.push(positionIds[i]);
+        }
+    }
+    
+    /**
+     * @dev Move `user`'s CREDA balance, and the CREDA total, out of the legacy
+     * accounting into assetLockedBalances and lockableAssets; no-op once moved
+     */
+    function _migrateLegacyCreda(address user) private {
+        uint256 legacyAmount = legacyLockedCreda[user];
+        uint256 legacyXp = legacyLockedXp[user];
+        if (legacyAmount != 0 || legacyXp != 0) {
+            LockedBalance storage balance = assetLockedBalances[address(credaToken)][user];
+            balance.amount += legacyAmount;
+            balance.xp += legacyXp;
+            delete legacyLockedCreda[user];
+            delete legacyLockedXp[user];
+        }
+        
+        uint256 legacyTotal = legacyTotalLockedCreda;
+        if (legacyTotal != 0) {
+            lockableAssets[address(credaToken)].totalLocked += legacyTotal;
+            legacyTotalLockedCreda = 0;
+        }
+    }
+    
+    // ============ Internal Calculations ============
+    /**
+     * @dev `user`'s locked amount of CREDA or a listed asset and the XP issued
+     * against it, counting CREDA not yet moved out of the legacy accounting
+     */
+    function _lockedBalance(address asset, address user) private view returns (uint256 amount, uint256 xp) {
+        LockedBalance storage balance = assetLockedBalances[asset][user];
+        amount = balance.amount;
+        xp = balance.xp;
+        if (asset == address(credaToken)) {
+            amount += legacyLockedCreda[user];
+            xp += legacyLockedXp[user];
+        }
+    }
+    
+    /**
+     * @dev Total locked amount of CREDA or a listed asset, counting legacy CREDA
+     */
+    function _totalLocked(address asset) private view returns (uint256 total) {
+        total = lockableAssets[asset].totalLocked;
+        if (asset == address(credaToken)) total += legacyTotalLockedCreda;
+    }
+    
+    /**
+     * @dev XP minted for locking `amount` of CREDA or a listed asset, and the rate
+     * applied; asset amounts are normalized from the asset's decimals
+     */
+    function _lockXpAmount(address asset, uint256 amount) private view returns (uint256 xpAmount, uint256 rate) {
+        if (asset == address(credaToken)) {
+            rate = credaToXpRate;
+            return (amount * rate / PRECISION_FACTOR, rate);
+        }
+        LockableAsset storage config = lockableAssets[asset];
+        rate = config.rate;
+        xpAmount = amount * rate / (10 ** config.decimals);
+    }
+    
+    /**
+     * @dev Asset returned and penalty for unlocking `xpAmount` of `user`'s positions
+     * in `asset` (zero for CREDA), oldest first; mirrors _unlock
+     */
+    function _unlockReturn(address asset, address user, uint256 xpAmount) 
+        private 
+        view 
+        returns (uint256 amount, uint256 penalty) 
+    {
+        (, uint256 lockedXp) = _lockedBalance(asset == address(0) ? address(credaToken) : asset, user);
+        if (xpAmount == 0 || xpAmount > lockedXp) return (0, 0);
+        
+        // Positions not yet copied into the per-asset lists are all CREDA
+        bool byAsset = userPositionsByAsset[user];
+        uint256[] storage positionIds = byAsset ? userAssetPositionIds[user][asset] : userPositionIds[user];
+        uint256 remaining = xpAmount;
+        uint256 grossAmount;
+        
+        uint256 first = byAsset ? userFirstOpenAssetPosition[user][asset] : userFirstOpenPosition[user];
+        for (uint256 i = first; remaining > 0; i++) {
+            LockPosition storage position = lockPositions[positionIds[i]];
+            uint256 take = remaining < position.xpRemaining ? remaining : position.xpRemaining;
+            if (take == 0) continue;
+            
+            uint256 positionAmount = _positionAmountFor(position, take);
+            grossAmount += positionAmount;
+            penalty += _earlyUnlockPenalty(position, positionAmount);
+            remaining -= take;
+        }
+        amount = grossAmount - penalty;
+    }
+    
+    /**
+     * @dev Release `xpAmount` from a position, returning the asset it backs and the penalty share
+     */
+    function _releaseFromPosition(LockPosition storage position, uint256 xpAmount) 
+        private 
+        returns (uint256 grossAmount, uint256 penalty) 
+    {
+        grossAmount = _positionAmountFor(position, xpAmount);
+        penalty = _earlyUnlockPenalty(position, grossAmount);
+        
+        position.xpRemaining -= xpAmount;
+        position.credaRemaining -= grossAmount;
+        
+        emit LockPositionUnlocked(position.id, position.owner, xpAmount, grossAmount - penalty, penalty);
+    }
+    
+    /**
+     * @dev Burn `user`'s XP, update the accounting of `asset` (zero for CREDA) and
+     * pay out the asset and penalty
+     */
+    function _settleUnlock(
+        address user,
+        address asset,
+        uint256 xpAmount,
+        uint256 grossAmount,
+        uint256 penalty
+    ) private {
+        uint256 amount = grossAmount - penalty;
+        if (amount == 0) {
+            revert ConversionResultsInZero(xpAmount, 0);
+        }
+        
+        // Update accounting before external calls
+        IERC20 token = asset == address(0) ? credaToken : IERC20(asset);
+        if (asset == address(0)) _migrateLegacyCreda(user);
+        LockedBalance storage balance = assetLockedBalances[address(token)][user];
+        balance.amount -= grossAmount;
+        balance.xp -= xpAmount;
+        lockableAssets[address(token)].totalLocked -= grossAmount;
+        
+        IXPToken(address(xpToken)).burnFrom(user, xpAmount);
+        
+        bool transferSuccess = token.transfer(user, amount);
+        if (!transferSuccess) {
+            revert TransferFailed(address(token), address(this), user, amount);
+        }
+        
+        if (penalty > 0) {
+            transferSuccess = token.transfer(penaltyRecipient, penalty);
+            if (!transferSuccess) {
+                revert TransferFailed(address(token), address(this), penaltyRecipient, penalty);
+            }
+        }
+        
+        if (asset == address(0)) {
+            emit CredaUnlocked(user, xpAmount, amount, penalty);
+        } else {
+            emit AssetUnlocked(user, asset, xpAmount, amount, penalty);
+        }
+    }
+    
+    /**
+     * @dev Asset backing `xpAmount` of a position; the last XP out takes any rounding remainder
+     */
+    function _positionAmountFor(LockPosition storage position, uint256 xpAmount) private view returns (uint256) {
+        if (xpAmount == position.xpRemaining) {
+            return position.credaRemaining;
+        }
+        return xpAmount * position.credaRemaining / position.xpRemaining;
+    }
+    
+    /**
+     * @dev Early-exit penalty on `amount` released from `position`
+     */
+    function _earlyUnlockPenalty(LockPosition storage position, uint256 amount) private view returns (uint256) {
+        (uint256 unlockableAt, uint256 penaltyBps) = _unlockTerms(position);
+        if (penaltyBps == 0 || block.timestamp >= unlockableAt) {
+            return 0;
+        }
+        return (amount * penaltyBps) / BPS_DENOMINATOR;
+    }
+    
+    /**
+     * @dev End of a position's lock-up and its early-exit penalty: the terms recorded when
+     * it was opened, or the current configuration for positions opened before they were
+     */
+    function _unlockTerms(LockPosition storage position) 
+        private 
+        view 
+        returns (uint256 unlockableAt, uint256 penaltyBps) 
+    {
+        if (position.unlockableAt == 0) {
+            return (uint256(position.lockedAt) + lockupPeriod, earlyUnlockPenaltyBps);
+        }
+        return (position.unlockableAt, position.penaltyBps);
+    }
+    
+    
+    // ============ Rate Timelock ============
+    /**
+     * @dev Record `newRate` as `pending`, executable after rateChangeDelay; reverts
+     * while another change is pending or if the rate moves too far from `oldRate`
+     */
+    function _proposeRate(PendingRateChange storage pending, uint256 oldRate, uint256 newRate) 
+        private 
+        returns (uint256 effectiveAt) 
+    {
+        if (pending.effectiveAt != 0) {
+            revert RateChangeAlreadyPending(pending.newRate, pending.effectiveAt);
+        }
+        _validateRateChange(oldRate, newRate);
+        
+        effectiveAt = block.timestamp + rateChangeDelay;
+        pending.newRate = newRate;
+        pending.proposedAt = uint64(block.timestamp);
+        pending.effectiveAt = uint64(effectiveAt);
+    }
+    
+    /**
+     * @dev Clear `pending` once its delay has elapsed and return its rate
+     */
+    function _takeReadyRate(PendingRateChange storage pending) private returns (uint256 newRate) {
+        uint256 effectiveAt = pending.effectiveAt;
+        if (effectiveAt == 0) revert NoPendingRateChange();
+        if (block.timestamp < effectiveAt) {
+            revert RateChangeNotReady(effectiveAt, block.timestamp);
+        }
+        
+        newRate = pending.newRate;
+        delete pending.newRate;
+        delete pending.proposedAt;
+        delete pending.effectiveAt;
+    }
+    
+    /**
+     * @dev Clear `pending` and return the rate that was proposed
+     */
+    function _cancelRate(PendingRateChange storage pending) private returns (uint256 newRate) {
+        if (pending.effectiveAt == 0) revert NoPendingRateChange();
+        
+        newRate = pending.newRate;
+        delete pending.newRate;
+        delete pending.proposedAt;
+        delete pending.effectiveAt;
+    }
+    
+    
+    // ============ Internal Validation ============
+    /**
+     * @dev Validate a fee against MAX_FEE_BPS and MAX_FLAT_FEE
+     */
+    function _feeSchedule(uint256 bps, uint256 flat, FeeAsset asset) private pure returns (FeeSchedule memory) {
+        if (bps > MAX_FEE_BPS) revert ExcessiveAmount(bps, MAX_FEE_BPS);
+        if (flat > MAX_FLAT_FEE) revert ExcessiveAmount(flat, MAX_FLAT_FEE);
+        return FeeSchedule({bps: uint16(bps), flat: uint96(flat), asset: asset});
+    }
+    
+    /**
+     * @dev Apply `next` to `current` if it raises neither part of the fee nor changes
+     * its asset, dropping any increase pending for `operation`; otherwise propose it
+     */
+    function _setFeeSchedule(Operation operation, FeeSchedule storage current, FeeSchedule memory next) private {
+        if (pendingFeeChanges[operation].effectiveAt != 0) {
+            delete pendingFeeChanges[operation];
+            emit FeeChangeCancelled(operation);
+        }
+        
+        if (next.bps > current.bps || next.flat > current.flat || next.asset != current.asset) {
+            uint256 effectiveAt = block.timestamp + rateChangeDelay;
+            pendingFeeChanges[operation] = PendingFeeChange({
+                bps: next.bps,
+                flat: next.flat,
+                asset: next.asset,
+                effectiveAt: uint64(effectiveAt)
+            });
+            emit FeeChangeProposed(operation, next.bps, next.flat, next.asset, effectiveAt);
+            return;
+        }
+        
+        current.bps = next.bps;
+        current.flat = next.flat;
+        current.asset = next.asset;
+        emit FeeScheduleUpdated(operation, next.bps, next.flat, next.asset, _msgSender());
+    }
+    
+    /**
+     * @dev Revert unless `amount` more fits under `cap` (0 for none) with `locked` already locked
+     */
+    function _checkLockCap(address asset, uint256 amount, uint256 locked, uint256 cap) private pure {
+        if (cap != 0 && locked + amount > cap) {
+            revert AssetCapExceeded(asset, amount, cap > locked ? cap - locked : 0);
+        }
+    }
+
+}
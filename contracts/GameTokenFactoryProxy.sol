@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title GameTokenFactoryProxy
+ * @dev ERC-1967 proxy holding GameTokenFactory's state and balances; every
+ * call runs the current GameTokenFactory implementation against them.
+ * `data` should encode GameTokenFactoryExtension.initialize so the proxy is
+ * set up in the same transaction. The proxy itself has no admin functions:
+ * upgrades are UUPS-style, through upgradeToAndCall on the factory, restricted
+ * to its DEFAULT_ADMIN_ROLE. Use scripts/upgrade.js, which refuses
+ * implementations whose storage layout would corrupt this proxy's state.
+ */
+contract GameTokenFactoryProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) payable ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,995 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./GameTokenDeployer.sol";
+import "./GameToken1155.sol";
+
+/**
+ * @title IXPToken
+ * @dev Interface for XP token with minting capability
+ */
+interface IXPToken {
+    error ExcessiveMintRequest(uint256 requested, uint256 maxAllowed);
+    error TotalSupplyLimitExceeded(uint256 newTotal, uint256 maxSupply);
+    error DailyMintLimitExceeded(address minter, uint256 dailyLimit, uint256 currentMinted);
+    
+    function mint(address to, uint256 amount) external;
+    function burn(uint256 amount) external;
+    function burnFrom(address from, uint256 amount) external;
+}
+
+/**
+ * @title GameTokenFactoryStorage
+ * @dev Constants, state, events and errors shared by GameTokenFactory and its
+ * extension, locking and curve modules. The modules run by delegatecall against
+ * the factory's storage, so all must inherit this layout unchanged; append new
+ * state at the end of the State Variables section only.
+ * The factory is deployed behind GameTokenFactoryProxy and upgraded in place
+ * with GameTokenFactory.upgradeToAndCall, so the same rule holds across
+ * versions: scripts/upgrade.js checks this layout against the deployed one, and
+ * the modules' against the factory's, with OpenZeppelin's upgrades-core, and
+ * refuses upgrades that move, retype or drop state.
+ * State is set by GameTokenFactoryExtension.initialize, never by constructors
+ * or declarations, which only run against the implementation's own storage.
+ */
+abstract contract GameTokenFactoryStorage is 
+    Initializable, 
+    AccessControl, 
+    Pausable, 
+    ReentrancyGuard, 
+    Multicall, 
+    ERC2771Context 
+{
+    using EnumerableSet for EnumerableSet.UintSet;
+    
+    // ============ Constants ============
+    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant GAME_MANAGER_ROLE = keccak256("GAME_MANAGER_ROLE");
+    bytes32 public constant CREATOR_ROLE = keccak256("CREATOR_ROLE"); // Required to create games when the policy says so
+    bytes32 public constant FEE_EXEMPT_ROLE = keccak256("FEE_EXEMPT_ROLE"); // Pays no creation or redemption fees
+    
+    uint256 public constant MIN_XP_LOCK_AMOUNT = 1 * 1e18; // Minimum 1 XP to create game token
+    uint256 public constant MAX_GAME_TOKEN_DECIMALS = 18;
+    uint256 public constant PRECISION_FACTOR = 1e18; // For precise calculations
+    uint256 public constant MAX_NAME_LENGTH = 100;
+    uint256 public constant MAX_SYMBOL_LENGTH = 10;
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    uint256 public constant MAX_EARLY_UNLOCK_PENALTY_BPS = 5_000; // Max 50% penalty
+    uint256 public constant MAX_LOCKUP_PERIOD = 365 days;
+    uint256 public constant MAX_RATE_CHANGE_PERCENT = 50; // Max 50% change per update
+    uint256 public constant MAX_CONVERSION_RATE = 1000 * PRECISION_FACTOR; // Max 1000:1 ratio
+    uint256 public constant MIN_RATE_CHANGE_DELAY = 1 hours;
+    uint256 public constant MAX_RATE_CHANGE_DELAY = 30 days;
+    uint256 public constant MIN_SUNSET_REDEMPTION_WINDOW = 7 days;
+    uint256 public constant MAX_SUNSET_REDEMPTION_WINDOW = 365 days;
+    uint256 public constant MAX_BATCH_SIZE = 50; // Items per createGameTokensBatch / burnGameTokensBatch call
+    uint256 public constant MAX_CREATION_COOLDOWN = 30 days;
+    uint256 public constant MIN_EMERGENCY_WITHDRAWAL_DELAY = 1 days;
+    uint256 public constant MAX_EMERGENCY_WITHDRAWAL_DELAY = 30 days;
+    uint256 public constant MAX_FEE_BPS = 1_000; // Max 10% fee
+    uint256 public constant MAX_FLAT_FEE = 1_000 * 1e18; // Max 1,000 XP or CREDA per operation
+    uint256 public constant MAX_CURVE_PARAMETER = 1e36; // Bounds both pricing curve parameters
+    
+    // ============ State Variables ============
+    IERC20 public credaToken;
+    IERC20 public xpToken;
+    GameTokenDeployer public gameTokenDeployer;
+    
+    uint256 public credaToXpRate; // 1e18 = 1 CREDA per XP (18 decimal precision)
+    uint256 public nextGameId;
+    
+    // CREDA locked before CREDA moved into assetLockedBalances, and the XP issued
+    // against it. A user's share moves over, with the total, on their next CREDA
+    // lock or unlock; until then the balance views count it.
+    mapping(address => uint256) internal legacyLockedCreda;
+    mapping(address => uint256) internal legacyLockedXp;
+    uint256 internal legacyTotalLockedCreda;
+    
+    // Each lock opens a position recording the rate, lock-up and early-exit penalty in
+    // force at lock time. Amounts named credaAmount/credaRemaining are in the position's asset.
+    // owner and lockedAt share a slot, as do asset, unlockableAt and penaltyBps.
+    struct LockPosition {
+        uint256 id;
+        address owner;
+        uint64 lockedAt;
+        uint256 rate;            // XP per whole asset token at lock time
+        uint256 credaAmount;     // Asset originally locked
+        uint256 xpAmount;        // XP originally minted
+        uint256 credaRemaining;  // Asset still locked
+        uint256 xpRemaining;     // XP still redeemable against this position
+        address asset;           // Zero for CREDA, including every position opened before multi-asset locking
+        uint64 unlockableAt;     // End of the lock-up; zero for positions opened before the terms were recorded
+        uint16 penaltyBps;       // Early-exit penalty
+    }
+    
+    uint256 public nextPositionId;
+    mapping(uint256 => LockPosition) public lockPositions;
+    mapping(address => uint256[]) internal userPositionIds;
+    mapping(address => uint256) internal userFirstOpenPosition; // Index in userPositionIds of the oldest open position, for users not yet in userAssetPositionIds
+    
+    // Unlock configuration (lock-up period and early-exit penalty)
+    uint256 public lockupPeriod;
+    uint256 public earlyUnlockPenaltyBps;
+    address public penaltyRecipient;
+    
+    // Rate changes are proposed by RATE_MANAGER_ROLE and only take effect after rateChangeDelay
+    struct PendingRateChange {
+        uint256 newRate;
+        uint64 proposedAt;
+        uint64 effectiveAt;      // 0 when nothing is pending
+    }
+    
+    uint256 public rateChangeDelay;
+    PendingRateChange public pendingRateChange;
+    
+    // Gas-optimized packed struct for game token info
+    struct GameTokenInfo {
+        address tokenAddress;    // 20 bytes
+        address creator;         // 20 bytes
+        uint88 xpLocked;        // 11 bytes (up to ~77M XP tokens)
+        uint8 decimals;         // 1 byte
+        bool active;            // 1 byte
+        // Total: 53 bytes (fits in 2 storage slots)
+    }
+    
+    // Additional metadata stored separately to optimize gas
+    struct GameTokenMetadata {
+        string name;
+        string symbol;
+        uint256 initialSupply;
+        uint256 creationTime;
+    }
+    
+    // Combined record returned by the paginated game views
+    struct GameRecord {
+        uint256 gameId;
+        GameTokenInfo info;
+        GameTokenMetadata metadata;
+    }
+    
+    // One game in a createGameTokensBatch call
+    struct GameTokenParams {
+        uint256 xpAmount;
+        string name;
+        string symbol;
+        uint8 decimals;
+    }
+    
+    // One redemption in a burnGameTokensBatch call
+    struct BurnParams {
+        uint256 gameId;
+        uint256 burnAmount;
+    }
+    
+    mapping(uint256 => GameTokenInfo) public gameTokens;
+    mapping(uint256 => GameTokenMetadata) public gameTokenMetadata;
+    mapping(address => uint256[]) public userGameTokens; // Track user's created tokens
+    mapping(address => mapping(string => bool)) public userGameNames; // Prevent duplicate names per user
+    
+    // Reverse index so wallets holding only a token address can find its game
+    mapping(address => bool) public isFactoryToken;
+    mapping(address => uint256) public gameIdByToken; // Only meaningful when isFactoryToken is true
+    
+    // IDs of active and sunset games, for getActiveGames
+    EnumerableSet.UintSet internal activeGameIds;
+    
+    // Lifecycle: Active <-> Inactive, then Sunset (final redemption window) -> Closed
+    enum GameStatus { Active, Inactive, Sunset, Closed }
+    
+    struct GameLifecycle {
+        uint64 redemptionEndsAt;     // 0 until the game is sunset
+        bool deactivatedByManager;   // Suspends redemptions; creators cannot undo it
+        bool finalized;              // Leftover XP backing has been sent to the treasury
+    }
+    
+    mapping(uint256 => GameLifecycle) public gameLifecycles;
+    uint256 public sunsetRedemptionWindow;
+    address public treasury; // Receives XP backing left over when a sunset game closes
+    
+    // XP reserves management
+    uint256 public xpReserves; // XP held for game token redemptions
+    
+    // ERC-2771 forwarder whose relayed calls are attributed to the signer; none by default
+    address internal forwarder;
+    
+    // Each game's tokens are either its own ERC-20 clone or an id in the shared ERC-1155 collection
+    enum TokenStandard { ERC20, ERC1155 }
+    
+    GameToken1155 public gameToken1155; // Set once by setGameToken1155; zero until then
+    mapping(uint256 => TokenStandard) public gameTokenStandards;
+    
+    // Games imported by importGames from a factory deployed before this one was upgradeable.
+    // Their tokens only answer to that factory, so redemptions escrow them here instead of burning.
+    struct ImportedGame {
+        uint256 sourceGameId;
+        GameTokenInfo info;
+        GameTokenMetadata metadata;
+        GameLifecycle lifecycle;
+    }
+    
+    mapping(uint256 => address) public gameImportedFrom; // Source factory; zero for games created here
+    mapping(address => mapping(uint256 => uint256)) internal importedGameIds; // Source game ID => game ID + 1
+    
+    // ERC-20s lockable for XP besides CREDA, listed by DEFAULT_ADMIN_ROLE. CREDA keeps its
+    // timelocked credaToXpRate but is accounted like them: balances in
+    // assetLockedBalances[credaToken] and the total in lockableAssets[credaToken], never listed.
+    struct LockableAsset {
+        uint256 rate;            // XP per whole token (PRECISION_FACTOR = 1:1)
+        uint256 userCap;         // Most a single user may have locked; 0 for no cap
+        uint256 totalCap;        // Most that may be locked in total; 0 for no cap
+        uint256 totalLocked;
+        uint8 decimals;          // Amounts are divided by 10 ** decimals before applying rate
+        bool listed;
+        bool paused;             // Stops new locks; unlocking is always possible
+    }
+    
+    struct LockedBalance {
+        uint256 amount;          // Asset locked
+        uint256 xp;              // XP issued against it and not yet burned
+    }
+    
+    mapping(address => LockableAsset) public lockableAssets;
+    address[] internal lockableAssetList;
+    mapping(address => mapping(address => LockedBalance)) internal assetLockedBalances; // Asset => user => balance
+    
+    // Limits on who may create games, how many and how often, set by DEFAULT_ADMIN_ROLE.
+    // Every limit is off while zero, as on factories deployed before the policy existed.
+    // Supplies are compared in whole tokens scaled to 18 decimals, whatever the game's decimals.
+    struct CreationPolicy {
+        uint32 maxGamesPerCreator;   // Games one address may create in total; 0 for no limit
+        uint32 cooldown;             // Seconds between a creator's creation transactions; 0 for none
+        bool creatorRoleRequired;    // Only CREATOR_ROLE holders may create games
+        uint128 minInitialSupply;    // 0 for no minimum
+        uint128 maxInitialSupply;    // 0 for no maximum
+    }
+    
+    CreationPolicy public creationPolicy;
+    mapping(address => uint256) public lastGameCreatedAt;
+    
+    // Emergency controls. EMERGENCY_ROLE queues withdrawals that only run after
+    // emergencyWithdrawalDelay (never less than MIN_EMERGENCY_WITHDRAWAL_DELAY, which also
+    // covers factories upgraded from before the delay existed) and never take a token below
+    // what the factory holds for its users. PAUSER_ROLE can pause locking, creation or
+    // redemption on their own, and freeze single games, without pausing the whole factory.
+    enum Operation { Lock, Create, Redeem }
+    enum WithdrawalStatus { None, Queued, Executed, Cancelled }
+    
+    struct EmergencyWithdrawal {
+        address token;               // address(0) for ETH
+        address to;
+        uint256 amount;
+        uint64 executableAt;
+        WithdrawalStatus status;
+    }
+    
+    uint256 public emergencyWithdrawalDelay;
+    uint256 public nextEmergencyWithdrawalId;
+    mapping(uint256 => EmergencyWithdrawal) public emergencyWithdrawals;
+    mapping(Operation => bool) public operationPaused;
+    mapping(uint256 => bool) public gameFrozen; // Blocks redemptions, supply increases and finalizeSunset
+    
+    // Protocol fees, set by DEFAULT_ADMIN_ROLE within MAX_FEE_BPS and MAX_FLAT_FEE: `flat`
+    // plus `bps` of the XP involved. Creators pay the creation fee on top of the XP they lock,
+    // in XP or CREDA; the redemption fee is kept out of the XP returned. Fees are held here
+    // until withdrawFees sends them to the treasury. FEE_EXEMPT_ROLE holders pay neither.
+    enum FeeAsset { XP, CREDA }
+    
+    struct FeeSchedule {
+        uint16 bps;
+        uint96 flat;
+        FeeAsset asset;              // Always XP for redemptions
+    }
+    
+    FeeSchedule public creationFee;
+    FeeSchedule public redemptionFee;
+    mapping(address => uint256) public accruedFees; // Token => fees not yet sent to the treasury
+    
+    // Bonding curves, picked by creators with createGameTokenWithCurve. The creator's own
+    // tokens (the game's initial supply) are priced at one XP per whole token as for any game;
+    // past them, anyone buys tokens with XP at the curve's price and sells them back down it.
+    // The game's xpLocked is its reserve. With t whole tokens sold past the initial supply,
+    // the price per whole token, in XP, is:
+    //   Linear           a + b * t
+    //   Exponential      a * e^(b * t)
+    //   ConstantProduct  a * b / (b - t)^2, i.e. virtual reserves of a XP and b tokens
+    // with a and b in 18-decimal fixed point. Curve games cannot be redeemed pro rata with
+    // burnGameToken or topped up with increaseGameTokenSupply.
+    enum CurveKind { None, Linear, Exponential, ConstantProduct }
+    
+    struct PricingCurve {
+        CurveKind kind;
+        uint128 a;
+        uint128 b;
+    }
+    
+    mapping(uint256 => PricingCurve) public gameCurves; // Kind None for games priced pro rata
+    
+    // Fee increases, including any change of fee asset, wait rateChangeDelay before
+    // executeFeeChange applies them, so nobody pays a fee raised after they sent their
+    // transaction. Reductions apply at once and drop any increase pending for the operation.
+    struct PendingFeeChange {
+        uint16 bps;
+        uint96 flat;
+        FeeAsset asset;
+        uint64 effectiveAt;          // 0 when nothing is pending
+    }
+    
+    mapping(Operation => PendingFeeChange) public pendingFeeChanges; // Create or Redeem
+    
+    // Listed assets' rate changes wait rateChangeDelay as CREDA's do; their caps change at once
+    mapping(address => PendingRateChange) public pendingAssetRateChanges;
+    
+    // Each user's positions per asset (zero for CREDA), oldest first, with the index of the
+    // oldest still open, so unlocking one asset never walks another's positions. Positions
+    // opened before these lists existed are all CREDA and only in userPositionIds; the
+    // user's next lock or unlock copies the open ones over and sets userPositionsByAsset.
+    mapping(address => mapping(address => uint256[])) internal userAssetPositionIds; // User => asset => position IDs
+    mapping(address => mapping(address => uint256)) internal userFirstOpenAssetPosition;
+    mapping(address => bool) internal userPositionsByAsset;
+    
+    // ============ Events ============
+    event CredaLocked(address indexed user, uint256 credaAmount, uint256 xpMinted);
+    event CredaUnlocked(address indexed user, uint256 xpBurned, uint256 credaReturned, uint256 penalty);
+    event UnlockConfigUpdated(uint256 lockupPeriod, uint256 earlyUnlockPenaltyBps, address penaltyRecipient);
+    event LockPositionCreated(
+        uint256 indexed positionId,
+        address indexed user,
+        uint256 credaAmount,
+        uint256 xpAmount,
+        uint256 rate
+    );
+    event LockPositionUnlocked(
+        uint256 indexed positionId,
+        address indexed user,
+        uint256 xpBurned,
+        uint256 credaReturned,
+        uint256 penalty
+    );
+    event GameTokenCreated(
+        uint256 indexed gameId,
+        address indexed creator,
+        address indexed tokenAddress,
+        string name,
+        string symbol,
+        uint256 xpLocked,
+        uint256 initialSupply
+    );
+    event GameTokenSupplyIncreased(
+        uint256 indexed gameId,
+        address indexed creator,
+        uint256 xpAdded,
+        uint256 tokensMinted,
+        uint256 newXpLocked
+    );
+    event GameTokenBurned(
+        uint256 indexed gameId,
+        address indexed user,
+        uint256 burnAmount,
+        uint256 xpReturned
+    );
+    event RateChangeProposed(uint256 oldRate, uint256 newRate, uint256 effectiveAt);
+    event RateChangeExecuted(uint256 oldRate, uint256 newRate);
+    event RateChangeCancelled(uint256 newRate);
+    event RateChangeDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event EmergencyWithdrawalQueued(
+        uint256 indexed id,
+        address indexed token,
+        address indexed to,
+        uint256 amount,
+        uint256 executableAt,
+        address by
+    );
+    event EmergencyWithdrawalExecuted(uint256 indexed id, address indexed token, address indexed to, uint256 amount, address by);
+    event EmergencyWithdrawalCancelled(uint256 indexed id, address indexed by);
+    event EmergencyWithdrawalDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event OperationPauseUpdated(Operation indexed operation, bool paused, address indexed by);
+    event GameFreezeUpdated(uint256 indexed gameId, bool frozen, address indexed by);
+    event GameDeactivated(uint256 indexed gameId, address indexed by);
+    event GameReactivated(uint256 indexed gameId, address indexed by);
+    event GameSunset(uint256 indexed gameId, address indexed by, uint256 redemptionEndsAt);
+    event GameSunsetFinalized(uint256 indexed gameId, address indexed treasury, uint256 xpToTreasury);
+    event TreasuryUpdated(address oldTreasury, address newTreasury);
+    event SunsetRedemptionWindowUpdated(uint256 oldWindow, uint256 newWindow);
+    event TrustedForwarderUpdated(address oldForwarder, address newForwarder);
+    event GameToken1155Set(address indexed collection);
+    event GameImported(
+        uint256 indexed gameId,
+        address indexed sourceFactory,
+        uint256 sourceGameId,
+        address tokenAddress
+    );
+    event CreationPolicyUpdated(
+        address indexed by,
+        uint256 maxGamesPerCreator,
+        uint256 cooldown,
+        bool creatorRoleRequired,
+        uint256 minInitialSupply,
+        uint256 maxInitialSupply
+    );
+    event LockableAssetAdded(address indexed asset, uint256 rate, uint8 decimals, uint256 userCap, uint256 totalCap);
+    event LockableAssetUpdated(address indexed asset, uint256 rate, uint256 userCap, uint256 totalCap);
+    event AssetRateChangeProposed(address indexed asset, uint256 oldRate, uint256 newRate, uint256 effectiveAt);
+    event AssetRateChangeCancelled(address indexed asset, uint256 newRate);
+    event LockableAssetPaused(address indexed asset, bool paused);
+    event AssetLocked(address indexed user, address indexed asset, uint256 amount, uint256 xpMinted);
+    event AssetUnlocked(
+        address indexed user,
+        address indexed asset,
+        uint256 xpBurned,
+        uint256 amountReturned,
+        uint256 penalty
+    );
+    event FeeScheduleUpdated(Operation indexed operation, uint256 bps, uint256 flat, FeeAsset asset, address indexed by);
+    event FeeChangeProposed(Operation indexed operation, uint256 bps, uint256 flat, FeeAsset asset, uint256 effectiveAt);
+    event FeeChangeCancelled(Operation indexed operation);
+    event FeesCollected(
+        Operation indexed operation,
+        uint256 indexed gameId,
+        address indexed payer,
+        address token,
+        uint256 amount
+    );
+    event FeesWithdrawn(address indexed token, address indexed treasury, uint256 amount, address indexed by);
+    event PricingCurveSet(uint256 indexed gameId, CurveKind kind, uint256 a, uint256 b);
+    event GameTokensBought(
+        uint256 indexed gameId,
+        address indexed buyer,
+        uint256 xpIn,
+        uint256 tokensOut,
+        uint256 newXpLocked
+    );
+    event GameTokensSold(
+        uint256 indexed gameId,
+        address indexed seller,
+        uint256 tokensIn,
+        uint256 xpOut,
+        uint256 newXpLocked
+    );
+    
+    // ============ Comprehensive Error Definitions ============
+    // Input Validation Errors
+    error ZeroAmount();
+    error ZeroRate();
+    error ZeroAddress();
+    error InvalidGameId(uint256 provided, uint256 maxValid);
+    error InvalidDecimals(uint8 provided, uint8 maxAllowed);
+    error InsufficientAmount(uint256 provided, uint256 required);
+    error ExcessiveAmount(uint256 provided, uint256 maximum);
+    
+    // String Validation Errors
+    error EmptyString(string fieldName);
+    error StringTooLong(string fieldName, uint256 length, uint256 maxLength);
+    error InvalidCharacters(string fieldName);
+    
+    // Business Logic Errors  
+    error GameTokenNotActive(uint256 gameId);
+    error LockPositionNotFound(address user, uint256 positionId);
+    error UnknownGameToken(address token);
+    error UnauthorizedGameManager(uint256 gameId, address caller);
+    error UnauthorizedCreator(uint256 gameId, address caller);
+    error UnauthorizedRedeemer(address holder, address caller);
+    error GameAlreadyActive(uint256 gameId);
+    error GameAlreadySunset(uint256 gameId);
+    error GameNotSunset(uint256 gameId);
+    error SunsetAlreadyFinalized(uint256 gameId);
+    error RedemptionWindowOpen(uint256 gameId, uint256 endsAt);
+    error RedemptionWindowClosed(uint256 gameId, uint256 endedAt);
+    error DuplicateGameName(address user, string name);
+    error InsufficientXpReserves(uint256 required, uint256 available);
+    error InsufficientUserBalance(address user, address token, uint256 required, uint256 available);
+    error InsufficientAllowance(address user, address spender, address token, uint256 required, uint256 current);
+    error InvalidBatchSize(uint256 size, uint256 maxSize);
+    error AssetNotLockable(address asset);
+    error AssetAlreadyListed(address asset);
+    error AssetLockingPaused(address asset);
+    error AssetCapExceeded(address asset, uint256 amount, uint256 available);
+    error FeeExceedsAmount(uint256 amount, uint256 fee);
+    error NoPendingFeeChange(Operation operation);
+    error FeeChangeNotReady(uint256 effectiveAt, uint256 currentTime);
+    error InvalidPricingCurve(CurveKind kind, uint256 a, uint256 b);
+    error NotCurveGame(uint256 gameId);
+    error UnsupportedForCurveGame(uint256 gameId);
+    error SlippageExceeded(uint256 amountOut, uint256 minAmountOut);
+    error TradeExpired(uint256 deadline);
+    
+    // Contract State Errors
+    error ContractPaused();
+    error ContractNotPaused();
+    error ReentrancyDetected();
+    error InvalidContractState(string reason);
+    
+    // External Call Errors
+    error TransferFailed(address token, address from, address to, uint256 amount);
+    error MintFailed(address token, address to, uint256 amount);
+    error BurnFailed(address token, address from, uint256 amount);
+    error GameTokenDeploymentFailed(string reason);
+    error TokenStandardUnavailable(TokenStandard standard);
+    error UnsupportedTokenStandard(uint256 gameId, TokenStandard standard);
+    error UnsupportedForImportedGame(uint256 gameId, address sourceFactory);
+    error GameAlreadyImported(address sourceFactory, uint256 sourceGameId);
+    error InvalidImplementation(address implementation);
+    error ExternalCallFailed(address target, bytes data);
+    
+    // Access Control Errors
+    error UnauthorizedAccess(address caller, bytes32 requiredRole);
+    error InvalidRole(bytes32 role);
+    error RoleAlreadyGranted(address account, bytes32 role);
+    error RoleNotGranted(address account, bytes32 role);
+    
+    // Mathematical Errors
+    error MathOverflow(string operation);
+    error MathUnderflow(string operation);
+    error DivisionByZero(string operation);
+    error InvalidCalculation(string operation, string reason);
+    
+    // Rate and Conversion Errors
+    error InvalidConversionRate(uint256 rate);
+    error RateChangeTooBig(uint256 oldRate, uint256 newRate, uint256 maxChangePercent);
+    error ConversionResultsInZero(uint256 input, uint256 rate);
+    error RateChangeAlreadyPending(uint256 pendingRate, uint256 effectiveAt);
+    error NoPendingRateChange();
+    error RateChangeNotReady(uint256 effectiveAt, uint256 currentTime);
+    
+    // Game Token Specific Errors
+    error GameTokenLimitExceeded(address user, uint256 current, uint256 maximum);
+    error InvalidInitialSupply(uint256 calculated, uint256 minimum, uint256 maximum);
+    error TokenCreationCooldown(address user, uint256 timeRemaining);
+    
+    // Recovery and Emergency Errors
+    error EmergencyActionFailed(string action, string reason);
+    error RecoveryNotAllowed(address token, string reason);
+    error InvalidRecoveryTarget(address target);
+    error EmergencyWithdrawalNotQueued(uint256 id);
+    error EmergencyWithdrawalNotReady(uint256 id, uint256 executableAt);
+    error OperationPaused(Operation operation);
+    error GameFrozen(uint256 gameId);
+    
+    // ============ Constructor ============
+    /**
+     * @dev Only locks the implementation; proxies are set up by initialize()
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() ERC2771Context(address(0)) {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Forwarder set by setTrustedForwarder; replaces ERC2771Context's immutable one
+     */
+    function trustedForwarder() public view override returns (address) {
+        return forwarder;
+    }
+    
+    // ============ ERC-2771 Context ============
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+    
+    // ============ Modifiers ============
+    /**
+     * @dev Refuse the call while PAUSER_ROLE has paused `operation`
+     */
+    modifier whenOperationNotPaused(Operation operation) {
+        if (operationPaused[operation]) revert OperationPaused(operation);
+        _;
+    }
+    
+    // ============ Shared Validation ============
+    /**
+     * @dev Validate that a game is not frozen by PAUSER_ROLE
+     */
+    function _validateNotFrozen(uint256 gameId) internal view {
+        if (gameFrozen[gameId]) revert GameFrozen(gameId);
+    }
+    
+    /**
+     * @dev Validate that a game is priced pro rata rather than along a bonding curve
+     */
+    function _validateNotCurveGame(uint256 gameId) internal view {
+        if (gameCurves[gameId].kind != CurveKind.None) revert UnsupportedForCurveGame(gameId);
+    }
+    
+    /**
+     * @dev Validate that a game exists; ids start at 0
+     */
+    function _validateGameId(uint256 gameId) internal view {
+        if (gameId >= nextGameId) {
+            revert InvalidGameId(gameId, nextGameId == 0 ? 0 : nextGameId - 1);
+        }
+    }
+    
+    /**
+     * @dev Validate string inputs with comprehensive checks
+     */
+    function _validateString(string calldata str, string memory fieldName, uint256 maxLength) internal pure {
+        bytes memory strBytes = bytes(str);
+        if (strBytes.length == 0) {
+            revert EmptyString(fieldName);
+        }
+        if (strBytes.length > maxLength) {
+            revert StringTooLong(fieldName, strBytes.length, maxLength);
+        }
+        
+        // Check for invalid characters (basic validation)
+        for (uint256 i = 0; i < strBytes.length; i++) {
+            bytes1 char = strBytes[i];
+            // Allow alphanumeric, spaces, and basic symbols
+            if (!(
+                (char >= 0x30 && char <= 0x39) || // 0-9
+                (char >= 0x41 && char <= 0x5A) || // A-Z
+                (char >= 0x61 && char <= 0x7A) || // a-z
+                char == 0x20 || char == 0x2D || char == 0x5F || char == 0x2E // space, -, _, .
+            )) {
+                revert InvalidCharacters(fieldName);
+            }
+        }
+    }
+    
+    /**
+     * @dev Validate user token balance and allowance
+     */
+    function _validateUserTokenAccess(
+        address user,
+        address token,
+        uint256 amount
+    ) internal view {
+        if (amount == 0) {
+            revert ZeroAmount();
+        }
+        
+        // Check user balance
+        uint256 userBalance = IERC20(token).balanceOf(user);
+        if (userBalance < amount) {
+            revert InsufficientUserBalance(user, token, amount, userBalance);
+        }
+        
+        // Check allowance
+        uint256 allowance = IERC20(token).allowance(user, address(this));
+        if (allowance < amount) {
+            revert InsufficientAllowance(user, address(this), token, amount, allowance);
+        }
+    }
+    
+    /**
+     * @dev Validate a proposed rate against the current rate; 0 for a first rate
+     */
+    function _validateRateChange(uint256 oldRate, uint256 newRate) internal pure {
+        if (newRate == 0) revert ZeroRate();
+        
+        // Prevent excessive rate changes (max 50% change per update for safety)
+        if (oldRate != 0) {
+            uint256 changePercent;
+            if (newRate > oldRate) {
+                changePercent = ((newRate - oldRate) * 100) / oldRate;
+            } else {
+                changePercent = ((oldRate - newRate) * 100) / oldRate;
+            }
+            
+            if (changePercent > MAX_RATE_CHANGE_PERCENT) {
+                revert RateChangeTooBig(oldRate, newRate, MAX_RATE_CHANGE_PERCENT);
+            }
+        }
+        
+        // Validate rate is within reasonable bounds (not too high)
+        if (newRate > MAX_CONVERSION_RATE) {
+            revert ExcessiveAmount(newRate, MAX_CONVERSION_RATE);
+        }
+    }
+    
+    /**
+     * @dev Apply `owner`'s EIP-2612 permit, ignoring failure so a front-run
+     * permit or a token without permit falls back to an existing allowance;
+     * the allowance check in the flow decides either way
+     * @return applied Whether the permit was accepted
+     */
+    function _tryPermit(
+        address token,
+        address owner,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal returns (bool applied) {
+        try IERC20Permit(token).permit(owner, address(this), value, deadline, v, r, s) {
+            applied = true;
+        } catch {}
+    }
+    
+    /**
+     * @dev Revert after a failed XP mint. XPToken's mint limits are passed
+     * through so callers can tell which one was hit; anything else reverts MintFailed.
+     */
+    function _revertMintFailed(bytes memory reason, address to, uint256 amount) internal view {
+        bytes4 selector;
+        if (reason.length >= 4) {
+            assembly ("memory-safe") {
+                selector := mload(add(reason, 32))
+            }
+        }
+        if (
+            selector == IXPToken.DailyMintLimitExceeded.selector ||
+            selector == IXPToken.TotalSupplyLimitExceeded.selector ||
+            selector == IXPToken.ExcessiveMintRequest.selector
+        ) {
+            assembly ("memory-safe") {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+        revert MintFailed(address(xpToken), to, amount);
+    }
+    
+    // ============ Token Standard Dispatch ============
+    /**
+     * @dev Outstanding supply of a game's tokens, whichever standard it uses;
+     * tokens of imported games escrowed on redemption no longer count
+     */
+    function _gameTokenSupply(uint256 gameId, address tokenAddress) internal view returns (uint256) {
+        if (gameTokenStandards[gameId] == TokenStandard.ERC1155) {
+            return GameToken1155(tokenAddress).totalSupply(gameId);
+        }
+        if (gameImportedFrom[gameId] != address(0)) {
+            return GameToken(tokenAddress).totalSupply() - GameToken(tokenAddress).balanceOf(address(this));
+        }
+        return GameToken(tokenAddress).totalSupply();
+    }
+    
+    // ============ Protocol Fees ============
+    /**
+     * @dev Fee `payer` owes on `amount` under `schedule`; nothing for FEE_EXEMPT_ROLE holders
+     */
+    function _feeFor(FeeSchedule memory schedule, address payer, uint256 amount) internal view returns (uint256) {
+        if (hasRole(FEE_EXEMPT_ROLE, payer)) return 0;
+        return schedule.flat + amount * schedule.bps / BPS_DENOMINATOR;
+    }
+    
+    /**
+     * @dev Creation fee `creator` owes for a game backed by `xpAmount`, and the token it is paid in
+     */
+    function _creationFeeOf(address creator, uint256 xpAmount) internal view returns (uint256 fee, address token) {
+        FeeSchedule memory schedule = creationFee;
+        fee = _feeFor(schedule, creator, xpAmount);
+        token = schedule.asset == FeeAsset.CREDA ? address(credaToken) : address(xpToken);
+    }
+    
+    /**
+     * @dev XP burned from `creator` to create a game backed by `xpAmount`: that
+     * XP plus the creation fee when it is paid in XP
+     */
+    function _xpBurnedFor(address creator, uint256 xpAmount) internal view returns (uint256) {
+        (uint256 fee, address token) = _creationFeeOf(creator, xpAmount);
+        return token == address(xpToken) ? xpAmount + fee : xpAmount;
+    }
+    
+    /**
+     * @dev Record a fee owed to the treasury until withdrawFees. CREDA fees are
+     * held by the factory; XP fees are burned or never minted, and minted to the
+     * treasury on withdrawal, as finalizeSunset does with unredeemed XP.
+     */
+    function _accrueFee(Operation operation, uint256 gameId, address payer, address token, uint256 amount) internal {
+        accruedFees[token] += amount;
+        emit FeesCollected(operation, gameId, payer, token, amount);
+    }
+    
+    /**
+     * @dev Record the creation fee for `creator`'s new game, transferring it in
+     * when it is paid in CREDA; an XP fee was burned with the XP locked
+     */
+    function _collectCreationFee(address creator, uint256 gameId, uint256 xpAmount) private {
+        (uint256 fee, address token) = _creationFeeOf(creator, xpAmount);
+        if (fee == 0) return;
+        if (token != address(xpToken) && !IERC20(token).transferFrom(creator, address(this), fee)) {
+            revert TransferFailed(token, creator, address(this), fee);
+        }
+        _accrueFee(Operation.Create, gameId, creator, token, fee);
+    }
+    
+    // ============ Shared Game Creation ============
+    /**
+     * @dev Apply the creation policy's role requirement, game limit and cooldown to
+     * `creator` creating `count` games in one transaction, and start their next
+     * cooldown. A batch counts once against the cooldown.
+     */
+    function _useCreationQuota(address creator, uint256 count) internal {
+        CreationPolicy memory policy = creationPolicy;
+        if (policy.creatorRoleRequired) _checkRole(CREATOR_ROLE, creator);
+        
+        uint256 created = userGameTokens[creator].length;
+        if (policy.maxGamesPerCreator != 0 && created + count > policy.maxGamesPerCreator) {
+            revert GameTokenLimitExceeded(creator, created, policy.maxGamesPerCreator);
+        }
+        
+        uint256 availableAt = lastGameCreatedAt[creator] + policy.cooldown;
+        if (lastGameCreatedAt[creator] != 0 && block.timestamp < availableAt) {
+            revert TokenCreationCooldown(creator, availableAt - block.timestamp);
+        }
+        lastGameCreatedAt[creator] = block.timestamp;
+    }
+    
+    /**
+     * @dev Check an initial supply, in the game's decimals, against the creation
+     * policy's bounds
+     */
+    function _validateInitialSupply(uint256 initialSupply, uint8 decimals) internal view {
+        uint256 supply = initialSupply * 10 ** (MAX_GAME_TOKEN_DECIMALS - decimals);
+        uint256 minimum = creationPolicy.minInitialSupply;
+        uint256 maximum = creationPolicy.maxInitialSupply;
+        if (supply < minimum || (maximum != 0 && supply > maximum)) {
+            revert InvalidInitialSupply(supply, minimum, maximum);
+        }
+    }
+    
+    /**
+     * @dev Burn `creator`'s XP, take the creation fee and deploy their ERC-20 game
+     * token; shared by every createGameToken* entry point but createGameToken1155
+     */
+    function _createGameToken(
+        address creator,
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals
+    ) 
+        internal 
+        returns (uint256 gameId, address tokenAddress)
+    {
+        uint256 initialSupply;
+        (gameId, initialSupply) = _lockCreationXp(creator, xpAmount, name, symbol, decimals);
+        
+        // Deploy new GameToken contract
+        try gameTokenDeployer.deploy(
+            name,
+            symbol,
+            decimals,
+            initialSupply,
+            creator, // owner
+            gameId,
+            forwarder
+        ) returns (address newToken) {
+            tokenAddress = newToken;
+        } catch Error(string memory reason) {
+            // Reverting undoes the XP burn and reserve update
+            revert GameTokenDeploymentFailed(reason);
+        } catch {
+            revert GameTokenDeploymentFailed("Unknown deployment error");
+        }
+        isFactoryToken[tokenAddress] = true;
+        gameIdByToken[tokenAddress] = gameId;
+        
+        _recordGameToken(gameId, creator, tokenAddress, xpAmount, name, symbol, decimals, initialSupply);
+    }
+    
+    /**
+     * @dev As _createGameToken, but open the game's id in the ERC-1155 collection
+     */
+    function _createGameToken1155(
+        address creator,
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals
+    ) 
+        internal 
+        returns (uint256 gameId, address tokenAddress)
+    {
+        tokenAddress = address(gameToken1155);
+        if (tokenAddress == address(0)) revert TokenStandardUnavailable(TokenStandard.ERC1155);
+        
+        uint256 initialSupply;
+        (gameId, initialSupply) = _lockCreationXp(creator, xpAmount, name, symbol, decimals);
+        gameTokenStandards[gameId] = TokenStandard.ERC1155;
+        gameToken1155.create(gameId, creator, initialSupply, decimals);
+        
+        _recordGameToken(gameId, creator, tokenAddress, xpAmount, name, symbol, decimals, initialSupply);
+    }
+    
+    /**
+     * @dev Validate a new game, burn `creator`'s XP for it and take the creation fee
+     * @return gameId ID of the new game
+     * @return initialSupply Game tokens its creator receives
+     */
+    function _lockCreationXp(
+        address creator,
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals
+    ) 
+        private 
+        returns (uint256 gameId, uint256 initialSupply)
+    {
+        // Enhanced input validation with detailed error messages
+        if (xpAmount < MIN_XP_LOCK_AMOUNT) {
+            revert InsufficientAmount(xpAmount, MIN_XP_LOCK_AMOUNT);
+        }
+        if (decimals > MAX_GAME_TOKEN_DECIMALS) {
+            revert InvalidDecimals(decimals, uint8(MAX_GAME_TOKEN_DECIMALS));
+        }
+        
+        // Calculate initial supply based on XP amount and decimals
+        initialSupply = xpAmount * (10 ** decimals) / PRECISION_FACTOR;
+        _validateInitialSupply(initialSupply, decimals);
+        
+        // Validate string inputs with comprehensive checks
+        _validateString(name, "name", MAX_NAME_LENGTH);
+        _validateString(symbol, "symbol", MAX_SYMBOL_LENGTH);
+        
+        // Check for duplicate name
+        if (userGameNames[creator][name]) {
+            revert DuplicateGameName(creator, name);
+        }
+        
+        // An XP creation fee is burned along with the XP locked
+        uint256 xpBurned = _xpBurnedFor(creator, xpAmount);
+        
+        // Validate user has sufficient XP balance and allowance
+        _validateUserTokenAccess(creator, address(xpToken), xpBurned);
+        
+        // FIXED: Burn XP tokens instead of transferring to contract
+        // This ensures XP tokens are consumed when creating game tokens
+        IXPToken(address(xpToken)).burnFrom(creator, xpBurned);
+        
+        // Update XP reserves (tracking locked value for redemption)
+        xpReserves += xpAmount;
+        
+        gameId = nextGameId++;
+        _collectCreationFee(creator, gameId, xpAmount);
+    }
+    
+    /**
+     * @dev Record a new game and its token, and announce it
+     */
+    function _recordGameToken(
+        uint256 gameId,
+        address creator,
+        address tokenAddress,
+        uint256 xpAmount,
+        string calldata name,
+        string calldata symbol,
+        uint8 decimals,
+        uint256 initialSupply
+    ) private {
+        // Store game token info (gas-optimized)
+        gameTokens[gameId] = GameTokenInfo({
+            tokenAddress: tokenAddress,
+            creator: creator,
+            xpLocked: uint88(xpAmount), // Safe cast due to validation
+            decimals: decimals,
+            active: true
+        });
+        
+        // Store metadata separately
+        gameTokenMetadata[gameId] = GameTokenMetadata({
+            name: name,
+            symbol: symbol,
+            initialSupply: initialSupply,
+            creationTime: block.timestamp
+        });
+        
+        // Track user's game tokens and names
+        userGameTokens[creator].push(gameId);
+        userGameNames[creator][name] = true;
+        activeGameIds.add(gameId);
+        
+        emit GameTokenCreated(gameId, creator, tokenAddress, name, symbol, xpAmount, initialSupply);
+    }
+}
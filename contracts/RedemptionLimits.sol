@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// File-level so the game tokens importing this share one declaration with the library
+error InvalidAmount(uint256 provided, uint256 min, uint256 max);
+
+/**
+ * @title RedemptionLimits
+ * @dev Limits on how fast a game's tokens can be redeemed through the factory,
+ * shared by GameToken (one set per token) and GameToken1155 (one set per game id).
+ * All amounts are in token units; a zero field in the policy disables that limit.
+ */
+library RedemptionLimits {
+    uint256 internal constant WINDOW = 1 days;
+    uint256 internal constant MAX_COOLDOWN = 7 days;
+    uint256 internal constant MIN_LIMIT_BPS = 100; // Caps must allow at least 1% of supply
+    uint256 internal constant BPS_DENOMINATOR = 10_000;
+    
+    struct Policy {
+        uint128 maxPerTransaction;
+        uint128 maxPerAddressPerDay;
+        uint128 maxGlobalPerDay;
+        uint64 cooldown;             // Seconds between an address's redemptions
+    }
+    
+    // A daily window opens with the first redemption after the previous one closed
+    struct Window {
+        uint128 redeemed;
+        uint64 startedAt;
+    }
+    
+    // Policy and usage for one game token, or for one game id in the collection
+    struct Limits {
+        Policy policy;
+        Window global;
+        mapping(address => Window) byAccount;
+        mapping(address => uint256) lastRedemptionAt;
+    }
+    
+    error RedemptionExceedsTransactionLimit(uint256 amount, uint256 maxPerTransaction);
+    error RedemptionExceedsDailyLimit(address account, uint256 amount, uint256 remaining, uint256 resetsAt);
+    error RedemptionExceedsGlobalDailyLimit(uint256 amount, uint256 remaining, uint256 resetsAt);
+    error RedemptionCooldownActive(address account, uint256 availableAt);
+    
+    /**
+     * @dev Replace the policy. Non-zero caps must allow at least MIN_LIMIT_BPS of
+     * `supply` so holders cannot be locked in.
+     */
+    function setPolicy(Limits storage limits, Policy calldata policy, uint256 supply) internal {
+        uint256 minLimit = supply * MIN_LIMIT_BPS / BPS_DENOMINATOR;
+        _validateLimit(policy.maxPerTransaction, minLimit);
+        _validateLimit(policy.maxPerAddressPerDay, minLimit);
+        _validateLimit(policy.maxGlobalPerDay, minLimit);
+        if (policy.cooldown > MAX_COOLDOWN) {
+            revert InvalidAmount(policy.cooldown, 0, MAX_COOLDOWN);
+        }
+        limits.policy = policy;
+    }
+    
+    /**
+     * @dev Largest amount `account`, holding `balance`, can redeem right now
+     * @return amount Redeemable amount, capped by balance and every limit
+     * @return availableAt When amount is 0 because of a limit, when more becomes redeemable
+     */
+    function maxRedeemable(Limits storage limits, address account, uint256 balance) 
+        internal 
+        view 
+        returns (uint256 amount, uint256 availableAt) 
+    {
+        Policy memory policy = limits.policy;
+        uint256 last = limits.lastRedemptionAt[account];
+        if (policy.cooldown != 0 && last != 0 && block.timestamp < last + policy.cooldown) {
+            return (0, last + policy.cooldown);
+        }
+        
+        amount = balance;
+        if (policy.maxPerTransaction != 0 && amount > policy.maxPerTransaction) {
+            amount = policy.maxPerTransaction;
+        }
+        
+        uint256 remaining;
+        uint256 resetsAt;
+        if (policy.maxPerAddressPerDay != 0) {
+            (remaining, resetsAt) = _windowRemaining(limits.byAccount[account], policy.maxPerAddressPerDay);
+            if (remaining < amount) {
+                amount = remaining;
+                availableAt = resetsAt;
+            }
+        }
+        if (policy.maxGlobalPerDay != 0) {
+            (remaining, resetsAt) = _windowRemaining(limits.global, policy.maxGlobalPerDay);
+            if (remaining < amount) {
+                amount = remaining;
+                availableAt = resetsAt > availableAt ? resetsAt : availableAt;
+            }
+        }
+        if (amount != 0) availableAt = 0;
+    }
+    
+    /**
+     * @dev Check a redemption of `amount` by `from` against the policy and record it
+     */
+    function consume(Limits storage limits, address from, uint256 amount) internal {
+        Policy memory policy = limits.policy;
+        
+        if (policy.cooldown != 0) {
+            uint256 last = limits.lastRedemptionAt[from];
+            if (last != 0 && block.timestamp < last + policy.cooldown) {
+                revert RedemptionCooldownActive(from, last + policy.cooldown);
+            }
+            limits.lastRedemptionAt[from] = block.timestamp;
+        }
+        if (policy.maxPerTransaction != 0 && amount > policy.maxPerTransaction) {
+            revert RedemptionExceedsTransactionLimit(amount, policy.maxPerTransaction);
+        }
+        
+        uint256 remaining;
+        uint256 resetsAt;
+        if (policy.maxPerAddressPerDay != 0) {
+            Window storage window = limits.byAccount[from];
+            (remaining, resetsAt) = _windowRemaining(window, policy.maxPerAddressPerDay);
+            if (amount > remaining) {
+                revert RedemptionExceedsDailyLimit(from, amount, remaining, resetsAt);
+            }
+            _record(window, amount);
+        }
+        if (policy.maxGlobalPerDay != 0) {
+            (remaining, resetsAt) = _windowRemaining(limits.global, policy.maxGlobalPerDay);
+            if (amount > remaining) {
+                revert RedemptionExceedsGlobalDailyLimit(amount, remaining, resetsAt);
+            }
+            _record(limits.global, amount);
+        }
+    }
+    
+    /**
+     * @dev Amount left under `limit` in a window, and when the window closes (0 if none is open)
+     */
+    function _windowRemaining(Window storage window, uint256 limit) 
+        private 
+        view 
+        returns (uint256 remaining, uint256 resetsAt) 
+    {
+        resetsAt = uint256(window.startedAt) + WINDOW;
+        if (window.startedAt == 0 || block.timestamp >= resetsAt) return (limit, 0);
+        remaining = window.redeemed >= limit ? 0 : limit - window.redeemed;
+    }
+    
+    function _record(Window storage window, uint256 amount) private {
+        if (window.startedAt == 0 || block.timestamp >= uint256(window.startedAt) + WINDOW) {
+            window.startedAt = uint64(block.timestamp);
+            window.redeemed = uint128(amount);
+        } else {
+            window.redeemed += uint128(amount);
+        }
+    }
+    
+    function _validateLimit(uint256 limit, uint256 minLimit) private pure {
+        if (limit != 0 && limit < minLimit) {
+            revert InvalidAmount(limit, minLimit, type(uint128).max);
+        }
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -11,21 +12,49 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * @dev XP Token with controlled minting/burning for the game ecosystem
  * Only the authorized factory contract can mint new XP tokens when CRIDA is locked
  * XP tokens represent experience points that can be locked to create game tokens
+ * Supports EIP-2612 permit for gasless approvals to the factory
  */
-contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
+contract XPToken is ERC20, ERC20Permit, AccessControl, Pausable, ReentrancyGuard {
     
     // ============ Constants ============
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    uint256 public constant MINT_DAY = 1 days;
+    uint256 public constant MAX_CIRCUIT_BREAKER_WINDOW = 7 days;
+    
+    // ============ Structs ============
+    /**
+     * @dev A minter's daily allowance. A limit of 0 means the minter is not rate limited.
+     * Days are UTC days (block.timestamp / MINT_DAY).
+     */
+    struct MintAllowance {
+        uint256 dailyLimit;
+        uint256 mintedToday;
+        uint256 day;
+    }
     
     // ============ State Variables ============
     uint256 public totalMinted;
     uint256 public totalBurnedAmount;
     
+    // Mints that would take totalSupply above maxSupply revert
+    uint256 public maxSupply;
+    mapping(address => MintAllowance) public mintAllowances;
+    
+    // Circuit breaker: mints that would take the XP minted within one window above
+    // circuitBreakerThreshold revert. A threshold of 0 disables it.
+    uint256 public circuitBreakerWindow;
+    uint256 public circuitBreakerThreshold;
+    uint256 public windowStart;
+    uint256 public windowMinted;
+    
     // ============ Events ============
     event TokensMinted(address indexed to, uint256 amount, address indexed minter);
     event TokensBurned(address indexed from, uint256 amount, address indexed burner);
+    event DailyMintLimitUpdated(address indexed minter, uint256 dailyLimit, address indexed by);
+    event MaxSupplyUpdated(uint256 oldMaxSupply, uint256 newMaxSupply, address indexed by);
+    event CircuitBreakerUpdated(uint256 window, uint256 threshold, address indexed by);
     
     // ============ Comprehensive Error Definitions ============
     // Input Validation Errors
@@ -73,7 +102,7 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         string memory symbol,
         address admin,
         address factory
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         // Comprehensive input validation
         if (bytes(name).length == 0) {
             revert InvalidAddress(address(0), "Token name cannot be empty");
@@ -95,11 +124,15 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         // Grant minter role to factory contract with validation
         _grantRole(MINTER_ROLE, factory);
         _grantRole(BURNER_ROLE, factory);
+        
+        maxSupply = type(uint256).max / 2;
     }
     
     // ============ Enhanced Minting Functions ============
     /**
-     * @dev Mint XP tokens to user when CRIDA is locked
+     * @dev Mint XP tokens to user when CRIDA is locked. Counts against the
+     * caller's daily allowance, maxSupply and the circuit breaker window, and
+     * reverts, minting nothing, if it would exceed any of them.
      * @param to Address to mint tokens to
      * @param amount Amount of tokens to mint
      */
@@ -122,13 +155,14 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
             revert InvalidAddress(to, "Cannot mint to contract itself");
         }
         
-        // Check for potential overflow in total supply
         uint256 newTotalSupply = totalSupply() + amount;
-        uint256 maxSupply = type(uint256).max / 2; // Reasonable max supply limit
         if (newTotalSupply > maxSupply) {
             revert TotalSupplyLimitExceeded(newTotalSupply, maxSupply);
         }
         
+        _useDailyAllowance(msg.sender, amount);
+        _recordWindowVolume(amount);
+        
         // Update statistics before minting (for atomicity)
         totalMinted += amount;
         
@@ -145,6 +179,44 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         }
     }
     
+    /**
+     * @dev Count a mint against the minter's allowance for the current day
+     */
+    function _useDailyAllowance(address minter, uint256 amount) internal {
+        MintAllowance storage allowance = mintAllowances[minter];
+        if (allowance.dailyLimit == 0) return;
+        
+        uint256 today = block.timestamp / MINT_DAY;
+        if (allowance.day != today) {
+            allowance.day = today;
+            allowance.mintedToday = 0;
+        }
+        if (allowance.mintedToday + amount > allowance.dailyLimit) {
+            revert DailyMintLimitExceeded(minter, allowance.dailyLimit, allowance.mintedToday);
+        }
+        allowance.mintedToday += amount;
+    }
+    
+    /**
+     * @dev Add a mint to the circuit breaker window, starting a new window when
+     * the current one has ended; reverts with the room left if the window would
+     * go above the threshold
+     */
+    function _recordWindowVolume(uint256 amount) internal {
+        uint256 threshold = circuitBreakerThreshold;
+        if (threshold == 0) return;
+        
+        if (block.timestamp >= windowStart + circuitBreakerWindow) {
+            windowStart = block.timestamp;
+            windowMinted = 0;
+        }
+        uint256 minted = windowMinted;
+        if (minted + amount > threshold) {
+            revert ExcessiveMintRequest(amount, threshold - minted);
+        }
+        windowMinted = minted + amount;
+    }
+    
     /**
      * @dev Internal mint function for error handling separation
      */
@@ -207,6 +279,48 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         _unpause();
     }
     
+    /**
+     * @dev Set how much XP a minter may mint per UTC day; 0 removes the limit.
+     * Lowering the limit below what was minted today blocks the minter until
+     * the next day.
+     * @param minter Minter to limit
+     * @param dailyLimit XP per day
+     */
+    function setDailyMintLimit(address minter, uint256 dailyLimit) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (minter == address(0)) revert ZeroAddress();
+        mintAllowances[minter].dailyLimit = dailyLimit;
+        emit DailyMintLimitUpdated(minter, dailyLimit, msg.sender);
+    }
+    
+    /**
+     * @dev Set the cap on total supply. It cannot be set below the current supply.
+     * @param newMaxSupply New cap
+     */
+    function setMaxSupply(uint256 newMaxSupply) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMaxSupply < totalSupply()) {
+            revert TotalSupplyLimitExceeded(totalSupply(), newMaxSupply);
+        }
+        emit MaxSupplyUpdated(maxSupply, newMaxSupply, msg.sender);
+        maxSupply = newMaxSupply;
+    }
+    
+    /**
+     * @dev Configure the circuit breaker; a threshold of 0 disables it. The
+     * current window restarts with the new settings.
+     * @param window Length of a window in seconds
+     * @param threshold Most XP that may be minted within one window
+     */
+    function setCircuitBreaker(uint256 window, uint256 threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (threshold != 0 && (window == 0 || window > MAX_CIRCUIT_BREAKER_WINDOW)) {
+            revert InvalidContractState("Circuit breaker window out of range");
+        }
+        circuitBreakerWindow = window;
+        circuitBreakerThreshold = threshold;
+        windowStart = block.timestamp;
+        windowMinted = 0;
+        emit CircuitBreakerUpdated(window, threshold, msg.sender);
+    }
+    
     // ============ View Functions ============
     /**
      * @dev Get total XP tokens in circulation
@@ -226,6 +340,52 @@ contract XPToken is ERC20, AccessControl, Pausable, ReentrancyGuard {
         return (totalMinted, totalBurnedAmount, totalSupply());
     }
     
+    /**
+     * @dev Get how much more may be minted under the supply cap and the circuit
+     * breaker. windowHeadroom is type(uint256).max while the circuit breaker is disabled.
+     * @return supplyHeadroom XP that may be minted before maxSupply
+     * @return currentWindowMinted XP minted in the current circuit breaker window
+     * @return windowHeadroom XP that may still be minted in the current window
+     */
+    function getMintHeadroom() external view returns (
+        uint256 supplyHeadroom,
+        uint256 currentWindowMinted,
+        uint256 windowHeadroom
+    ) {
+        supplyHeadroom = maxSupply - totalSupply();
+        windowHeadroom = type(uint256).max;
+        if (circuitBreakerThreshold != 0) {
+            if (block.timestamp < windowStart + circuitBreakerWindow) {
+                currentWindowMinted = windowMinted;
+            }
+            windowHeadroom = circuitBreakerThreshold - currentWindowMinted;
+        }
+    }
+    
+    /**
+     * @dev Get how much more a minter may mint today
+     * @param minter Minter address
+     * @return dailyLimit Daily limit (0 = unlimited)
+     * @return mintedToday XP minted by the minter today
+     * @return remaining XP the minter may still mint today (type(uint256).max when unlimited)
+     */
+    function getMintAllowance(address minter) external view returns (
+        uint256 dailyLimit,
+        uint256 mintedToday,
+        uint256 remaining
+    ) {
+        MintAllowance memory allowance = mintAllowances[minter];
+        dailyLimit = allowance.dailyLimit;
+        if (allowance.day == block.timestamp / MINT_DAY) {
+            mintedToday = allowance.mintedToday;
+        }
+        if (dailyLimit == 0) {
+            remaining = type(uint256).max;
+        } else if (mintedToday < dailyLimit) {
+            remaining = dailyLimit - mintedToday;
+        }
+    }
+    
     // ============ Override Functions ============
     /**
      * @dev Override transfer to add pause functionality
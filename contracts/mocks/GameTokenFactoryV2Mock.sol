@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../GameTokenFactory.sol";
+
+/**
+ * @title GameTokenFactoryV2Mock
+ * @dev Next version of GameTokenFactory for upgrade tests: appends state and
+ * sets it in a reinitializer
+ */
+contract GameTokenFactoryV2Mock is GameTokenFactory {
+    uint256 public upgradeMarker;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(GameTokenFactoryLocking locking) GameTokenFactory(locking) {}
+    
+    function initializeV2(uint256 marker) external reinitializer(2) onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeMarker = marker;
+    }
+    
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
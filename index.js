@@ -0,0 +1,38 @@
+/**
+ * Game Ecosystem SDK entry point
+ */
+const { GameEcosystemClient, GAME_STATUS, FEE_ASSETS, DEFAULT_SLIPPAGE_BPS, DEFAULT_TRADE_TTL } = require("./sdk/GameEcosystemClient");
+const errors = require("./sdk/errors");
+const positions = require("./sdk/positions");
+const abis = require("./sdk/abis");
+const registry = require("./sdk/registry");
+const verify = require("./sdk/verify");
+const indexer = require("./sdk/indexer");
+const permit = require("./sdk/permit");
+const forwarder = require("./sdk/forwarder");
+const relayer = require("./sdk/relayer");
+const batch = require("./sdk/batch");
+const gameTokens = require("./sdk/gameTokens");
+const emergency = require("./sdk/emergency");
+const curves = require("./sdk/curves");
+
+module.exports = {
+  GameEcosystemClient,
+  GAME_STATUS,
+  FEE_ASSETS,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_TRADE_TTL,
+  ...errors,
+  ...positions,
+  ...abis,
+  ...registry,
+  ...verify,
+  ...indexer,
+  ...permit,
+  ...forwarder,
+  ...relayer,
+  ...batch,
+  ...gameTokens,
+  ...emergency,
+  ...curves,
+};
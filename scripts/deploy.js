@@ -1,193 +1,307 @@
-const { ethers } = require("hardhat");
+const {
+  registryPath,
+  createRegistry,
+  readRegistry,
+  writeRegistry,
+  abiHash,
+} = require("../sdk/registry");
+const { readStorageLayout } = require("./upgradeValidation");
 
-async function main() {
+const XP_TOKEN_NAME = "Experience Points";
+const XP_TOKEN_SYMBOL = "XP";
+const IERC20_ARTIFACT = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+/**
+ * Idempotent, resumable deployment of CREDA, XP, the GameTokenFactory behind its
+ * upgradeable proxy, its ERC-2771 GameForwarder and its ERC-1155 game token collection.
+ *
+ * Every step is recorded in deployments/<network>.json as soon as its transaction
+ * is sent, so a rerun after a failure picks up where the last run stopped:
+ * - contracts whose code is on chain and whose constructor args are unchanged are reused
+ * - transactions sent but not yet recorded as mined are looked up by hash instead of resent
+ * - role grants and revocations are only sent when the on-chain role state differs
+ * - the factory's trusted forwarder and ERC-1155 collection are only set when they differ
+ * - a factory proxy upgraded by scripts/upgrade.js is kept, along with its upgrade history
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options]
+ * @param {string} [options.registryFile] Registry file (defaults to deployments/<network>.json)
+ * @param {string} [options.credaTokenAddress] Use an existing CREDA token instead of deploying CRIDAToken
+ * @param {string} [options.gameToken1155Uri] ERC-1155 metadata URI for the game token collection
+ * @param {(message: string) => void} [options.log]
+ */
+async function deployEcosystem(hre, {
+  registryFile,
+  credaTokenAddress = process.env.CREDA_TOKEN_ADDRESS,
+  gameToken1155Uri = process.env.GAME_TOKEN_1155_URI || "",
+  log = console.log,
+} = {}) {
+  const { ethers, network } = hre;
   const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const file = registryFile || registryPath(network.name);
+
+  let registry = readRegistry(file);
+  if (registry && registry.chainId !== Number(chainId)) {
+    throw new Error(`Registry ${file} is for chain ${registry.chainId}, connected to chain ${chainId}`);
+  }
+  registry = registry || createRegistry(network.name, chainId);
+  const save = () => writeRegistry(file, registry);
 
-  console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
-
-  // Deploy mock tokens for testing (in production, use real CREDA and XP tokens)
-  console.log("\n=== Deploying Mock Tokens ===");
-  
-  const MockERC20 = await ethers.getContractFactory("MockERC20");
-  
-  const credaToken = await MockERC20.deploy(
-    "CREDA Token",
-    "CREDA", 
-    18,
-    ethers.parseEther("1000000") // 1M tokens
-  );
-  await credaToken.waitForDeployment();
-  console.log("CREDA Token deployed to:", await credaToken.getAddress());
-
-  const xpToken = await MockERC20.deploy(
-    "XP Token",
-    "XP",
-    18,
-    ethers.parseEther("1000000") // 1M tokens
-  );
-  await xpToken.waitForDeployment();
-  console.log("XP Token deployed to:", await xpToken.getAddress());
-
-  // Deploy GameTokenFactory (Enhanced Security Version)
-  console.log("\n=== Deploying Enhanced GameTokenFactory ===");
-  
-  const GameTokenFactory = await ethers.getContractFactory("GameTokenFactory");
-  const gameTokenFactory = await GameTokenFactory.deploy(
-    await credaToken.getAddress(),
-    await xpToken.getAddress()
-  );
-  await gameTokenFactory.waitForDeployment();
-  console.log("GameTokenFactory deployed to:", await gameTokenFactory.getAddress());
-
-  // Setup initial configuration
-  console.log("\n=== Initial Setup ===");
-  
-  // Transfer some XP tokens to the GameTokenFactory contract for locking operations
-  const xpForContract = ethers.parseEther("500000"); // 500K XP tokens
-  await xpToken.transfer(await gameTokenFactory.getAddress(), xpForContract);
-  console.log("Transferred", ethers.formatEther(xpForContract), "XP tokens to GameTokenFactory");
-
-  // Setup roles (optional - for demonstration)
-  console.log("\n=== Setting Up Roles (Optional) ===");
-  const RATE_MANAGER_ROLE = await gameTokenFactory.RATE_MANAGER_ROLE();
-  const PAUSER_ROLE = await gameTokenFactory.PAUSER_ROLE();
-  const EMERGENCY_ROLE = await gameTokenFactory.EMERGENCY_ROLE();
-  
-  console.log("RATE_MANAGER_ROLE:", RATE_MANAGER_ROLE);
-  console.log("PAUSER_ROLE:", PAUSER_ROLE);
-  console.log("EMERGENCY_ROLE:", EMERGENCY_ROLE);
-
-  // Verify the setup
-  console.log("\n=== Verification ===");
-  console.log("CREDA to XP rate:", ethers.formatEther(await gameTokenFactory.credaToXpRate()));
-  console.log("Next game ID:", await gameTokenFactory.nextGameId());
-  console.log("XP reserves:", ethers.formatEther(await gameTokenFactory.xpReserves()));
-  console.log("Min XP lock amount:", ethers.formatEther(await gameTokenFactory.MIN_XP_LOCK_AMOUNT()));
-  console.log("Max game token decimals:", await gameTokenFactory.MAX_GAME_TOKEN_DECIMALS());
-
-  // Demonstrate the flow with enhanced security
-  console.log("\n=== Demonstrating Enhanced Security Flow ===");
-  
-  try {
-    // 1. Lock CREDA to get XP
-    const credaLockAmount = ethers.parseEther("1000");
-    console.log("1. Approving and locking", ethers.formatEther(credaLockAmount), "CREDA tokens...");
-    
-    await credaToken.approve(await gameTokenFactory.getAddress(), credaLockAmount);
-    await gameTokenFactory.lockCreda(credaLockAmount);
-    
-    const xpBalance = await xpToken.balanceOf(deployer.address);
-    console.log("   XP received:", ethers.formatEther(xpBalance));
-
-    // 2. Create game token (separate ERC-20 deployment)
-    const xpLockAmount = ethers.parseEther("2000");
-    console.log("2. Creating game token with", ethers.formatEther(xpLockAmount), "XP...");
-    
-    await xpToken.approve(await gameTokenFactory.getAddress(), xpLockAmount);
-    const tx = await gameTokenFactory.createGameToken(
-      xpLockAmount,
-      "Demo Racing Game",
-      "RACE",
-      18
-    );
+  async function hasCode(address) {
+    return (await ethers.provider.getCode(address)) !== "0x";
+  }
+
+  // Resolve the address of a deployment whose transaction was sent but not recorded as mined
+  async function resolvePending(entry) {
+    let receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+    if (!receipt) {
+      const tx = await ethers.provider.getTransaction(entry.txHash);
+      if (!tx) return null; // dropped; deploy again
+      log(`   waiting for pending transaction ${entry.txHash}`);
+      receipt = await tx.wait();
+    }
+    if (!receipt || receipt.status !== 1) return null;
+
+    entry.address = receipt.contractAddress;
+    entry.blockNumber = receipt.blockNumber;
+    save();
+    return entry.address;
+  }
+
+  async function deployStep(name, contractName, args) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const hash = abiHash(artifact.abi);
+    const existing = registry.contracts[name];
+
+    if (existing && JSON.stringify(existing.constructorArgs) === JSON.stringify(args)) {
+      const address = existing.address || (existing.txHash && (await resolvePending(existing)));
+      if (address && (await hasCode(address))) {
+        if (existing.abiHash !== hash) {
+          log(`   warning: ${contractName} ABI changed since ${name} was deployed`);
+        }
+        log(`${name}: reusing ${contractName} at ${address}`);
+        return ethers.getContractAt(contractName, address);
+      }
+    }
+
+    log(`${name}: deploying ${contractName}...`);
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    const tx = contract.deploymentTransaction();
+
+    const entry = {
+      contract: contractName,
+      address: null,
+      txHash: tx.hash,
+      blockNumber: null,
+      constructorArgs: args,
+      abiHash: hash,
+      deployer: deployer.address,
+    };
+    registry.contracts[name] = entry;
+    save();
+
+    await contract.waitForDeployment();
     const receipt = await tx.wait();
-    
-    // Find the GameTokenCreated event
-    const event = receipt.logs.find(log => {
-      try {
-        return gameTokenFactory.interface.parseLog(log).name === "GameTokenCreated";
-      } catch {
-        return false;
+    entry.address = await contract.getAddress();
+    entry.blockNumber = receipt.blockNumber;
+    save();
+
+    log(`   ${name} deployed to ${entry.address} (tx ${tx.hash})`);
+    return contract;
+  }
+
+  async function roleStep(contractKey, contract, roleName, accountKey, account, granted) {
+    const key = `${contractKey}.${roleName}.${accountKey}`;
+    const role = await contract[roleName]();
+
+    // A previous run granted this role to an account that has since been redeployed
+    const previous = registry.roles[key];
+    if (granted && previous && previous.granted && previous.account !== account) {
+      if (await contract.hasRole(role, previous.account)) {
+        log(`${key}: revoking from previous ${accountKey} ${previous.account}`);
+        await (await contract.revokeRole(role, previous.account)).wait();
       }
-    });
-    
-    if (event) {
-      const parsedEvent = gameTokenFactory.interface.parseLog(event);
-      const gameId = parsedEvent.args[0];
-      const tokenAddress = parsedEvent.args[2];
-      
-      console.log("   Game ID:", gameId.toString());
-      console.log("   Game Token Address:", tokenAddress);
-      console.log("   Gas used:", receipt.gasUsed.toString());
-      
-      // 3. Verify the deployed game token
-      const GameToken = await ethers.getContractFactory("GameToken");
-      const gameToken = GameToken.attach(tokenAddress);
-      
-      const tokenName = await gameToken.name();
-      const tokenSymbol = await gameToken.symbol();
-      const tokenBalance = await gameToken.balanceOf(deployer.address);
-      
-      console.log("3. Deployed Game Token Details:");
-      console.log("   Name:", tokenName);
-      console.log("   Symbol:", tokenSymbol);
-      console.log("   Balance:", ethers.formatEther(tokenBalance));
-      
-      // 4. Demonstrate burning
-      const burnAmount = ethers.parseEther("1000");
-      console.log("4. Burning", ethers.formatEther(burnAmount), "game tokens...");
-      
-      await gameTokenFactory.burnGameToken(gameId, burnAmount);
-      
-      const finalXpBalance = await xpToken.balanceOf(deployer.address);
-      const finalGameTokenBalance = await gameToken.balanceOf(deployer.address);
-      
-      console.log("   XP balance after burn:", ethers.formatEther(finalXpBalance));
-      console.log("   Game token balance after burn:", ethers.formatEther(finalGameTokenBalance));
     }
-    
-  } catch (error) {
-    console.log("Demo flow error (expected in some environments):", error.message);
+
+    const record = { contract: contractKey, role, roleName, account, granted, txHash: null };
+    if (previous && previous.account === account && previous.granted === granted) {
+      record.txHash = previous.txHash;
+    }
+
+    if ((await contract.hasRole(role, account)) === granted) {
+      log(`${key}: already ${granted ? "granted" : "revoked"}`);
+    } else {
+      const tx = granted ? await contract.grantRole(role, account) : await contract.revokeRole(role, account);
+      record.txHash = tx.hash;
+      registry.roles[key] = { ...record, pending: true };
+      save();
+      await tx.wait();
+      log(`${key}: ${granted ? "granted" : "revoked"} (tx ${tx.hash})`);
+    }
+
+    registry.roles[key] = record;
+    save();
   }
 
-  console.log("\n=== Deployment Summary ===");
-  console.log({
-    "CREDA Token": await credaToken.getAddress(),
-    "XP Token": await xpToken.getAddress(),
-    "GameTokenFactory": await gameTokenFactory.getAddress(),
-    "Deployer": deployer.address
-  });
-
-  // Save deployment addresses to a file
-  const fs = require('fs');
-  const deploymentData = {
-    network: await ethers.provider.getNetwork(),
-    timestamp: new Date().toISOString(),
-    contracts: {
-      credaToken: await credaToken.getAddress(),
-      xpToken: await xpToken.getAddress(),
-      gameTokenFactory: await gameTokenFactory.getAddress()
-    },
-    deployer: deployer.address,
-    features: {
-      maintainsOriginalFlow: true,
-      enhancedSecurity: true,
-      gasOptimized: true,
-      separateERC20Deployment: true
+  log(`Deploying to ${network.name} (chain ${chainId}) from ${deployer.address}`);
+  log(`Registry: ${file}\n`);
+
+  // 1. CREDA: reuse an existing token when configured, otherwise deploy CRIDAToken
+  let credaToken;
+  if (credaTokenAddress) {
+    if (!(await hasCode(credaTokenAddress))) {
+      throw new Error(`CREDA_TOKEN_ADDRESS ${credaTokenAddress} has no code on ${network.name}`);
     }
+    registry.contracts.credaToken = {
+      contract: IERC20_ARTIFACT,
+      address: ethers.getAddress(credaTokenAddress),
+      external: true,
+    };
+    save();
+    credaToken = await ethers.getContractAt(IERC20_ARTIFACT, credaTokenAddress);
+    log(`credaToken: using existing token at ${credaTokenAddress}`);
+  } else {
+    credaToken = await deployStep("credaToken", "CRIDAToken", [deployer.address]);
+  }
+  const credaAddress = await credaToken.getAddress();
+
+  // 2. XP: the deployer holds MINTER/BURNER until the factory exists, then hands them over
+  const xpToken = await deployStep("xpToken", "XPToken", [
+    XP_TOKEN_NAME,
+    XP_TOKEN_SYMBOL,
+    deployer.address,
+    deployer.address,
+  ]);
+  const xpAddress = await xpToken.getAddress();
+
+  // 3. Factory: an implementation (which deploys its GameTokenFactoryExtension, forwarding to
+  //    the GameTokenFactoryLocking module, which deploys and forwards to GameTokenFactoryCurves)
+  //    behind a GameTokenFactoryProxy, initialized with the GameToken implementation every
+  //    game token is cloned from; initialize deploys the proxy's GameTokenDeployer
+  const gameTokenImplementation = await deployStep("gameTokenImplementation", "GameToken", []);
+  const implementationAddress = await gameTokenImplementation.getAddress();
+  const factoryLocking = await deployStep("gameTokenFactoryLocking", "GameTokenFactoryLocking", []);
+  const factoryImplementation = await deployStep("gameTokenFactoryImplementation", "GameTokenFactory", [
+    await factoryLocking.getAddress(),
+  ]);
+  const factoryImplementationAddress = await factoryImplementation.getAddress();
+  const { interface: extensionInterface } = await ethers.getContractFactory("GameTokenFactoryExtension");
+  const factoryProxy = await deployStep("gameTokenFactory", "GameTokenFactoryProxy", [
+    factoryImplementationAddress,
+    extensionInterface.encodeFunctionData("initialize", [credaAddress, xpAddress, implementationAddress]),
+  ]);
+  const factoryAddress = await factoryProxy.getAddress();
+  const gameTokenFactory = await ethers.getContractAt("GameTokenFactory", factoryAddress);
+  // Admin functions are served by the factory's extension at the factory address
+  const factoryAdmin = await ethers.getContractAt("GameTokenFactoryExtension", factoryAddress);
+  const factoryEntry = registry.contracts.gameTokenFactory;
+  // scripts/upgrade.js records later implementations, locking modules and layouts on the proxy's entry
+  if (!factoryEntry.implementation) {
+    factoryEntry.implementation = factoryImplementationAddress;
+    factoryEntry.storageLayout = await readStorageLayout(hre, "GameTokenFactory");
+  }
+  const deployerArtifact = await hre.artifacts.readArtifact("GameTokenDeployer");
+  registry.contracts.gameTokenDeployer = {
+    contract: "GameTokenDeployer",
+    address: await gameTokenFactory.gameTokenDeployer(),
+    txHash: factoryEntry.txHash,
+    blockNumber: factoryEntry.blockNumber,
+    constructorArgs: [implementationAddress],
+    abiHash: abiHash(deployerArtifact.abi),
+    deployedBy: "gameTokenFactory",
+  };
+  const upgrades = factoryEntry.upgrades || [];
+  const currentImplementation = upgrades.length > 0
+    ? upgrades[upgrades.length - 1]
+    : registry.contracts.gameTokenFactoryImplementation;
+  const extensionArtifact = await hre.artifacts.readArtifact("GameTokenFactoryExtension");
+  registry.contracts.gameTokenFactoryExtension = {
+    contract: "GameTokenFactoryExtension",
+    address: await gameTokenFactory.extension(),
+    txHash: currentImplementation.txHash,
+    blockNumber: currentImplementation.blockNumber,
+    constructorArgs: [await factoryAdmin.locking()],
+    abiHash: abiHash(extensionArtifact.abi),
+    deployedBy: "gameTokenFactoryImplementation",
+  };
+  // The locking module deploys GameTokenFactoryCurves; upgrades only replace it along with the module
+  const lockingDeployment = upgrades.map((upgrade) => upgrade.locking).filter((locking) => !locking.reused).pop()
+    || registry.contracts.gameTokenFactoryLocking;
+  const curvesArtifact = await hre.artifacts.readArtifact("GameTokenFactoryCurves");
+  registry.contracts.gameTokenFactoryCurves = {
+    contract: "GameTokenFactoryCurves",
+    address: await (await ethers.getContractAt("GameTokenFactoryLocking", factoryAddress)).curves(),
+    txHash: lockingDeployment.txHash,
+    blockNumber: lockingDeployment.blockNumber,
+    constructorArgs: [],
+    abiHash: abiHash(curvesArtifact.abi),
+    deployedBy: "gameTokenFactoryLocking",
+  };
+  save();
+
+  // 4. XP roles: factory mints on lock and burns on game creation; the deployer keeps neither
+  await roleStep("xpToken", xpToken, "MINTER_ROLE", "gameTokenFactory", factoryAddress, true);
+  await roleStep("xpToken", xpToken, "BURNER_ROLE", "gameTokenFactory", factoryAddress, true);
+  await roleStep("xpToken", xpToken, "MINTER_ROLE", "deployer", deployer.address, false);
+  await roleStep("xpToken", xpToken, "BURNER_ROLE", "deployer", deployer.address, false);
+
+  // 5. Meta-transactions: the factory, and game tokens created from now on, trust the forwarder
+  const forwarder = await deployStep("forwarder", "GameForwarder", []);
+  const forwarderAddress = await forwarder.getAddress();
+  if ((await gameTokenFactory.trustedForwarder()) === forwarderAddress) {
+    log("gameTokenFactory.trustedForwarder: already set");
+  } else {
+    const tx = await factoryAdmin.setTrustedForwarder(forwarderAddress);
+    await tx.wait();
+    log(`gameTokenFactory.trustedForwarder: set to ${forwarderAddress} (tx ${tx.hash})`);
+  }
+
+  // 6. ERC-1155 mode: the collection holding every game created with createGameToken1155,
+  // trusting the same forwarder as the factory
+  const gameToken1155 = await deployStep("gameToken1155", "GameToken1155", [
+    factoryAddress,
+    gameToken1155Uri,
+    forwarderAddress,
+  ]);
+  const collectionAddress = await gameToken1155.getAddress();
+  const registeredCollection = await factoryAdmin.gameToken1155();
+  if (registeredCollection === collectionAddress) {
+    log("gameTokenFactory.gameToken1155: already set");
+  } else if (registeredCollection !== ethers.ZeroAddress) {
+    throw new Error(`gameTokenFactory already uses the ERC-1155 collection at ${registeredCollection}`);
+  } else {
+    const tx = await factoryAdmin.setGameToken1155(collectionAddress);
+    await tx.wait();
+    log(`gameTokenFactory.gameToken1155: set to ${collectionAddress} (tx ${tx.hash})`);
+  }
+
+  return {
+    registry,
+    registryFile: file,
+    contracts: { credaToken, xpToken, gameTokenFactory, forwarder, gameToken1155 },
   };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { registry, registryFile } = await deployEcosystem(hre);
+
+  console.log("\n=== Deployment Summary ===");
+  for (const [name, entry] of Object.entries(registry.contracts)) {
+    console.log(`${name.padEnd(18)} ${entry.address}`);
+  }
+  console.log(`\nRegistry saved to ${registryFile}`);
+}
 
-  fs.writeFileSync(
-    `deployment-${deploymentData.network.chainId}.json`,
-    JSON.stringify(deploymentData, null, 2)
-  );
-  console.log(`\nDeployment data saved to deployment-${deploymentData.network.chainId}.json`);
-  
-  console.log("\n🎯 Enhanced Security Features Deployed:");
-  console.log("✅ Reentrancy protection on all external functions");
-  console.log("✅ Role-based access control with granular permissions");
-  console.log("✅ Emergency pause functionality");
-  console.log("✅ Comprehensive input validation");
-  console.log("✅ Gas-optimized packed structs");
-  console.log("✅ Separate ERC-20 game token deployments (original flow maintained)");
-  console.log("✅ Duplicate name prevention per user");
-  console.log("✅ Emergency token recovery");
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  }); 
\ No newline at end of file
+module.exports = { deployEcosystem };
@@ -0,0 +1,89 @@
+/**
+ * Writes the ABI of the whole GameTokenFactory to sdk/abi/GameTokenFactory.json.
+ *
+ * The factory answers for GameTokenFactoryExtension, GameTokenFactoryLocking
+ * and GameTokenFactoryCurves through its fallback, so each artifact holds only
+ * part of what the factory address serves. This merges the four into the one
+ * ABI the SDK ships and tests attach with. Rerun after changing any of them:
+ *
+ *   npm run abi:factory
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const FACTORY_ABI_PATH = path.join(__dirname, "..", "sdk", "abi", "GameTokenFactory.json");
+
+// In delegatecall order: the factory first, then each module its predecessor forwards to
+const FACTORY_ABI_SOURCES = [
+  "GameTokenFactory",
+  "GameTokenFactoryExtension",
+  "GameTokenFactoryLocking",
+  "GameTokenFactoryCurves",
+];
+
+/**
+ * Merge the factory's ABI with its modules'. The factory's own entries come
+ * first; a module adds only the functions, events and errors not seen before,
+ * and never its constructor or fallback.
+ * @param {object[][]} abis ABIs in FACTORY_ABI_SOURCES order
+ * @returns {object[]}
+ */
+function combineFactoryAbis([factoryAbi, ...moduleAbis]) {
+  const seen = new Set(factoryAbi.filter((f) => f.type !== "constructor").map(fragmentKey));
+  const combined = [...factoryAbi];
+  for (const abi of moduleAbis) {
+    for (const fragment of abi) {
+      if (!["function", "event", "error"].includes(fragment.type)) continue;
+      const key = fragmentKey(fragment);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      combined.push(fragment);
+    }
+  }
+  return combined;
+}
+
+function fragmentKey(fragment) {
+  if (fragment.type === "fallback" || fragment.type === "receive") return fragment.type;
+  return `${fragment.type} ${ethers.Fragment.from(fragment).format("sighash")}`;
+}
+
+/**
+ * Combined factory ABI from the compiled artifacts
+ * @param {import("hardhat/types").Artifacts} artifacts Hardhat artifacts
+ * @returns {Promise<object[]>}
+ */
+async function readFactoryAbi(artifacts) {
+  const compiled = await Promise.all(FACTORY_ABI_SOURCES.map((name) => artifacts.readArtifact(name)));
+  return combineFactoryAbis(compiled.map((artifact) => artifact.abi));
+}
+
+function formatAbi(abi) {
+  return `${JSON.stringify(abi, null, 2)}\n`;
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const abi = await readFactoryAbi(hre.artifacts);
+  fs.mkdirSync(path.dirname(FACTORY_ABI_PATH), { recursive: true });
+  fs.writeFileSync(FACTORY_ABI_PATH, formatAbi(abi));
+  console.log(`Wrote ${abi.length} entries to ${path.relative(process.cwd(), FACTORY_ABI_PATH)}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FACTORY_ABI_PATH,
+  FACTORY_ABI_SOURCES,
+  combineFactoryAbis,
+  readFactoryAbi,
+  formatAbi,
+};
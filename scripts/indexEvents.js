@@ -0,0 +1,63 @@
+const path = require("path");
+const { loadRegistry } = require("../sdk/registry");
+const { EventIndexer, JsonFileStore } = require("../sdk/indexer");
+
+/**
+ * Index factory and game token events for the deployment recorded in the
+ * network's registry, then print the top games by XP locked.
+ *
+ * INDEXER_DB:    JSON database path (defaults to .indexer/<network>.json)
+ * INDEXER_WATCH: poll interval in ms; keeps indexing new blocks until interrupted
+ *
+ *   npx hardhat node
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *   npx hardhat run scripts/indexEvents.js --network localhost
+ */
+async function main() {
+  const hre = require("hardhat");
+  const registry = loadRegistry(hre.network.name);
+  const factory = registry.contracts.gameTokenFactory;
+
+  const file = process.env.INDEXER_DB || path.join(__dirname, "..", ".indexer", `${hre.network.name}.json`);
+  const indexer = new EventIndexer({
+    provider: hre.ethers.provider,
+    factoryAddress: factory.address,
+    store: new JsonFileStore(file),
+    startBlock: factory.blockNumber || 0,
+  });
+
+  const logSync = ({ fromBlock, toBlock, events, reorg }) => {
+    if (reorg) console.log(`Reorg detected: removed ${reorg.removed} events from block ${reorg.fromBlock}`);
+    if (toBlock >= fromBlock) console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+  };
+
+  if (process.env.INDEXER_WATCH) {
+    console.log(`Watching ${factory.address}; database ${file}`);
+    const stop = indexer.watch({
+      interval: Number(process.env.INDEXER_WATCH),
+      onSync: logSync,
+      onError: (error) => console.error("Sync failed:", error.message),
+    });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    stop();
+    return;
+  }
+
+  logSync(await indexer.sync());
+
+  console.log("\n=== Top Games by XP Locked ===");
+  for (const game of indexer.getTopGamesByXpLocked(10)) {
+    console.log(
+      `#${game.gameId} ${game.name} (${game.symbol}) by ${game.creator}: ` +
+      `${hre.ethers.formatEther(game.xpLocked)} XP locked, ${game.burnCount} burns`
+    );
+  }
+  console.log(`\nDatabase saved to ${file}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,170 @@
+const { loadRegistry } = require("../sdk/registry");
+
+// GameTokenFactoryStorage.TokenStandard
+const ERC1155 = 1n;
+
+/**
+ * Import the games of a GameTokenFactory deployed before the factory was
+ * upgradeable into the registry's factory proxy.
+ *
+ * 1. The source factory is paused, so no game changes while it is copied.
+ * 2. Every ERC-20 game is read from the source and passed to importGames in
+ *    chunks; games imported by an earlier run are skipped, so a failed run can
+ *    simply be repeated. ERC-1155 games stay with the source: their collection
+ *    only answers to it.
+ * 3. The source loses XP MINTER_ROLE. Redemptions mint the XP backing a game,
+ *    so the imported games' backing can then only be paid out by the proxy.
+ *    The source keeps BURNER_ROLE: once it is unpaused, holders of its lock
+ *    positions can still unlock their CREDA there.
+ *
+ * Lock positions and the CREDA behind them stay with the source factory.
+ * The signer needs DEFAULT_ADMIN_ROLE on the proxy and on XP, and PAUSER_ROLE
+ * on the source.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} options
+ * @param {string} options.sourceFactory Address of the factory to import from
+ * @param {string} [options.targetFactory] Factory proxy to import into (defaults to the registry's)
+ * @param {number} [options.chunkSize] Games per importGames call, at most MAX_BATCH_SIZE
+ * @param {boolean} [options.revokeSourceMinter] Revoke the source's XP MINTER_ROLE afterwards; only
+ *   leave it when the source's ERC-1155 games must stay redeemable, and keep the source paused
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{imported: Array<{sourceGameId: bigint, gameId: bigint}>, skipped: bigint[]}>}
+ */
+async function migrateFactory(hre, {
+  sourceFactory,
+  targetFactory,
+  chunkSize = 25,
+  revokeSourceMinter = true,
+  log = console.log,
+} = {}) {
+  const { ethers } = hre;
+  if (!sourceFactory) throw new Error("sourceFactory is required");
+  const targetAddress = targetFactory || loadRegistry(hre.network.name).contracts.gameTokenFactory.address;
+
+  // Views are on the factory, admin functions on the extension at the same address
+  const source = await ethers.getContractAt("GameTokenFactory", sourceFactory);
+  const target = await ethers.getContractAt("GameTokenFactoryExtension", targetAddress);
+  const xpToken = await ethers.getContractAt("XPToken", await target.xpToken());
+  if ((await source.xpToken()) !== (await xpToken.getAddress())) {
+    throw new Error(`${sourceFactory} and ${targetAddress} use different XP tokens`);
+  }
+  if (chunkSize < 1 || BigInt(chunkSize) > (await target.MAX_BATCH_SIZE())) {
+    throw new Error(`chunkSize must be between 1 and ${await target.MAX_BATCH_SIZE()}`);
+  }
+
+  if (await source.paused()) {
+    log("source factory: already paused");
+  } else {
+    await (await source.pause()).wait();
+    log(`source factory: paused ${sourceFactory}`);
+  }
+
+  const pending = [];
+  const skipped = [];
+  const gameCount = await source.nextGameId();
+  for (let sourceGameId = 0n; sourceGameId < gameCount; sourceGameId++) {
+    const [info, metadata] = await source.getGameTokenInfo(sourceGameId);
+    const [done] = await target.importedGameId(sourceFactory, sourceGameId);
+    if (done) continue;
+    if ((await tokenStandard(source, sourceGameId)) === ERC1155) {
+      log(`   game ${sourceGameId} (${metadata.name}) is an ERC-1155 game; it stays with the source factory`);
+      skipped.push(sourceGameId);
+      continue;
+    }
+    const lifecycle = await source.gameLifecycles(sourceGameId);
+    pending.push({
+      sourceGameId,
+      info: {
+        tokenAddress: info.tokenAddress,
+        creator: info.creator,
+        xpLocked: info.xpLocked,
+        decimals: info.decimals,
+        active: info.active,
+      },
+      metadata: {
+        name: metadata.name,
+        symbol: metadata.symbol,
+        initialSupply: metadata.initialSupply,
+        creationTime: metadata.creationTime,
+      },
+      lifecycle: {
+        redemptionEndsAt: lifecycle.redemptionEndsAt,
+        deactivatedByManager: lifecycle.deactivatedByManager,
+        finalized: lifecycle.finalized,
+      },
+    });
+  }
+  log(`source factory: ${gameCount} games, ${pending.length} to import`);
+
+  const imported = [];
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    const chunk = pending.slice(i, i + chunkSize);
+    const tx = await target.importGames(sourceFactory, chunk);
+    const receipt = await tx.wait();
+    for (const entry of receipt.logs) {
+      const parsed = target.interface.parseLog(entry);
+      if (parsed && parsed.name === "GameImported") {
+        imported.push({ sourceGameId: parsed.args.sourceGameId, gameId: parsed.args.gameId });
+      }
+    }
+    log(`   imported games ${chunk[0].sourceGameId}-${chunk[chunk.length - 1].sourceGameId} (tx ${tx.hash})`);
+  }
+
+  if (revokeSourceMinter) {
+    const role = await xpToken.MINTER_ROLE();
+    if (await xpToken.hasRole(role, sourceFactory)) {
+      await (await xpToken.revokeRole(role, sourceFactory)).wait();
+      log("xpToken.MINTER_ROLE: revoked from source factory");
+    } else {
+      log("xpToken.MINTER_ROLE: already revoked from source factory");
+    }
+  } else {
+    log("xpToken.MINTER_ROLE: source factory keeps it; keep the source paused");
+  }
+
+  return { imported, skipped };
+}
+
+// Factories from before ERC-1155 mode only have ERC-20 games
+async function tokenStandard(factory, gameId) {
+  try {
+    return await factory.gameTokenStandards(gameId);
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") return 0n;
+    throw error;
+  }
+}
+
+/**
+ * SOURCE_FACTORY:        factory to import games from
+ * MIGRATION_CHUNK_SIZE:  games per importGames transaction
+ * KEEP_SOURCE_MINTER:    leave the source factory's XP MINTER_ROLE in place
+ *
+ *   SOURCE_FACTORY=0x... npx hardhat run scripts/migrateFactory.js --network localhost
+ */
+async function main() {
+  const hre = require("hardhat");
+  const { imported, skipped } = await migrateFactory(hre, {
+    sourceFactory: process.env.SOURCE_FACTORY,
+    chunkSize: process.env.MIGRATION_CHUNK_SIZE ? Number(process.env.MIGRATION_CHUNK_SIZE) : undefined,
+    revokeSourceMinter: !process.env.KEEP_SOURCE_MINTER,
+  });
+
+  console.log("\n=== Migration Summary ===");
+  for (const { sourceGameId, gameId } of imported) {
+    console.log(`source game ${sourceGameId} -> game ${gameId}`);
+  }
+  if (skipped.length > 0) console.log(`Not imported (ERC-1155): ${skipped.join(", ")}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateFactory };
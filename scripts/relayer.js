@@ -0,0 +1,48 @@
+const { loadRegistry, registryAddresses } = require("../sdk/registry");
+const { Relayer } = require("../sdk/relayer");
+
+/**
+ * Run a meta-transaction relayer for the deployment recorded in the network's
+ * registry. Requests are submitted from the first configured account, which pays
+ * the gas.
+ *
+ * RELAYER_PORT:          HTTP port (defaults to 8546)
+ * RELAYER_HOST:          interface to bind (defaults to 127.0.0.1)
+ * RELAYER_MAX_GAS:       largest request gas accepted
+ * RELAYER_RATE_LIMIT:    accepted requests per signer per minute
+ *
+ *   npx hardhat node
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *   npx hardhat run scripts/relayer.js --network localhost
+ */
+async function main() {
+  const hre = require("hardhat");
+  const addresses = registryAddresses(loadRegistry(hre.network.name));
+  if (!addresses.forwarder) {
+    throw new Error(`Deployment registry for "${hre.network.name}" has no forwarder; rerun the deploy script`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const relayer = new Relayer({
+    signer,
+    addresses,
+    ...(process.env.RELAYER_MAX_GAS && { maxGas: BigInt(process.env.RELAYER_MAX_GAS) }),
+    ...(process.env.RELAYER_RATE_LIMIT && {
+      rateLimit: { maxRequests: Number(process.env.RELAYER_RATE_LIMIT), windowMs: 60_000 },
+    }),
+  });
+
+  const url = await relayer.listen(Number(process.env.RELAYER_PORT || 8546), process.env.RELAYER_HOST || "127.0.0.1");
+  console.log(`Relaying to ${addresses.gameTokenFactory} via ${addresses.forwarder}`);
+  console.log(`Relayer account ${signer.address}; listening on ${url}`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await relayer.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,11 @@
 const { ethers } = require("hardhat");
+const { decodeContractError } = require("../sdk/errors");
+
+// Match reverts by decoded custom error name rather than by message text
+function isContractError(error, errorName) {
+    const decoded = decodeContractError(error);
+    return decoded !== null && decoded.errorName === errorName;
+}
 
 async function main() {
     console.log("🧪 Testing Comprehensive Error Handling for SDK Development");
@@ -19,12 +26,30 @@ async function main() {
     await xpToken.waitForDeployment();
     console.log("✅ XP Token deployed");
     
+    const GameToken = await ethers.getContractFactory("GameToken");
+    const gameTokenImplementation = await GameToken.deploy();
+    await gameTokenImplementation.waitForDeployment();
+    
+    const GameTokenFactoryLocking = await ethers.getContractFactory("GameTokenFactoryLocking");
+    const factoryLocking = await GameTokenFactoryLocking.deploy();
+    await factoryLocking.waitForDeployment();
+    
     const GameTokenFactory = await ethers.getContractFactory("GameTokenFactory");
-    const factory = await GameTokenFactory.deploy(
-        await cridaToken.getAddress(),
-        await xpToken.getAddress()
+    const factoryImplementation = await GameTokenFactory.deploy(factoryLocking.target);
+    await factoryImplementation.waitForDeployment();
+    
+    // The factory runs behind a proxy, set up by the extension's initialize
+    const { interface: extension } = await ethers.getContractFactory("GameTokenFactoryExtension");
+    const GameTokenFactoryProxy = await ethers.getContractFactory("GameTokenFactoryProxy");
+    const deployFactoryProxy = (creda, xp) => GameTokenFactoryProxy.deploy(
+        factoryImplementation.target,
+        extension.encodeFunctionData("initialize", [creda, xp, gameTokenImplementation.target])
     );
-    await factory.waitForDeployment();
+    const proxy = await deployFactoryProxy(await cridaToken.getAddress(), await xpToken.getAddress());
+    await proxy.waitForDeployment();
+    const factory = await ethers.getContractAt("GameTokenFactory", await proxy.getAddress());
+    // Locking is served by the factory's locking module at the factory address
+    const locking = await ethers.getContractAt("GameTokenFactoryLocking", await proxy.getAddress());
     console.log("✅ GameTokenFactory deployed");
     
     // Grant roles
@@ -40,26 +65,26 @@ async function main() {
     // Test 1: Zero amount validation
     console.log("\n1️⃣ Testing Zero Amount Validation:");
     try {
-        await factory.lockCreda(0);
+        await locking.lockCreda(0);
         console.log("❌ Should have failed with ZeroAmount error");
     } catch (error) {
-        if (error.message.includes("ZeroAmount")) {
+        if (isContractError(error, "ZeroAmount")) {
             console.log("✅ ZeroAmount error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
     // Test 2: Insufficient balance validation
     console.log("\n2️⃣ Testing Insufficient Balance Validation:");
     try {
-        await factory.connect(user1).lockCreda(ethers.parseEther("1000"));
+        await locking.connect(user1).lockCreda(ethers.parseEther("1000"));
         console.log("❌ Should have failed with InsufficientUserBalance error");
     } catch (error) {
-        if (error.message.includes("InsufficientUserBalance")) {
+        if (isContractError(error, "InsufficientUserBalance")) {
             console.log("✅ InsufficientUserBalance error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -79,10 +104,10 @@ async function main() {
         );
         console.log("❌ Should have failed with InvalidDecimals error");
     } catch (error) {
-        if (error.message.includes("InvalidDecimals")) {
+        if (isContractError(error, "InvalidDecimals")) {
             console.log("✅ InvalidDecimals error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -97,10 +122,10 @@ async function main() {
         );
         console.log("❌ Should have failed with EmptyString error");
     } catch (error) {
-        if (error.message.includes("EmptyString")) {
+        if (isContractError(error, "EmptyString")) {
             console.log("✅ EmptyString error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -115,10 +140,10 @@ async function main() {
         );
         console.log("❌ Should have failed with InvalidCharacters error");
     } catch (error) {
-        if (error.message.includes("InvalidCharacters")) {
+        if (isContractError(error, "InvalidCharacters")) {
             console.log("✅ InvalidCharacters error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -143,10 +168,10 @@ async function main() {
         );
         console.log("❌ Should have failed with DuplicateGameName error");
     } catch (error) {
-        if (error.message.includes("DuplicateGameName")) {
+        if (isContractError(error, "DuplicateGameName")) {
             console.log("✅ DuplicateGameName error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -156,10 +181,10 @@ async function main() {
         await factory.connect(user1).burnGameToken(999, ethers.parseEther("100"));
         console.log("❌ Should have failed with InvalidGameId error");
     } catch (error) {
-        if (error.message.includes("InvalidGameId")) {
+        if (isContractError(error, "InvalidGameId")) {
             console.log("✅ InvalidGameId error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -175,27 +200,28 @@ async function main() {
         const currentRate = await factory.credaToXpRate();
         const excessiveRate = currentRate * BigInt(2); // 100% increase
         
-        await factory.setRate(excessiveRate);
+        // Admin functions are served by the factory's extension at the factory address
+        const factoryAdmin = await ethers.getContractAt("GameTokenFactoryExtension", await factory.getAddress());
+        await factoryAdmin.proposeRateChange(excessiveRate);
         console.log("❌ Should have failed with RateChangeTooBig error");
     } catch (error) {
-        if (error.message.includes("RateChangeTooBig")) {
+        if (isContractError(error, "RateChangeTooBig")) {
             console.log("✅ RateChangeTooBig error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
     // Test 10: Zero address validation
     console.log("\n🔟 Testing Zero Address Validation:");
     try {
-        const TestFactory = await ethers.getContractFactory("GameTokenFactory");
-        await TestFactory.deploy(ethers.ZeroAddress, await xpToken.getAddress());
+        await deployFactoryProxy(ethers.ZeroAddress, await xpToken.getAddress());
         console.log("❌ Should have failed with ZeroAddress error");
     } catch (error) {
-        if (error.message.includes("ZeroAddress")) {
+        if (isContractError(error, "ZeroAddress")) {
             console.log("✅ ZeroAddress error correctly caught");
         } else {
-            console.log("❌ Unexpected error:", error.message);
+            console.log("❌ Unexpected error:", (decodeContractError(error) || error).message);
         }
     }
     
@@ -23,13 +23,32 @@ async function main() {
   await xpToken.waitForDeployment();
   console.log("XPToken deployed to:", await xpToken.getAddress());
 
-  // Deploy GameTokenFactory with correct parameters
+  // Deploy the GameToken implementation every game token is cloned from
+  const GameToken = await hre.ethers.getContractFactory("GameToken");
+  const gameTokenImplementation = await GameToken.deploy();
+  await gameTokenImplementation.waitForDeployment();
+
+  // Deploy the GameTokenFactory implementation, with its locking module, and the proxy it runs behind
+  const GameTokenFactoryLocking = await hre.ethers.getContractFactory("GameTokenFactoryLocking");
+  const factoryLocking = await GameTokenFactoryLocking.deploy();
+  await factoryLocking.waitForDeployment();
+
   const GameTokenFactory = await hre.ethers.getContractFactory("GameTokenFactory");
-  const gameTokenFactory = await GameTokenFactory.deploy(
-    await credaToken.getAddress(),  // _credaToken
-    await xpToken.getAddress()      // _xpToken
+  const factoryImplementation = await GameTokenFactory.deploy(await factoryLocking.getAddress());
+  await factoryImplementation.waitForDeployment();
+
+  const { interface: extension } = await hre.ethers.getContractFactory("GameTokenFactoryExtension");
+  const GameTokenFactoryProxy = await hre.ethers.getContractFactory("GameTokenFactoryProxy");
+  const proxy = await GameTokenFactoryProxy.deploy(
+    await factoryImplementation.getAddress(),
+    extension.encodeFunctionData("initialize", [
+      await credaToken.getAddress(),              // _credaToken
+      await xpToken.getAddress(),                 // _xpToken
+      await gameTokenImplementation.getAddress()  // _gameTokenImplementation
+    ])
   );
-  await gameTokenFactory.waitForDeployment();
+  await proxy.waitForDeployment();
+  const gameTokenFactory = await hre.ethers.getContractAt("GameTokenFactory", await proxy.getAddress());
   console.log("GameTokenFactory deployed to:", await gameTokenFactory.getAddress());
 
   // Grant roles to GameTokenFactory
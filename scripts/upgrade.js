@@ -0,0 +1,201 @@
+const { ethers } = require("ethers");
+const { readRegistry, writeRegistry, registryPath } = require("../sdk/registry");
+const { FACTORY_MODULES, checkFactoryUpgrade } = require("./upgradeValidation");
+
+// ERC-1967 implementation slot: keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * GameTokenFactory implementation a GameTokenFactoryProxy currently runs
+ * @param {import("ethers").Provider} provider
+ * @param {string} proxyAddress
+ */
+async function implementationAddress(provider, proxyAddress) {
+  return ethers.getAddress(ethers.dataSlice(await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT), 12));
+}
+
+/**
+ * Upgrade the registry's GameTokenFactory proxy to a new build of GameTokenFactory.
+ *
+ * The compiled factory and its modules are validated by
+ * @openzeppelin/upgrades-core, and their layout compared with the one recorded
+ * for the running implementation; the upgrade is refused, before anything is
+ * sent, if either finds a problem. Otherwise a new
+ * implementation is deployed, with a new GameTokenFactoryLocking (and the
+ * GameTokenFactoryCurves it deploys) unless the running ones' code is unchanged,
+ * and the factory's upgradeToAndCall switches the
+ * proxy to it, optionally calling a reinitializer of the new version in the
+ * same transaction. The signer needs DEFAULT_ADMIN_ROLE on the factory.
+ * The registry records the new implementation, its layout and the upgrade.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options]
+ * @param {string} [options.registryFile] Registry file (defaults to deployments/<network>.json)
+ * @param {string} [options.call] Function of the new version to call after upgrading, e.g. "initializeV2"
+ * @param {Array} [options.args] Arguments for `call`
+ * @param {boolean} [options.dryRun] Only check the upgrade
+ * @param {(message: string) => void} [options.log]
+ */
+async function upgradeFactory(hre, {
+  registryFile,
+  call,
+  args = [],
+  dryRun = false,
+  log = console.log,
+} = {}) {
+  const { ethers, network } = hre;
+  const file = registryFile || registryPath(network.name);
+  const registry = readRegistry(file);
+  const entry = registry && registry.contracts.gameTokenFactory;
+  if (!entry || !entry.address) {
+    throw new Error(`No gameTokenFactory in ${file}; deploy with scripts/deploy.js first`);
+  }
+  if (!entry.storageLayout) {
+    throw new Error(`${file} has no storage layout for gameTokenFactory; it was not deployed behind a proxy`);
+  }
+
+  const running = await implementationAddress(ethers.provider, entry.address);
+  if (entry.implementation && running !== ethers.getAddress(entry.implementation)) {
+    throw new Error(
+      `gameTokenFactory runs ${running}, but ${file} records ${entry.implementation}; its layout cannot be trusted`
+    );
+  }
+
+  const { layout, problems } = await checkFactoryUpgrade(hre, entry.storageLayout);
+  if (problems.length > 0) {
+    throw new Error(`Refusing unsafe GameTokenFactory upgrade:\n  - ${problems.join("\n  - ")}`);
+  }
+  log("GameTokenFactory and its modules are safe to upgrade to");
+  if (dryRun) return { registry, problems };
+
+  // The call can be on the new factory or one of its modules; all of them run at the proxy
+  let data = "0x";
+  if (call) {
+    const interfaces = await Promise.all(
+      ["GameTokenFactory", ...FACTORY_MODULES].map(async (name) => (await ethers.getContractFactory(name)).interface)
+    );
+    const target = interfaces.find((contractInterface) => contractInterface.getFunction(call));
+    if (!target) throw new Error(`GameTokenFactory has no function ${call}`);
+    data = target.encodeFunctionData(call, args);
+  }
+
+  const factoryAdmin = await ethers.getContractAt("GameTokenFactoryExtension", entry.address);
+  const locking = await lockingModule(hre, await factoryAdmin.locking(), log);
+
+  log("gameTokenFactory: deploying GameTokenFactory implementation...");
+  const GameTokenFactory = await ethers.getContractFactory("GameTokenFactory");
+  const implementation = await GameTokenFactory.deploy(locking.address);
+  await implementation.waitForDeployment();
+  const deployReceipt = await implementation.deploymentTransaction().wait();
+  const newImplementation = await implementation.getAddress();
+
+  const factory = await ethers.getContractAt("GameTokenFactory", entry.address);
+  const tx = await factory.upgradeToAndCall(newImplementation, data);
+  const receipt = await tx.wait();
+  log(`gameTokenFactory: upgraded to ${newImplementation} (tx ${tx.hash})`);
+
+  entry.upgrades = entry.upgrades || [];
+  entry.upgrades.push({
+    implementation: newImplementation,
+    previousImplementation: running,
+    txHash: deployReceipt.hash,
+    blockNumber: deployReceipt.blockNumber,
+    upgradeTxHash: tx.hash,
+    upgradeBlockNumber: receipt.blockNumber,
+    locking,
+    call: call || null,
+  });
+  entry.implementation = newImplementation;
+  entry.storageLayout = layout;
+
+  const extension = registry.contracts.gameTokenFactoryExtension;
+  if (extension) {
+    extension.address = await factory.extension();
+    extension.txHash = deployReceipt.hash;
+    extension.blockNumber = deployReceipt.blockNumber;
+    extension.constructorArgs = [locking.address];
+  }
+  const curves = registry.contracts.gameTokenFactoryCurves;
+  if (curves && !locking.reused) {
+    curves.address = await (await ethers.getContractAt("GameTokenFactoryLocking", locking.address)).curves();
+    curves.txHash = locking.txHash;
+    curves.blockNumber = locking.blockNumber;
+  }
+  writeRegistry(file, registry);
+
+  return { registry, problems, implementation: newImplementation };
+}
+
+/**
+ * Whether the code at `address` is the compiled `contractName`, with its
+ * immutables set to anything
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName
+ * @param {string} address
+ */
+async function hasCompiledCode(hre, contractName, address) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { immutableReferences = {} } = buildInfo.output.contracts[artifact.sourceName][contractName].evm.deployedBytecode;
+  const code = ethers.getBytes(await hre.ethers.provider.getCode(address));
+  if (code.length !== ethers.dataLength(artifact.deployedBytecode)) return false;
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) code.fill(0, start, start + length);
+  }
+  return ethers.hexlify(code) === artifact.deployedBytecode;
+}
+
+/**
+ * GameTokenFactoryLocking for the new implementation: the running one when its
+ * code and that of the GameTokenFactoryCurves it deployed match the compiled
+ * modules, otherwise a fresh deployment
+ * @returns {Promise<{address: string, txHash: string|null, blockNumber: number|null, reused: boolean}>}
+ */
+async function lockingModule(hre, runningLocking, log) {
+  const { ethers } = hre;
+  const running = await ethers.getContractAt("GameTokenFactoryLocking", runningLocking);
+  if (
+    (await hasCompiledCode(hre, "GameTokenFactoryLocking", runningLocking)) &&
+    (await hasCompiledCode(hre, "GameTokenFactoryCurves", await running.curves()))
+  ) {
+    log(`gameTokenFactory: keeping GameTokenFactoryLocking at ${runningLocking}, its code is unchanged`);
+    return { address: runningLocking, txHash: null, blockNumber: null, reused: true };
+  }
+
+  log("gameTokenFactory: deploying GameTokenFactoryLocking...");
+  const GameTokenFactoryLocking = await ethers.getContractFactory("GameTokenFactoryLocking");
+  const locking = await GameTokenFactoryLocking.deploy();
+  await locking.waitForDeployment();
+  const receipt = await locking.deploymentTransaction().wait();
+  return { address: await locking.getAddress(), txHash: receipt.hash, blockNumber: receipt.blockNumber, reused: false };
+}
+
+/**
+ * UPGRADE_CALL:    reinitializer of the new version to call, e.g. "initializeV2"
+ * UPGRADE_ARGS:    JSON array of its arguments
+ * UPGRADE_DRY_RUN: only check the upgrade
+ *
+ *   npx hardhat run scripts/upgrade.js --network localhost
+ */
+async function main() {
+  const hre = require("hardhat");
+  await upgradeFactory(hre, {
+    call: process.env.UPGRADE_CALL,
+    args: process.env.UPGRADE_ARGS ? JSON.parse(process.env.UPGRADE_ARGS) : [],
+    dryRun: Boolean(process.env.UPGRADE_DRY_RUN),
+  });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  implementationAddress,
+  upgradeFactory,
+};
@@ -0,0 +1,126 @@
+/**
+ * Upgrade safety checks for GameTokenFactory, run by @openzeppelin/upgrades-core
+ * on the compiler output (hardhat.config.js asks for storage layouts).
+ *
+ * The factory is a UUPS implementation behind GameTokenFactoryProxy, and its
+ * fallback runs GameTokenFactoryExtension, GameTokenFactoryLocking and
+ * GameTokenFactoryCurves by delegatecall against the proxy's storage, so each
+ * of them is validated like the factory and must have its exact layout.
+ */
+const {
+  validate,
+  solcInputOutputDecoder,
+  getContractVersion,
+  getStorageLayout,
+  getErrors,
+  getStorageUpgradeReport,
+  withValidationDefaults,
+  ValidationErrors,
+} = require("@openzeppelin/upgrades-core");
+
+// Run by delegatecall against the factory's storage, in the order its fallback reaches them
+const FACTORY_MODULES = ["GameTokenFactoryExtension", "GameTokenFactoryLocking", "GameTokenFactoryCurves"];
+
+// Validation runs once per build info, keyed by its id
+const validations = new Map();
+
+async function readValidation(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullName);
+  if (!buildInfo) throw new Error(`No build info for ${fullName}; recompile`);
+  if (!validations.has(buildInfo.id)) {
+    const { input, output, solcVersion } = buildInfo;
+    validations.set(buildInfo.id, validate(output, solcInputOutputDecoder(input, output), solcVersion, input));
+  }
+  const data = validations.get(buildInfo.id);
+  return { data, version: getContractVersion(data, fullName), fullName };
+}
+
+/**
+ * Storage layout of a compiled contract, as upgrades-core compares them. It is
+ * plain JSON, so the deployment registry records it for the next upgrade.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName Contract name or fully qualified name
+ */
+async function readStorageLayout(hre, contractName) {
+  const { data, version } = await readValidation(hre, contractName);
+  return getStorageLayout(data, version);
+}
+
+/**
+ * Whether an error upgrades-core reports does not apply to the factory or a module:
+ * - ReentrancyGuard's constructor only stores NOT_ENTERED; nonReentrant treats
+ *   the proxy's unset status the same way
+ * - the modules are no proxy's implementation, so need no upgradeToAndCall;
+ *   the factory's replaces them along with itself
+ */
+function isAllowed(error, isModule) {
+  if (error.kind === "constructor" && error.src.startsWith("@openzeppelin/contracts/utils/ReentrancyGuard.sol:")) {
+    return true;
+  }
+  return isModule && error.kind === "missing-public-upgradeto";
+}
+
+/**
+ * Why the compiled contract is unsafe to run behind the factory proxy; empty when safe.
+ * Constructors and immutables of our own contracts are allowed where their
+ * NatSpec carries @custom:oz-upgrades-unsafe-allow.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName GameTokenFactory, a version of it, or one of FACTORY_MODULES
+ * @returns {Promise<string[]>}
+ */
+async function validateUpgradeSafety(hre, contractName) {
+  const { data, version, fullName } = await readValidation(hre, contractName);
+  const isModule = FACTORY_MODULES.includes(contractName);
+  const errors = getErrors(data, version, { kind: "uups" }).filter((error) => !isAllowed(error, isModule));
+  return errors.length > 0 ? [new ValidationErrors(fullName, errors).message] : [];
+}
+
+/**
+ * Why `newLayout` is unsafe to upgrade to from `oldLayout`; empty when safe
+ * @param {object} oldLayout Layout of the deployed implementation, from readStorageLayout
+ * @param {object} newLayout Layout of the new implementation
+ * @returns {string[]}
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const report = getStorageUpgradeReport(oldLayout, newLayout, withValidationDefaults({ kind: "uups" }));
+  return report.ok ? [] : [report.explain(false)];
+}
+
+/**
+ * Problems with upgrading from `deployedLayout` to the compiled GameTokenFactory;
+ * empty when safe. The factory and each module must pass validation, and each
+ * module's layout must match the factory's both ways: neither may have state
+ * the other lacks, or places elsewhere.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} deployedLayout Layout recorded for the running implementation
+ * @param {string} [contractName] Version of GameTokenFactory to upgrade to
+ */
+async function checkFactoryUpgrade(hre, deployedLayout, contractName = "GameTokenFactory") {
+  const layout = await readStorageLayout(hre, contractName);
+  const problems = [
+    ...(await validateUpgradeSafety(hre, contractName)),
+    ...compareStorageLayouts(deployedLayout, layout),
+  ];
+  for (const name of FACTORY_MODULES) {
+    problems.push(...(await validateUpgradeSafety(hre, name)));
+    const moduleLayout = await readStorageLayout(hre, name);
+    const moduleProblems = [
+      ...compareStorageLayouts(layout, moduleLayout),
+      ...compareStorageLayouts(moduleLayout, layout),
+    ];
+    if (moduleProblems.length > 0) {
+      problems.push(`${name} layout differs from ${contractName}:\n${moduleProblems[0]}`);
+    }
+  }
+  return { layout, problems };
+}
+
+module.exports = {
+  FACTORY_MODULES,
+  readStorageLayout,
+  validateUpgradeSafety,
+  compareStorageLayouts,
+  checkFactoryUpgrade,
+};
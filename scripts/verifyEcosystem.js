@@ -0,0 +1,39 @@
+const { loadRegistry, registryAddresses } = require("../sdk/registry");
+const { verifyEcosystem } = require("../sdk/verify");
+
+/**
+ * Check a deployed ecosystem against its deployment registry and print the
+ * result as JSON. Exits non-zero when any invariant is violated.
+ *
+ * EXPECTED_ADMINS: comma-separated DEFAULT_ADMIN_ROLE holders
+ *   (defaults to the deployer recorded in the registry)
+ */
+async function main() {
+  const hre = require("hardhat");
+  const registry = loadRegistry(hre.network.name);
+  const addresses = registryAddresses(registry);
+
+  const expectedAdmins = process.env.EXPECTED_ADMINS
+    ? process.env.EXPECTED_ADMINS.split(",").map((a) => a.trim()).filter(Boolean)
+    : [registry.contracts.gameTokenFactory.deployer];
+
+  const deployBlocks = Object.values(registry.contracts)
+    .map((entry) => entry.blockNumber)
+    .filter((block) => typeof block === "number");
+
+  const result = await verifyEcosystem(addresses, {
+    provider: hre.ethers.provider,
+    expectedAdmins,
+    fromBlock: deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0,
+  });
+
+  console.log(JSON.stringify(result, null, 2));
+  return result.ok;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
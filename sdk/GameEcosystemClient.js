@@ -0,0 +1,1765 @@
+const { ethers } = require("ethers");
+const { GAME_TOKEN_FACTORY_ABI, GAME_TOKEN_ABI, ERC20_ABI, XP_TOKEN_ABI } = require("./abis");
+const { decodeContractError } = require("./errors");
+const { formatLockPosition, summarizePositions } = require("./positions");
+const { loadRegistry, registryAddresses } = require("./registry");
+const { DEFAULT_PERMIT_TTL, getPermitDomain, signPermit } = require("./permit");
+const {
+  DEFAULT_FORWARD_REQUEST_TTL,
+  estimateForwardGas,
+  getForwarderDomain,
+  signForwardRequest,
+} = require("./forwarder");
+const { submitForwardRequest } = require("./relayer");
+const { BatchBuilder } = require("./batch");
+const { TOKEN_STANDARDS, gameTokenHandle } = require("./gameTokens");
+const { CURVE_KINDS, quoteCurveBuy, quoteCurveSell } = require("./curves");
+const {
+  OPERATIONS,
+  WITHDRAWAL_STATUS,
+  FACTORY_EMERGENCY_EVENTS,
+  GAME_TOKEN_EMERGENCY_EVENTS,
+  buildEmergencyLog,
+} = require("./emergency");
+
+// GameTokenFactory.GameStatus, by enum index
+const GAME_STATUS = ["active", "inactive", "sunset", "closed"];
+
+// GameTokenFactoryStorage.FeeAsset, by enum index
+const FEE_ASSETS = ["xp", "creda"];
+
+// GameTokenFactoryStorage.Operation index of each fee schedule
+const FEE_OPERATIONS = { creation: 1, redemption: 2 };
+
+// Defaults for buyGameTokens and sellGameTokens: tolerated shortfall from the quote, and trade lifetime in seconds
+const DEFAULT_SLIPPAGE_BPS = 50n;
+const DEFAULT_TRADE_TTL = 600;
+
+/**
+ * @title GameEcosystemClient
+ * @dev JavaScript client for the CREDA → XP → GameToken flow.
+ * Wraps GameTokenFactory so integrators don't have to hand-roll
+ * approve/call/receipt-parsing sequences. Where the factory has a permit
+ * entry point and the token supports EIP-2612, the allowance is signed and
+ * submitted with the call instead of sent as a separate approve. Reverts are
+ * rethrown as typed errors from ./errors (e.g. InsufficientAllowanceError).
+ * With a forwarder address and a relayer URL, player actions can also be
+ * signed as ERC-2771 forward requests and relayed gaslessly (see signLockCreda).
+ * Games are ERC-20 tokens or ids in an ERC-1155 collection; getGameToken
+ * returns a handle that reads both the same way.
+ *
+ * @example
+ * const client = new GameEcosystemClient({
+ *   provider,
+ *   signer,
+ *   addresses: { credaToken, xpToken, gameTokenFactory },
+ * });
+ * const { gameId, tokenAddress } = await client.createGameToken(xp, "My Game", "MG", 18);
+ */
+class GameEcosystemClient {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider Provider used for reads
+   * @param {import("ethers").Signer} [options.signer] Signer used for transactions (optional for read-only use)
+   * @param {{ credaToken: string, xpToken: string, gameTokenFactory: string, forwarder?: string }} options.addresses Deployed addresses
+   * @param {Object<string, { symbol: string, decimals?: number }>} [options.tokens] Extra token labels used in error suggestions
+   * @param {number} [options.permitTtl=3600] Lifetime of signed permits in seconds; 0 disables permits and always approves
+   * @param {string} [options.relayerUrl] Relayer endpoint used by relay()
+   * @param {number} [options.forwardRequestTtl=600] Lifetime of signed forward requests in seconds
+   */
+  constructor({
+    provider,
+    signer,
+    addresses,
+    tokens = {},
+    permitTtl = DEFAULT_PERMIT_TTL,
+    relayerUrl,
+    forwardRequestTtl = DEFAULT_FORWARD_REQUEST_TTL,
+  } = {}) {
+    if (!provider && !signer) {
+      throw new Error("GameEcosystemClient: a provider or signer is required");
+    }
+    if (!addresses || !addresses.gameTokenFactory) {
+      throw new Error("GameEcosystemClient: addresses.gameTokenFactory is required");
+    }
+    if (!addresses.credaToken || !addresses.xpToken) {
+      throw new Error("GameEcosystemClient: addresses.credaToken and addresses.xpToken are required");
+    }
+
+    this.provider = provider || signer.provider;
+    this.signer = signer || null;
+    this.addresses = { ...addresses };
+    this.permitTtl = permitTtl;
+    this._permitDomains = new Map();
+    this.relayerUrl = relayerUrl || null;
+    this.forwardRequestTtl = forwardRequestTtl;
+    this._forwarderDomain = null;
+    this.tokens = {
+      [addresses.credaToken]: { symbol: "CREDA", decimals: 18 },
+      [addresses.xpToken]: { symbol: "XP", decimals: 18 },
+      ...tokens,
+    };
+
+    const runner = this.signer || this.provider;
+    this.factory = new ethers.Contract(addresses.gameTokenFactory, GAME_TOKEN_FACTORY_ABI, runner);
+    this.credaToken = new ethers.Contract(addresses.credaToken, ERC20_ABI, runner);
+    this.xpToken = new ethers.Contract(addresses.xpToken, XP_TOKEN_ABI, runner);
+  }
+
+  /**
+   * Create a client from the deployment registry written by scripts/deploy.js.
+   * Rejects if the registry was written for a different chain than the provider's.
+   * @param {object} options
+   * @param {import("ethers").Provider} [options.provider]
+   * @param {import("ethers").Signer} [options.signer]
+   * @param {string} [options.network] Hardhat network name, used to find deployments/<network>.json
+   * @param {object} [options.registry] Already-loaded registry contents (instead of network)
+   * @param {string} [options.dir] Registry directory (defaults to <package>/deployments)
+   * @param {Object<string, { symbol: string, decimals?: number }>} [options.tokens]
+   * @param {string} [options.relayerUrl] Relayer endpoint used by relay()
+   * @returns {Promise<GameEcosystemClient>}
+   */
+  static async fromRegistry({ provider, signer, network, registry, dir, tokens, relayerUrl } = {}) {
+    const record = registry || loadRegistry(network, { dir });
+    const chainProvider = provider || (signer && signer.provider);
+    if (chainProvider) {
+      const { chainId } = await chainProvider.getNetwork();
+      if (Number(chainId) !== record.chainId) {
+        throw new Error(
+          `GameEcosystemClient: registry "${record.network}" is for chain ${record.chainId}, provider is on chain ${chainId}`
+        );
+      }
+    }
+    return new GameEcosystemClient({ provider, signer, addresses: registryAddresses(record), tokens, relayerUrl });
+  }
+
+  // ============ CREDA → XP Locking ============
+  /**
+   * Lock CREDA for XP, authorising the CREDA with a permit when the token
+   * supports one and approving first otherwise.
+   * @param {bigint} amountCreda Amount of CREDA to lock (wei)
+   * @returns {Promise<{ user: string, credaAmount: bigint, xpMinted: bigint, positionId: bigint, rate: bigint, txHash: string }>}
+   */
+  async lockCreda(amountCreda) {
+    const amount = BigInt(amountCreda);
+    const permit = await this._authorize(this.credaToken, amount);
+
+    const receipt = await this._send(permit
+      ? this.factory.lockCredaWithPermit(amount, permit.deadline, permit.v, permit.r, permit.s)
+      : this.factory.lockCreda(amount));
+    const event = this._findEvent(receipt, "CredaLocked");
+    const position = this._findEvent(receipt, "LockPositionCreated");
+
+    return {
+      user: event.args.user,
+      credaAmount: event.args.credaAmount,
+      xpMinted: event.args.xpMinted,
+      positionId: position.args.positionId,
+      rate: position.args.rate,
+      txHash: receipt.hash,
+    };
+  }
+
+  // ============ XP → CREDA Unlocking ============
+  /**
+   * Approve (if needed) and burn XP to unlock CREDA, oldest positions first.
+   * @param {bigint} xpAmount Amount of XP to burn (wei)
+   * @returns {Promise<{ user: string, xpBurned: bigint, credaReturned: bigint, penalty: bigint, txHash: string }>}
+   */
+  async unlockCreda(xpAmount) {
+    const amount = BigInt(xpAmount);
+    await this._ensureAllowance(this.xpToken, amount);
+
+    const receipt = await this._send(this.factory.unlockCreda(amount));
+    const event = this._findEvent(receipt, "CredaUnlocked");
+
+    return {
+      user: event.args.user,
+      xpBurned: event.args.xpBurned,
+      credaReturned: event.args.credaReturned,
+      penalty: event.args.penalty,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Approve (if needed) and burn XP to unlock CREDA from one position.
+   * A position of another asset returns that asset, with unlockAsset's result.
+   * @param {bigint} positionId ID of the signer's lock position
+   * @param {bigint} xpAmount Amount of XP to burn (wei)
+   * @returns {Promise<{ user: string, xpBurned: bigint, credaReturned: bigint, penalty: bigint, txHash: string }>}
+   */
+  async unlockPosition(positionId, xpAmount) {
+    const amount = BigInt(xpAmount);
+    await this._ensureAllowance(this.xpToken, amount);
+
+    const receipt = await this._send(this.factory.unlockPosition(BigInt(positionId), amount));
+    const [credaEvent] = this._findEvents(receipt, "CredaUnlocked");
+    if (!credaEvent) return this._assetUnlockResult(receipt);
+
+    return {
+      user: credaEvent.args.user,
+      xpBurned: credaEvent.args.xpBurned,
+      credaReturned: credaEvent.args.credaReturned,
+      penalty: credaEvent.args.penalty,
+      txHash: receipt.hash,
+    };
+  }
+
+  // ============ Multi-Asset Locking ============
+  /**
+   * Get every asset that can be locked for XP: CREDA first, then the assets
+   * an admin listed, each with its symbol and configuration. Paused assets are
+   * included with `paused: true`. Symbols are remembered for error messages.
+   * @returns {Promise<Array<{ asset: string, symbol: string, decimals: number, rate: bigint, userCap: bigint, totalCap: bigint, totalLocked: bigint, paused: boolean, isCreda: boolean }>>}
+   */
+  async getLockableAssets() {
+    const [[assets, configs], credaRate, credaLocked] = await Promise.all([
+      this.factory.getLockableAssets(),
+      this.factory.credaToXpRate(),
+      this.factory.totalLockedCreda(),
+    ]);
+    const symbols = await Promise.all(assets.map((asset) => this._assetSymbol(asset)));
+
+    const result = [{
+      asset: this.addresses.credaToken,
+      symbol: "CREDA",
+      decimals: 18,
+      rate: credaRate,
+      userCap: 0n,
+      totalCap: 0n,
+      totalLocked: credaLocked,
+      paused: false,
+      isCreda: true,
+    }];
+    for (let i = 0; i < assets.length; i++) {
+      result.push({
+        asset: assets[i],
+        symbol: symbols[i],
+        decimals: Number(configs[i].decimals),
+        rate: configs[i].rate,
+        userCap: configs[i].userCap,
+        totalCap: configs[i].totalCap,
+        totalLocked: configs[i].totalLocked,
+        paused: configs[i].paused,
+        isCreda: false,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Quote the XP minted for locking `amount` of an asset, and how much more
+   * the caps let the user lock. `xpAmount` is 0 when the asset is not
+   * lockable or is paused. A cap of 0 means unlimited (`available` is null).
+   * @param {string} asset CREDA or a listed asset
+   * @param {bigint} amount Amount of the asset, in its own decimals
+   * @param {string} [user] Defaults to the signer's address, when there is one
+   * @returns {Promise<{ asset: string, amount: bigint, xpAmount: bigint, available: bigint|null, paused: boolean }>}
+   */
+  async quoteLock(asset, amount, user) {
+    const value = BigInt(amount);
+    if (this._isCreda(asset)) {
+      return { asset, amount: value, xpAmount: await this.factory.calculateXpAmount(value), available: null, paused: false };
+    }
+
+    const account = user || (this.signer ? await this._signerAddress() : null);
+    const [xpAmount, config, locked] = await Promise.all([
+      this.factory.calculateLockXp(asset, value),
+      this.factory.lockableAssets(asset),
+      account ? this.factory.lockedBalanceOf(asset, account) : [0n, 0n],
+    ]);
+
+    let available = null;
+    if (config.totalCap > 0n) {
+      available = config.totalCap > config.totalLocked ? config.totalCap - config.totalLocked : 0n;
+    }
+    if (config.userCap > 0n) {
+      const userRoom = config.userCap > locked[0] ? config.userCap - locked[0] : 0n;
+      available = available === null || userRoom < available ? userRoom : available;
+    }
+    return { asset, amount: value, xpAmount, available, paused: config.paused };
+  }
+
+  /**
+   * Approve (if needed) and lock an amount of CREDA or a listed asset for XP.
+   * CREDA goes through lockCreda, so it can still be authorised with a permit.
+   * @param {string} asset CREDA or a listed asset
+   * @param {bigint} amount Amount of the asset to lock, in its own decimals
+   * @returns {Promise<{ user: string, asset: string, amount: bigint, xpMinted: bigint, positionId: bigint, rate: bigint, txHash: string }>}
+   */
+  async lockAsset(asset, amount) {
+    if (this._isCreda(asset)) {
+      const { credaAmount, ...result } = await this.lockCreda(amount);
+      return { ...result, asset: this.addresses.credaToken, amount: credaAmount };
+    }
+
+    const value = BigInt(amount);
+    await this._ensureAllowance(new ethers.Contract(asset, ERC20_ABI, this.signer), value);
+
+    const receipt = await this._send(this.factory.lock(asset, value));
+    const event = this._findEvent(receipt, "AssetLocked");
+    const position = this._findEvent(receipt, "LockPositionCreated");
+
+    return {
+      user: event.args.user,
+      asset: event.args.asset,
+      amount: event.args.amount,
+      xpMinted: event.args.xpMinted,
+      positionId: position.args.positionId,
+      rate: position.args.rate,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Approve (if needed) and burn XP to unlock an asset, oldest positions of
+   * that asset first.
+   * @param {string} asset CREDA or a listed asset
+   * @param {bigint} xpAmount Amount of XP to burn (wei)
+   * @returns {Promise<{ user: string, asset: string, xpBurned: bigint, amountReturned: bigint, penalty: bigint, txHash: string }>}
+   */
+  async unlockAsset(asset, xpAmount) {
+    if (this._isCreda(asset)) {
+      const { credaReturned, ...result } = await this.unlockCreda(xpAmount);
+      return { ...result, asset: this.addresses.credaToken, amountReturned: credaReturned };
+    }
+
+    const amount = BigInt(xpAmount);
+    await this._ensureAllowance(this.xpToken, amount);
+
+    const receipt = await this._send(this.factory.unlock(asset, amount));
+    return this._assetUnlockResult(receipt);
+  }
+
+  /**
+   * Get a user's locked amount of an asset and the XP issued against it.
+   * @param {string} asset CREDA or a listed asset
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ amount: bigint, xp: bigint }>}
+   */
+  async getLockedBalance(asset, user) {
+    const account = user || (await this._signerAddress());
+    const [amount, xp] = await this.factory.lockedBalanceOf(asset, account);
+    return { amount, xp };
+  }
+
+  // ============ XP → Game Token Factory ============
+  /**
+   * Burn XP to create a new game token, authorising the XP with a permit
+   * when the token supports one and approving first otherwise.
+   * With `standard: "erc1155"` the game becomes a token id in the factory's
+   * ERC-1155 collection (`tokenAddress` is the collection) instead of its own
+   * ERC-20; the XP is then always approved, as that entry point takes no permit.
+   * The creation fee (see quoteCreateGameToken) is authorised along with the
+   * XP when it is paid in XP, and approved separately when it is paid in CREDA.
+   * @param {bigint} xpAmount Amount of XP to lock (wei)
+   * @param {string} name Game token name
+   * @param {string} symbol Game token symbol
+   * @param {number} [decimals=18] Game token decimals
+   * @param {object} [options]
+   * @param {string} [options.standard="erc20"] "erc20" or "erc1155"
+   * @returns {Promise<{ gameId: bigint, standard: string, creator: string, tokenAddress: string, name: string, symbol: string, xpLocked: bigint, initialSupply: bigint, fee: bigint, txHash: string }>}
+   */
+  async createGameToken(xpAmount, name, symbol, decimals = 18, { standard = "erc20" } = {}) {
+    if (!TOKEN_STANDARDS.includes(standard)) {
+      throw new Error(`GameEcosystemClient: unknown game token standard "${standard}"`);
+    }
+    const amount = BigInt(xpAmount);
+    await this.preflightCreateGameTokens([{ xpAmount: amount, decimals }]);
+    const { xpRequired, credaRequired } = await this.quoteCreateGameToken(amount);
+    if (credaRequired > 0n) await this._ensureAllowance(this.credaToken, credaRequired);
+    let receipt;
+    if (standard === "erc1155") {
+      await this._ensureAllowance(this.xpToken, xpRequired);
+      receipt = await this._send(this.factory.createGameToken1155(amount, name, symbol, decimals));
+    } else {
+      const permit = await this._authorize(this.xpToken, xpRequired);
+      receipt = await this._send(permit
+        ? this.factory.createGameTokenWithPermit(amount, name, symbol, decimals, permit.deadline, permit.v, permit.r, permit.s)
+        : this.factory.createGameToken(amount, name, symbol, decimals));
+    }
+    const event = this._findEvent(receipt, "GameTokenCreated");
+
+    return {
+      gameId: event.args.gameId,
+      standard,
+      creator: event.args.creator,
+      tokenAddress: event.args.tokenAddress,
+      name: event.args.name,
+      symbol: event.args.symbol,
+      xpLocked: event.args.xpLocked,
+      initialSupply: event.args.initialSupply,
+      fee: this._feeCollected(receipt, event.args.gameId),
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Burn XP to create an ERC-20 game token priced along a bonding curve past
+   * its initial supply; anyone can then trade it with buyGameTokens and
+   * sellGameTokens. The XP and creation fee are authorised as for
+   * createGameToken, always by approval, as this entry point takes no permit.
+   * @param {bigint} xpAmount Amount of XP to lock (wei)
+   * @param {string} name Game token name
+   * @param {string} symbol Game token symbol
+   * @param {number} decimals Game token decimals
+   * @param {{ kind: string, a: bigint, b: bigint }} curve kind "linear", "exponential" or "constantProduct"; parameters as in GameTokenFactoryStorage.PricingCurve
+   * @returns {Promise<{ gameId: bigint, standard: string, creator: string, tokenAddress: string, name: string, symbol: string, xpLocked: bigint, initialSupply: bigint, curve: { kind: string, a: bigint, b: bigint }, fee: bigint, txHash: string }>}
+   */
+  async createGameTokenWithCurve(xpAmount, name, symbol, decimals, { kind, a, b }) {
+    const index = CURVE_KINDS.indexOf(kind);
+    if (index < 1) {
+      throw new Error(`GameEcosystemClient: unknown pricing curve "${kind}"`);
+    }
+    const amount = BigInt(xpAmount);
+    await this.preflightCreateGameTokens([{ xpAmount: amount, decimals }]);
+    const { xpRequired, credaRequired } = await this.quoteCreateGameToken(amount);
+    if (credaRequired > 0n) await this._ensureAllowance(this.credaToken, credaRequired);
+    await this._ensureAllowance(this.xpToken, xpRequired);
+    const receipt = await this._send(this.factory.createGameTokenWithCurve(
+      amount, name, symbol, decimals, { kind: index, a: BigInt(a), b: BigInt(b) }
+    ));
+    const event = this._findEvent(receipt, "GameTokenCreated");
+    const curve = this._findEvent(receipt, "PricingCurveSet");
+
+    return {
+      gameId: event.args.gameId,
+      standard: "erc20",
+      creator: event.args.creator,
+      tokenAddress: event.args.tokenAddress,
+      name: event.args.name,
+      symbol: event.args.symbol,
+      xpLocked: event.args.xpLocked,
+      initialSupply: event.args.initialSupply,
+      curve: { kind, a: curve.args.a, b: curve.args.b },
+      fee: this._feeCollected(receipt, event.args.gameId),
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Quote what creating a game backed by `xpAmount` costs, creation fee included.
+   * `xpRequired` is the XP burned (the XP locked, plus the fee when it is paid
+   * in XP); `credaRequired` is the fee when it is paid in CREDA.
+   * @param {bigint} xpAmount Amount of XP to lock (wei)
+   * @param {string} [user] Creator; defaults to the signer's address
+   * @returns {Promise<{ xpAmount: bigint, fee: bigint, feeToken: string, xpRequired: bigint, credaRequired: bigint }>}
+   */
+  async quoteCreateGameToken(xpAmount, user) {
+    const account = user || (await this._signerAddress());
+    const amount = BigInt(xpAmount);
+    const [fee, feeToken] = await this.factory.calculateCreationFee(account, amount);
+    const inCreda = this._isCreda(feeToken);
+    return {
+      xpAmount: amount,
+      fee,
+      feeToken,
+      xpRequired: inCreda ? amount : amount + fee,
+      credaRequired: inCreda ? fee : 0n,
+    };
+  }
+
+  /**
+   * Get the factory's creation policy. Zero turns a limit off.
+   * @returns {Promise<{ maxGamesPerCreator: bigint, cooldown: bigint, creatorRoleRequired: boolean, minInitialSupply: bigint, maxInitialSupply: bigint }>}
+   */
+  async getCreationPolicy() {
+    const policy = await this.factory.creationPolicy();
+    return {
+      maxGamesPerCreator: policy.maxGamesPerCreator,
+      cooldown: policy.cooldown,
+      creatorRoleRequired: policy.creatorRoleRequired,
+      minInitialSupply: policy.minInitialSupply,
+      maxInitialSupply: policy.maxInitialSupply,
+    };
+  }
+
+  /**
+   * Get how many more games a user may create and when.
+   * `remaining` is null when the policy sets no limit; `availableAt` is 0 when
+   * no cooldown is running.
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ created: bigint, remaining: bigint|null, availableAt: bigint, authorized: boolean }>}
+   */
+  async getCreationQuota(user) {
+    const account = user || (await this._signerAddress());
+    const [created, remaining, availableAt, authorized] = await this.factory.getCreationQuota(account);
+    return { created, remaining: remaining === ethers.MaxUint256 ? null : remaining, availableAt, authorized };
+  }
+
+  /**
+   * Check game creations sent in one transaction against the creation policy
+   * before sending anything. Throws the typed error the factory would revert
+   * with (e.g. TokenCreationCooldownError), so no gas is spent on a creation
+   * that would fail.
+   * @param {Array<{ xpAmount: bigint, decimals?: number }>} games Games to create
+   * @param {object} [options]
+   * @param {string} [options.user] Creator; defaults to the signer's address
+   */
+  async preflightCreateGameTokens(games, { user } = {}) {
+    const account = user || (await this._signerAddress());
+    const [policy, quota, block] = await Promise.all([
+      this.getCreationPolicy(),
+      this.getCreationQuota(account),
+      this.provider.getBlock("latest"),
+    ]);
+    const fail = (name, args) => {
+      throw this.decodeError(this.factory.interface.encodeErrorResult(name, args));
+    };
+
+    if (!quota.authorized) {
+      fail("AccessControlUnauthorizedAccount", [account, await this.factory.CREATOR_ROLE()]);
+    }
+    if (quota.remaining !== null && BigInt(games.length) > quota.remaining) {
+      fail("GameTokenLimitExceeded", [account, quota.created, policy.maxGamesPerCreator]);
+    }
+    if (quota.availableAt > BigInt(block.timestamp)) {
+      fail("TokenCreationCooldown", [account, quota.availableAt - BigInt(block.timestamp)]);
+    }
+
+    // The factory compares supplies in whole tokens scaled to 18 decimals
+    const { minInitialSupply: minimum, maxInitialSupply: maximum } = policy;
+    for (const { xpAmount, decimals = 18 } of games) {
+      const scale = 10n ** BigInt(decimals);
+      const supply = ((BigInt(xpAmount) * scale) / 10n ** 18n) * (10n ** 18n / scale);
+      if (supply < minimum || (maximum !== 0n && supply > maximum)) {
+        fail("InvalidInitialSupply", [supply, minimum, maximum]);
+      }
+    }
+  }
+
+  /**
+   * Approve (if needed) and burn more XP into one of the signer's games,
+   * minting new supply at the game's current XP per token.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} xpAmount Amount of XP to add (wei)
+   * @returns {Promise<{ gameId: bigint, creator: string, xpAdded: bigint, tokensMinted: bigint, newXpLocked: bigint, txHash: string }>}
+   */
+  async increaseGameTokenSupply(gameId, xpAmount) {
+    const amount = BigInt(xpAmount);
+    await this._ensureAllowance(this.xpToken, amount);
+
+    const receipt = await this._send(this.factory.increaseGameTokenSupply(BigInt(gameId), amount));
+    const event = this._findEvent(receipt, "GameTokenSupplyIncreased");
+
+    return {
+      gameId: event.args.gameId,
+      creator: event.args.creator,
+      xpAdded: event.args.xpAdded,
+      tokensMinted: event.args.tokensMinted,
+      newXpLocked: event.args.newXpLocked,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Preview a supply top-up without sending it.
+   * `xpPerToken` is scaled by 1e18 and stays the same after the top-up (up to rounding).
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} xpAmount Amount of XP to add (wei)
+   * @returns {Promise<{ tokensMinted: bigint, currentSupply: bigint, newSupply: bigint, xpLocked: bigint, newXpLocked: bigint, xpPerToken: bigint }>}
+   */
+  async previewSupplyIncrease(gameId, xpAmount) {
+    const id = BigInt(gameId);
+    const amount = BigInt(xpAmount);
+    const [[info], token] = await Promise.all([this.factory.getGameTokenInfo(id), this.getGameToken(id)]);
+    const [tokensMinted, currentSupply] = await Promise.all([
+      this.factory.calculateSupplyIncrease(id, amount),
+      token.totalSupply(),
+    ]);
+    const xpLocked = info.xpLocked;
+    return {
+      tokensMinted,
+      currentSupply,
+      newSupply: currentSupply + tokensMinted,
+      xpLocked,
+      newXpLocked: xpLocked + amount,
+      xpPerToken: currentSupply === 0n ? 0n : (xpLocked * 10n ** 18n) / currentSupply,
+    };
+  }
+
+  // ============ Game Token Burning → XP Unlocking ============
+  /**
+   * Burn game tokens to reclaim XP.
+   * No approval step: the factory burns directly through the token's burnFrom.
+   * Games imported from an older factory are the exception: the factory takes
+   * their tokens into escrow, so the allowance is signed as a permit (or approved).
+   * `xpReturned` is net of the redemption fee, which is reported as `fee`.
+   * With `minXpOut` the burn reverts with SlippageExceeded if a fee change
+   * leaves less XP than that; imported games then approve instead of permitting.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @param {{ minXpOut?: bigint }} [options] Least XP to accept, after the fee
+   * @returns {Promise<{ gameId: bigint, user: string, burnAmount: bigint, xpReturned: bigint, fee: bigint, txHash: string }>}
+   */
+  async burnGameToken(gameId, burnAmount, { minXpOut } = {}) {
+    this._requireSigner();
+    const id = BigInt(gameId);
+    const amount = BigInt(burnAmount);
+    if ((await this.factory.gameImportedFrom(id)) !== ethers.ZeroAddress) {
+      const token = await this.getGameToken(id);
+      const permit = await this._authorize(token.contract, amount, { permit: minXpOut === undefined });
+      if (permit) {
+        const { owner: holder, deadline, v, r, s } = permit;
+        return this.burnGameTokenWithPermit({ gameId: id, holder, burnAmount: amount, deadline, v, r, s });
+      }
+    }
+    const receipt = await this._send(minXpOut === undefined
+      ? this.factory.burnGameToken(id, amount)
+      : this.factory.burnGameTokenWithMinXp(id, amount, BigInt(minXpOut)));
+    return this._burnResult(receipt);
+  }
+
+  /**
+   * Sign a redemption for a relayer to submit with burnGameTokenWithPermit.
+   * Signing costs no gas; the relayer pays and the XP still goes to the signer.
+   * ERC-20 games only: ERC-1155 has no permit (relay burnGameToken with signBurnGameToken instead).
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @param {object} [options]
+   * @param {bigint} [options.deadline] Unix time after which the redemption is rejected (defaults to now + permitTtl)
+   * @returns {Promise<{ gameId: bigint, holder: string, burnAmount: bigint, deadline: bigint, v: number, r: string, s: string }>}
+   */
+  async signRedemption(gameId, burnAmount, { deadline } = {}) {
+    this._requireSigner();
+    const id = BigInt(gameId);
+    const amount = BigInt(burnAmount);
+    const token = await this.getGameToken(id);
+    if (token.standard !== "erc20") {
+      throw new Error(`GameEcosystemClient: game ${id} is an ${token.standard} token and cannot be redeemed by permit`);
+    }
+    const permit = await signPermit(this.signer, await token.getAddress(), this.addresses.gameTokenFactory, amount, {
+      deadline: deadline !== undefined ? BigInt(deadline) : await this._permitDeadline(),
+    });
+    return { gameId: id, holder: permit.owner, burnAmount: amount, deadline: permit.deadline, v: permit.v, r: permit.r, s: permit.s };
+  }
+
+  /**
+   * Submit a redemption signed with signRedemption, paying the gas on the holder's behalf.
+   * @param {{ gameId: bigint, holder: string, burnAmount: bigint, deadline: bigint, v: number, r: string, s: string }} redemption
+   * @returns {Promise<{ gameId: bigint, user: string, burnAmount: bigint, xpReturned: bigint, fee: bigint, txHash: string }>}
+   */
+  async burnGameTokenWithPermit({ gameId, holder, burnAmount, deadline, v, r, s }) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.burnGameTokenWithPermit(
+      BigInt(gameId), holder, BigInt(burnAmount), BigInt(deadline), v, r, s
+    ));
+    return this._burnResult(receipt);
+  }
+
+  // ============ Batches ============
+  /**
+   * Start a batch of game creations and redemptions sent through
+   * createGameTokensBatch and burnGameTokensBatch, split to fit the block gas limit.
+   * @param {object} [options] See BatchBuilder
+   * @returns {BatchBuilder}
+   */
+  batch(options = {}) {
+    return new BatchBuilder(this, options);
+  }
+
+  // ============ Redemption Limits ============
+  /**
+   * Get a game's redemption limits, in game token units (0 means no limit).
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ maxPerTransaction: bigint, maxPerAddressPerDay: bigint, maxGlobalPerDay: bigint, cooldown: bigint }>}
+   */
+  async getRedemptionPolicy(gameId) {
+    const token = await this.getGameToken(gameId);
+    const policy = await token.redemptionPolicy();
+    return {
+      maxPerTransaction: policy.maxPerTransaction,
+      maxPerAddressPerDay: policy.maxPerAddressPerDay,
+      maxGlobalPerDay: policy.maxGlobalPerDay,
+      cooldown: policy.cooldown,
+    };
+  }
+
+  /**
+   * Set a game's redemption limits. The signer must own the game token (be the
+   * game's creator, for ERC-1155 games) or hold GAME_MANAGER_ROLE on the factory. Omitted fields are set to 0 (no limit).
+   * @param {bigint} gameId ID of the game token
+   * @param {{ maxPerTransaction?: bigint, maxPerAddressPerDay?: bigint, maxGlobalPerDay?: bigint, cooldown?: bigint|number }} policy
+   * @returns {Promise<{ txHash: string }>}
+   */
+  async setRedemptionPolicy(gameId, policy) {
+    this._requireSigner();
+    const token = await this.getGameToken(gameId);
+    const receipt = await this._send(token.setRedemptionPolicy({
+      maxPerTransaction: BigInt(policy.maxPerTransaction || 0),
+      maxPerAddressPerDay: BigInt(policy.maxPerAddressPerDay || 0),
+      maxGlobalPerDay: BigInt(policy.maxGlobalPerDay || 0),
+      cooldown: BigInt(policy.cooldown || 0),
+    }));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * How many game tokens a user can redeem through burnGameToken right now.
+   * `limitedBy` says why `amount` is below the balance: "paused" (the factory or its
+   * redeem operation), "frozen", "curveGame" (redeem through sellGameToken instead),
+   * "gameStatus", "redemptionPolicy" (a limit, cooldown or disabled burning), or null.
+   * `availableAt` is when more becomes redeemable, when a redemption limit is the cause.
+   * `xpReturn` is net of the redemption fee, which is reported as `fee`.
+   * @param {bigint} gameId ID of the game token
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ amount: bigint, xpReturn: bigint, fee: bigint, balance: bigint, availableAt: bigint | null, limitedBy: string | null }>}
+   */
+  async getRedeemableAmount(gameId, user) {
+    const account = user || (await this._signerAddress());
+    const id = BigInt(gameId);
+    const token = await this.getGameToken(id);
+    const [[limit, availableAt], balance, status, paused, redeemPaused, frozen, curve] = await Promise.all([
+      token.maxRedeemable(account),
+      token.balanceOf(account),
+      this.getGameStatus(id),
+      this.factory.paused(),
+      this.factory.operationPaused(OPERATIONS.indexOf("redeem")),
+      this.factory.gameFrozen(id),
+      this.factory.gameCurves(id),
+    ]);
+
+    let blockedBy = null;
+    if (paused || redeemPaused) blockedBy = "paused";
+    else if (frozen) blockedBy = "frozen";
+    else if (Number(curve.kind) !== 0) blockedBy = "curveGame";
+    else if (!status.redeemable) blockedBy = "gameStatus";
+
+    const amount = blockedBy ? 0n : limit;
+    const limitedBy = blockedBy || (limit < balance ? "redemptionPolicy" : null);
+    const [xpReturn, fee] = amount === 0n ? [0n, 0n] : await this.factory.calculateRedemptionReturn(account, id, amount);
+    return {
+      amount,
+      xpReturn,
+      fee,
+      balance,
+      availableAt: limitedBy === "redemptionPolicy" && availableAt !== 0n ? availableAt : null,
+      limitedBy: balance === 0n ? null : limitedBy,
+    };
+  }
+
+  // ============ Game Lifecycle ============
+  /**
+   * Suspend redemptions for a game (creator or GAME_MANAGER_ROLE; only the latter for curve games).
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ gameId: bigint, by: string, txHash: string }>}
+   */
+  async deactivateGame(gameId) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.deactivateGame(BigInt(gameId)));
+    const event = this._findEvent(receipt, "GameDeactivated");
+    return { gameId: event.args.gameId, by: event.args.by, txHash: receipt.hash };
+  }
+
+  /**
+   * Resume redemptions for a deactivated game.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ gameId: bigint, by: string, txHash: string }>}
+   */
+  async reactivateGame(gameId) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.reactivateGame(BigInt(gameId)));
+    const event = this._findEvent(receipt, "GameReactivated");
+    return { gameId: event.args.gameId, by: event.args.by, txHash: receipt.hash };
+  }
+
+  /**
+   * Permanently wind down a game, opening its final redemption window.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ gameId: bigint, by: string, redemptionEndsAt: bigint, txHash: string }>}
+   */
+  async sunsetGame(gameId) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.sunsetGame(BigInt(gameId)));
+    const event = this._findEvent(receipt, "GameSunset");
+    return {
+      gameId: event.args.gameId,
+      by: event.args.by,
+      redemptionEndsAt: event.args.redemptionEndsAt,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Close a sunset game after its redemption window, sending leftover XP to the treasury.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ gameId: bigint, treasury: string, xpToTreasury: bigint, txHash: string }>}
+   */
+  async finalizeSunset(gameId) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.finalizeSunset(BigInt(gameId)));
+    const event = this._findEvent(receipt, "GameSunsetFinalized");
+    return {
+      gameId: event.args.gameId,
+      treasury: event.args.treasury,
+      xpToTreasury: event.args.xpToTreasury,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Get where a game is in its lifecycle.
+   * `redeemable` is false while a manager has the game deactivated, and once the sunset
+   * window has ended, even before finalizeSunset runs.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ gameId: bigint, status: string, redeemable: boolean, redemptionEndsAt: bigint | null, deactivatedByManager: boolean, finalized: boolean }>}
+   */
+  async getGameStatus(gameId) {
+    const id = BigInt(gameId);
+    const [status, lifecycle] = await Promise.all([
+      this.factory.getGameStatus(id),
+      this.factory.gameLifecycles(id),
+    ]);
+    const name = GAME_STATUS[Number(status)];
+    return {
+      gameId: id,
+      status: name,
+      redeemable: name === "active" || name === "sunset" || (name === "inactive" && !lifecycle.deactivatedByManager),
+      redemptionEndsAt: lifecycle.redemptionEndsAt === 0n ? null : lifecycle.redemptionEndsAt,
+      deactivatedByManager: lifecycle.deactivatedByManager,
+      finalized: lifecycle.finalized,
+    };
+  }
+
+  // ============ Bonding Curves ============
+  /**
+   * Get the pricing curve of a game created with createGameTokenWithCurve.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<{ kind: string, a: bigint, b: bigint } | null>} null for games without a curve
+   */
+  async getPricingCurve(gameId) {
+    const curve = await this.factory.gameCurves(BigInt(gameId));
+    const kind = CURVE_KINDS[Number(curve.kind)];
+    return kind === "none" ? null : { kind, a: curve.a, b: curve.b };
+  }
+
+  /**
+   * Quote the game tokens `xpAmount` buys from a curve game. Computed locally
+   * with ./curves from one block's state, so it matches what buyGameTokens
+   * mints if nothing trades first.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} xpAmount XP to spend (wei)
+   * @returns {Promise<{ xpIn: bigint, tokensOut: bigint, xpLocked: bigint }>} `xpLocked` is the game's reserve after the buy
+   */
+  async quoteBuyGameTokens(gameId, xpAmount) {
+    const amount = BigInt(xpAmount);
+    const state = await this._curveState(gameId);
+    return { xpIn: amount, tokensOut: quoteCurveBuy(state, amount), xpLocked: state.xpLocked + amount };
+  }
+
+  /**
+   * Quote the XP selling `tokenAmount` back to a curve game pays, net of the
+   * redemption fee. A sale whose fee would take all of its XP reverts on chain.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} tokenAmount Game tokens to sell
+   * @param {string} [user] Seller; defaults to the signer's address
+   * @returns {Promise<{ grossXp: bigint, fee: bigint, xpOut: bigint, xpLocked: bigint }>} `xpLocked` is the game's reserve after the sale
+   */
+  async quoteSellGameTokens(gameId, tokenAmount, user) {
+    const account = user || (await this._signerAddress());
+    const blockTag = await this.provider.getBlockNumber();
+    const [state, [bps, flat], exempt] = await Promise.all([
+      this._curveState(gameId, blockTag),
+      this.factory.redemptionFee({ blockTag }),
+      this.factory.FEE_EXEMPT_ROLE().then((role) => this.factory.hasRole(role, account, { blockTag })),
+    ]);
+    const grossXp = quoteCurveSell(state, BigInt(tokenAmount));
+    // GameTokenFactoryStorage._feeFor, capped at the XP released
+    const fee = exempt ? 0n : flat + (grossXp * bps) / 10000n;
+    const taken = fee < grossXp ? fee : grossXp;
+    return { grossXp, fee: taken, xpOut: grossXp - taken, xpLocked: state.xpLocked - grossXp };
+  }
+
+  /**
+   * Buy a curve game's tokens with XP, approving the XP first if needed.
+   * Reverts with SlippageExceededError when the trade would mint fewer tokens
+   * than `minTokensOut`, which defaults to the quote less `slippageBps`.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} xpAmount XP to spend (wei)
+   * @param {object} [options]
+   * @param {bigint|number} [options.slippageBps=50] Shortfall from the quote to accept, in basis points
+   * @param {bigint} [options.minTokensOut] Fewest tokens to accept; overrides slippageBps
+   * @param {bigint} [options.deadline] Unix time after which the trade reverts (defaults to 10 minutes from the latest block)
+   * @returns {Promise<{ gameId: bigint, buyer: string, xpIn: bigint, tokensOut: bigint, xpLocked: bigint, txHash: string }>}
+   */
+  async buyGameTokens(gameId, xpAmount, { slippageBps = DEFAULT_SLIPPAGE_BPS, minTokensOut, deadline } = {}) {
+    this._requireSigner();
+    const id = BigInt(gameId);
+    const amount = BigInt(xpAmount);
+    let minimum = minTokensOut;
+    if (minimum === undefined) {
+      const { tokensOut } = await this.quoteBuyGameTokens(id, amount);
+      minimum = this._lessSlippage(tokensOut, slippageBps);
+    }
+    await this._ensureAllowance(this.xpToken, amount);
+    const receipt = await this._send(this.factory.buyGameTokens(
+      id, amount, BigInt(minimum), deadline === undefined ? await this._deadline(DEFAULT_TRADE_TTL) : BigInt(deadline)
+    ));
+    const event = this._findEvent(receipt, "GameTokensBought");
+    return {
+      gameId: event.args.gameId,
+      buyer: event.args.buyer,
+      xpIn: event.args.xpIn,
+      tokensOut: event.args.tokensOut,
+      xpLocked: event.args.newXpLocked,
+      txHash: receipt.hash,
+    };
+  }
+
+  /**
+   * Sell a curve game's tokens back for XP, net of the redemption fee.
+   * Reverts with SlippageExceededError when the trade would pay less than
+   * `minXpOut`, which defaults to the quote less `slippageBps`.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} tokenAmount Game tokens to sell
+   * @param {object} [options]
+   * @param {bigint|number} [options.slippageBps=50] Shortfall from the quote to accept, in basis points
+   * @param {bigint} [options.minXpOut] Least XP to accept; overrides slippageBps
+   * @param {bigint} [options.deadline] Unix time after which the trade reverts (defaults to 10 minutes from the latest block)
+   * @returns {Promise<{ gameId: bigint, seller: string, tokensIn: bigint, xpOut: bigint, fee: bigint, xpLocked: bigint, txHash: string }>}
+   */
+  async sellGameTokens(gameId, tokenAmount, { slippageBps = DEFAULT_SLIPPAGE_BPS, minXpOut, deadline } = {}) {
+    this._requireSigner();
+    const id = BigInt(gameId);
+    const amount = BigInt(tokenAmount);
+    let minimum = minXpOut;
+    if (minimum === undefined) {
+      const { xpOut } = await this.quoteSellGameTokens(id, amount);
+      minimum = this._lessSlippage(xpOut, slippageBps);
+    }
+    const receipt = await this._send(this.factory.sellGameTokens(
+      id, amount, BigInt(minimum), deadline === undefined ? await this._deadline(DEFAULT_TRADE_TTL) : BigInt(deadline)
+    ));
+    const event = this._findEvent(receipt, "GameTokensSold");
+    return {
+      gameId: event.args.gameId,
+      seller: event.args.seller,
+      tokensIn: event.args.tokensIn,
+      xpOut: event.args.xpOut,
+      fee: this._feeCollected(receipt, event.args.gameId),
+      xpLocked: event.args.newXpLocked,
+      txHash: receipt.hash,
+    };
+  }
+
+  // ============ Protocol Fees ============
+  /**
+   * Get the factory's fee schedules, the fees waiting to be withdrawn and the
+   * treasury they go to. A fee is `flat` plus `bps` of the XP involved;
+   * `asset` is "xp" or "creda" (redemption fees are always XP). `pending`
+   * holds the proposed increase of each schedule, null when there is none.
+   * @returns {Promise<{ creation: { bps: bigint, flat: bigint, asset: string }, redemption: { bps: bigint, flat: bigint, asset: string }, pending: { creation: { bps: bigint, flat: bigint, asset: string, effectiveAt: bigint, executable: boolean } | null, redemption: { bps: bigint, flat: bigint, asset: string, effectiveAt: bigint, executable: boolean } | null }, accrued: { xp: bigint, creda: bigint }, treasury: string }>}
+   */
+  async getFees() {
+    const [creation, redemption, pendingCreation, pendingRedemption, accruedXp, accruedCreda, treasury, block] = await Promise.all([
+      this.factory.creationFee(),
+      this.factory.redemptionFee(),
+      this.factory.pendingFeeChanges(FEE_OPERATIONS.creation),
+      this.factory.pendingFeeChanges(FEE_OPERATIONS.redemption),
+      this.factory.accruedFees(this.addresses.xpToken),
+      this.factory.accruedFees(this.addresses.credaToken),
+      this.factory.treasury(),
+      this.provider.getBlock("latest"),
+    ]);
+    const schedule = ([bps, flat, asset]) => ({ bps, flat, asset: FEE_ASSETS[Number(asset)] });
+    const pending = ([bps, flat, asset, effectiveAt]) => effectiveAt === 0n
+      ? null
+      : { ...schedule([bps, flat, asset]), effectiveAt, executable: BigInt(block.timestamp) >= effectiveAt };
+    return {
+      creation: schedule(creation),
+      redemption: schedule(redemption),
+      pending: { creation: pending(pendingCreation), redemption: pending(pendingRedemption) },
+      accrued: { xp: accruedXp, creda: accruedCreda },
+      treasury,
+    };
+  }
+
+  /**
+   * Set the creation fee (DEFAULT_ADMIN_ROLE), within MAX_FEE_BPS and MAX_FLAT_FEE.
+   * A decrease applies at once; an increase or a new asset is proposed and
+   * applies once executeFeeChange is called at or after `effectiveAt`.
+   * @param {{ bps?: bigint|number, flat?: bigint, asset?: string }} fee Omitted amounts are 0; asset "xp" (default) or "creda"
+   * @returns {Promise<{ pending: boolean, effectiveAt: bigint | null, txHash: string }>}
+   */
+  async setCreationFee({ bps = 0, flat = 0n, asset = "xp" } = {}) {
+    this._requireSigner();
+    const index = FEE_ASSETS.indexOf(asset);
+    if (index === -1) {
+      throw new Error(`GameEcosystemClient: unknown fee asset "${asset}"`);
+    }
+    const receipt = await this._send(this.factory.setCreationFee(BigInt(bps), BigInt(flat), index));
+    return this._feeChangeResult(receipt);
+  }
+
+  /**
+   * Set the redemption fee, in XP (DEFAULT_ADMIN_ROLE), within MAX_FEE_BPS and MAX_FLAT_FEE.
+   * Increases are proposed and wait for executeFeeChange, as in setCreationFee.
+   * @param {{ bps?: bigint|number, flat?: bigint }} fee Omitted amounts are 0
+   * @returns {Promise<{ pending: boolean, effectiveAt: bigint | null, txHash: string }>}
+   */
+  async setRedemptionFee({ bps = 0, flat = 0n } = {}) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.setRedemptionFee(BigInt(bps), BigInt(flat)));
+    return this._feeChangeResult(receipt);
+  }
+
+  /**
+   * Apply a proposed fee increase once its delay has passed (DEFAULT_ADMIN_ROLE).
+   * @param {string} schedule "creation" or "redemption"
+   * @returns {Promise<{ bps: bigint, flat: bigint, asset: string, txHash: string }>}
+   */
+  async executeFeeChange(schedule) {
+    this._requireSigner();
+    const operation = FEE_OPERATIONS[schedule];
+    if (operation === undefined) {
+      throw new Error(`GameEcosystemClient: unknown fee schedule "${schedule}"`);
+    }
+    const receipt = await this._send(this.factory.executeFeeChange(operation));
+    // Result.flat is Array.prototype.flat, so read the fields by position
+    const [, bps, flat, asset] = this._findEvent(receipt, "FeeScheduleUpdated").args;
+    return { bps, flat, asset: FEE_ASSETS[Number(asset)], txHash: receipt.hash };
+  }
+
+  /**
+   * Send the fees collected in XP or CREDA to the treasury. Anyone may call it.
+   * @param {string} token XP or CREDA address
+   * @returns {Promise<{ token: string, treasury: string, amount: bigint, txHash: string }>}
+   */
+  async withdrawFees(token) {
+    this._requireSigner();
+    const receipt = await this._send(this.factory.withdrawFees(token));
+    const event = this._findEvent(receipt, "FeesWithdrawn");
+    return { token: event.args.token, treasury: event.args.treasury, amount: event.args.amount, txHash: receipt.hash };
+  }
+
+  // ============ Emergency Controls ============
+  /**
+   * Get which parts of the factory are paused.
+   * @returns {Promise<{ paused: boolean, operations: { lock: boolean, create: boolean, redeem: boolean }, withdrawalDelay: bigint }>}
+   */
+  async getEmergencyStatus() {
+    const [paused, withdrawalDelay, minDelay, ...operationPaused] = await Promise.all([
+      this.factory.paused(),
+      this.factory.emergencyWithdrawalDelay(),
+      this.factory.MIN_EMERGENCY_WITHDRAWAL_DELAY(),
+      ...OPERATIONS.map((_, i) => this.factory.operationPaused(i)),
+    ]);
+    const operations = {};
+    OPERATIONS.forEach((name, i) => {
+      operations[name] = operationPaused[i];
+    });
+    // Factories upgraded from before the delay existed run with the minimum
+    return { paused, operations, withdrawalDelay: withdrawalDelay > minDelay ? withdrawalDelay : minDelay };
+  }
+
+  /**
+   * List every emergency withdrawal ever queued, oldest first.
+   * @returns {Promise<Array<{ id: bigint, token: string, to: string, amount: bigint, executableAt: bigint, status: string, executable: boolean }>>}
+   */
+  async getEmergencyWithdrawals() {
+    const [count, block] = await Promise.all([
+      this.factory.nextEmergencyWithdrawalId(),
+      this.provider.getBlock("latest"),
+    ]);
+    const ids = Array.from({ length: Number(count) }, (_, i) => BigInt(i));
+    const withdrawals = await Promise.all(ids.map((id) => this.factory.emergencyWithdrawals(id)));
+    return withdrawals.map(([token, to, amount, executableAt, status], i) => {
+      const name = WITHDRAWAL_STATUS[Number(status)];
+      return {
+        id: ids[i],
+        token,
+        to,
+        amount,
+        executableAt,
+        status: name,
+        executable: name === "queued" && BigInt(block.timestamp) >= executableAt,
+      };
+    });
+  }
+
+  /**
+   * Read the emergency audit trail: pauses, game freezes and emergency
+   * withdrawals on the factory, plus recoveries on the given game tokens,
+   * in chain order with a description of each.
+   * @param {object} [options]
+   * @param {number} [options.fromBlock=0]
+   * @param {number | string} [options.toBlock="latest"]
+   * @param {string[]} [options.gameTokens] Game token addresses whose recoveries to include
+   * @returns {Promise<ReturnType<typeof import("./emergency").formatEmergencyEvent>[]>}
+   */
+  async getEmergencyLog({ fromBlock = 0, toBlock = "latest", gameTokens = [] } = {}) {
+    const sources = [
+      { address: this.addresses.gameTokenFactory, iface: this.factory.interface, names: FACTORY_EMERGENCY_EVENTS },
+      ...gameTokens.map((address) => ({
+        address,
+        iface: new ethers.Interface(GAME_TOKEN_ABI),
+        names: GAME_TOKEN_EMERGENCY_EVENTS,
+      })),
+    ];
+    const events = [];
+    for (const { address, iface, names } of sources) {
+      const fragments = names.map((name) => iface.getEvent(name));
+      const logs = await this.provider.getLogs({
+        address,
+        topics: [fragments.map((fragment) => fragment.topicHash)],
+        fromBlock,
+        toBlock,
+      });
+      for (const log of logs) {
+        const fragment = fragments.find((f) => f.topicHash === log.topics[0]);
+        events.push(new ethers.EventLog(log, iface, fragment));
+      }
+    }
+    return buildEmergencyLog(events, { tokens: this.tokens });
+  }
+
+  // ============ View Functions ============
+  /**
+   * Get combined info and metadata for a game token.
+   * @param {bigint} gameId ID of the game token
+   */
+  async getGameTokenInfo(gameId) {
+    const [info, metadata] = await this.factory.getGameTokenInfo(BigInt(gameId));
+    return formatGameToken(BigInt(gameId), info, metadata);
+  }
+
+  /**
+   * Look up a game by its token address.
+   * @param {string} tokenAddress GameToken address
+   * @returns {Promise<ReturnType<typeof formatGameToken> | null>} null when the factory did not create the token
+   */
+  async getGameByToken(tokenAddress) {
+    if (!(await this.factory.isFactoryToken(tokenAddress))) return null;
+    const [gameId, info, metadata] = await this.factory.getGameByToken(tokenAddress);
+    return formatGameToken(gameId, info, metadata);
+  }
+
+  /**
+   * Check whether a token address is a genuine game token from this factory.
+   * @param {string} tokenAddress
+   * @returns {Promise<boolean>}
+   */
+  async isFactoryToken(tokenAddress) {
+    return this.factory.isFactoryToken(tokenAddress);
+  }
+
+  /**
+   * Address a game token will have (or has) before it is created. Tokens are
+   * CREATE2 clones keyed by creator and name, so the address can be shared,
+   * e.g. for listings or allowlists, ahead of createGameToken.
+   * @param {string} creator Game creator
+   * @param {string} name Game token name
+   * @returns {Promise<string>}
+   */
+  async predictGameTokenAddress(creator, name) {
+    return this.factory.predictGameTokenAddress(creator, name);
+  }
+
+  /**
+   * Get a handle on a game's tokens with the same methods for ERC-20 and
+   * ERC-1155 games (balanceOf, totalSupply, redemptionPolicy, ...; see ./gameTokens).
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<import("./gameTokens").ERC20GameToken | import("./gameTokens").ERC1155GameToken>}
+   */
+  async getGameToken(gameId) {
+    const id = BigInt(gameId);
+    const [[info], standard] = await Promise.all([
+      this.factory.getGameTokenInfo(id),
+      this.getGameTokenStandard(id),
+    ]);
+    return gameTokenHandle(standard, info.tokenAddress, id, this.signer || this.provider);
+  }
+
+  /**
+   * Token standard a game was created with.
+   * @param {bigint} gameId ID of the game token
+   * @returns {Promise<string>} "erc20" or "erc1155"
+   */
+  async getGameTokenStandard(gameId) {
+    return TOKEN_STANDARDS[Number(await this.factory.gameTokenStandards(BigInt(gameId)))];
+  }
+
+  /**
+   * Get the IDs of game tokens created by a user.
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<bigint[]>}
+   */
+  async getUserGameTokens(user) {
+    const account = user || (await this._signerAddress());
+    const ids = await this.factory.getUserGameTokens(account);
+    return Array.from(ids);
+  }
+
+  // ============ Game Catalog ============
+  /**
+   * Iterate over every game in creation order.
+   * @param {{ pageSize?: number, batchSize?: number }} [options] See _iterateGamePages
+   * @returns {AsyncGenerator<ReturnType<typeof formatGameToken>>}
+   * @example
+   * for await (const game of client.iterateGames({ pageSize: 100 })) {
+   *   console.log(game.gameId, game.name);
+   * }
+   */
+  async *iterateGames(options) {
+    yield* this._iterateGamePages("getGames", [], (overrides) => this.factory.nextGameId(overrides), options);
+  }
+
+  /**
+   * Iterate over active games.
+   * @param {{ pageSize?: number, batchSize?: number }} [options] See _iterateGamePages
+   * @returns {AsyncGenerator<ReturnType<typeof formatGameToken>>}
+   */
+  async *iterateActiveGames(options) {
+    yield* this._iterateGamePages("getActiveGames", [], (overrides) => this.factory.getActiveGameCount(overrides), options);
+  }
+
+  /**
+   * Iterate over the games a user has created, oldest first.
+   * @param {string} [user] Defaults to the signer's address
+   * @param {{ pageSize?: number, batchSize?: number }} [options] See _iterateGamePages
+   * @returns {AsyncGenerator<ReturnType<typeof formatGameToken>>}
+   */
+  async *iterateUserGames(user, options) {
+    const account = user || (await this._signerAddress());
+    yield* this._iterateGamePages(
+      "getUserGameTokensPaged",
+      [account],
+      (overrides) => this.factory.getUserGameTokenCount(account, overrides),
+      options
+    );
+  }
+
+  /**
+   * Quote XP minted for a CREDA amount at the current rate.
+   * @param {bigint} credaAmount Amount of CREDA (wei)
+   * @returns {Promise<bigint>}
+   */
+  async calculateXpAmount(credaAmount) {
+    return this.factory.calculateXpAmount(BigInt(credaAmount));
+  }
+
+  /**
+   * Quote XP released for burning game tokens, before the redemption fee
+   * (see quoteRedemption).
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @returns {Promise<bigint>}
+   */
+  async calculateXpReturn(gameId, burnAmount) {
+    return this.factory.calculateXpReturn(BigInt(gameId), BigInt(burnAmount));
+  }
+
+  /**
+   * Quote XP a user receives for burning game tokens, net of the redemption fee.
+   * A redemption whose fee would take all of its XP reverts on chain.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ grossXp: bigint, fee: bigint, xpReturn: bigint }>}
+   */
+  async quoteRedemption(gameId, burnAmount, user) {
+    const account = user || (await this._signerAddress());
+    const [xpReturn, fee] = await this.factory.calculateRedemptionReturn(account, BigInt(gameId), BigInt(burnAmount));
+    return { grossXp: xpReturn + fee, fee, xpReturn };
+  }
+
+  /**
+   * Quote CREDA returned (net of any early-exit penalty) for unlocking XP.
+   * @param {bigint} xpAmount Amount of XP to burn
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ credaAmount: bigint, penalty: bigint }>}
+   */
+  async calculateCredaReturn(xpAmount, user) {
+    const account = user || (await this._signerAddress());
+    const [credaAmount, penalty] = await this.factory.calculateCredaReturn(account, BigInt(xpAmount));
+    return { credaAmount, penalty };
+  }
+
+  /**
+   * Get the proposed rate change that has not been executed yet.
+   * Integrators can show it before it takes effect; null when nothing is pending.
+   * @returns {Promise<{ currentRate: bigint, newRate: bigint, proposedAt: bigint, effectiveAt: bigint, executable: boolean } | null>}
+   */
+  async getPendingRateChange() {
+    const [[newRate, proposedAt, effectiveAt], currentRate, block] = await Promise.all([
+      this.factory.getPendingRateChange(),
+      this.factory.credaToXpRate(),
+      this.provider.getBlock("latest"),
+    ]);
+    if (effectiveAt === 0n) return null;
+    return {
+      currentRate,
+      newRate,
+      proposedAt,
+      effectiveAt,
+      executable: BigInt(block.timestamp) >= effectiveAt,
+    };
+  }
+
+  /**
+   * Get XP supply totals and how much more can be minted before the supply cap
+   * or the circuit breaker stops it. Headroom is null when there is no limit.
+   * @returns {Promise<{ minted: bigint, burned: bigint, circulation: bigint, maxSupply: bigint, supplyHeadroom: bigint, windowMinted: bigint, windowHeadroom: bigint | null, paused: boolean }>}
+   */
+  async getXpStats() {
+    const [[minted, burned, circulation], [supplyHeadroom, windowMinted, windowHeadroom], maxSupply, paused] =
+      await Promise.all([
+        this.xpToken.getStats(),
+        this.xpToken.getMintHeadroom(),
+        this.xpToken.maxSupply(),
+        this.xpToken.paused(),
+      ]);
+    return {
+      minted,
+      burned,
+      circulation,
+      maxSupply,
+      supplyHeadroom,
+      windowMinted,
+      windowHeadroom: windowHeadroom === ethers.MaxUint256 ? null : windowHeadroom,
+      paused,
+    };
+  }
+
+  /**
+   * Get how much more XP a minter may mint today.
+   * @param {string} [minter] Defaults to the factory, which mints XP for every lock
+   * @returns {Promise<{ dailyLimit: bigint | null, mintedToday: bigint, remaining: bigint | null }>}
+   */
+  async getMintAllowance(minter) {
+    const [dailyLimit, mintedToday, remaining] = await this.xpToken.getMintAllowance(minter || this.addresses.gameTokenFactory);
+    return {
+      dailyLimit: dailyLimit === 0n ? null : dailyLimit,
+      mintedToday,
+      remaining: remaining === ethers.MaxUint256 ? null : remaining,
+    };
+  }
+
+  /**
+   * Get a user's aggregate lock totals and the current unlock configuration.
+   * `assets` has the amount locked and XP issued for CREDA and every listed
+   * asset, in getLockableAssets order; `lockedCreda` and `lockedXp` repeat
+   * CREDA's entry and `totalLockedXp` is the XP issued across all of them.
+   * @param {string} [user] Defaults to the signer's address
+   * @returns {Promise<{ lockedCreda: bigint, lockedXp: bigint, totalLockedXp: bigint, assets: Array<{ asset: string, amount: bigint, xp: bigint }>, positionCount: bigint, lockupPeriod: bigint, penaltyBps: bigint }>}
+   */
+  async getLockInfo(user) {
+    const account = user || (await this._signerAddress());
+    const [[listed], positionCount, lockupPeriod, penaltyBps] = await Promise.all([
+      this.factory.getLockableAssets(),
+      this.factory.getUserPositionCount(account),
+      this.factory.lockupPeriod(),
+      this.factory.earlyUnlockPenaltyBps(),
+    ]);
+    const addresses = [this.addresses.credaToken, ...listed];
+    const balances = await Promise.all(addresses.map((asset) => this.factory.lockedBalanceOf(asset, account)));
+    const assets = addresses.map((asset, i) => ({ asset, amount: balances[i][0], xp: balances[i][1] }));
+    return {
+      lockedCreda: assets[0].amount,
+      lockedXp: assets[0].xp,
+      totalLockedXp: assets.reduce((total, { xp }) => total + xp, 0n),
+      assets,
+      positionCount,
+      lockupPeriod,
+      penaltyBps,
+    };
+  }
+
+  /**
+   * Get all lock positions opened by a user, oldest first.
+   * @param {string} [user] Defaults to the signer's address
+   * @param {object} [options]
+   * @param {number} [options.pageSize=100] Positions fetched per view call
+   */
+  async getLockPositions(user, { pageSize = 100 } = {}) {
+    const account = user || (await this._signerAddress());
+    const [count, lockupPeriod, penaltyBps] = await Promise.all([
+      this.factory.getUserPositionCount(account),
+      this.factory.lockupPeriod(),
+      this.factory.earlyUnlockPenaltyBps(),
+    ]);
+
+    const positions = [];
+    for (let offset = 0n; offset < count; offset += BigInt(pageSize)) {
+      const page = await this.factory.getUserPositions(account, offset, pageSize);
+      for (const position of page) {
+        positions.push(formatLockPosition(position, lockupPeriod, penaltyBps));
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Summarise a user's lock positions: totals, weighted average rate,
+   * penalty-free amount and a breakdown by issuance rate, per locked asset
+   * (see summarizePositions).
+   * @param {string} [user] Defaults to the signer's address
+   */
+  async getPortfolioSummary(user) {
+    const [positions, block] = await Promise.all([
+      this.getLockPositions(user),
+      this.provider.getBlock("latest"),
+    ]);
+    return {
+      ...summarizePositions(positions, { now: BigInt(block.timestamp) }),
+      positions,
+    };
+  }
+
+  /**
+   * Get a read-only GameToken contract instance.
+   * @param {string} tokenAddress Address of the game token
+   */
+  gameToken(tokenAddress) {
+    return new ethers.Contract(tokenAddress, GAME_TOKEN_ABI, this.signer || this.provider);
+  }
+
+  /**
+   * Decode a revert thrown by the contracts into a typed error.
+   * @param {Error} error Error thrown by ethers or the provider
+   * @returns {import("./errors").GameEcosystemError|null}
+   */
+  decodeError(error) {
+    return decodeContractError(error, { tokens: this.tokens });
+  }
+
+  // ============ Meta-Transactions ============
+  /**
+   * Sign an ERC-2771 forward request for `to` to run `data` as the signer.
+   * Nothing is sent: hand the request to relay() or to any relayer.
+   * @param {string} to Target contract (the factory or one of its game tokens)
+   * @param {string} data Calldata for the target
+   * @param {object} [options]
+   * @param {bigint} [options.gas] Gas forwarded to the target (estimated when omitted)
+   * @param {bigint} [options.deadline] Unix time after which the request is rejected (defaults to now + forwardRequestTtl)
+   * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, nonce: bigint, deadline: bigint, data: string, signature: string }>}
+   */
+  async signForwardRequest(to, data, { gas, deadline } = {}) {
+    const from = await this._signerAddress();
+    const forwarder = this._requireForwarder();
+    if (!this._forwarderDomain) {
+      this._forwarderDomain = await getForwarderDomain(forwarder, this.provider);
+    }
+    return signForwardRequest(this.signer, forwarder, {
+      to,
+      data,
+      gas: gas !== undefined ? BigInt(gas) : await estimateForwardGas(this.provider, forwarder, { from, to, data }),
+      deadline: deadline !== undefined ? BigInt(deadline) : await this._deadline(this.forwardRequestTtl),
+      domain: this._forwarderDomain,
+    });
+  }
+
+  /**
+   * Sign a relayed lockCreda. The CREDA must be approved already or support
+   * EIP-2612, since a relayed request cannot send an approve of its own.
+   * @param {bigint} amountCreda Amount of CREDA to lock (wei)
+   * @param {object} [options] Forward request options (see signForwardRequest)
+   */
+  async signLockCreda(amountCreda, options = {}) {
+    const amount = BigInt(amountCreda);
+    const permit = await this._authorize(this.credaToken, amount, { approve: false });
+    const data = permit
+      ? this.factory.interface.encodeFunctionData("lockCredaWithPermit", [amount, permit.deadline, permit.v, permit.r, permit.s])
+      : this.factory.interface.encodeFunctionData("lockCreda", [amount]);
+    return this.signForwardRequest(this.addresses.gameTokenFactory, data, options);
+  }
+
+  /**
+   * Sign a relayed createGameToken, authorising the XP with a permit when
+   * the allowance does not cover it. A creation fee paid in CREDA cannot be
+   * permitted through the factory, so its allowance must already be in place.
+   * @param {bigint} xpAmount Amount of XP to lock (wei)
+   * @param {string} name Game token name
+   * @param {string} symbol Game token symbol
+   * @param {number} [decimals=18] Game token decimals
+   * @param {object} [options] Forward request options (see signForwardRequest)
+   */
+  async signCreateGameToken(xpAmount, name, symbol, decimals = 18, options = {}) {
+    const amount = BigInt(xpAmount);
+    await this.preflightCreateGameTokens([{ xpAmount: amount, decimals }]);
+    const { xpRequired, credaRequired } = await this.quoteCreateGameToken(amount);
+    if (credaRequired > 0n) {
+      const allowance = await this.credaToken.allowance(await this._signerAddress(), this.addresses.gameTokenFactory);
+      if (allowance < credaRequired) {
+        throw new Error(`GameEcosystemClient: approve ${credaRequired} CREDA for the creation fee before relaying`);
+      }
+    }
+    const permit = await this._authorize(this.xpToken, xpRequired, { approve: false });
+    const data = permit
+      ? this.factory.interface.encodeFunctionData("createGameTokenWithPermit", [
+        amount, name, symbol, decimals, permit.deadline, permit.v, permit.r, permit.s,
+      ])
+      : this.factory.interface.encodeFunctionData("createGameToken", [amount, name, symbol, decimals]);
+    return this.signForwardRequest(this.addresses.gameTokenFactory, data, options);
+  }
+
+  /**
+   * Sign a relayed burnGameToken. The XP is returned to the signer.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @param {object} [options] Forward request options (see signForwardRequest)
+   */
+  async signBurnGameToken(gameId, burnAmount, options = {}) {
+    const data = this.factory.interface.encodeFunctionData("burnGameToken", [BigInt(gameId), BigInt(burnAmount)]);
+    return this.signForwardRequest(this.addresses.gameTokenFactory, data, options);
+  }
+
+  /**
+   * Send a signed forward request to the configured relayer and wait for it to be mined.
+   * @param {object} request Signed request from one of the sign* methods
+   * @returns {Promise<{ txHash: string, blockNumber: number, from: string, to: string, function: string, receipt: import("ethers").TransactionReceipt }>}
+   * @throws {import("./relayer").RelayerError} When the relayer rejects the request
+   */
+  async relay(request) {
+    if (!this.relayerUrl) {
+      throw new Error("GameEcosystemClient: relayerUrl is required to relay requests");
+    }
+    const result = await submitForwardRequest(this.relayerUrl, request);
+    const receipt = await this.provider.getTransactionReceipt(result.txHash);
+    return { ...result, receipt };
+  }
+
+  // ============ Internal Helpers ============
+  _requireSigner() {
+    if (!this.signer) {
+      throw new Error("GameEcosystemClient: a signer is required for transactions");
+    }
+  }
+
+  async _signerAddress() {
+    this._requireSigner();
+    return this.signer.getAddress();
+  }
+
+  /**
+   * Walk a paginated game view. Every read is pinned to the block the walk
+   * started at, so games created meanwhile neither shift nor repeat pages.
+   * @param {string} method Paginated factory view taking (...args, offset, limit)
+   * @param {Array} args Arguments before offset and limit
+   * @param {(overrides: object) => Promise<bigint>} count Total number of records
+   * @param {object} [options]
+   * @param {number} [options.pageSize=50] Games per view call
+   * @param {number} [options.batchSize=4] View calls sent together in one factory multicall
+   */
+  async *_iterateGamePages(method, args, count, { pageSize = 50, batchSize = 4 } = {}) {
+    if (pageSize < 1 || batchSize < 1) {
+      throw new Error("GameEcosystemClient: pageSize and batchSize must be at least 1");
+    }
+    const blockTag = await this.provider.getBlockNumber();
+    const total = await count({ blockTag });
+    const limit = BigInt(pageSize);
+    const fragment = this.factory.interface.getFunction(method);
+
+    for (let offset = 0n; offset < total; offset += limit * BigInt(batchSize)) {
+      const calls = [];
+      for (let page = offset; page < total && calls.length < batchSize; page += limit) {
+        calls.push(this.factory.interface.encodeFunctionData(fragment, [...args, page, limit]));
+      }
+      const results = await this.factory.multicall.staticCall(calls, { blockTag });
+      for (const data of results) {
+        const [games] = this.factory.interface.decodeFunctionResult(fragment, data);
+        for (const game of games) {
+          yield formatGameToken(game.gameId, game.info, game.metadata);
+        }
+      }
+    }
+  }
+
+  /**
+   * Everything ./curves needs to quote a curve game, read at one block.
+   */
+  async _curveState(gameId, blockTag) {
+    const id = BigInt(gameId);
+    const overrides = { blockTag: blockTag === undefined ? await this.provider.getBlockNumber() : blockTag };
+    const [[info, metadata], curve] = await Promise.all([
+      this.factory.getGameTokenInfo(id, overrides),
+      this.factory.gameCurves(id, overrides),
+    ]);
+    if (Number(curve.kind) === 0) {
+      throw new Error(`GameEcosystemClient: game ${id} has no pricing curve`);
+    }
+    const token = new ethers.Contract(info.tokenAddress, GAME_TOKEN_ABI, this.provider);
+    return {
+      curve: { kind: CURVE_KINDS[Number(curve.kind)], a: curve.a, b: curve.b },
+      decimals: Number(info.decimals),
+      initialSupply: metadata.initialSupply,
+      totalSupply: await token.totalSupply(overrides),
+      xpLocked: info.xpLocked,
+    };
+  }
+
+  _lessSlippage(amount, slippageBps) {
+    const bps = BigInt(slippageBps);
+    if (bps < 0n || bps > 10000n) {
+      throw new Error(`GameEcosystemClient: slippageBps must be between 0 and 10000, got ${slippageBps}`);
+    }
+    return (amount * (10000n - bps)) / 10000n;
+  }
+
+  /**
+   * Approve the factory for `amount` when the current allowance is lower.
+   */
+  async _ensureAllowance(token, amount) {
+    const owner = await this._signerAddress();
+    const spender = this.addresses.gameTokenFactory;
+    const current = await token.allowance(owner, spender);
+    if (current < amount) {
+      await this._send(token.approve(spender, amount));
+    }
+  }
+
+  /**
+   * Make sure the factory may spend `amount` of `token`: returns null when the
+   * allowance already covers it, a signed permit when the token supports one,
+   * and otherwise sends an approve and returns null. With `approve: false`
+   * (relayed calls) it throws instead of approving; with `permit: false` it
+   * approves without trying a permit.
+   */
+  async _authorize(token, amount, { approve = true, permit = true } = {}) {
+    const owner = await this._signerAddress();
+    const spender = this.addresses.gameTokenFactory;
+    if ((await token.allowance(owner, spender)) >= amount) return null;
+
+    const tokenAddress = await token.getAddress();
+    if (permit && this.permitTtl > 0) {
+      if (!this._permitDomains.has(tokenAddress)) {
+        this._permitDomains.set(tokenAddress, await getPermitDomain(tokenAddress, this.provider));
+      }
+      const domain = this._permitDomains.get(tokenAddress);
+      if (domain) {
+        return signPermit(this.signer, tokenAddress, spender, amount, { deadline: await this._permitDeadline(), domain });
+      }
+    }
+    if (!approve) {
+      throw new Error(`GameEcosystemClient: ${tokenAddress} has no permit; approve it before relaying`);
+    }
+    await this._send(token.approve(spender, amount));
+    return null;
+  }
+
+  async _permitDeadline() {
+    return this._deadline(this.permitTtl || DEFAULT_PERMIT_TTL);
+  }
+
+  // Deadlines follow chain time, which can run ahead of the local clock on test networks
+  async _deadline(ttl) {
+    const block = await this.provider.getBlock("latest");
+    return BigInt(block.timestamp) + BigInt(ttl);
+  }
+
+  _requireForwarder() {
+    if (!this.addresses.forwarder) {
+      throw new Error("GameEcosystemClient: addresses.forwarder is required for meta-transactions");
+    }
+    return this.addresses.forwarder;
+  }
+
+  async _send(txPromise) {
+    try {
+      const tx = await txPromise;
+      return await tx.wait();
+    } catch (error) {
+      throw this.decodeError(error) || error;
+    }
+  }
+
+  _isCreda(asset) {
+    return ethers.getAddress(asset) === ethers.getAddress(this.addresses.credaToken);
+  }
+
+  // Symbol of a listed asset, remembered in `tokens` so errors can name it
+  async _assetSymbol(asset) {
+    const known = this.tokens[asset];
+    if (known) return known.symbol;
+    const token = new ethers.Contract(asset, ERC20_ABI, this.provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    this.tokens[asset] = { symbol, decimals: Number(decimals) };
+    return symbol;
+  }
+
+  _assetUnlockResult(receipt) {
+    const event = this._findEvent(receipt, "AssetUnlocked");
+    return {
+      user: event.args.user,
+      asset: event.args.asset,
+      xpBurned: event.args.xpBurned,
+      amountReturned: event.args.amountReturned,
+      penalty: event.args.penalty,
+      txHash: receipt.hash,
+    };
+  }
+
+  _burnResult(receipt) {
+    const event = this._findEvent(receipt, "GameTokenBurned");
+    return {
+      gameId: event.args.gameId,
+      user: event.args.user,
+      burnAmount: event.args.burnAmount,
+      xpReturned: event.args.xpReturned,
+      fee: this._feeCollected(receipt, event.args.gameId),
+      txHash: receipt.hash,
+    };
+  }
+
+  // Whether a fee setter applied the schedule or only proposed it
+  _feeChangeResult(receipt) {
+    const proposed = this._findEvents(receipt, "FeeChangeProposed")[0];
+    return { pending: Boolean(proposed), effectiveAt: proposed ? proposed.args.effectiveAt : null, txHash: receipt.hash };
+  }
+
+  // Fee the factory took for `gameId` in this transaction, from its FeesCollected event
+  _feeCollected(receipt, gameId) {
+    const event = this._findEvents(receipt, "FeesCollected").find((fee) => fee.args.gameId === gameId);
+    return event ? event.args.amount : 0n;
+  }
+
+  _findEvent(receipt, eventName) {
+    const [event] = this._findEvents(receipt, eventName);
+    if (!event) {
+      throw new Error(`GameEcosystemClient: ${eventName} event not found in transaction ${receipt.hash}`);
+    }
+    return event;
+  }
+
+  _findEvents(receipt, eventName) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.addresses.gameTokenFactory.toLowerCase()) continue;
+      try {
+        const parsed = this.factory.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) events.push(parsed);
+      } catch {
+        // Not a factory event
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * Normalise the (info, metadata) tuple pair returned by the factory.
+ */
+function formatGameToken(gameId, info, metadata) {
+  return {
+    gameId,
+    tokenAddress: info.tokenAddress,
+    creator: info.creator,
+    xpLocked: info.xpLocked,
+    decimals: Number(info.decimals),
+    active: info.active,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    initialSupply: metadata.initialSupply,
+    creationTime: metadata.creationTime,
+  };
+}
+
+module.exports = {
+  GameEcosystemClient,
+  GAME_STATUS,
+  FEE_ASSETS,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_TRADE_TTL,
+  formatGameToken,
+};
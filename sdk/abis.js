@@ -0,0 +1,302 @@
+/**
+ * ABI fragments used by the SDK, shipped with it so the client works without
+ * a compiled artifacts/ directory. The factory's is generated from its
+ * artifacts; the others are human-readable fragments kept in sync by hand.
+ */
+
+// The factory and its modules, merged by scripts/exportFactoryAbi.js (npm run abi:factory)
+const GAME_TOKEN_FACTORY_JSON_ABI = require("./abi/GameTokenFactory.json");
+
+// Custom errors the factory and its modules declare or raise
+const GAME_TOKEN_FACTORY_ERRORS = GAME_TOKEN_FACTORY_JSON_ABI.filter((fragment) => fragment.type === "error");
+
+// Custom errors declared in GameToken.sol
+const GAME_TOKEN_ERRORS = [
+  "error ZeroAmount()",
+  "error ZeroAddress()",
+  "error InvalidAddress(address provided, string reason)",
+  "error InvalidAmount(uint256 provided, uint256 min, uint256 max)",
+  "error UnauthorizedFactory(address caller, address expectedFactory)",
+  "error UnauthorizedOwner(address caller, address expectedOwner)",
+  "error UnauthorizedBurner(address caller)",
+  "error UnauthorizedPolicyManager(address caller)",
+  "error BurnDisabled(string reason)",
+  "error ContractPaused()",
+  "error InvalidContractState(string reason)",
+  "error ReentrancyDetected()",
+  "error InsufficientBalance(address account, uint256 required, uint256 available)",
+  "error ExcessiveBurnRequest(uint256 requested, uint256 maxAllowed)",
+  "error InvalidBurnAmount(uint256 amount, string reason)",
+  "error RedemptionExceedsTransactionLimit(uint256 amount, uint256 maxPerTransaction)",
+  "error RedemptionExceedsDailyLimit(address account, uint256 amount, uint256 remaining, uint256 resetsAt)",
+  "error RedemptionExceedsGlobalDailyLimit(uint256 amount, uint256 remaining, uint256 resetsAt)",
+  "error RedemptionCooldownActive(address account, uint256 availableAt)",
+  "error MintingDisabledAfterInit(string reason)",
+  "error BurningOperationFailed(address from, uint256 amount, string reason)",
+  "error TransferOperationFailed(address from, address to, uint256 amount)",
+  "error GameTokenInactive(uint256 gameId)",
+  "error InvalidGameOperation(string operation, string reason)",
+  "error MathOverflow(string operation)",
+  "error MathUnderflow(string operation)",
+  "error RecoveryFailed(address token, string reason)",
+  "error InvalidRecoveryTarget(address target)",
+  "error RecoveryNotAllowed(string reason)",
+];
+
+// Custom errors declared in GameToken1155.sol
+const GAME_TOKEN_1155_ERRORS = [
+  "error ZeroAmount()",
+  "error ZeroAddress()",
+  "error InvalidAmount(uint256 provided, uint256 min, uint256 max)",
+  "error UnauthorizedBurner(address caller)",
+  "error UnauthorizedCreator(uint256 gameId, address caller)",
+  "error UnauthorizedPolicyManager(address caller)",
+  "error UnauthorizedAccess(address caller, bytes32 requiredRole)",
+  "error UnknownGame(uint256 gameId)",
+  "error GameAlreadyExists(uint256 gameId)",
+  "error BurnDisabled(string reason)",
+  "error InsufficientBalance(address account, uint256 required, uint256 available)",
+  "error RedemptionExceedsTransactionLimit(uint256 amount, uint256 maxPerTransaction)",
+  "error RedemptionExceedsDailyLimit(address account, uint256 amount, uint256 remaining, uint256 resetsAt)",
+  "error RedemptionExceedsGlobalDailyLimit(uint256 amount, uint256 remaining, uint256 resetsAt)",
+  "error RedemptionCooldownActive(address account, uint256 availableAt)",
+];
+
+// Custom errors declared in XPToken.sol
+const XP_TOKEN_ERRORS = [
+  "error ZeroAmount()",
+  "error ZeroAddress()",
+  "error InvalidAddress(address provided, string reason)",
+  "error UnauthorizedMinter(address caller)",
+  "error UnauthorizedBurner(address caller)",
+  "error UnauthorizedPauser(address caller)",
+  "error RoleAlreadyGranted(address account, bytes32 role)",
+  "error RoleNotGranted(address account, bytes32 role)",
+  "error InsufficientBalance(address account, uint256 required, uint256 available)",
+  "error ExcessiveMintRequest(uint256 requested, uint256 maxAllowed)",
+  "error ExcessiveBurnRequest(uint256 requested, uint256 available)",
+  "error TotalSupplyLimitExceeded(uint256 newTotal, uint256 maxSupply)",
+  "error ContractPaused()",
+  "error ContractNotPaused()",
+  "error InvalidContractState(string reason)",
+  "error ReentrancyDetected()",
+  "error MathOverflow(string operation)",
+  "error MathUnderflow(string operation)",
+  "error MintOperationFailed(address to, uint256 amount, string reason)",
+  "error BurnOperationFailed(address from, uint256 amount, string reason)",
+  "error TransferOperationFailed(address from, address to, uint256 amount)",
+  "error MintingDisabled(string reason)",
+  "error BurningDisabled(string reason)",
+  "error DailyMintLimitExceeded(address minter, uint256 dailyLimit, uint256 currentMinted)",
+  "error SuspiciousActivity(address account, string reason)",
+];
+
+// OpenZeppelin v5 errors surfaced through AccessControl, Ownable, Pausable, ReentrancyGuard and ERC20
+const OPENZEPPELIN_ERRORS = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AccessControlBadConfirmation()",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error FailedCall()",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidSpender(address spender)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+];
+
+// OpenZeppelin ERC2771Forwarder errors, raised by GameForwarder.execute
+const FORWARDER_ERRORS = [
+  "error ERC2771ForwarderInvalidSigner(address signer, address from)",
+  "error ERC2771ForwarderMismatchedValue(uint256 requestedValue, uint256 msgValue)",
+  "error ERC2771ForwarderExpiredRequest(uint48 deadline)",
+  "error ERC2771UntrustfulTarget(address target, address forwarder)",
+];
+
+// OpenZeppelin AccessControl surface shared by the factory and XPToken
+const ACCESS_CONTROL_ABI = [
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+];
+
+// EIP-2612 permit and the EIP-5267 domain getter, as implemented by OpenZeppelin ERC20Permit.
+// GameToken and XPToken support it; CREDA may not, so callers probe before signing.
+const ERC20_PERMIT_ABI = [
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// Token errors bubble up through the factory's transfers and burns
+const GAME_TOKEN_FACTORY_ABI = [...GAME_TOKEN_FACTORY_JSON_ABI, ...OPENZEPPELIN_ERRORS];
+
+const GAME_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function factory() view returns (address)",
+  "function gameId() view returns (uint256)",
+  "function totalBurned() view returns (uint256)",
+  "function burnEnabled() view returns (bool)",
+  "function owner() view returns (address)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function isTrustedForwarder(address forwarder) view returns (bool)",
+  "function emergencyRecover(address token, address to, uint256 amount)",
+  ...ERC20_PERMIT_ABI,
+
+  // Redemption limits
+  "function REDEMPTION_WINDOW() view returns (uint256)",
+  "function MAX_REDEMPTION_COOLDOWN() view returns (uint256)",
+  "function MIN_REDEMPTION_LIMIT_BPS() view returns (uint256)",
+  "function redemptionPolicy() view returns (uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown)",
+  "function globalRedemptions() view returns (uint128 redeemed, uint64 startedAt)",
+  "function addressRedemptions(address account) view returns (uint128 redeemed, uint64 startedAt)",
+  "function lastRedemptionAt(address account) view returns (uint256)",
+  "function maxRedeemable(address account) view returns (uint256 amount, uint256 availableAt)",
+  "function setRedemptionPolicy(tuple(uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown) policy)",
+
+  "event TokensBurned(address indexed user, uint256 amount, uint256 totalBurned)",
+  "event RedemptionPolicyUpdated(address indexed by, uint256 maxPerTransaction, uint256 maxPerAddressPerDay, uint256 maxGlobalPerDay, uint256 cooldown)",
+  "event TokensRecovered(address indexed token, address indexed to, uint256 amount, address indexed by)",
+
+  ...GAME_TOKEN_ERRORS,
+];
+
+// One collection holds every ERC-1155 game; the token id is the game ID
+const GAME_TOKEN_1155_ABI = [
+  "function uri(uint256 id) view returns (string)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+  "function totalSupply(uint256 id) view returns (uint256)",
+  "function exists(uint256 id) view returns (bool)",
+  "function isApprovedForAll(address account, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+  "function factory() view returns (address)",
+  "function decimals(uint256 id) view returns (uint8)",
+  "function creatorOf(uint256 id) view returns (address)",
+  "function burnEnabled(uint256 id) view returns (bool)",
+  "function totalBurned(uint256 id) view returns (uint256)",
+  "function burn(uint256 id, uint256 amount)",
+  "function setBurnEnabled(uint256 id, bool enabled)",
+  "function isTrustedForwarder(address forwarder) view returns (bool)",
+
+  // Redemption limits, per game
+  "function REDEMPTION_WINDOW() view returns (uint256)",
+  "function MAX_REDEMPTION_COOLDOWN() view returns (uint256)",
+  "function MIN_REDEMPTION_LIMIT_BPS() view returns (uint256)",
+  "function redemptionPolicy(uint256 id) view returns (uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown)",
+  "function globalRedemptions(uint256 id) view returns (uint128 redeemed, uint64 startedAt)",
+  "function addressRedemptions(uint256 id, address account) view returns (uint128 redeemed, uint64 startedAt)",
+  "function lastRedemptionAt(uint256 id, address account) view returns (uint256)",
+  "function maxRedeemable(address account, uint256 id) view returns (uint256 amount, uint256 availableAt)",
+  "function setRedemptionPolicy(uint256 id, tuple(uint128 maxPerTransaction, uint128 maxPerAddressPerDay, uint128 maxGlobalPerDay, uint64 cooldown) policy)",
+
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event GameCreated(uint256 indexed id, address indexed creator, uint8 decimals, uint256 initialSupply)",
+  "event TokensBurned(uint256 indexed id, address indexed user, uint256 amount, uint256 totalBurned)",
+  "event BurnStatusChanged(uint256 indexed id, bool enabled)",
+  "event RedemptionPolicyUpdated(uint256 indexed id, address indexed by, uint256 maxPerTransaction, uint256 maxPerAddressPerDay, uint256 maxGlobalPerDay, uint256 cooldown)",
+
+  ...GAME_TOKEN_1155_ERRORS,
+];
+
+// ERC2771Forwarder.ForwardRequestData; the nonce is implicit (the signer's current nonce)
+const FORWARD_REQUEST_TUPLE =
+  "tuple(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature)";
+
+const FORWARDER_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  `function verify(${FORWARD_REQUEST_TUPLE} request) view returns (bool)`,
+  `function execute(${FORWARD_REQUEST_TUPLE} request) payable`,
+  "event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success)",
+
+  ...FORWARDER_ERRORS,
+  ...OPENZEPPELIN_ERRORS,
+];
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  ...ERC20_PERMIT_ABI,
+];
+
+const XP_TOKEN_ABI = [
+  ...ERC20_ABI,
+  "function MINTER_ROLE() view returns (bytes32)",
+  "function BURNER_ROLE() view returns (bytes32)",
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function paused() view returns (bool)",
+  "function totalMinted() view returns (uint256)",
+  "function totalBurnedAmount() view returns (uint256)",
+  "function getStats() view returns (uint256 minted, uint256 burned, uint256 circulation)",
+  "function getMintHeadroom() view returns (uint256 supplyHeadroom, uint256 currentWindowMinted, uint256 windowHeadroom)",
+
+  // Mint limits and circuit breaker
+  "function MINT_DAY() view returns (uint256)",
+  "function MAX_CIRCUIT_BREAKER_WINDOW() view returns (uint256)",
+  "function maxSupply() view returns (uint256)",
+  "function mintAllowances(address minter) view returns (uint256 dailyLimit, uint256 mintedToday, uint256 day)",
+  "function getMintAllowance(address minter) view returns (uint256 dailyLimit, uint256 mintedToday, uint256 remaining)",
+  "function circuitBreakerWindow() view returns (uint256)",
+  "function circuitBreakerThreshold() view returns (uint256)",
+  "function windowStart() view returns (uint256)",
+  "function windowMinted() view returns (uint256)",
+  "function setDailyMintLimit(address minter, uint256 dailyLimit)",
+  "function setMaxSupply(uint256 newMaxSupply)",
+  "function setCircuitBreaker(uint256 window, uint256 threshold)",
+  "function pause()",
+  "function unpause()",
+  "event TokensMinted(address indexed to, uint256 amount, address indexed minter)",
+  "event TokensBurned(address indexed from, uint256 amount, address indexed burner)",
+  "event DailyMintLimitUpdated(address indexed minter, uint256 dailyLimit, address indexed by)",
+  "event MaxSupplyUpdated(uint256 oldMaxSupply, uint256 newMaxSupply, address indexed by)",
+  "event CircuitBreakerUpdated(uint256 window, uint256 threshold, address indexed by)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+
+  ...ACCESS_CONTROL_ABI,
+  ...XP_TOKEN_ERRORS,
+  ...OPENZEPPELIN_ERRORS,
+];
+
+module.exports = {
+  GAME_TOKEN_FACTORY_ERRORS,
+  GAME_TOKEN_ERRORS,
+  GAME_TOKEN_1155_ERRORS,
+  XP_TOKEN_ERRORS,
+  OPENZEPPELIN_ERRORS,
+  FORWARDER_ERRORS,
+  ACCESS_CONTROL_ABI,
+  ERC20_PERMIT_ABI,
+  GAME_TOKEN_FACTORY_ABI,
+  GAME_TOKEN_ABI,
+  GAME_TOKEN_1155_ABI,
+  ERC20_ABI,
+  XP_TOKEN_ABI,
+  FORWARDER_ABI,
+};
@@ -0,0 +1,221 @@
+/**
+ * @title Batch builder
+ * @dev Collects game creations and redemptions for createGameTokensBatch and
+ * burnGameTokensBatch, estimates their gas and splits them into as few
+ * transactions as fit under the block gas limit and the factory's MAX_BATCH_SIZE.
+ * Each transaction is all-or-nothing on chain; a batch split across several
+ * transactions is not. Creations are checked against the factory's creation
+ * policy before anything is sent.
+ *
+ * @example
+ * const batch = client.batch();
+ * for (const game of season) batch.addGame(game.xp, game.name, game.symbol);
+ * const { games, transactions } = await batch.send();
+ */
+
+// Share of the block gas limit one batch transaction may use, in percent
+const DEFAULT_BLOCK_GAS_PERCENT = 80n;
+
+// Headroom added to each chunk's gas estimate, in percent
+const BATCH_GAS_MARGIN_PERCENT = 20n;
+
+class BatchBuilder {
+  /**
+   * @param {import("./GameEcosystemClient").GameEcosystemClient} client Client whose signer sends the batch
+   * @param {object} [options]
+   * @param {bigint} [options.maxGas] Gas limit per transaction (defaults to 80% of the latest block's gas limit)
+   * @param {number} [options.maxItems] Items per transaction (defaults to the factory's MAX_BATCH_SIZE)
+   */
+  constructor(client, { maxGas, maxItems } = {}) {
+    this.client = client;
+    this.maxGas = maxGas !== undefined ? BigInt(maxGas) : null;
+    this.maxItems = maxItems !== undefined ? Number(maxItems) : null;
+    this.games = [];
+    this.burns = [];
+  }
+
+  /**
+   * Queue a game token for creation.
+   * @param {bigint} xpAmount Amount of XP to lock (wei)
+   * @param {string} name Game token name
+   * @param {string} symbol Game token symbol
+   * @param {number} [decimals=18] Game token decimals
+   * @returns {BatchBuilder} this, for chaining
+   */
+  addGame(xpAmount, name, symbol, decimals = 18) {
+    this.games.push({ xpAmount: BigInt(xpAmount), name, symbol, decimals: Number(decimals) });
+    return this;
+  }
+
+  /**
+   * Queue a redemption of the signer's game tokens.
+   * @param {bigint} gameId ID of the game token
+   * @param {bigint} burnAmount Amount of game tokens to burn
+   * @returns {BatchBuilder} this, for chaining
+   */
+  addBurn(gameId, burnAmount) {
+    this.burns.push({ gameId: BigInt(gameId), burnAmount: BigInt(burnAmount) });
+    return this;
+  }
+
+  /** Number of queued items */
+  get size() {
+    return this.games.length + this.burns.length;
+  }
+
+  /** Total XP the queued creations lock */
+  get totalXp() {
+    return this.games.reduce((sum, game) => sum + game.xpAmount, 0n);
+  }
+
+  /**
+   * Split the queue into transactions without sending anything. Creations are
+   * estimated against the current XP allowance, so approve totalXp and any
+   * creation fees first (send does).
+   * @returns {Promise<{ creates: Array<{ items: object[], gasLimit: bigint }>, burns: Array<{ items: object[], gasLimit: bigint }> }>}
+   */
+  async plan() {
+    const [maxGas, maxItems] = await Promise.all([this._maxGas(), this._maxItems()]);
+    return {
+      creates: await this._chunk("createGameTokensBatch", this.games, maxGas, maxItems),
+      burns: await this._chunk("burnGameTokensBatch", this.burns, maxGas, maxItems),
+    };
+  }
+
+  /**
+   * Approve the XP the creations need, creation fees included, then send every chunk in order.
+   * When a chunk fails, the decoded error is thrown with the results of the
+   * chunks already mined attached as `error.batchResult`.
+   * @param {object} [options]
+   * @param {(chunk: { kind: string, items: object[], txHash: string, gasUsed: bigint }) => void} [options.onChunk] Called after each mined chunk
+   * @returns {Promise<{ games: object[], burns: object[], xpReturned: bigint, transactions: Array<{ kind: string, items: object[], txHash: string, gasUsed: bigint }> }>}
+   *   games and burns in the shape returned by createGameToken and burnGameToken
+   */
+  async send({ onChunk } = {}) {
+    const client = this.client;
+    client._requireSigner();
+    if (this.size === 0) throw new Error("BatchBuilder: nothing to send");
+    if (this.games.length > 0) await client.preflightCreateGameTokens(this.games);
+    if (this.games.length > 0) await this._approveCreations();
+
+    const plan = await this.plan();
+    // Each creation transaction starts the creator's cooldown, so only the first could be sent
+    if (plan.creates.length > 1) {
+      const { cooldown } = await client.getCreationPolicy();
+      if (cooldown > 0n) {
+        throw new Error(
+          `BatchBuilder: the games need ${plan.creates.length} transactions, but creators must wait ${cooldown}s between creations; queue fewer games`
+        );
+      }
+    }
+    const result = { games: [], burns: [], xpReturned: 0n, transactions: [] };
+    const chunks = [
+      ...plan.creates.map((chunk) => ({ kind: "createGameTokensBatch", ...chunk })),
+      ...plan.burns.map((chunk) => ({ kind: "burnGameTokensBatch", ...chunk })),
+    ];
+
+    for (const { kind, items, gasLimit } of chunks) {
+      let receipt;
+      try {
+        receipt = await client._send(client.factory[kind](items, { gasLimit }));
+      } catch (error) {
+        error.batchResult = result;
+        throw error;
+      }
+
+      if (kind === "createGameTokensBatch") {
+        for (const event of client._findEvents(receipt, "GameTokenCreated")) {
+          result.games.push({
+            gameId: event.args.gameId,
+            creator: event.args.creator,
+            tokenAddress: event.args.tokenAddress,
+            name: event.args.name,
+            symbol: event.args.symbol,
+            xpLocked: event.args.xpLocked,
+            initialSupply: event.args.initialSupply,
+            txHash: receipt.hash,
+          });
+        }
+      } else {
+        for (const event of client._findEvents(receipt, "GameTokenBurned")) {
+          result.burns.push({
+            gameId: event.args.gameId,
+            user: event.args.user,
+            burnAmount: event.args.burnAmount,
+            xpReturned: event.args.xpReturned,
+            txHash: receipt.hash,
+          });
+          result.xpReturned += event.args.xpReturned;
+        }
+      }
+
+      const transaction = { kind, items, txHash: receipt.hash, gasUsed: receipt.gasUsed };
+      result.transactions.push(transaction);
+      if (onChunk) onChunk(transaction);
+    }
+    return result;
+  }
+
+  // ============ Internal Helpers ============
+  /**
+   * Approve the XP burned by every queued creation and any creation fees paid in CREDA
+   */
+  async _approveCreations() {
+    const client = this.client;
+    const quotes = await Promise.all(this.games.map((game) => client.quoteCreateGameToken(game.xpAmount)));
+    const xpRequired = quotes.reduce((sum, quote) => sum + quote.xpRequired, 0n);
+    const credaRequired = quotes.reduce((sum, quote) => sum + quote.credaRequired, 0n);
+    await client._ensureAllowance(client.xpToken, xpRequired);
+    if (credaRequired > 0n) await client._ensureAllowance(client.credaToken, credaRequired);
+  }
+
+  /**
+   * Greedy split: take as many items as the limits allow, shrinking the chunk in
+   * proportion to how far its estimate overshoots maxGas until it fits.
+   */
+  async _chunk(method, items, maxGas, maxItems) {
+    const chunks = [];
+    let rest = items;
+    while (rest.length > 0) {
+      let count = Math.min(rest.length, maxItems);
+      let gasLimit = await this._estimate(method, rest.slice(0, count));
+      while (gasLimit > maxGas) {
+        if (count === 1) {
+          throw new Error(`BatchBuilder: a single ${method} item needs ${gasLimit} gas, above the ${maxGas} limit`);
+        }
+        const fitting = Math.floor((count * Number(maxGas)) / Number(gasLimit));
+        count = Math.max(1, Math.min(count - 1, fitting));
+        gasLimit = await this._estimate(method, rest.slice(0, count));
+      }
+      chunks.push({ items: rest.slice(0, count), gasLimit });
+      rest = rest.slice(count);
+    }
+    return chunks;
+  }
+
+  async _estimate(method, items) {
+    try {
+      const estimate = await this.client.factory[method].estimateGas(items);
+      return (estimate * (100n + BATCH_GAS_MARGIN_PERCENT)) / 100n;
+    } catch (error) {
+      throw this.client.decodeError(error) || error;
+    }
+  }
+
+  async _maxGas() {
+    if (this.maxGas !== null) return this.maxGas;
+    const block = await this.client.provider.getBlock("latest");
+    return (block.gasLimit * DEFAULT_BLOCK_GAS_PERCENT) / 100n;
+  }
+
+  async _maxItems() {
+    if (this.maxItems !== null) return this.maxItems;
+    return Number(await this.client.factory.MAX_BATCH_SIZE());
+  }
+}
+
+module.exports = {
+  DEFAULT_BLOCK_GAS_PERCENT,
+  BATCH_GAS_MARGIN_PERCENT,
+  BatchBuilder,
+};
@@ -0,0 +1,189 @@
+/**
+ * @title Bonding curve quotes
+ * @dev The pricing math of GameTokenFactoryCurves in BigInt, rounding exactly as
+ * the contract does, so a quote taken from the same state as a buyGameTokens or
+ * sellGameTokens call is the amount that call mints. Changes to the curve math
+ * there must be made here too.
+ *
+ * A curve game sells its initial supply at one XP per whole token, as any game
+ * does; past it, tokens are priced along the game's curve (see
+ * GameTokenFactoryStorage.PricingCurve). XP amounts are in wei and token
+ * amounts, the initial and total supply included, in the game token's base
+ * units; curve parameters are 18-decimal fixed point.
+ *
+ * @example
+ * const state = { curve: { kind: "linear", a: 10n ** 18n, b: 10n ** 16n }, decimals: 18,
+ *   initialSupply: 1000n * 10n ** 18n, totalSupply, xpLocked };
+ * const tokensOut = quoteCurveBuy(state, ethers.parseEther("50"));
+ */
+
+const WAD = 10n ** 18n;
+const LN2_WAD = 693147180559945309n;
+const MAX_EXP_INPUT = 130n * WAD;
+const MAX_GAME_TOKEN_DECIMALS = 18;
+
+// GameTokenFactoryStorage.CurveKind, by enum index
+const CURVE_KINDS = ["none", "linear", "exponential", "constantProduct"];
+
+/**
+ * e^(x / 1e18) in 18-decimal fixed point, as GameTokenFactoryCurves._expWad.
+ * @param {bigint} x Exponent, 18-decimal fixed point, at most 130e18
+ * @returns {bigint}
+ */
+function expWad(x) {
+  if (x > MAX_EXP_INPUT) {
+    throw new RangeError(`curves: exponent ${x} exceeds ${MAX_EXP_INPUT} (MathOverflow "CURVE_EXP" on chain)`);
+  }
+  const n = x / LN2_WAD;
+  const r = x - n * LN2_WAD;
+  let term = WAD;
+  let sum = WAD;
+  for (let i = 1n; term !== 0n; i++) {
+    term = (term * r) / (i * WAD);
+    sum += term;
+  }
+  return sum << n;
+}
+
+/**
+ * ln(x / 1e18) in 18-decimal fixed point for x >= 1e18, as GameTokenFactoryCurves._lnWad.
+ * @param {bigint} x 18-decimal fixed point, at least 1e18
+ * @returns {bigint}
+ */
+function lnWad(x) {
+  if (x < WAD) {
+    throw new RangeError(`curves: lnWad is defined from 1e18, got ${x}`);
+  }
+  const n = log2(x / WAD);
+  const y = x >> n;
+  let z = ((y - WAD) * WAD) / (y + WAD);
+  const z2 = (z * z) / WAD;
+  let sum = 0n;
+  for (let i = 1n; z !== 0n; i += 2n) {
+    sum += z / i;
+    z = (z * z2) / WAD;
+  }
+  return n * LN2_WAD + 2n * sum;
+}
+
+/**
+ * XP cost of the first `tokens` whole tokens (18 decimals) along `curve`.
+ * @param {{ kind: string, a: bigint, b: bigint }} curve
+ * @param {bigint} tokens
+ * @returns {bigint}
+ */
+function curveCost(curve, tokens) {
+  const { kind, a, b } = normalizeCurve(curve);
+  if (kind === "linear") {
+    return (tokens * (2n * a * WAD + b * tokens)) / (2n * WAD * WAD);
+  }
+  if (kind === "exponential") {
+    return (a * (expWad((b * tokens) / WAD) - WAD)) / b;
+  }
+  if (tokens >= b) {
+    throw new RangeError(`curves: constant-product curve has fewer than ${tokens} tokens`);
+  }
+  return (a * tokens) / (b - tokens);
+}
+
+/**
+ * Whole tokens (18 decimals) that `xp` buys along `curve` from none sold,
+ * rounded down: the inverse of curveCost. Throws, as the contract reverts, when
+ * an exponential curve's exponent would pass what curveCost can price.
+ * @param {{ kind: string, a: bigint, b: bigint }} curve
+ * @param {bigint} xp Non-zero XP amount
+ * @returns {bigint}
+ */
+function curveSupply(curve, xp) {
+  const { kind, a, b } = normalizeCurve(curve);
+  if (kind === "linear") {
+    return (2n * xp * WAD) / (sqrtCeil(a * a + 2n * b * xp) + a);
+  }
+  if (kind === "exponential") {
+    const exponent = lnWad(WAD + (xp * b) / a);
+    if (exponent > MAX_EXP_INPUT) {
+      throw new RangeError(`curves: exponent ${exponent} exceeds ${MAX_EXP_INPUT} (MathOverflow "CURVE_EXP" on chain)`);
+    }
+    return (exponent * WAD) / b;
+  }
+  return (b * xp) / (a + xp);
+}
+
+/**
+ * Game tokens buyGameTokens mints for `xpAmount`, as calculateCurveBuy.
+ * Zero when the XP does not buy a whole base unit.
+ * @param {{ curve: object, decimals: number, initialSupply: bigint, totalSupply: bigint, xpLocked: bigint }} state
+ * @param {bigint} xpAmount XP to spend
+ * @returns {bigint}
+ */
+function quoteCurveBuy(state, xpAmount) {
+  const { curve, scale, seed, totalSupply, xpLocked } = curveState(state);
+  const reserve = xpLocked + BigInt(xpAmount);
+  const newSupply = (reserve <= seed ? reserve : seed + curveSupply(curve, reserve - seed)) / scale;
+  return newSupply > totalSupply ? newSupply - totalSupply : 0n;
+}
+
+/**
+ * XP sellGameTokens releases from the reserve for `tokenAmount`, before the
+ * redemption fee.
+ * @param {{ curve: object, decimals: number, initialSupply: bigint, totalSupply: bigint, xpLocked: bigint }} state
+ * @param {bigint} tokenAmount Game tokens to sell, at most the total supply
+ * @returns {bigint}
+ */
+function quoteCurveSell(state, tokenAmount) {
+  const { curve, scale, seed, totalSupply, xpLocked } = curveState(state);
+  const amount = BigInt(tokenAmount);
+  if (amount > totalSupply) {
+    throw new RangeError(`curves: cannot sell ${amount} of a supply of ${totalSupply}`);
+  }
+  const remaining = (totalSupply - amount) * scale;
+  const cost = remaining <= seed ? remaining : seed + curveCost(curve, remaining - seed);
+  return xpLocked > cost ? xpLocked - cost : 0n;
+}
+
+function curveState({ curve, decimals, initialSupply, totalSupply, xpLocked }) {
+  const scale = 10n ** BigInt(MAX_GAME_TOKEN_DECIMALS - Number(decimals));
+  return {
+    curve: normalizeCurve(curve),
+    scale,
+    seed: BigInt(initialSupply) * scale,
+    totalSupply: BigInt(totalSupply),
+    xpLocked: BigInt(xpLocked),
+  };
+}
+
+// Accept the enum index a contract returns or its name
+function normalizeCurve({ kind, a, b }) {
+  const name = typeof kind === "string" ? kind : CURVE_KINDS[Number(kind)];
+  if (!name || name === "none" || !CURVE_KINDS.includes(name)) {
+    throw new Error(`curves: not a pricing curve kind: ${kind}`);
+  }
+  return { kind: name, a: BigInt(a), b: BigInt(b) };
+}
+
+// OpenZeppelin Math.log2: index of the highest set bit, 0 for 0
+function log2(x) {
+  return x === 0n ? 0n : BigInt(x.toString(2).length - 1);
+}
+
+// OpenZeppelin Math.sqrt rounded up
+function sqrtCeil(x) {
+  if (x < 2n) return x;
+  let root = x;
+  let next = (x + 1n) / 2n;
+  while (next < root) {
+    root = next;
+    next = (root + x / root) / 2n;
+  }
+  return root * root < x ? root + 1n : root;
+}
+
+module.exports = {
+  CURVE_KINDS,
+  expWad,
+  lnWad,
+  curveCost,
+  curveSupply,
+  quoteCurveBuy,
+  quoteCurveSell,
+};
@@ -0,0 +1,120 @@
+/**
+ * @title Emergency audit trail
+ * @dev Turns GameTokenFactory's emergency events (factory and per-operation
+ * pauses, game freezes, queued, executed and cancelled emergency withdrawals)
+ * and GameToken recoveries into readable entries for dashboards and incident
+ * reports. Amounts stay BigInt in `args`; `description` is for people.
+ */
+
+const { ethers } = require("ethers");
+
+// GameTokenFactoryStorage.Operation, by enum index
+const OPERATIONS = ["lock", "create", "redeem"];
+
+// GameTokenFactoryStorage.WithdrawalStatus, by enum index
+const WITHDRAWAL_STATUS = ["none", "queued", "executed", "cancelled"];
+
+// Factory events that record an emergency action
+const FACTORY_EMERGENCY_EVENTS = [
+  "Paused",
+  "Unpaused",
+  "OperationPauseUpdated",
+  "GameFreezeUpdated",
+  "EmergencyWithdrawalQueued",
+  "EmergencyWithdrawalExecuted",
+  "EmergencyWithdrawalCancelled",
+  "EmergencyWithdrawalDelayUpdated",
+];
+
+// Game token events that record an emergency action
+const GAME_TOKEN_EMERGENCY_EVENTS = ["TokensRecovered"];
+
+/**
+ * Render one emergency event.
+ * @param {import("ethers").EventLog} event Parsed factory or game token log
+ * @param {object} [options]
+ * @param {Object<string, { symbol: string, decimals?: number }>} [options.tokens] Token labels keyed by address
+ * @returns {{ action: string, by: string | null, address: string, blockNumber: number, transactionHash: string, logIndex: number, args: object, description: string }}
+ */
+function formatEmergencyEvent(event, { tokens = {} } = {}) {
+  const action = event.eventName || event.fragment.name;
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    args[input.name] = event.args[i];
+  });
+
+  return {
+    action,
+    // Paused/Unpaused name the account; the delay update is admin-only and names nobody
+    by: args.by || args.account || null,
+    address: event.address,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.index,
+    args,
+    description: describe(action, args, event.address, labeller(tokens)),
+  };
+}
+
+/**
+ * Merge emergency events from several contracts into one chronological trail.
+ * @param {import("ethers").EventLog[]} events
+ * @param {object} [options] See formatEmergencyEvent
+ */
+function buildEmergencyLog(events, options = {}) {
+  return events
+    .slice()
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    .map((event) => formatEmergencyEvent(event, options));
+}
+
+function describe(action, a, address, label) {
+  switch (action) {
+    case "Paused":
+      return "Paused the factory";
+    case "Unpaused":
+      return "Unpaused the factory";
+    case "OperationPauseUpdated":
+      return `${a.paused ? "Paused" : "Resumed"} ${OPERATIONS[Number(a.operation)]}`;
+    case "GameFreezeUpdated":
+      return `${a.frozen ? "Froze" : "Unfroze"} game ${a.gameId}`;
+    case "EmergencyWithdrawalQueued":
+      return `Queued withdrawal #${a.id} of ${label.amount(a.amount, a.token)} to ${a.to}, ` +
+        `executable from ${new Date(Number(a.executableAt) * 1000).toISOString()}`;
+    case "EmergencyWithdrawalExecuted":
+      return `Executed withdrawal #${a.id}: ${label.amount(a.amount, a.token)} to ${a.to}`;
+    case "EmergencyWithdrawalCancelled":
+      return `Cancelled withdrawal #${a.id}`;
+    case "EmergencyWithdrawalDelayUpdated":
+      return `Changed the emergency withdrawal delay from ${a.oldDelay}s to ${a.newDelay}s`;
+    case "TokensRecovered":
+      return `Recovered ${label.amount(a.amount, a.token)} from game token ${address} to ${a.to}`;
+    default:
+      return action;
+  }
+}
+
+function labeller(tokens) {
+  const labels = { [ethers.ZeroAddress]: { symbol: "ETH", decimals: 18 } };
+  for (const [address, info] of Object.entries(tokens)) {
+    labels[address.toLowerCase()] = info;
+  }
+  return {
+    amount(value, token) {
+      const info = labels[token.toLowerCase()];
+      if (!info) return `${value} of ${token}`;
+      const decimals = info.decimals !== undefined ? info.decimals : 18;
+      const formatted = ethers.formatUnits(value, decimals);
+      return `${formatted.endsWith(".0") ? formatted.slice(0, -2) : formatted} ${info.symbol}`;
+    },
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  WITHDRAWAL_STATUS,
+  FACTORY_EMERGENCY_EVENTS,
+  GAME_TOKEN_EMERGENCY_EVENTS,
+  formatEmergencyEvent,
+  buildEmergencyLog,
+};
@@ -0,0 +1,440 @@
+const { ethers } = require("ethers");
+const {
+  GAME_TOKEN_FACTORY_ERRORS,
+  GAME_TOKEN_ERRORS,
+  GAME_TOKEN_1155_ERRORS,
+  XP_TOKEN_ERRORS,
+  OPENZEPPELIN_ERRORS,
+  FORWARDER_ERRORS,
+} = require("./abis");
+
+/**
+ * @title Contract error decoder
+ * @dev Turns raw revert data from GameTokenFactory, GameToken, GameToken1155 and XPToken into
+ * typed JavaScript errors. Each custom error maps to its own subclass with the
+ * Solidity parameters exposed as named fields (uints as BigInt), a category
+ * from ERROR_HANDLING_GUIDE.md and a human-readable suggested fix.
+ *
+ * @example
+ * try {
+ *   await factory.createGameToken(amount, name, symbol, 18);
+ * } catch (err) {
+ *   const decoded = decodeContractError(err, { tokens: { [xpAddress]: { symbol: "XP", decimals: 18 } } });
+ *   if (decoded instanceof ContractErrors.InsufficientAllowance) {
+ *     showToast(decoded.suggestion); // "Approve 500 more XP for 0x..."
+ *   }
+ * }
+ */
+
+// ============ Categories ============
+const ErrorCategory = Object.freeze({
+  VALIDATION: "validation",
+  BALANCE: "balance",
+  RATE: "rate",
+  ACCESS: "access",
+  STATE: "state",
+});
+
+// ============ Base Classes ============
+class GameEcosystemError extends Error {
+  /**
+   * @param {string} message Human-readable message
+   * @param {object} [details]
+   * @param {string} [details.errorName] Solidity error name
+   * @param {string} [details.signature] Solidity error signature
+   * @param {string} [details.selector] 4-byte selector
+   * @param {string} [details.data] Raw revert data
+   * @param {Array} [details.args] Decoded positional arguments
+   * @param {object} [details.fields] Decoded arguments keyed by Solidity parameter name
+   * @param {string} [details.suggestion] Suggested fix for the user
+   * @param {Error} [details.cause] Original error thrown by the provider
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.category = this.constructor.category;
+    this.errorName = details.errorName || null;
+    this.signature = details.signature || null;
+    this.selector = details.selector || null;
+    this.data = details.data || null;
+    this.args = details.args || [];
+    this.fields = details.fields || {};
+    this.suggestion = details.suggestion || null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+class ValidationError extends GameEcosystemError {}
+ValidationError.category = ErrorCategory.VALIDATION;
+
+class BalanceError extends GameEcosystemError {}
+BalanceError.category = ErrorCategory.BALANCE;
+
+class RateError extends GameEcosystemError {}
+RateError.category = ErrorCategory.RATE;
+
+class AccessError extends GameEcosystemError {}
+AccessError.category = ErrorCategory.ACCESS;
+
+class StateError extends GameEcosystemError {}
+StateError.category = ErrorCategory.STATE;
+
+const CATEGORY_BASES = {
+  [ErrorCategory.VALIDATION]: ValidationError,
+  [ErrorCategory.BALANCE]: BalanceError,
+  [ErrorCategory.RATE]: RateError,
+  [ErrorCategory.ACCESS]: AccessError,
+  [ErrorCategory.STATE]: StateError,
+};
+
+/**
+ * Revert with a plain `require` string or a panic code
+ */
+class RevertError extends StateError {}
+
+// ============ Error Definitions ============
+// Each entry: [category, suggest(args, fmt)] where fmt exposes amount/token formatting helpers
+const { VALIDATION, BALANCE, RATE, ACCESS, STATE } = ErrorCategory;
+
+const ERROR_DEFINITIONS = {
+  // Input Validation Errors
+  ZeroAmount: [VALIDATION, () => "Enter an amount greater than 0"],
+  ZeroRate: [VALIDATION, () => "Use a conversion rate greater than 0"],
+  ZeroAddress: [VALIDATION, () => "Provide a non-zero address"],
+  InvalidAddress: [VALIDATION, (a) => `Use a different address: ${a.reason}`],
+  InvalidAmount: [VALIDATION, (a) => `Use a value between ${a.min} and ${a.max}`],
+  InvalidGameId: [VALIDATION, (a) => `Game ${a.provided} does not exist; use a game id up to ${a.maxValid}`],
+  InvalidDecimals: [VALIDATION, (a) => `Use at most ${a.maxAllowed} decimals`],
+  InsufficientAmount: [VALIDATION, (a, f) => `Increase the amount to at least ${f.amount(a.required)}`],
+  ExcessiveAmount: [VALIDATION, (a, f) => `Reduce the amount to at most ${f.amount(a.maximum)}`],
+  InvalidBatchSize: [VALIDATION, (a) => `Send between 1 and ${a.maxSize} items per batch (got ${a.size}); split larger batches`],
+  InvalidBurnAmount: [VALIDATION, (a, f) => `Burn a different amount than ${f.amount(a.amount)}: ${a.reason}`],
+  RedemptionExceedsTransactionLimit: [VALIDATION, (a, f) => `Redeem at most ${f.amount(a.maxPerTransaction)} per transaction`],
+  RedemptionExceedsDailyLimit: [VALIDATION, (a, f) => `Redeem at most ${f.amount(a.remaining)} more before ${a.resetsAt}`],
+  RedemptionExceedsGlobalDailyLimit: [VALIDATION, (a, f) => `Only ${f.amount(a.remaining)} more can be redeemed by anyone before ${a.resetsAt}`],
+  RedemptionCooldownActive: [STATE, (a) => `Wait until ${a.availableAt} before redeeming again`],
+  InvalidRecoveryTarget: [VALIDATION, (a) => `Recover to an address other than ${a.target}`],
+  MathOverflow: [VALIDATION, (a) => `Use a smaller amount (${a.operation} would overflow)`],
+  MathUnderflow: [VALIDATION, (a) => `Check balances before retrying (${a.operation} would underflow)`],
+
+  // String Validation Errors
+  EmptyString: [VALIDATION, (a) => `Fill in the ${a.fieldName}`],
+  StringTooLong: [VALIDATION, (a) => `Shorten the ${a.fieldName} to ${a.maxLength} characters or fewer (currently ${a.length})`],
+  InvalidCharacters: [VALIDATION, (a) => `Use only letters, numbers, spaces, "-", "_" and "." in the ${a.fieldName}`],
+
+  // Business Logic Errors
+  DuplicateGameName: [VALIDATION, (a) => `You already created a game named "${a.name}"; choose a different name`],
+  GameTokenNotActive: [STATE, (a) => `Game ${a.gameId} is not active; choose an active game`],
+  GameTokenInactive: [STATE, (a) => `Game ${a.gameId} is not active; choose an active game`],
+  UnknownGameToken: [VALIDATION, (a) => `${a.token} was not created by this factory; check the token address`],
+  GameAlreadyActive: [STATE, (a) => `Game ${a.gameId} is already active`],
+  GameAlreadySunset: [STATE, (a) => `Game ${a.gameId} has been sunset and can no longer change status`],
+  GameNotSunset: [STATE, (a) => `Game ${a.gameId} has not been sunset; sunset it first`],
+  SunsetAlreadyFinalized: [STATE, (a) => `Game ${a.gameId} is already closed`],
+  RedemptionWindowOpen: [STATE, (a) => `Wait until ${a.endsAt} for game ${a.gameId}'s redemption window to end`],
+  RedemptionWindowClosed: [STATE, (a) => `Game ${a.gameId}'s redemption window ended at ${a.endedAt}; its tokens can no longer be redeemed`],
+  LockPositionNotFound: [VALIDATION, (a) => `Position ${a.positionId} does not belong to ${a.user}; pick one of your own positions`],
+  GameTokenLimitExceeded: [VALIDATION, (a) => `You have created ${a.current} of ${a.maximum} allowed games`],
+  InvalidInitialSupply: [VALIDATION, (a, f) => (a.maximum === 0n
+    ? `Choose an XP amount that yields a supply of at least ${f.amount(a.minimum)}`
+    : `Choose an XP amount that yields a supply between ${f.amount(a.minimum)} and ${f.amount(a.maximum)}`)],
+  TokenCreationCooldown: [STATE, (a) => `Wait ${a.timeRemaining} more seconds before creating another game`],
+  InvalidGameOperation: [STATE, (a) => `${a.operation} is not allowed: ${a.reason}`],
+  UnknownGame: [VALIDATION, (a) => `Game ${a.gameId} is not in the ERC-1155 collection; check the game ID`],
+  GameAlreadyExists: [STATE, (a) => `Game ${a.gameId} already exists in the ERC-1155 collection`],
+  TokenStandardUnavailable: [STATE, () => "ERC-1155 games are not enabled on this factory; create an ERC-20 game instead"],
+  UnsupportedTokenStandard: [VALIDATION, (a) => `Game ${a.gameId}'s token does not support this; use the standard redemption instead`],
+  UnsupportedForImportedGame: [STATE, (a) => `Game ${a.gameId} was imported from ${a.sourceFactory}; its supply cannot be increased here`],
+  GameAlreadyImported: [VALIDATION, (a) => `Game ${a.sourceGameId} of ${a.sourceFactory} has already been imported`],
+  InvalidImplementation: [VALIDATION, (a) => `${a.implementation} is not a GameTokenFactory implementation; deploy one and upgrade to it`],
+  ERC1967InvalidImplementation: [VALIDATION, (a) => `${a.implementation} is not a GameTokenFactory implementation; deploy one and upgrade to it`],
+  UUPSUnauthorizedCallContext: [VALIDATION, () => "Upgrade through the factory proxy, not an implementation"],
+  UUPSUnsupportedProxiableUUID: [VALIDATION, () => "The new implementation does not use the ERC-1967 implementation slot; upgrade to a GameTokenFactory implementation"],
+  ERC1967NonPayable: [VALIDATION, () => "Send no ETH with an upgrade unless its initialization call is payable"],
+  AddressEmptyCode: [VALIDATION, (a) => `${a.target} has no code; deploy the implementation before upgrading to it`],
+  AssetNotLockable: [VALIDATION, (a, f) => `${f.token(a.asset)} cannot be locked; lock CREDA or an asset from getLockableAssets`],
+  AssetAlreadyListed: [VALIDATION, (a, f) => `${f.token(a.asset)} is already lockable; update its configuration instead`],
+  AssetLockingPaused: [STATE, (a, f) => `Locking ${f.token(a.asset)} is paused; try again later or lock another asset`],
+  InvalidPricingCurve: [VALIDATION, () => "Pick a linear, exponential or constant-product curve with parameters up to MAX_CURVE_PARAMETER; only a linear curve may have a zero parameter"],
+  NotCurveGame: [VALIDATION, (a) => `Game ${a.gameId} has no pricing curve; create tokens with createGameToken and redeem them with burnGameToken`],
+  UnsupportedForCurveGame: [STATE, (a) => `Game ${a.gameId} is priced along a bonding curve; buy and sell its tokens instead`],
+  TradeExpired: [VALIDATION, (a) => `The trade expired at ${a.deadline}; submit it again with a later deadline`],
+
+  // Balance and Supply Errors
+  InsufficientXpReserves: [BALANCE, (a, f) => `Redeem a smaller amount; only ${f.amount(a.available)} XP is held in reserve`],
+  InsufficientUserBalance: [BALANCE, (a, f) => `Acquire ${f.amount(a.required - a.available, a.token)} more ${f.token(a.token)}`],
+  InsufficientAllowance: [BALANCE, (a, f) => `Approve ${f.amount(a.required - a.current, a.token)} more ${f.token(a.token)} for ${a.spender}`],
+  InsufficientBalance: [BALANCE, (a, f) => `Acquire ${f.amount(a.required - a.available)} more tokens`],
+  ExcessiveBurnRequest: [BALANCE, (a, f) => `Burn at most ${f.amount(a.maxAllowed !== undefined ? a.maxAllowed : a.available)}`],
+  ExcessiveMintRequest: [BALANCE, (a, f) => `Mint at most ${f.amount(a.maxAllowed)}`],
+  TotalSupplyLimitExceeded: [BALANCE, (a, f) => `Mint less; total supply would reach ${f.amount(a.newTotal)} of ${f.amount(a.maxSupply)}`],
+  AssetCapExceeded: [BALANCE, (a, f) => `Lock at most ${f.amount(a.available, a.asset)} ${f.token(a.asset)}; the asset's lock cap is nearly reached`],
+  FeeExceedsAmount: [BALANCE, (a, f) => `Redeem more; ${f.amount(a.amount)} XP does not cover the ${f.amount(a.fee)} XP redemption fee`],
+  DailyMintLimitExceeded: [BALANCE, (a, f) => `Wait for the daily mint window to reset (${f.amount(a.currentMinted)} of ${f.amount(a.dailyLimit)} used)`],
+
+  // Rate and Conversion Errors
+  InvalidConversionRate: [RATE, () => "The conversion rate is not configured; contact an administrator"],
+  RateChangeTooBig: [RATE, (a) => `Change the rate by at most ${a.maxChangePercent}% per update`],
+  ConversionResultsInZero: [RATE, () => "Use a larger amount; the conversion rounds down to zero"],
+  SlippageExceeded: [RATE, (a, f) => `The price moved: the trade would return ${f.amount(a.amountOut)}, below your minimum of ${f.amount(a.minAmountOut)}; quote again`],
+  RateChangeAlreadyPending: [RATE, (a) => `Execute or cancel the pending change to ${a.pendingRate} (effective at ${a.effectiveAt}) first`],
+  NoPendingRateChange: [RATE, () => "Propose a rate change first"],
+  RateChangeNotReady: [RATE, (a) => `Wait ${a.effectiveAt - a.currentTime} more seconds before executing the rate change`],
+  NoPendingFeeChange: [RATE, () => "Raise the fee with setCreationFee or setRedemptionFee first"],
+  FeeChangeNotReady: [RATE, (a) => `Wait ${a.effectiveAt - a.currentTime} more seconds before executing the fee increase`],
+
+  // Access Control Errors
+  UnauthorizedAccess: [ACCESS, (a) => `Use an account holding role ${a.requiredRole}`],
+  InvalidRole: [ACCESS, (a) => `Role ${a.role} is not recognised`],
+  RoleAlreadyGranted: [ACCESS, (a) => `${a.account} already holds this role`],
+  RoleNotGranted: [ACCESS, (a) => `${a.account} does not hold this role`],
+  UnauthorizedFactory: [ACCESS, (a) => `Call through the factory at ${a.expectedFactory}`],
+  UnauthorizedOwner: [ACCESS, (a) => `Use the owner account ${a.expectedOwner}`],
+  UnauthorizedBurner: [ACCESS, () => "Burn through the factory instead of calling the token directly"],
+  UnauthorizedMinter: [ACCESS, () => "Only accounts with MINTER_ROLE can mint"],
+  UnauthorizedPauser: [ACCESS, () => "Only accounts with PAUSER_ROLE can pause"],
+  UnauthorizedGameManager: [ACCESS, (a) => `Use game ${a.gameId}'s creator or an account with GAME_MANAGER_ROLE; curve games need GAME_MANAGER_ROLE`],
+  UnauthorizedPolicyManager: [ACCESS, () => "Use the game token owner or an account with GAME_MANAGER_ROLE on the factory"],
+  UnauthorizedCreator: [ACCESS, (a) => `Only game ${a.gameId}'s creator can do this`],
+  UnauthorizedRedeemer: [ACCESS, (a) => `Submit a fresh permit signed by ${a.holder}, or redeem from that account`],
+
+  // Contract State Errors
+  ContractPaused: [STATE, () => "Operations are paused; try again later"],
+  ContractNotPaused: [STATE, () => "The contract must be paused first"],
+  ReentrancyDetected: [STATE, () => "Retry the transaction without nested calls"],
+  InvalidContractState: [STATE, (a) => `Contract state does not allow this: ${a.reason}`],
+  BurnDisabled: [STATE, () => "Burning is disabled for this game token; contact the game owner"],
+  MintingDisabledAfterInit: [STATE, () => "Mint through the factory by locking XP"],
+  MintingDisabled: [STATE, () => "XP minting is currently disabled"],
+  BurningDisabled: [STATE, () => "XP burning is currently disabled"],
+  SuspiciousActivity: [STATE, (a) => `Activity was blocked: ${a.reason}`],
+  DivisionByZero: [STATE, (a) => `Calculation ${a.operation} is undefined; check game configuration`],
+  InvalidCalculation: [STATE, (a) => `Calculation ${a.operation} failed: ${a.reason}`],
+
+  // External Call Errors
+  TransferFailed: [STATE, (a) => `Check the balance and allowance of ${a.from} on ${a.token}`],
+  MintFailed: [STATE, () => "Check that the factory holds MINTER_ROLE on the XP token and that the XP token is not paused"],
+  BurnFailed: [STATE, (a) => `Check the balance of ${a.from} and that burning is enabled`],
+  GameTokenDeploymentFailed: [STATE, (a) => `Game token deployment failed: ${a.reason}`],
+  ExternalCallFailed: [STATE, (a) => `Call to ${a.target} failed; retry later`],
+  MintOperationFailed: [STATE, (a) => `Minting failed: ${a.reason}`],
+  BurnOperationFailed: [STATE, (a) => `Burning failed: ${a.reason}`],
+  BurningOperationFailed: [STATE, (a) => `Burning failed: ${a.reason}`],
+  TransferOperationFailed: [STATE, () => "Token transfer failed; retry later"],
+
+  // Recovery and Emergency Errors
+  EmergencyActionFailed: [STATE, (a) => `${a.action} failed: ${a.reason}`],
+  RecoveryNotAllowed: [STATE, (a) => `Recovery is blocked: ${a.reason}`],
+  RecoveryFailed: [STATE, (a) => `Recovery failed: ${a.reason}`],
+  EmergencyWithdrawalNotQueued: [STATE, (a) => `Withdrawal ${a.id} is not queued; it was already executed or cancelled`],
+  EmergencyWithdrawalNotReady: [STATE, (a) => `Withdrawal ${a.id} can be executed from ${a.executableAt}`],
+  OperationPaused: [STATE, (a) => `${["Locking", "Game creation", "Redemption"][Number(a.operation)]} is paused; try again later`],
+  GameFrozen: [STATE, (a) => `Game ${a.gameId} is frozen; try again later`],
+
+  // OpenZeppelin Errors
+  AccessControlUnauthorizedAccount: [ACCESS, (a) => `Use an account holding role ${a.neededRole}`],
+  AccessControlBadConfirmation: [ACCESS, () => "Only the account itself can renounce its role"],
+  OwnableUnauthorizedAccount: [ACCESS, () => "Use the contract owner account"],
+  OwnableInvalidOwner: [VALIDATION, () => "Provide a non-zero owner address"],
+  EnforcedPause: [STATE, () => "Operations are paused; try again later"],
+  ExpectedPause: [STATE, () => "The contract must be paused first"],
+  ReentrancyGuardReentrantCall: [STATE, () => "Retry the transaction without nested calls"],
+  FailedCall: [STATE, () => "A batched call reverted without a reason; retry the calls individually"],
+  ERC20InsufficientBalance: [BALANCE, (a, f) => `Acquire ${f.amount(a.needed - a.balance)} more tokens`],
+  ERC20InsufficientAllowance: [BALANCE, (a, f) => `Approve ${f.amount(a.needed - a.allowance)} more tokens for ${a.spender}`],
+  ERC20InvalidSender: [VALIDATION, () => "Send from a non-zero address"],
+  ERC20InvalidReceiver: [VALIDATION, () => "Send to a non-zero address"],
+  ERC20InvalidApprover: [VALIDATION, () => "Approve from a non-zero address"],
+  ERC20InvalidSpender: [VALIDATION, () => "Approve a non-zero spender"],
+  ERC2612ExpiredSignature: [VALIDATION, (a) => `The permit expired at ${a.deadline}; sign a new one`],
+  ERC2612InvalidSigner: [VALIDATION, (a) => `The permit was signed by ${a.signer}, not ${a.owner}; sign it with the token holder's account`],
+  ECDSAInvalidSignature: [VALIDATION, () => "The permit signature is invalid; sign it again"],
+  ECDSAInvalidSignatureLength: [VALIDATION, () => "The permit signature is malformed; sign it again"],
+  ECDSAInvalidSignatureS: [VALIDATION, () => "The permit signature is malformed; sign it again"],
+  InvalidInitialization: [STATE, () => "The factory is already initialized"],
+  NotInitializing: [STATE, () => "Call this only from an initializer"],
+  ERC2771ForwarderInvalidSigner: [VALIDATION, (a) => `The request was signed by ${a.signer}, not ${a.from}, or its nonce was already used; sign it again`],
+  ERC2771ForwarderMismatchedValue: [VALIDATION, (a) => `Send exactly ${a.requestedValue} wei with the request`],
+  ERC2771ForwarderExpiredRequest: [VALIDATION, (a) => `The request expired at ${a.deadline}; sign a new one`],
+  ERC2771UntrustfulTarget: [ACCESS, (a) => `${a.target} does not trust forwarder ${a.forwarder}; relay only to contracts that do`],
+};
+
+// ============ Error Classes ============
+/**
+ * One subclass per Solidity error name, extending its category base class.
+ * Keyed by Solidity name: `err instanceof ContractErrors.InsufficientAllowance`.
+ */
+const ContractErrors = {};
+for (const [errorName, [category]] of Object.entries(ERROR_DEFINITIONS)) {
+  const Base = CATEGORY_BASES[category];
+  const ErrorClass = class extends Base {};
+  Object.defineProperty(ErrorClass, "name", { value: `${errorName}Error` });
+  ErrorClass.errorName = errorName;
+  ContractErrors[errorName] = ErrorClass;
+}
+
+// ============ Decoding ============
+const ERROR_INTERFACE = new ethers.Interface(
+  dedupeFragments([
+    ...GAME_TOKEN_FACTORY_ERRORS,
+    ...GAME_TOKEN_ERRORS,
+    ...GAME_TOKEN_1155_ERRORS,
+    ...XP_TOKEN_ERRORS,
+    ...OPENZEPPELIN_ERRORS,
+    ...FORWARDER_ERRORS,
+  ])
+);
+
+const RESERVED_FIELDS = new Set([
+  "name", "message", "stack", "cause", "category", "errorName",
+  "signature", "selector", "data", "args", "fields", "suggestion",
+]);
+
+const REVERT_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/**
+ * Decode a revert into a typed error.
+ * @param {Error|string} errorOrData Error thrown by ethers/hardhat, or raw revert data
+ * @param {object} [options]
+ * @param {Object<string, { symbol: string, decimals?: number }>} [options.tokens] Token labels keyed by address
+ * @returns {GameEcosystemError|null} Typed error, or null when no revert data is found
+ */
+function decodeContractError(errorOrData, options = {}) {
+  if (errorOrData instanceof GameEcosystemError) return errorOrData;
+
+  const data = typeof errorOrData === "string" ? errorOrData : extractRevertData(errorOrData);
+  const cause = typeof errorOrData === "string" ? undefined : errorOrData;
+  if (!data || data.length < 10) return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const fmt = createFormatter(options.tokens);
+
+  if (selector === REVERT_STRING_SELECTOR || selector === PANIC_SELECTOR) {
+    const reason = decodeBuiltinRevert(selector, data);
+    return new RevertError(reason, { selector, data, suggestion: reason, cause });
+  }
+
+  let parsed;
+  try {
+    parsed = ERROR_INTERFACE.parseError(data);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed) {
+    return new StateError(`Unknown contract error ${selector}`, { selector, data, cause });
+  }
+
+  const errorName = parsed.name;
+  const ErrorClass = ContractErrors[errorName];
+  const [, suggest] = ERROR_DEFINITIONS[errorName];
+
+  const fields = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    fields[input.name] = parsed.args[i];
+  });
+
+  const suggestion = suggest(fields, fmt);
+  const error = new ErrorClass(`${errorName}: ${suggestion}`, {
+    errorName,
+    signature: parsed.signature,
+    selector,
+    data,
+    args: Array.from(parsed.args),
+    fields,
+    suggestion,
+    cause,
+  });
+
+  // Expose parameters as top-level fields unless they shadow Error properties
+  // (e.g. DuplicateGameName.name stays available as error.fields.name)
+  for (const [key, value] of Object.entries(fields)) {
+    if (!RESERVED_FIELDS.has(key)) error[key] = value;
+  }
+  return error;
+}
+
+/**
+ * Find revert data on errors thrown by ethers v6, hardhat or JSON-RPC providers.
+ * @param {Error} error
+ * @returns {string|null}
+ */
+function extractRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+
+    if (isRevertData(current.data)) return current.data;
+    if (current.data && typeof current.data === "object" && isRevertData(current.data.data)) {
+      return current.data.data;
+    }
+
+    queue.push(current.error, current.info, current.cause, current.data);
+    if (current.info) queue.push(current.info.error);
+  }
+  return null;
+}
+
+function isRevertData(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{8}/.test(value);
+}
+
+function decodeBuiltinRevert(selector, data) {
+  try {
+    const [value] = ethers.AbiCoder.defaultAbiCoder().decode(
+      [selector === REVERT_STRING_SELECTOR ? "string" : "uint256"],
+      ethers.dataSlice(data, 4)
+    );
+    return selector === REVERT_STRING_SELECTOR ? value : `Panic(0x${value.toString(16)})`;
+  } catch {
+    return "Transaction reverted";
+  }
+}
+
+/**
+ * Build amount/token formatting helpers for suggestion messages.
+ */
+function createFormatter(tokens = {}) {
+  const labels = {};
+  for (const [address, info] of Object.entries(tokens)) {
+    labels[address.toLowerCase()] = info;
+  }
+
+  return {
+    token(address) {
+      const info = address && labels[address.toLowerCase()];
+      return info ? info.symbol : address;
+    },
+    amount(value, address) {
+      const info = address && labels[address.toLowerCase()];
+      const decimals = info && info.decimals !== undefined ? info.decimals : 18;
+      return trimZeroFraction(ethers.formatUnits(value, decimals));
+    },
+  };
+}
+
+function trimZeroFraction(value) {
+  return value.endsWith(".0") ? value.slice(0, -2) : value;
+}
+
+function dedupeFragments(fragments) {
+  return [...new Set(fragments.map((f) => ethers.ErrorFragment.from(f).format("full")))];
+}
+
+module.exports = {
+  ErrorCategory,
+  GameEcosystemError,
+  ValidationError,
+  BalanceError,
+  RateError,
+  AccessError,
+  StateError,
+  RevertError,
+  ContractErrors,
+  decodeContractError,
+  extractRevertData,
+};
@@ -0,0 +1,158 @@
+/**
+ * @title ERC-2771 forward request helpers
+ * @dev Builds and signs ForwardRequest typed data for GameForwarder, so a player
+ * can authorise a factory or game token call that a relayer submits and pays for.
+ * Requests travel to the relayer as JSON with uints as decimal strings.
+ */
+
+const { ethers } = require("ethers");
+const { FORWARDER_ABI } = require("./abis");
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Default lifetime of a signed forward request, in seconds
+const DEFAULT_FORWARD_REQUEST_TTL = 600;
+
+// Headroom added to the estimated gas of the forwarded call, in percent
+const FORWARD_GAS_MARGIN_PERCENT = 20n;
+
+/**
+ * EIP-712 domain of a forwarder, from EIP-5267 eip712Domain().
+ * @param {string} forwarderAddress GameForwarder address
+ * @param {import("ethers").ContractRunner} runner Provider or signer
+ * @returns {Promise<{ name: string, version: string, chainId: bigint, verifyingContract: string }>}
+ */
+async function getForwarderDomain(forwarderAddress, runner) {
+  const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, runner);
+  const eip712 = await forwarder.eip712Domain();
+  return {
+    name: eip712.name,
+    version: eip712.version,
+    chainId: eip712.chainId,
+    verifyingContract: eip712.verifyingContract,
+  };
+}
+
+/**
+ * Estimate the gas a forwarded call needs, plus FORWARD_GAS_MARGIN_PERCENT.
+ * The call is simulated as the forwarder with `from` appended, which is how the
+ * target sees it when relayed.
+ * @param {import("ethers").Provider} provider
+ * @param {string} forwarderAddress GameForwarder address
+ * @param {{ from: string, to: string, data: string, value?: bigint }} call
+ * @returns {Promise<bigint>}
+ */
+async function estimateForwardGas(provider, forwarderAddress, { from, to, data, value = 0n }) {
+  const estimate = await provider.estimateGas({
+    from: forwarderAddress,
+    to,
+    data: ethers.concat([data, from]),
+    value,
+  });
+  return (estimate * (100n + FORWARD_GAS_MARGIN_PERCENT)) / 100n;
+}
+
+/**
+ * Sign a request for GameForwarder to call `to` with `data` on the signer's behalf.
+ * @param {import("ethers").Signer} signer Account the call is attributed to
+ * @param {string} forwarderAddress GameForwarder address
+ * @param {object} request
+ * @param {string} request.to Target contract
+ * @param {string} request.data Calldata for the target
+ * @param {bigint} request.gas Gas forwarded to the target
+ * @param {bigint} request.deadline Unix time after which the forwarder rejects the request
+ * @param {bigint} [request.value=0n] Wei forwarded with the call
+ * @param {bigint} [request.nonce] Forwarder nonce (read from the forwarder when omitted)
+ * @param {object} [request.domain] Domain from getForwarderDomain (fetched when omitted)
+ * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, deadline: bigint, data: string, signature: string, nonce: bigint }>}
+ *   ForwardRequestData for execute(), plus the nonce that was signed
+ */
+async function signForwardRequest(signer, forwarderAddress, { to, data, gas, deadline, value = 0n, nonce, domain }) {
+  if (gas === undefined || deadline === undefined) {
+    throw new Error("signForwardRequest: gas and deadline are required");
+  }
+  const from = await signer.getAddress();
+  const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, signer);
+  const message = {
+    from,
+    to: ethers.getAddress(to),
+    value: BigInt(value),
+    gas: BigInt(gas),
+    nonce: nonce !== undefined ? BigInt(nonce) : await forwarder.nonces(from),
+    deadline: BigInt(deadline),
+    data: ethers.hexlify(data),
+  };
+  const signature = await signer.signTypedData(
+    domain || (await getForwarderDomain(forwarderAddress, signer)),
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+  return { ...message, signature };
+}
+
+/**
+ * JSON-safe copy of a forward request (uints as decimal strings).
+ * @param {object} request Signed request from signForwardRequest
+ */
+function serializeForwardRequest(request) {
+  const json = {
+    from: request.from,
+    to: request.to,
+    value: BigInt(request.value).toString(),
+    gas: BigInt(request.gas).toString(),
+    deadline: BigInt(request.deadline).toString(),
+    data: request.data,
+    signature: request.signature,
+  };
+  if (request.nonce !== undefined) json.nonce = BigInt(request.nonce).toString();
+  return json;
+}
+
+/**
+ * Parse a forward request received as JSON, rejecting malformed fields.
+ * @param {object} json Request as produced by serializeForwardRequest
+ * @returns {{ from: string, to: string, value: bigint, gas: bigint, deadline: bigint, data: string, signature: string }}
+ */
+function parseForwardRequest(json) {
+  if (!json || typeof json !== "object") {
+    throw new Error("Forward request must be an object");
+  }
+  for (const field of ["from", "to", "value", "gas", "deadline", "data", "signature"]) {
+    if (json[field] === undefined || json[field] === null) {
+      throw new Error(`Forward request is missing ${field}`);
+    }
+  }
+  if (!ethers.isHexString(json.data) || !ethers.isHexString(json.signature)) {
+    throw new Error("Forward request data and signature must be hex strings");
+  }
+  return {
+    from: ethers.getAddress(json.from),
+    to: ethers.getAddress(json.to),
+    value: BigInt(json.value),
+    gas: BigInt(json.gas),
+    deadline: BigInt(json.deadline),
+    data: json.data,
+    signature: json.signature,
+  };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  DEFAULT_FORWARD_REQUEST_TTL,
+  FORWARD_GAS_MARGIN_PERCENT,
+  getForwarderDomain,
+  estimateForwardGas,
+  signForwardRequest,
+  serializeForwardRequest,
+  parseForwardRequest,
+};
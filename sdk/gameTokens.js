@@ -0,0 +1,134 @@
+const { ethers } = require("ethers");
+const { GAME_TOKEN_ABI, GAME_TOKEN_1155_ABI } = require("./abis");
+
+/**
+ * @title Game token handles
+ * @dev A game's tokens are either their own GameToken (ERC-20) or one token id
+ * in the factory's shared GameToken1155 collection. Both handles below expose
+ * the same methods, taking no token id, so callers read balances, supply and
+ * redemption limits the same way whichever standard the game was created with.
+ * `contract` is the underlying ethers contract for anything standard-specific.
+ *
+ * @example
+ * const token = await client.getGameToken(gameId);
+ * const balance = await token.balanceOf(player);
+ * if (token.standard === "erc1155") await token.contract.setApprovalForAll(market, true);
+ */
+
+// GameTokenFactoryStorage.TokenStandard, by enum index
+const TOKEN_STANDARDS = ["erc20", "erc1155"];
+
+class ERC20GameToken {
+  /**
+   * @param {string} tokenAddress GameToken address
+   * @param {bigint} gameId ID of the game
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(tokenAddress, gameId, runner) {
+    this.standard = "erc20";
+    this.gameId = BigInt(gameId);
+    this.contract = new ethers.Contract(tokenAddress, GAME_TOKEN_ABI, runner);
+  }
+
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  decimals() {
+    return this.contract.decimals();
+  }
+
+  totalSupply() {
+    return this.contract.totalSupply();
+  }
+
+  balanceOf(account) {
+    return this.contract.balanceOf(account);
+  }
+
+  burnEnabled() {
+    return this.contract.burnEnabled();
+  }
+
+  redemptionPolicy() {
+    return this.contract.redemptionPolicy();
+  }
+
+  /** @returns {Promise<[bigint, bigint]>} amount and availableAt */
+  maxRedeemable(account) {
+    return this.contract.maxRedeemable(account);
+  }
+
+  /** @returns {Promise<import("ethers").ContractTransactionResponse>} */
+  setRedemptionPolicy(policy) {
+    return this.contract.setRedemptionPolicy(policy);
+  }
+}
+
+class ERC1155GameToken {
+  /**
+   * @param {string} collectionAddress GameToken1155 address
+   * @param {bigint} gameId ID of the game, which is also its token id
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(collectionAddress, gameId, runner) {
+    this.standard = "erc1155";
+    this.gameId = BigInt(gameId);
+    this.contract = new ethers.Contract(collectionAddress, GAME_TOKEN_1155_ABI, runner);
+  }
+
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  decimals() {
+    return this.contract.decimals(this.gameId);
+  }
+
+  totalSupply() {
+    return this.contract.totalSupply(this.gameId);
+  }
+
+  balanceOf(account) {
+    return this.contract.balanceOf(account, this.gameId);
+  }
+
+  burnEnabled() {
+    return this.contract.burnEnabled(this.gameId);
+  }
+
+  redemptionPolicy() {
+    return this.contract.redemptionPolicy(this.gameId);
+  }
+
+  /** @returns {Promise<[bigint, bigint]>} amount and availableAt */
+  maxRedeemable(account) {
+    return this.contract.maxRedeemable(account, this.gameId);
+  }
+
+  /** @returns {Promise<import("ethers").ContractTransactionResponse>} */
+  setRedemptionPolicy(policy) {
+    return this.contract.setRedemptionPolicy(this.gameId, policy);
+  }
+}
+
+/**
+ * Handle for a game's tokens.
+ * @param {string} standard "erc20" or "erc1155"
+ * @param {string} tokenAddress The game's token address from the factory (the collection for ERC-1155)
+ * @param {bigint} gameId ID of the game
+ * @param {import("ethers").ContractRunner} runner Signer or provider
+ * @returns {ERC20GameToken|ERC1155GameToken}
+ */
+function gameTokenHandle(standard, tokenAddress, gameId, runner) {
+  if (standard === "erc1155") return new ERC1155GameToken(tokenAddress, gameId, runner);
+  if (standard === "erc20") return new ERC20GameToken(tokenAddress, gameId, runner);
+  throw new Error(`Unknown game token standard "${standard}"`);
+}
+
+module.exports = {
+  TOKEN_STANDARDS,
+  ERC20GameToken,
+  ERC1155GameToken,
+  gameTokenHandle,
+};
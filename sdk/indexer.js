@@ -0,0 +1,457 @@
+/**
+ * @title Event indexer
+ * @dev Replays GameTokenFactory and game token events into a local JSON store and
+ * answers queries over them (games by creator, burn history, top games by XP
+ * locked). Block hashes of indexed blocks are kept so chain reorganisations are
+ * detected on the next sync and orphaned events are rolled back. Events from
+ * the ERC-1155 collection are stored in the same shape as a GameToken's.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { GAME_TOKEN_FACTORY_ABI, GAME_TOKEN_ABI, GAME_TOKEN_1155_ABI } = require("./abis");
+
+const STORE_VERSION = 1;
+
+// Factory events replayed by the indexer. RateChangeExecuted replaced RateUpdated
+// when rate changes moved behind a timelock, and the emergency withdrawal events
+// replaced EmergencyWithdraw when withdrawals did.
+const FACTORY_EVENTS = [
+  "CredaLocked",
+  "GameTokenCreated",
+  "GameTokenSupplyIncreased",
+  "GameTokenBurned",
+  "RateChangeExecuted",
+  "EmergencyWithdrawalQueued",
+  "EmergencyWithdrawalExecuted",
+  "EmergencyWithdrawalCancelled",
+  "OperationPauseUpdated",
+  "GameFreezeUpdated",
+  "GameDeactivated",
+  "GameReactivated",
+  "GameSunset",
+  "GameSunsetFinalized",
+];
+const GAME_TOKEN_EVENTS = ["TokensBurned"];
+
+// Game status after each lifecycle event; names match GameEcosystemClient.getGameStatus
+const LIFECYCLE_STATUS = {
+  GameDeactivated: "inactive",
+  GameReactivated: "active",
+  GameSunset: "sunset",
+  GameSunsetFinalized: "closed",
+};
+
+const factoryInterface = new ethers.Interface(GAME_TOKEN_FACTORY_ABI);
+const gameTokenInterface = new ethers.Interface(GAME_TOKEN_ABI);
+const gameToken1155Interface = new ethers.Interface(GAME_TOKEN_1155_ABI);
+
+function emptyState() {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    factory: null,
+    startBlock: 0,
+    lastBlock: null,
+    blockHashes: {},
+    gameTokens: {},
+    events: [],
+  };
+}
+
+/**
+ * In-memory store; state is lost when the process exits.
+ */
+class MemoryStore {
+  constructor() {
+    this.state = emptyState();
+  }
+
+  load() {
+    return this.state;
+  }
+
+  save(state) {
+    this.state = state;
+  }
+}
+
+/**
+ * JSON file store. Writes go through a temp file so an interrupted save keeps the previous state.
+ */
+class JsonFileStore {
+  /**
+   * @param {string} file Path of the JSON database
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return emptyState();
+    const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`Indexer store ${this.file}: unsupported version ${state.version}`);
+    }
+    return state;
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/**
+ * @title EventIndexer
+ * @dev Incrementally indexes a GameTokenFactory deployment.
+ *
+ * @example
+ * const indexer = new EventIndexer({ provider, factoryAddress, store: new JsonFileStore("index.json") });
+ * await indexer.sync();
+ * indexer.getGamesByCreator(creator);
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {string} options.factoryAddress GameTokenFactory address
+   * @param {MemoryStore|JsonFileStore} [options.store] Defaults to a MemoryStore
+   * @param {number} [options.startBlock=0] First block to index (usually the factory's deployment block)
+   * @param {number} [options.batchSize=2000] Blocks per eth_getLogs request
+   * @param {number} [options.reorgDepth=64] Number of recent block hashes kept for reorg detection
+   */
+  constructor({ provider, factoryAddress, store = new MemoryStore(), startBlock = 0, batchSize = 2000, reorgDepth = 64 } = {}) {
+    if (!provider) throw new Error("EventIndexer: a provider is required");
+    if (!factoryAddress) throw new Error("EventIndexer: factoryAddress is required");
+
+    this.provider = provider;
+    this.factoryAddress = ethers.getAddress(factoryAddress);
+    this.store = store;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+
+    this.state = store.load();
+    if (this.state.factory && this.state.factory !== this.factoryAddress) {
+      throw new Error(`EventIndexer: store was built for factory ${this.state.factory}`);
+    }
+    if (this.state.lastBlock === null) {
+      this.state.factory = this.factoryAddress;
+      this.state.startBlock = startBlock;
+    }
+  }
+
+  // ============ Syncing ============
+  /**
+   * Index every block from the last synced block up to the chain head.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorg: { fromBlock: number, removed: number } | null }>}
+   */
+  async sync() {
+    const { chainId } = await this.provider.getNetwork();
+    if (this.state.chainId === null) {
+      this.state.chainId = Number(chainId);
+    } else if (this.state.chainId !== Number(chainId)) {
+      throw new Error(`EventIndexer: store is for chain ${this.state.chainId}, provider is on chain ${chainId}`);
+    }
+
+    const reorg = await this._rollbackReorg();
+    const head = await this.provider.getBlockNumber();
+    const fromBlock = this.state.lastBlock === null ? this.state.startBlock : this.state.lastBlock + 1;
+
+    let indexed = 0;
+    for (let start = fromBlock; start <= head; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, head);
+      indexed += await this._indexRange(start, end);
+    }
+
+    if (head >= fromBlock) {
+      const block = await this.provider.getBlock(head);
+      this._recordBlock(head, block.hash);
+      this.state.lastBlock = head;
+    }
+    this._pruneBlockHashes();
+    this.store.save(this.state);
+
+    return { fromBlock, toBlock: head, events: indexed, reorg };
+  }
+
+  /**
+   * Poll for new blocks until the returned stop function is called.
+   * @param {object} [options]
+   * @param {number} [options.interval=2000] Poll interval in milliseconds
+   * @param {(result: object) => void} [options.onSync]
+   * @param {(error: Error) => void} [options.onError]
+   * @returns {() => void} stop
+   */
+  watch({ interval = 2000, onSync, onError } = {}) {
+    let stopped = false;
+    let timer = null;
+    const tick = async () => {
+      try {
+        const result = await this.sync();
+        if (onSync) onSync(result);
+      } catch (error) {
+        if (onError) onError(error);
+      }
+      if (!stopped) timer = setTimeout(tick, interval);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const factoryLogs = await this.provider.getLogs({
+      address: this.factoryAddress,
+      fromBlock,
+      toBlock,
+      topics: [FACTORY_EVENTS.map((name) => factoryInterface.getEvent(name).topicHash)],
+    });
+
+    const events = factoryLogs.map((log) => this._decode(log, factoryInterface));
+    for (const event of events) {
+      if (event.type === "GameTokenCreated") {
+        this.state.gameTokens[event.args.tokenAddress] = event.args.gameId;
+      }
+    }
+
+    // Game tokens created in this range cannot have emitted earlier, so one query covers them
+    const tokenAddresses = Object.keys(this.state.gameTokens);
+    if (tokenAddresses.length > 0) {
+      const tokenLogs = await this.provider.getLogs({
+        address: tokenAddresses,
+        fromBlock,
+        toBlock,
+        topics: [GAME_TOKEN_EVENTS.flatMap((name) => [
+          gameTokenInterface.getEvent(name).topicHash,
+          gameToken1155Interface.getEvent(name).topicHash,
+        ])],
+      });
+      for (const log of tokenLogs) {
+        events.push(this._decodeGameTokenLog(log));
+      }
+    }
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    for (const event of events) {
+      this._recordBlock(event.blockNumber, event.blockHash);
+      this.state.events.push(event);
+    }
+    return events.length;
+  }
+
+  _decode(log, iface) {
+    const parsed = iface.parseLog(log);
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return {
+      type: parsed.name,
+      address: ethers.getAddress(log.address),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+    };
+  }
+
+  // The ERC-1155 collection carries the game ID as the token id in each event
+  _decodeGameTokenLog(log) {
+    if (gameTokenInterface.getEvent(log.topics[0])) {
+      const event = this._decode(log, gameTokenInterface);
+      event.args.gameId = this.state.gameTokens[event.address];
+      return event;
+    }
+    const event = this._decode(log, gameToken1155Interface);
+    const { id, ...args } = event.args;
+    return { ...event, args: { ...args, gameId: id } };
+  }
+
+  // ============ Reorg Handling ============
+  /**
+   * Compare stored block hashes with the chain, newest first, and drop everything
+   * after the most recent block that still matches.
+   */
+  async _rollbackReorg() {
+    if (this.state.lastBlock === null) return null;
+
+    const tracked = Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+    let ancestor = null;
+    for (const number of tracked) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this.state.blockHashes[number]) {
+        ancestor = number;
+        break;
+      }
+    }
+
+    if (ancestor === this.state.lastBlock) return null;
+
+    // Deeper than the tracked window (or nothing matched): re-index from the start
+    const keepThrough = ancestor === null ? this.state.startBlock - 1 : ancestor;
+    const before = this.state.events.length;
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= keepThrough);
+    for (const number of tracked) {
+      if (number > keepThrough) delete this.state.blockHashes[number];
+    }
+
+    this.state.gameTokens = {};
+    for (const event of this.state.events) {
+      if (event.type === "GameTokenCreated") {
+        this.state.gameTokens[event.args.tokenAddress] = event.args.gameId;
+      }
+    }
+    this.state.lastBlock = keepThrough < this.state.startBlock ? null : keepThrough;
+
+    return { fromBlock: keepThrough + 1, removed: before - this.state.events.length };
+  }
+
+  _recordBlock(number, hash) {
+    this.state.blockHashes[number] = hash;
+  }
+
+  _pruneBlockHashes() {
+    const tracked = Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const number of tracked.slice(this.reorgDepth)) {
+      delete this.state.blockHashes[number];
+    }
+  }
+
+  // ============ Queries ============
+  /**
+   * Indexed events, optionally filtered by type.
+   * @param {string} [type] Event name, e.g. "CredaLocked"
+   */
+  getEvents(type) {
+    const events = type ? this.state.events.filter((event) => event.type === type) : this.state.events;
+    return events.map(withBigInts);
+  }
+
+  /**
+   * Every indexed game with its current XP locked, burn totals and lifecycle status.
+   * A sunset game stays "sunset" until GameSunsetFinalized is indexed.
+   */
+  getGames() {
+    const games = new Map();
+    for (const event of this.state.events) {
+      if (event.type === "GameTokenCreated") {
+        const { gameId, creator, tokenAddress, name, symbol, xpLocked, initialSupply } = event.args;
+        games.set(gameId, {
+          gameId: BigInt(gameId),
+          creator,
+          tokenAddress,
+          name,
+          symbol,
+          initialXpLocked: BigInt(xpLocked),
+          xpLocked: BigInt(xpLocked),
+          initialSupply: BigInt(initialSupply),
+          supplyAdded: 0n,
+          totalBurned: 0n,
+          xpReturned: 0n,
+          burnCount: 0,
+          status: "active",
+          redemptionEndsAt: null,
+          createdAtBlock: event.blockNumber,
+          transactionHash: event.transactionHash,
+        });
+      } else if (event.type === "GameTokenSupplyIncreased") {
+        const game = games.get(event.args.gameId);
+        if (!game) continue;
+        game.supplyAdded += BigInt(event.args.tokensMinted);
+        game.xpLocked = BigInt(event.args.newXpLocked);
+      } else if (event.type === "GameTokenBurned") {
+        const game = games.get(event.args.gameId);
+        if (!game) continue;
+        game.totalBurned += BigInt(event.args.burnAmount);
+        game.xpReturned += BigInt(event.args.xpReturned);
+        game.xpLocked -= BigInt(event.args.xpReturned);
+        game.burnCount++;
+      } else if (LIFECYCLE_STATUS[event.type]) {
+        const game = games.get(event.args.gameId);
+        if (!game) continue;
+        game.status = LIFECYCLE_STATUS[event.type];
+        if (event.type === "GameSunset") {
+          game.redemptionEndsAt = BigInt(event.args.redemptionEndsAt);
+        } else if (event.type === "GameSunsetFinalized") {
+          game.xpLocked -= BigInt(event.args.xpToTreasury);
+        }
+      }
+    }
+    return [...games.values()];
+  }
+
+  /**
+   * Games created by an address, oldest first.
+   * @param {string} creator
+   */
+  getGamesByCreator(creator) {
+    const account = ethers.getAddress(creator);
+    return this.getGames().filter((game) => game.creator === account);
+  }
+
+  /**
+   * Factory burns (with XP returned) for a game, oldest first.
+   * @param {bigint|number|string} gameId
+   */
+  getBurnHistory(gameId) {
+    const id = BigInt(gameId).toString();
+    return this.state.events
+      .filter((event) => event.type === "GameTokenBurned" && event.args.gameId === id)
+      .map((event) => ({
+        gameId: BigInt(id),
+        user: event.args.user,
+        burnAmount: BigInt(event.args.burnAmount),
+        xpReturned: BigInt(event.args.xpReturned),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      }));
+  }
+
+  /**
+   * Games ordered by XP currently locked, largest first.
+   * @param {number} [limit=10]
+   */
+  getTopGamesByXpLocked(limit = 10) {
+    return this.getGames()
+      .sort((a, b) => (a.xpLocked < b.xpLocked ? 1 : a.xpLocked > b.xpLocked ? -1 : 0))
+      .slice(0, limit);
+  }
+
+  /**
+   * CREDA locks by a user, oldest first.
+   * @param {string} user
+   */
+  getLocksByUser(user) {
+    const account = ethers.getAddress(user);
+    return this.getEvents("CredaLocked").filter((event) => event.args.user === account);
+  }
+}
+
+// Stored args keep uint values as decimal strings; convert them back using the event ABI
+function withBigInts(event) {
+  const fragment = factoryInterface.getEvent(event.type) || gameTokenInterface.getEvent(event.type);
+  const args = { ...event.args };
+  for (const input of fragment.inputs) {
+    if (input.type.startsWith("uint") || input.type.startsWith("int")) {
+      args[input.name] = BigInt(args[input.name]);
+    }
+  }
+  if (args.gameId !== undefined) args.gameId = BigInt(args.gameId);
+  return { ...event, args };
+}
+
+module.exports = {
+  EventIndexer,
+  MemoryStore,
+  JsonFileStore,
+  FACTORY_EVENTS,
+  GAME_TOKEN_EVENTS,
+};
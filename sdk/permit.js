@@ -0,0 +1,85 @@
+/**
+ * @title EIP-2612 permit helpers
+ * @dev Detects permit support and signs Permit typed data for GameToken, XPToken
+ * and any other OpenZeppelin ERC20Permit token. CREDA may be an external token
+ * without permit; it is reported as unsupported so callers can fall back to approve.
+ */
+
+const { ethers } = require("ethers");
+const { ERC20_PERMIT_ABI } = require("./abis");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Default lifetime of a signed permit, in seconds
+const DEFAULT_PERMIT_TTL = 3600;
+
+/**
+ * EIP-712 domain of a permit token, or null when the token does not support permit.
+ * The domain comes from EIP-5267 eip712Domain() and must hash to the token's
+ * DOMAIN_SEPARATOR, so a signature built from it is one the token will accept.
+ * @param {string} tokenAddress Token to probe
+ * @param {import("ethers").ContractRunner} runner Provider or signer
+ * @returns {Promise<{ name: string, version: string, chainId: bigint, verifyingContract: string } | null>}
+ */
+async function getPermitDomain(tokenAddress, runner) {
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, runner);
+  try {
+    const [eip712, separator] = await Promise.all([token.eip712Domain(), token.DOMAIN_SEPARATOR()]);
+    const domain = {
+      name: eip712.name,
+      version: eip712.version,
+      chainId: eip712.chainId,
+      verifyingContract: eip712.verifyingContract,
+    };
+    return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` use `value` of the signer's tokens.
+ * @param {import("ethers").Signer} signer Token holder
+ * @param {string} tokenAddress Permit token
+ * @param {string} spender Address being approved
+ * @param {bigint} value Allowance to grant
+ * @param {object} options
+ * @param {bigint} options.deadline Unix time after which the permit is rejected
+ * @param {object} [options.domain] Domain from getPermitDomain (fetched when omitted)
+ * @returns {Promise<{ owner: string, spender: string, value: bigint, nonce: bigint, deadline: bigint, v: number, r: string, s: string, signature: string }>}
+ */
+async function signPermit(signer, tokenAddress, spender, value, { deadline, domain } = {}) {
+  if (deadline === undefined) throw new Error("signPermit: a deadline is required");
+  const permitDomain = domain || (await getPermitDomain(tokenAddress, signer));
+  if (!permitDomain) {
+    throw new Error(`signPermit: token ${tokenAddress} does not support EIP-2612 permit`);
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  const message = {
+    owner,
+    spender,
+    value: BigInt(value),
+    nonce: await token.nonces(owner),
+    deadline: BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(permitDomain, PERMIT_TYPES, message);
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { ...message, v, r, s, signature };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  DEFAULT_PERMIT_TTL,
+  getPermitDomain,
+  signPermit,
+};
@@ -0,0 +1,145 @@
+/**
+ * @title Lock position helpers
+ * @dev Formatting and portfolio aggregation for GameTokenFactory lock positions.
+ * All amounts are BigInt; rates use the factory's 1e18 PRECISION_FACTOR.
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Normalise a LockPosition tuple returned by the factory.
+ * Positions carry the lock-up and penalty in force when they were opened; ones
+ * opened before those terms were recorded fall back to the current configuration.
+ * @param {object} position LockPosition struct result
+ * @param {bigint} [lockupPeriod=0n] Current lock-up period in seconds
+ * @param {bigint} [penaltyBps=0n] Current early-unlock penalty in basis points
+ */
+function formatLockPosition(position, lockupPeriod = 0n, penaltyBps = 0n) {
+  const lockedAt = BigInt(position.lockedAt);
+  const recorded = position.unlockableAt !== undefined && BigInt(position.unlockableAt) > 0n;
+  return {
+    positionId: position.id,
+    owner: position.owner,
+    lockedAt,
+    rate: position.rate,
+    credaAmount: position.credaAmount,
+    xpAmount: position.xpAmount,
+    credaRemaining: position.credaRemaining,
+    xpRemaining: position.xpRemaining,
+    // Zero for CREDA positions; otherwise the listed asset the position locks
+    asset: position.asset !== undefined ? position.asset : ethers.ZeroAddress,
+    open: position.xpRemaining > 0n,
+    unlockAvailableAt: recorded ? BigInt(position.unlockableAt) : lockedAt + BigInt(lockupPeriod),
+    penaltyBps: recorded ? BigInt(position.penaltyBps) : BigInt(penaltyBps),
+  };
+}
+
+/**
+ * Aggregate formatted positions into a portfolio summary for reconciliation.
+ * Amounts locked are in each position's own asset, so they are totalled per
+ * asset in `byAsset` (CREDA, the zero address, first), each with its average
+ * rate and a breakdown by the rate its positions were issued at. The top-level
+ * CREDA figures repeat the CREDA entry; position counts and XP cover every asset.
+ * @param {ReturnType<typeof formatLockPosition>[]} positions
+ * @param {object} [options]
+ * @param {bigint} [options.now] Current timestamp (seconds) used to split penalty-free amounts
+ */
+function summarizePositions(positions, { now } = {}) {
+  const summary = {
+    positionCount: positions.length,
+    openPositionCount: 0,
+    totalXpIssued: 0n,
+    xpRemaining: 0n,
+    totalCredaLocked: 0n,
+    credaRemaining: 0n,
+    averageRate: 0n,
+    penaltyFreeCreda: 0n,
+    byRate: [],
+    byAsset: [],
+  };
+
+  const byAsset = new Map();
+  for (const position of positions) {
+    summary.totalXpIssued += position.xpAmount;
+    summary.xpRemaining += position.xpRemaining;
+    if (position.open) summary.openPositionCount++;
+
+    if (!byAsset.has(position.asset)) {
+      byAsset.set(position.asset, {
+        asset: position.asset,
+        positionCount: 0,
+        openPositionCount: 0,
+        totalLocked: 0n,
+        totalXpIssued: 0n,
+        remaining: 0n,
+        xpRemaining: 0n,
+        averageRate: 0n,
+        penaltyFree: 0n,
+        byRate: new Map(),
+        rateWeight: 0n,
+      });
+    }
+    const entry = byAsset.get(position.asset);
+    entry.positionCount++;
+    if (position.open) entry.openPositionCount++;
+    entry.totalLocked += position.credaAmount;
+    entry.rateWeight += position.rate * position.credaAmount;
+    entry.totalXpIssued += position.xpAmount;
+    entry.remaining += position.credaRemaining;
+    entry.xpRemaining += position.xpRemaining;
+    if (now !== undefined && BigInt(now) >= position.unlockAvailableAt) {
+      entry.penaltyFree += position.credaRemaining;
+    }
+
+    // credaLocked and credaRemaining sum the positions' fields of those names, in the entry's asset
+    const key = position.rate.toString();
+    if (!entry.byRate.has(key)) {
+      entry.byRate.set(key, {
+        rate: position.rate,
+        positionCount: 0,
+        credaLocked: 0n,
+        xpIssued: 0n,
+        credaRemaining: 0n,
+        xpRemaining: 0n,
+      });
+    }
+    const bucket = entry.byRate.get(key);
+    bucket.positionCount++;
+    bucket.credaLocked += position.credaAmount;
+    bucket.xpIssued += position.xpAmount;
+    bucket.credaRemaining += position.credaRemaining;
+    bucket.xpRemaining += position.xpRemaining;
+  }
+
+  for (const entry of byAsset.values()) {
+    // Positions' rates (XP per whole unit of the asset), weighted by amount locked
+    if (entry.totalLocked > 0n) {
+      entry.averageRate = entry.rateWeight / entry.totalLocked;
+    }
+    delete entry.rateWeight;
+    entry.byRate = [...entry.byRate.values()].sort((a, b) => compare(a.rate, b.rate));
+  }
+  summary.byAsset = [...byAsset.values()].sort((a, b) =>
+    a.asset === ethers.ZeroAddress ? -1 : b.asset === ethers.ZeroAddress ? 1 : compare(BigInt(a.asset), BigInt(b.asset))
+  );
+
+  const creda = byAsset.get(ethers.ZeroAddress);
+  if (creda) {
+    summary.totalCredaLocked = creda.totalLocked;
+    summary.credaRemaining = creda.remaining;
+    summary.averageRate = creda.averageRate;
+    summary.penaltyFreeCreda = creda.penaltyFree;
+    summary.byRate = creda.byRate;
+  }
+
+  return summary;
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = {
+  formatLockPosition,
+  summarizePositions,
+};
@@ -0,0 +1,125 @@
+/**
+ * @title Deployment registry
+ * @dev Per-network JSON record of deployed contracts, written by scripts/deploy.js
+ * and read by GameEcosystemClient.fromRegistry. One file per network:
+ * deployments/<network>.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const REGISTRY_VERSION = 1;
+const DEFAULT_REGISTRY_DIR = path.join(__dirname, "..", "deployments");
+
+// Registry keys the client needs; they match GameEcosystemClient's `addresses` option
+const CLIENT_CONTRACTS = ["credaToken", "xpToken", "gameTokenFactory"];
+// Registry keys the client uses when present
+const OPTIONAL_CLIENT_CONTRACTS = ["forwarder"];
+
+/**
+ * Path of the registry file for a network.
+ * @param {string} network Hardhat network name
+ * @param {string} [dir] Registry directory (defaults to <package>/deployments)
+ */
+function registryPath(network, dir = DEFAULT_REGISTRY_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Empty registry for a network.
+ * @param {string} network Hardhat network name
+ * @param {bigint|number} chainId Chain id of the network
+ */
+function createRegistry(network, chainId) {
+  return {
+    version: REGISTRY_VERSION,
+    network,
+    chainId: Number(chainId),
+    updatedAt: null,
+    contracts: {},
+    roles: {},
+  };
+}
+
+/**
+ * Read a registry file; returns null when it does not exist.
+ * @param {string} file Registry file path
+ */
+function readRegistry(file) {
+  if (!fs.existsSync(file)) return null;
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`Deployment registry ${file}: unsupported version ${registry.version}`);
+  }
+  return registry;
+}
+
+/**
+ * Write a registry file atomically so an interrupted deploy never leaves it half-written.
+ * @param {string} file Registry file path
+ * @param {object} registry Registry contents
+ */
+function writeRegistry(file, registry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  registry.updatedAt = new Date().toISOString();
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Load the registry for a network, throwing if it has not been deployed.
+ * @param {string} network Hardhat network name
+ * @param {object} [options]
+ * @param {string} [options.dir] Registry directory
+ */
+function loadRegistry(network, { dir } = {}) {
+  const file = registryPath(network, dir);
+  const registry = readRegistry(file);
+  if (!registry) {
+    throw new Error(`No deployment registry for network "${network}" at ${file}; run the deploy script first`);
+  }
+  return registry;
+}
+
+/**
+ * Addresses in the shape expected by GameEcosystemClient.
+ * @param {object} registry Registry contents
+ * @returns {{ credaToken: string, xpToken: string, gameTokenFactory: string, forwarder?: string }}
+ */
+function registryAddresses(registry) {
+  const addresses = {};
+  for (const name of CLIENT_CONTRACTS) {
+    const entry = registry.contracts[name];
+    if (!entry || !entry.address) {
+      throw new Error(`Deployment registry for "${registry.network}" has no ${name} address`);
+    }
+    addresses[name] = entry.address;
+  }
+  for (const name of OPTIONAL_CLIENT_CONTRACTS) {
+    const entry = registry.contracts[name];
+    if (entry && entry.address) addresses[name] = entry.address;
+  }
+  return addresses;
+}
+
+/**
+ * Stable hash of a contract ABI, used to spot registry entries built from older artifacts.
+ * @param {Array} abi ABI fragments from a Hardhat artifact
+ */
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  DEFAULT_REGISTRY_DIR,
+  registryPath,
+  createRegistry,
+  readRegistry,
+  writeRegistry,
+  loadRegistry,
+  registryAddresses,
+  abiHash,
+};
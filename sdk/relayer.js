@@ -0,0 +1,421 @@
+/**
+ * @title Meta-transaction relayer
+ * @dev Small relayer for player requests signed for GameForwarder. Each request
+ * is validated (target, function, gas, value, deadline and signature), rate
+ * limited per signer, simulated as the forwarder so reverts are reported with
+ * their decoded contract error, and then submitted one at a time from the
+ * relayer's account, which pays the gas.
+ *
+ * Only the factory and game tokens the factory created are relayed to, and only
+ * the player actions listed in DEFAULT_RELAYED_FUNCTIONS unless configured otherwise.
+ *
+ * @example
+ * const relayer = new Relayer({ signer: relayerWallet, addresses: { forwarder, gameTokenFactory } });
+ * const url = await relayer.listen(8546);
+ * // POST /relay with a JSON body from serializeForwardRequest(request)
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { FORWARDER_ABI, GAME_TOKEN_FACTORY_ABI, GAME_TOKEN_ABI } = require("./abis");
+const { decodeContractError } = require("./errors");
+const { parseForwardRequest, serializeForwardRequest } = require("./forwarder");
+
+// Functions relayed by default, by target
+const DEFAULT_RELAYED_FUNCTIONS = Object.freeze({
+  gameTokenFactory: [
+    "lockCreda",
+    "lockCredaWithPermit",
+    "unlockCreda",
+    "unlockPosition",
+    "lock",
+    "unlock",
+    "createGameToken",
+    "createGameTokenWithPermit",
+    "createGameTokensBatch",
+    "increaseGameTokenSupply",
+    "burnGameToken",
+    "burnGameTokensBatch",
+  ],
+  gameToken: ["transfer"],
+});
+
+// createGameToken deploys a GameToken, so the cap has to leave room for that
+const DEFAULT_MAX_GAS = 8_000_000n;
+const DEFAULT_RATE_LIMIT = Object.freeze({ maxRequests: 10, windowMs: 60_000 });
+const MAX_BODY_BYTES = 64 * 1024;
+
+const RelayerErrorCode = Object.freeze({
+  INVALID_REQUEST: "INVALID_REQUEST",
+  TARGET_NOT_ALLOWED: "TARGET_NOT_ALLOWED",
+  FUNCTION_NOT_ALLOWED: "FUNCTION_NOT_ALLOWED",
+  VALUE_NOT_ALLOWED: "VALUE_NOT_ALLOWED",
+  GAS_LIMIT_EXCEEDED: "GAS_LIMIT_EXCEEDED",
+  EXPIRED: "EXPIRED",
+  INVALID_SIGNATURE: "INVALID_SIGNATURE",
+  RATE_LIMITED: "RATE_LIMITED",
+  SIMULATION_FAILED: "SIMULATION_FAILED",
+  SUBMISSION_FAILED: "SUBMISSION_FAILED",
+});
+
+// HTTP status returned for each error code
+const STATUS_BY_CODE = {
+  [RelayerErrorCode.RATE_LIMITED]: 429,
+  [RelayerErrorCode.SIMULATION_FAILED]: 422,
+  [RelayerErrorCode.SUBMISSION_FAILED]: 502,
+};
+
+class RelayerError extends Error {
+  /**
+   * @param {string} code One of RelayerErrorCode
+   * @param {string} message Human-readable reason
+   * @param {object} [details] JSON-serialisable context (e.g. the decoded contract error)
+   */
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = "RelayerError";
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 400;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+class Relayer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Account that submits requests and pays gas
+   * @param {{ forwarder: string, gameTokenFactory: string }} options.addresses
+   * @param {bigint} [options.maxGas=8000000n] Largest request gas accepted
+   * @param {{ maxRequests: number, windowMs: number }} [options.rateLimit] Accepted requests per signer per sliding window
+   * @param {{ gameTokenFactory?: string[], gameToken?: string[] }} [options.functions] Relayed function names by target
+   * @param {() => number} [options.now] Clock for rate limiting, in milliseconds
+   */
+  constructor({
+    signer,
+    addresses,
+    maxGas = DEFAULT_MAX_GAS,
+    rateLimit = DEFAULT_RATE_LIMIT,
+    functions = DEFAULT_RELAYED_FUNCTIONS,
+    now = Date.now,
+  } = {}) {
+    if (!signer || !signer.provider) {
+      throw new Error("Relayer: a signer connected to a provider is required");
+    }
+    if (!addresses || !addresses.forwarder || !addresses.gameTokenFactory) {
+      throw new Error("Relayer: addresses.forwarder and addresses.gameTokenFactory are required");
+    }
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.addresses = {
+      forwarder: ethers.getAddress(addresses.forwarder),
+      gameTokenFactory: ethers.getAddress(addresses.gameTokenFactory),
+    };
+    this.maxGas = BigInt(maxGas);
+    this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...rateLimit };
+    this.now = now;
+
+    this.forwarder = new ethers.Contract(this.addresses.forwarder, FORWARDER_ABI, signer);
+    this.factory = new ethers.Contract(this.addresses.gameTokenFactory, GAME_TOKEN_FACTORY_ABI, this.provider);
+    this.selectors = {
+      gameTokenFactory: selectorMap(this.factory.interface, functions.gameTokenFactory || []),
+      gameToken: selectorMap(new ethers.Interface(GAME_TOKEN_ABI), functions.gameToken || []),
+    };
+
+    this._accepted = new Map(); // signer => timestamps of accepted requests in the window
+    this._queue = Promise.resolve();
+    this._pending = 0;
+    this._server = null;
+  }
+
+  // ============ Relaying ============
+  /**
+   * Validate, rate limit, simulate and submit a signed request.
+   * @param {object} input Signed request, as an object or as JSON from serializeForwardRequest
+   * @returns {Promise<{ txHash: string, blockNumber: number, from: string, to: string, function: string, gasUsed: bigint }>}
+   * @throws {RelayerError}
+   */
+  async relay(input) {
+    const request = this._parse(input);
+    const { functionName } = await this.validate(request);
+    this._checkRateLimit(request.from);
+    await this.simulate(request);
+    this._recordAccepted(request.from);
+
+    const receipt = await this._enqueue(() => this._submit(request));
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      from: request.from,
+      to: request.to,
+      function: functionName,
+      gasUsed: receipt.gasUsed,
+    };
+  }
+
+  /**
+   * Check a request against the relaying policy and the forwarder's own checks.
+   * @param {object} request Parsed request
+   * @returns {Promise<{ target: string, functionName: string }>} Target kind and function being relayed
+   * @throws {RelayerError}
+   */
+  async validate(request) {
+    if (request.value !== 0n) {
+      throw new RelayerError(RelayerErrorCode.VALUE_NOT_ALLOWED, "Requests may not forward ETH", {
+        value: request.value.toString(),
+      });
+    }
+    if (request.gas > this.maxGas) {
+      throw new RelayerError(RelayerErrorCode.GAS_LIMIT_EXCEEDED, `Request gas exceeds ${this.maxGas}`, {
+        gas: request.gas.toString(),
+        maxGas: this.maxGas.toString(),
+      });
+    }
+
+    const block = await this.provider.getBlock("latest");
+    if (request.deadline <= BigInt(block.timestamp)) {
+      throw new RelayerError(RelayerErrorCode.EXPIRED, `Request expired at ${request.deadline}`, {
+        deadline: request.deadline.toString(),
+      });
+    }
+
+    const target = await this._targetKind(request.to);
+    if (!target) {
+      throw new RelayerError(RelayerErrorCode.TARGET_NOT_ALLOWED, `Requests to ${request.to} are not relayed`, {
+        to: request.to,
+      });
+    }
+    const selector = ethers.dataLength(request.data) >= 4 ? ethers.dataSlice(request.data, 0, 4) : null;
+    const functionName = selector && this.selectors[target].get(selector);
+    if (!functionName) {
+      throw new RelayerError(RelayerErrorCode.FUNCTION_NOT_ALLOWED, `Function ${selector} is not relayed for ${target}`, {
+        to: request.to,
+        selector,
+      });
+    }
+
+    if (!(await this.forwarder.verify(request))) {
+      throw new RelayerError(
+        RelayerErrorCode.INVALID_SIGNATURE,
+        "Signature does not match the request, or its nonce was already used",
+        { from: request.from }
+      );
+    }
+    return { target, functionName };
+  }
+
+  /**
+   * Run the call as the forwarder would, reporting a revert with its decoded contract error.
+   * @param {object} request Parsed request
+   * @throws {RelayerError}
+   */
+  async simulate(request) {
+    try {
+      await this.provider.call({
+        from: this.addresses.forwarder,
+        to: request.to,
+        data: ethers.concat([request.data, request.from]),
+        gasLimit: request.gas,
+      });
+    } catch (error) {
+      const decoded = decodeContractError(error);
+      throw new RelayerError(
+        RelayerErrorCode.SIMULATION_FAILED,
+        decoded ? decoded.message : `Simulation failed: ${error.shortMessage || error.message}`,
+        decoded
+          ? { errorName: decoded.errorName, fields: jsonSafe(decoded.fields), suggestion: decoded.suggestion }
+          : undefined
+      );
+    }
+  }
+
+  // ============ HTTP Server ============
+  /**
+   * Serve POST /relay and GET /health.
+   * @param {number} [port=0] Port to listen on (0 picks a free one)
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        sendJson(res, 500, { error: { code: "INTERNAL", message: error.message } });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(port, host, resolve);
+    });
+    const address = this._server.address();
+    return `http://${host}:${address.port}`;
+  }
+
+  /**
+   * Stop the HTTP server.
+   */
+  async close() {
+    if (!this._server) return;
+    const server = this._server;
+    this._server = null;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://relayer");
+    if (req.method === "GET" && url.pathname === "/health") {
+      const { chainId } = await this.provider.getNetwork();
+      return sendJson(res, 200, {
+        ok: true,
+        chainId: chainId.toString(),
+        relayer: await this.signer.getAddress(),
+        ...this.addresses,
+        pending: this._pending,
+      });
+    }
+    if (req.method === "POST" && url.pathname === "/relay") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (error) {
+        const relayerError = new RelayerError(RelayerErrorCode.INVALID_REQUEST, `Invalid JSON body: ${error.message}`);
+        return sendJson(res, relayerError.status, { error: relayerError });
+      }
+      try {
+        return sendJson(res, 200, await this.relay(body));
+      } catch (error) {
+        if (!(error instanceof RelayerError)) throw error;
+        return sendJson(res, error.status, { error });
+      }
+    }
+    return sendJson(res, 404, { error: { code: "NOT_FOUND", message: `${req.method} ${url.pathname}` } });
+  }
+
+  // ============ Internal Helpers ============
+  _parse(input) {
+    try {
+      return parseForwardRequest(input);
+    } catch (error) {
+      throw new RelayerError(RelayerErrorCode.INVALID_REQUEST, error.message);
+    }
+  }
+
+  async _targetKind(to) {
+    if (to === this.addresses.gameTokenFactory) return "gameTokenFactory";
+    return (await this.factory.isFactoryToken(to)) ? "gameToken" : null;
+  }
+
+  // Sliding window: only acceptances within the last windowMs count
+  _windowFor(from) {
+    const cutoff = this.now() - this.rateLimit.windowMs;
+    const recent = (this._accepted.get(from) || []).filter((at) => at > cutoff);
+    this._accepted.set(from, recent);
+    return recent;
+  }
+
+  _checkRateLimit(from) {
+    const recent = this._windowFor(from);
+    if (recent.length >= this.rateLimit.maxRequests) {
+      const retryAfterMs = recent[0] + this.rateLimit.windowMs - this.now();
+      throw new RelayerError(
+        RelayerErrorCode.RATE_LIMITED,
+        `${from} sent ${recent.length} requests in the last ${this.rateLimit.windowMs}ms`,
+        { from, retryAfterMs }
+      );
+    }
+  }
+
+  _recordAccepted(from) {
+    this._windowFor(from).push(this.now());
+  }
+
+  // Submissions run one at a time so the relayer's nonces never race
+  _enqueue(task) {
+    this._pending++;
+    const run = this._queue.then(task).finally(() => {
+      this._pending--;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _submit(request) {
+    let receipt;
+    try {
+      const tx = await this.forwarder.execute(request);
+      receipt = await tx.wait();
+    } catch (error) {
+      const decoded = decodeContractError(error);
+      throw new RelayerError(
+        RelayerErrorCode.SUBMISSION_FAILED,
+        decoded ? decoded.message : `Submission failed: ${error.shortMessage || error.message}`,
+        decoded ? { errorName: decoded.errorName, fields: jsonSafe(decoded.fields) } : undefined
+      );
+    }
+    return receipt;
+  }
+}
+
+/**
+ * Send a signed request to a relayer's HTTP endpoint.
+ * @param {string} url Relayer base URL, e.g. http://127.0.0.1:8546
+ * @param {object} request Signed request from signForwardRequest
+ * @returns {Promise<{ txHash: string, blockNumber: number, from: string, to: string, function: string, gasUsed: string }>}
+ * @throws {RelayerError} With the code and details the relayer reported
+ */
+async function submitForwardRequest(url, request) {
+  const response = await fetch(new URL("/relay", url), {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(serializeForwardRequest(request)),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    const { code, message, details } = body.error || {};
+    throw new RelayerError(code || RelayerErrorCode.SUBMISSION_FAILED, message || `Relayer responded ${response.status}`, details);
+  }
+  return body;
+}
+
+function selectorMap(iface, names) {
+  return new Map(names.map((name) => [iface.getFunction(name).selector, name]));
+}
+
+function jsonSafe(value) {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  DEFAULT_RELAYED_FUNCTIONS,
+  RelayerErrorCode,
+  RelayerError,
+  Relayer,
+  submitForwardRequest,
+};
@@ -0,0 +1,229 @@
+/**
+ * @title Ecosystem invariant checker
+ * @dev Post-deploy checks for role wiring and accounting between CREDA, XPToken
+ * and GameTokenFactory. Every failed check is reported as a JSON-serialisable
+ * violation instead of throwing, so one run surfaces every misconfiguration.
+ */
+
+const { ethers } = require("ethers");
+const { GAME_TOKEN_FACTORY_ABI, XP_TOKEN_ABI, ERC20_ABI } = require("./abis");
+
+const GAME_PAGE_SIZE = 50;
+
+// Functions the factory calls on the XP token; a plain ERC20 (e.g. MockERC20) lacks them
+const XP_TOKEN_REQUIRED_FUNCTIONS = [
+  "mint(address,uint256)",
+  "burnFrom(address,uint256)",
+  "hasRole(bytes32,address)",
+];
+
+const Check = Object.freeze({
+  CODE: "code",
+  TOKEN_WIRING: "tokenWiring",
+  XP_TOKEN_INTERFACE: "xpTokenInterface",
+  FACTORY_ROLES: "factoryRoles",
+  ADMINS: "admins",
+  CREDA_BACKING: "credaBacking",
+  ASSET_BACKING: "assetBacking",
+  XP_RESERVES: "xpReserves",
+});
+
+/**
+ * Verify role wiring and accounting invariants of a deployed ecosystem.
+ *
+ * @param {{ credaToken: string, xpToken: string, gameTokenFactory: string }} addresses
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string[] | { gameTokenFactory?: string[], xpToken?: string[] }} [options.expectedAdmins]
+ *   Expected DEFAULT_ADMIN_ROLE holders, either one list for both contracts or per contract.
+ *   The admin check is skipped for contracts without an expected list.
+ * @param {number} [options.fromBlock=0] First block to scan for RoleGranted events
+ * @returns {Promise<{ ok: boolean, chainId: number, blockNumber: number, addresses: object, checks: object[], violations: object[] }>}
+ */
+async function verifyEcosystem(addresses, { provider, expectedAdmins, fromBlock = 0 } = {}) {
+  if (!provider) throw new Error("verifyEcosystem: a provider is required");
+
+  const [{ chainId }, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+  const blockTag = blockNumber;
+  const violations = [];
+  const checks = [];
+
+  function record(check, found) {
+    checks.push({ check, passed: found.length === 0 });
+    violations.push(...found);
+  }
+
+  const factory = new ethers.Contract(addresses.gameTokenFactory, GAME_TOKEN_FACTORY_ABI, provider);
+  const xpToken = new ethers.Contract(addresses.xpToken, XP_TOKEN_ABI, provider);
+  const credaToken = new ethers.Contract(addresses.credaToken, ERC20_ABI, provider);
+
+  // Nothing else can be checked meaningfully against an address without code
+  const code = {};
+  const missingCode = [];
+  for (const name of ["credaToken", "xpToken", "gameTokenFactory"]) {
+    code[name] = await provider.getCode(addresses[name], blockTag);
+    if (code[name] === "0x") {
+      missingCode.push(violation(Check.CODE, name, addresses[name], "No contract code at address"));
+    }
+  }
+  record(Check.CODE, missingCode);
+  if (missingCode.length > 0) {
+    return report();
+  }
+
+  record(Check.TOKEN_WIRING, await checkTokenWiring());
+  const xpInterface = checkXpTokenInterface();
+  record(Check.XP_TOKEN_INTERFACE, xpInterface);
+  if (xpInterface.length === 0) {
+    record(Check.FACTORY_ROLES, await checkFactoryRoles());
+  }
+  record(Check.ADMINS, await checkAdmins());
+  record(Check.CREDA_BACKING, await checkCredaBacking());
+  record(Check.ASSET_BACKING, await checkAssetBacking());
+  record(Check.XP_RESERVES, await checkXpReserves());
+
+  return report();
+
+  function report() {
+    return {
+      ok: violations.length === 0,
+      chainId: Number(chainId),
+      blockNumber,
+      addresses: { ...addresses },
+      checks,
+      violations,
+    };
+  }
+
+  async function checkTokenWiring() {
+    const found = [];
+    const [factoryCreda, factoryXp] = await Promise.all([
+      factory.credaToken({ blockTag }),
+      factory.xpToken({ blockTag }),
+    ]);
+    if (!sameAddress(factoryCreda, addresses.credaToken)) {
+      found.push(violation(Check.TOKEN_WIRING, "gameTokenFactory", addresses.gameTokenFactory,
+        "Factory credaToken() does not match the expected CREDA token", addresses.credaToken, factoryCreda));
+    }
+    if (!sameAddress(factoryXp, addresses.xpToken)) {
+      found.push(violation(Check.TOKEN_WIRING, "gameTokenFactory", addresses.gameTokenFactory,
+        "Factory xpToken() does not match the expected XP token", addresses.xpToken, factoryXp));
+    }
+    return found;
+  }
+
+  function checkXpTokenInterface() {
+    const bytecode = code.xpToken.toLowerCase();
+    return XP_TOKEN_REQUIRED_FUNCTIONS
+      .filter((signature) => !bytecode.includes(ethers.id(signature).slice(2, 10)))
+      .map((signature) => violation(Check.XP_TOKEN_INTERFACE, "xpToken", addresses.xpToken,
+        `XP token does not implement ${signature}`, signature, null));
+  }
+
+  async function checkFactoryRoles() {
+    const found = [];
+    for (const roleName of ["MINTER_ROLE", "BURNER_ROLE"]) {
+      const role = await xpToken[roleName]({ blockTag });
+      if (!(await xpToken.hasRole(role, addresses.gameTokenFactory, { blockTag }))) {
+        found.push(violation(Check.FACTORY_ROLES, "xpToken", addresses.xpToken,
+          `Factory is missing ${roleName} on the XP token`, true, false, { role: roleName, account: addresses.gameTokenFactory }));
+      }
+    }
+    return found;
+  }
+
+  async function checkAdmins() {
+    if (!expectedAdmins) return [];
+    const expected = Array.isArray(expectedAdmins)
+      ? { gameTokenFactory: expectedAdmins, xpToken: expectedAdmins }
+      : expectedAdmins;
+
+    const found = [];
+    for (const [name, contract] of [["gameTokenFactory", factory], ["xpToken", xpToken]]) {
+      if (!expected[name]) continue;
+      const actual = await roleHolders(contract, ethers.ZeroHash);
+      const want = expected[name].map((a) => ethers.getAddress(a));
+      const unexpected = actual.filter((a) => !want.includes(a));
+      const missing = want.filter((a) => !actual.includes(a));
+      if (unexpected.length > 0 || missing.length > 0) {
+        found.push(violation(Check.ADMINS, name, addresses[name],
+          "DEFAULT_ADMIN_ROLE holders do not match the expected list", want, actual, { unexpected, missing }));
+      }
+    }
+    return found;
+  }
+
+  // AccessControl is not enumerable; rebuild holders from RoleGranted and confirm with hasRole
+  async function roleHolders(contract, role) {
+    const logs = await contract.queryFilter(contract.filters.RoleGranted(role), fromBlock, blockNumber);
+    const candidates = [...new Set(logs.map((log) => ethers.getAddress(log.args.account)))];
+    const held = await Promise.all(candidates.map((account) => contract.hasRole(role, account, { blockTag })));
+    return candidates.filter((_, i) => held[i]);
+  }
+
+  // Locked CREDA and CREDA creation fees not yet withdrawn are both held by the factory
+  async function checkCredaBacking() {
+    const [balance, totalLocked, fees] = await Promise.all([
+      credaToken.balanceOf(addresses.gameTokenFactory, { blockTag }),
+      factory.totalLockedCreda({ blockTag }),
+      factory.accruedFees(addresses.credaToken, { blockTag }),
+    ]);
+    const owed = totalLocked + fees;
+    if (balance >= owed) return [];
+    return [violation(Check.CREDA_BACKING, "gameTokenFactory", addresses.gameTokenFactory,
+      "Factory holds less CREDA than totalLockedCreda plus accrued CREDA fees", `>= ${owed}`, balance.toString(),
+      { shortfall: (owed - balance).toString(), accruedFees: fees.toString() })];
+  }
+
+  // Every asset listed for locking must be held at least up to its locked total
+  async function checkAssetBacking() {
+    const [assets, configs] = await factory.getLockableAssets({ blockTag });
+    const found = [];
+    for (let i = 0; i < assets.length; i++) {
+      const asset = new ethers.Contract(assets[i], ERC20_ABI, provider);
+      const balance = await asset.balanceOf(addresses.gameTokenFactory, { blockTag });
+      const { totalLocked } = configs[i];
+      if (balance >= totalLocked) continue;
+      found.push(violation(Check.ASSET_BACKING, "gameTokenFactory", addresses.gameTokenFactory,
+        `Factory holds less of ${assets[i]} than is locked`, `>= ${totalLocked}`, balance.toString(),
+        { asset: assets[i], shortfall: (totalLocked - balance).toString() }));
+    }
+    return found;
+  }
+
+  async function checkXpReserves() {
+    const [reserves, nextGameId] = await Promise.all([
+      factory.xpReserves({ blockTag }),
+      factory.nextGameId({ blockTag }),
+    ]);
+
+    // Deactivated games keep their backing; closed games have already released theirs
+    let lockedInGames = 0n;
+    for (let offset = 0n; offset < nextGameId; offset += BigInt(GAME_PAGE_SIZE)) {
+      const games = await factory.getGames(offset, GAME_PAGE_SIZE, { blockTag });
+      for (const { info } of games) {
+        lockedInGames += info.xpLocked;
+      }
+    }
+
+    if (reserves === lockedInGames) return [];
+    return [violation(Check.XP_RESERVES, "gameTokenFactory", addresses.gameTokenFactory,
+      "xpReserves does not equal the XP locked in games", lockedInGames.toString(), reserves.toString(),
+      { gameCount: nextGameId.toString() })];
+  }
+}
+
+function violation(check, contract, address, message, expected = null, actual = null, details = undefined) {
+  const entry = { check, contract, address, message, expected, actual };
+  if (details) entry.details = details;
+  return entry;
+}
+
+function sameAddress(a, b) {
+  return ethers.getAddress(a) === ethers.getAddress(b);
+}
+
+module.exports = {
+  Check,
+  verifyEcosystem,
+};
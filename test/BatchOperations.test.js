@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Batch operations", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player;
+  let factoryAddress;
+
+  const GAME_XP = ethers.parseEther("100");
+
+  function games(count, prefix = "Season") {
+    return Array.from({ length: count }, (_, i) => ({
+      xpAmount: GAME_XP,
+      name: `${prefix} ${i}`,
+      symbol: `S${i}`,
+      decimals: 18,
+    }));
+  }
+
+  function clientFor(signer) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpToken.target,
+        gameTokenFactory: factoryAddress,
+      },
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    await fundUser(ecosystem, creator, { creda: ethers.parseEther("5000"), lock: ethers.parseEther("5000") });
+  });
+
+  describe("createGameTokensBatch", function () {
+    it("Should create every game in order with one allowance", async function () {
+      const batch = games(3);
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP * 3n);
+
+      const [gameIds] = await gameTokenFactory.connect(creator).createGameTokensBatch.staticCall(batch);
+      expect(gameIds).to.deep.equal([0n, 1n, 2n]);
+
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch(batch))
+        .to.emit(gameTokenFactory, "GameTokenCreated")
+        .withArgs(2, creator.address, anyValue, "Season 2", "S2", GAME_XP, GAME_XP);
+
+      expect(await gameTokenFactory.getUserGameTokenCount(creator.address)).to.equal(3n);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP * 3n);
+      const [info, metadata] = await gameTokenFactory.getGameTokenInfo(1);
+      expect(info.creator).to.equal(creator.address);
+      expect(metadata.name).to.equal("Season 1");
+    });
+
+    it("Should check the allowance against the batch total", async function () {
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP * 2n);
+
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch(games(3)))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance")
+        .withArgs(creator.address, factoryAddress, xpToken.target, GAME_XP * 3n, GAME_XP * 2n);
+    });
+
+    it("Should create nothing when one game is invalid", async function () {
+      const batch = games(3);
+      batch[2].name = batch[0].name;
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP * 3n);
+      const xpBefore = await xpToken.balanceOf(creator.address);
+
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch(batch))
+        .to.be.revertedWithCustomError(gameTokenFactory, "DuplicateGameName")
+        .withArgs(creator.address, "Season 0");
+
+      batch[2] = { ...batch[2], name: "Season 2", decimals: 19 };
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch(batch))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidDecimals");
+
+      expect(await gameTokenFactory.nextGameId()).to.equal(0n);
+      expect(await xpToken.balanceOf(creator.address)).to.equal(xpBefore);
+    });
+
+    it("Should reject empty and oversized batches", async function () {
+      const maxBatchSize = await gameTokenFactory.MAX_BATCH_SIZE();
+
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch([]))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidBatchSize")
+        .withArgs(0, maxBatchSize);
+      await expect(gameTokenFactory.connect(creator).createGameTokensBatch(games(Number(maxBatchSize) + 1)))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidBatchSize")
+        .withArgs(maxBatchSize + 1n, maxBatchSize);
+    });
+  });
+
+  describe("burnGameTokensBatch", function () {
+    let tokens;
+
+    beforeEach(async function () {
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP * 3n);
+      await gameTokenFactory.connect(creator).createGameTokensBatch(games(3));
+      tokens = [];
+      for (let gameId = 0; gameId < 3; gameId++) {
+        const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+        const token = await ethers.getContractAt("GameToken", info.tokenAddress);
+        await token.connect(creator).transfer(player.address, ethers.parseEther("10"));
+        tokens.push(token);
+      }
+    });
+
+    it("Should redeem across games and return the total XP", async function () {
+      const burns = [
+        { gameId: 0, burnAmount: ethers.parseEther("4") },
+        { gameId: 2, burnAmount: ethers.parseEther("10") },
+        { gameId: 0, burnAmount: ethers.parseEther("6") },
+      ];
+
+      expect(await gameTokenFactory.connect(player).burnGameTokensBatch.staticCall(burns))
+        .to.equal(ethers.parseEther("20"));
+      await expect(gameTokenFactory.connect(player).burnGameTokensBatch(burns))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(2, player.address, ethers.parseEther("10"), ethers.parseEther("10"));
+
+      expect(await xpToken.balanceOf(player.address)).to.equal(ethers.parseEther("20"));
+      expect(await tokens[0].balanceOf(player.address)).to.equal(0n);
+      expect(await tokens[1].balanceOf(player.address)).to.equal(ethers.parseEther("10"));
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP * 3n - ethers.parseEther("20"));
+    });
+
+    it("Should redeem nothing when one redemption fails", async function () {
+      await gameTokenFactory.deactivateGame(1);
+      const burns = [
+        { gameId: 0, burnAmount: ethers.parseEther("5") },
+        { gameId: 1, burnAmount: ethers.parseEther("5") },
+      ];
+
+      await expect(gameTokenFactory.connect(player).burnGameTokensBatch(burns))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenNotActive")
+        .withArgs(1);
+
+      burns[1] = { gameId: 2, burnAmount: ethers.parseEther("11") };
+      await expect(gameTokenFactory.connect(player).burnGameTokensBatch(burns))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance");
+
+      expect(await tokens[0].balanceOf(player.address)).to.equal(ethers.parseEther("10"));
+      expect(await xpToken.balanceOf(player.address)).to.equal(0n);
+    });
+
+    it("Should be paused with the rest of the factory", async function () {
+      await gameTokenFactory.pause();
+      await expect(gameTokenFactory.connect(player).burnGameTokensBatch([{ gameId: 0, burnAmount: 1n }]))
+        .to.be.revertedWithCustomError(gameTokenFactory, "EnforcedPause");
+    });
+  });
+
+  describe("Client batch builder", function () {
+    it("Should split creations into transactions that fit the gas limit", async function () {
+      const client = clientFor(creator);
+      const single = await client.batch().addGame(GAME_XP, "Probe", "P").plan().catch((error) => error);
+      // Nothing is approved yet, so planning surfaces the decoded allowance error
+      expect(single).to.be.instanceOf(ContractErrors.InsufficientAllowance);
+
+      const batch = client.batch({ maxGas: 1_000_000n });
+      for (let i = 0; i < 5; i++) batch.addGame(GAME_XP, `Season ${i}`, `S${i}`);
+      const chunks = [];
+
+      const result = await batch.send({ onChunk: (chunk) => chunks.push(chunk) });
+
+      expect(result.games.map((game) => game.name)).to.deep.equal(["Season 0", "Season 1", "Season 2", "Season 3", "Season 4"]);
+      expect(result.games.map((game) => game.gameId)).to.deep.equal([0n, 1n, 2n, 3n, 4n]);
+      expect(result.transactions.length).to.be.greaterThan(1);
+      expect(chunks).to.deep.equal(result.transactions);
+      for (const transaction of result.transactions) {
+        expect(transaction.gasUsed).to.be.at.most(1_000_000n);
+      }
+      expect(await xpToken.allowance(creator.address, factoryAddress)).to.equal(GAME_XP * 5n);
+    });
+
+    it("Should cap transactions at maxItems", async function () {
+      const client = clientFor(creator);
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP * 3n);
+      const batch = client.batch({ maxItems: 2 });
+      for (let i = 0; i < 3; i++) batch.addGame(GAME_XP, `Season ${i}`, `S${i}`);
+
+      const plan = await batch.plan();
+
+      expect(plan.creates.map((chunk) => chunk.items.length)).to.deep.equal([2, 1]);
+      expect(plan.burns).to.deep.equal([]);
+      expect(await gameTokenFactory.nextGameId()).to.equal(0n);
+    });
+
+    it("Should redeem across games and sum the XP returned", async function () {
+      const client = clientFor(creator);
+      await client.batch().addGame(GAME_XP, "Alpha", "A").addGame(GAME_XP, "Beta", "B").send();
+
+      const result = await client.batch()
+        .addBurn(0, ethers.parseEther("30"))
+        .addBurn(1, ethers.parseEther("20"))
+        .send();
+
+      expect(result.burns.map((burn) => burn.gameId)).to.deep.equal([0n, 1n]);
+      expect(result.xpReturned).to.equal(ethers.parseEther("50"));
+      expect(result.transactions.map((transaction) => transaction.kind)).to.deep.equal(["burnGameTokensBatch"]);
+    });
+  });
+});
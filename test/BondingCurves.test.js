@@ -0,0 +1,449 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser, setFee } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors, expWad, lnWad, curveSupply, quoteCurveBuy, quoteCurveSell } = require("../index");
+
+describe("GameTokenFactory - Bonding Curves", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let buyer;
+  let factoryAddress;
+  let xpAddress;
+  let client;
+
+  const GAME_XP = ethers.parseEther("100");
+  const BUY_XP = ethers.parseEther("50");
+  const WAD = ethers.parseEther("1");
+  const CurveKind = { None: 0, Linear: 1, Exponential: 2, ConstantProduct: 3 };
+  const Operation = { Lock: 0, Create: 1, Redeem: 2 };
+
+  // Each starts at 1 XP per token past the initial supply
+  const CURVES = {
+    linear: { kind: CurveKind.Linear, a: WAD, b: ethers.parseEther("0.01") },
+    exponential: { kind: CurveKind.Exponential, a: WAD, b: ethers.parseEther("0.01") },
+    constantProduct: { kind: CurveKind.ConstantProduct, a: ethers.parseEther("100"), b: ethers.parseEther("100") },
+  };
+
+  beforeEach(async function () {
+    [owner, creator, buyer] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, xpAddress, factoryAddress } = ecosystem);
+    await gameTokenFactory.setTreasury(owner.address);
+
+    for (const user of [creator, buyer]) {
+      await fundUser(ecosystem, user, {
+        creda: ethers.parseEther("10000"),
+        lock: ethers.parseEther("1000"),
+        credaAllowance: ethers.MaxUint256,
+        xpAllowance: ethers.MaxUint256,
+      });
+    }
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: buyer,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  async function createCurveGame(curve, { decimals = 18, xpAmount = GAME_XP } = {}) {
+    const gameId = await gameTokenFactory.nextGameId();
+    await gameTokenFactory.connect(creator).createGameTokenWithCurve(xpAmount, `Curve ${gameId}`, "CURV", decimals, curve);
+    const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+    return { gameId, gameToken: await ethers.getContractAt("GameToken", info.tokenAddress) };
+  }
+
+  // The state sdk/curves.js quotes from, read from the chain
+  async function curveState(gameId) {
+    const [info, metadata] = await gameTokenFactory.getGameTokenInfo(gameId);
+    const curve = await gameTokenFactory.gameCurves(gameId);
+    const gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+    return {
+      curve: { kind: curve.kind, a: curve.a, b: curve.b },
+      decimals: Number(info.decimals),
+      initialSupply: metadata.initialSupply,
+      totalSupply: await gameToken.totalSupply(),
+      xpLocked: info.xpLocked,
+    };
+  }
+
+  async function deadline() {
+    return (await time.latest()) + 600;
+  }
+
+  async function expectReservesBacked(gameIds) {
+    let locked = 0n;
+    for (const gameId of gameIds) {
+      const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+      locked += info.xpLocked;
+    }
+    expect(await gameTokenFactory.xpReserves()).to.equal(locked);
+  }
+
+  describe("Creation", function () {
+    it("Should create a curve game with the usual initial supply and record its curve", async function () {
+      const curve = CURVES.linear;
+      await expect(gameTokenFactory.connect(creator).createGameTokenWithCurve(GAME_XP, "Curve Game", "CURV", 18, curve))
+        .to.emit(gameTokenFactory, "PricingCurveSet")
+        .withArgs(0, CurveKind.Linear, curve.a, curve.b)
+        .and.to.emit(gameTokenFactory, "GameTokenCreated");
+
+      const [info, metadata] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(info.xpLocked).to.equal(GAME_XP);
+      expect(metadata.initialSupply).to.equal(GAME_XP);
+      const gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+      expect(await gameToken.balanceOf(creator.address)).to.equal(GAME_XP);
+
+      const stored = await gameTokenFactory.gameCurves(0);
+      expect([stored.kind, stored.a, stored.b]).to.deep.equal([BigInt(CurveKind.Linear), curve.a, curve.b]);
+    });
+
+    it("Should reject curves without the parameters their kind needs", async function () {
+      const max = await gameTokenFactory.MAX_CURVE_PARAMETER();
+      const invalid = [
+        { kind: CurveKind.None, a: WAD, b: WAD },
+        { kind: CurveKind.Linear, a: 0n, b: 0n },
+        { kind: CurveKind.Exponential, a: WAD, b: 0n },
+        { kind: CurveKind.ConstantProduct, a: 0n, b: WAD },
+        { kind: CurveKind.Linear, a: max + 1n, b: 0n },
+        { kind: CurveKind.Exponential, a: WAD, b: max + 1n },
+      ];
+      for (const curve of invalid) {
+        await expect(gameTokenFactory.connect(creator).createGameTokenWithCurve(GAME_XP, "Bad", "BAD", 18, curve))
+          .to.be.revertedWithCustomError(gameTokenFactory, "InvalidPricingCurve")
+          .withArgs(curve.kind, curve.a, curve.b);
+      }
+
+      // A flat linear curve is a fixed price; one with no base price starts free
+      await createCurveGame({ kind: CurveKind.Linear, a: ethers.parseEther("2"), b: 0n });
+      await createCurveGame({ kind: CurveKind.Linear, a: 0n, b: WAD });
+    });
+
+    it("Should count curve games against the creation policy", async function () {
+      await gameTokenFactory.setCreationPolicy({
+        maxGamesPerCreator: 1,
+        cooldown: 0,
+        creatorRoleRequired: false,
+        minInitialSupply: 0,
+        maxInitialSupply: 0,
+      });
+      await createCurveGame(CURVES.linear);
+      await expect(gameTokenFactory.connect(creator).createGameTokenWithCurve(GAME_XP, "Two", "TWO", 18, CURVES.linear))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenLimitExceeded");
+    });
+  });
+
+  describe("Trading", function () {
+    for (const [name, curve] of Object.entries(CURVES)) {
+      it(`Should buy and sell along ${name} curves`, async function () {
+        const { gameId, gameToken } = await createCurveGame(curve);
+
+        const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+        expect(quote).to.equal(quoteCurveBuy(await curveState(gameId), BUY_XP));
+        // Past the initial supply each token costs more than one XP
+        expect(quote).to.be.greaterThan(0n).and.lessThan(BUY_XP);
+
+        const xpBefore = await xpToken.balanceOf(buyer.address);
+        await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline()))
+          .to.emit(gameTokenFactory, "GameTokensBought")
+          .withArgs(gameId, buyer.address, BUY_XP, quote, GAME_XP + BUY_XP);
+        expect(await gameToken.balanceOf(buyer.address)).to.equal(quote);
+        expect(xpBefore - (await xpToken.balanceOf(buyer.address))).to.equal(BUY_XP);
+        expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP + BUY_XP);
+
+        // The same XP buys fewer tokens further up the curve
+        expect(await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP)).to.be.lessThan(quote);
+
+        // Selling everything bought returns the reserve to the initial supply's cost
+        const [xpOut, fee] = await gameTokenFactory.calculateCurveSell(buyer.address, gameId, quote);
+        expect(fee).to.equal(0n);
+        expect(xpOut).to.equal(BUY_XP);
+        await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote, xpOut, await deadline()))
+          .to.emit(gameTokenFactory, "GameTokensSold")
+          .withArgs(gameId, buyer.address, quote, BUY_XP, GAME_XP);
+        expect(await xpToken.balanceOf(buyer.address)).to.equal(xpBefore);
+        expect(await gameToken.totalSupply()).to.equal(GAME_XP);
+        expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP);
+      });
+    }
+
+    it("Should price games with fewer decimals in whole tokens", async function () {
+      const { gameId, gameToken } = await createCurveGame(CURVES.exponential, { decimals: 6 });
+      expect(await gameToken.totalSupply()).to.equal(100_000_000n);
+
+      const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+      expect(quote).to.equal(quoteCurveBuy(await curveState(gameId), BUY_XP));
+      // ln(1.5) / 0.01 = 40.546... whole tokens
+      expect(quote).to.equal(40_546_510n);
+
+      await gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline());
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(quote);
+    });
+
+    it("Should enforce slippage limits and deadlines", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+      const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote + 1n, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "SlippageExceeded")
+        .withArgs(quote, quote + 1n);
+      const expired = (await time.latest()) - 1;
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, 0, expired))
+        .to.be.revertedWithCustomError(gameTokenFactory, "TradeExpired")
+        .withArgs(expired);
+
+      await gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline());
+      const [xpOut] = await gameTokenFactory.calculateCurveSell(buyer.address, gameId, quote);
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote, xpOut + 1n, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "SlippageExceeded")
+        .withArgs(xpOut, xpOut + 1n);
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote, 0, expired))
+        .to.be.revertedWithCustomError(gameTokenFactory, "TradeExpired");
+    });
+
+    it("Should reject trades the game cannot make", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+      await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Plain", "PLN", 18);
+      const plainId = gameId + 1n;
+
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(plainId, BUY_XP, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "NotCurveGame")
+        .withArgs(plainId);
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, 0, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAmount");
+      // Too little XP for a single base unit
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, 1, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ConversionResultsInZero");
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, 1, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance");
+      expect(await gameTokenFactory.calculateCurveBuy(plainId, BUY_XP)).to.equal(0n);
+      expect(await gameTokenFactory.calculateCurveSell(buyer.address, plainId, 1)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should keep curve games out of linear redemption and top-ups", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+
+      await expect(gameTokenFactory.connect(creator).burnGameToken(gameId, WAD))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnsupportedForCurveGame")
+        .withArgs(gameId);
+      await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(gameId, GAME_XP))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnsupportedForCurveGame")
+        .withArgs(gameId);
+      expect(await gameTokenFactory.calculateXpReturn(gameId, WAD)).to.equal(0n);
+      expect(await gameTokenFactory.calculateSupplyIncrease(gameId, GAME_XP)).to.equal(0n);
+
+      const redeemable = await client.getRedeemableAmount(gameId, creator.address);
+      expect(redeemable.amount).to.equal(0n);
+      expect(redeemable.limitedBy).to.equal("curveGame");
+    });
+
+    it("Should stop buys but allow sells once a game is sunset", async function () {
+      const { gameId } = await createCurveGame(CURVES.constantProduct);
+      const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+      await gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline());
+      await gameTokenFactory.sunsetGame(gameId);
+
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameAlreadySunset");
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote, BUY_XP, await deadline()))
+        .to.emit(gameTokenFactory, "GameTokensSold");
+    });
+
+    it("Should not let the creator block sells", async function () {
+      const { gameId, gameToken } = await createCurveGame(CURVES.linear);
+      const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+      await gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline());
+
+      // The creator owns the token: burns off, and the tightest redemption limits it may set
+      await gameToken.connect(creator).setBurnEnabled(false);
+      const minLimit = (await gameToken.totalSupply()) / 100n;
+      await gameToken.connect(creator).setRedemptionPolicy({
+        maxPerTransaction: minLimit,
+        maxPerAddressPerDay: minLimit,
+        maxGlobalPerDay: minLimit,
+        cooldown: 24 * 60 * 60,
+      });
+      for (const action of ["deactivateGame", "sunsetGame"]) {
+        await expect(gameTokenFactory.connect(creator)[action](gameId))
+          .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager")
+          .withArgs(gameId, creator.address);
+      }
+
+      const half = quote / 2n;
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, half, 0, await deadline()))
+        .to.emit(gameTokenFactory, "GameTokensSold");
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote - half, 0, await deadline()))
+        .to.emit(gameTokenFactory, "GameTokensSold");
+      expect(await gameToken.balanceOf(buyer.address)).to.equal(0n);
+      // Direct burns stay the owner's to switch off
+      await expect(gameToken.connect(creator).burn(WAD)).to.be.revertedWithCustomError(gameToken, "BurnDisabled");
+
+      // Managers still control the lifecycle
+      await gameTokenFactory.deactivateGame(gameId);
+      await expect(gameTokenFactory.connect(creator).reactivateGame(gameId))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager");
+      await gameTokenFactory.reactivateGame(gameId);
+    });
+
+    it("Should respect the create and redeem operation pauses", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+      await gameTokenFactory.setOperationPaused(Operation.Create, true);
+      await expect(gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused");
+      await gameTokenFactory.setOperationPaused(Operation.Redeem, true);
+      await expect(gameTokenFactory.connect(creator).sellGameTokens(gameId, WAD, 0, await deadline()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused");
+    });
+  });
+
+  describe("Fees and reserves", function () {
+    it("Should take the redemption fee from sales", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+      const quote = await gameTokenFactory.calculateCurveBuy(gameId, BUY_XP);
+      await gameTokenFactory.connect(buyer).buyGameTokens(gameId, BUY_XP, quote, await deadline());
+      // 1%
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 100 });
+
+      const fee = BUY_XP / 100n;
+      expect(await gameTokenFactory.calculateCurveSell(buyer.address, gameId, quote)).to.deep.equal([BUY_XP - fee, fee]);
+
+      const xpBefore = await xpToken.balanceOf(buyer.address);
+      await expect(gameTokenFactory.connect(buyer).sellGameTokens(gameId, quote, BUY_XP - fee, await deadline()))
+        .to.emit(gameTokenFactory, "FeesCollected")
+        .withArgs(Operation.Redeem, gameId, buyer.address, xpAddress, fee);
+      expect((await xpToken.balanceOf(buyer.address)) - xpBefore).to.equal(BUY_XP - fee);
+      expect(await gameTokenFactory.accruedFees(xpAddress)).to.equal(fee);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP);
+    });
+
+    it("Should keep every game's reserve backing its outstanding tokens", async function () {
+      const games = [];
+      for (const curve of Object.values(CURVES)) games.push(await createCurveGame(curve));
+      await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Plain", "PLN", 18);
+      const gameIds = [...games.map((game) => game.gameId), BigInt(games.length)];
+
+      for (const { gameId } of games) {
+        for (const amount of [ethers.parseEther("7"), ethers.parseEther("13.3"), 123456789n]) {
+          await gameTokenFactory.connect(buyer).buyGameTokens(gameId, amount, 0, await deadline());
+        }
+        await expectReservesBacked(gameIds);
+      }
+
+      // Sell in an order different from the buys, then the creator's initial supply
+      for (const { gameId, gameToken } of games) {
+        const bought = await gameToken.balanceOf(buyer.address);
+        await gameTokenFactory.connect(buyer).sellGameTokens(gameId, bought / 3n, 0, await deadline());
+        await gameTokenFactory.connect(buyer).sellGameTokens(gameId, bought - bought / 3n, 0, await deadline());
+        await expectReservesBacked(gameIds);
+
+        await gameTokenFactory.connect(creator).sellGameTokens(gameId, GAME_XP, 0, await deadline());
+        const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+        expect(info.xpLocked).to.equal(0n);
+        expect(await gameToken.totalSupply()).to.equal(0n);
+      }
+      await expectReservesBacked(gameIds);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP);
+    });
+  });
+
+  describe("Client", function () {
+    it("Should create curve games and trade at exactly the quoted amounts", async function () {
+      const clientCreator = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: creator,
+        addresses: client.addresses,
+      });
+      await xpToken.connect(creator).approve(factoryAddress, 0);
+      const created = await clientCreator.createGameTokenWithCurve(GAME_XP, "Curve Game", "CURV", 18, {
+        kind: "exponential",
+        a: WAD,
+        b: ethers.parseEther("0.01"),
+      });
+      expect(created.curve).to.deep.equal({ kind: "exponential", a: WAD, b: ethers.parseEther("0.01") });
+      expect(await client.getPricingCurve(created.gameId)).to.deep.equal(created.curve);
+
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 50, flat: ethers.parseEther("0.1") });
+      for (const xpAmount of [BUY_XP, ethers.parseEther("3.7"), ethers.parseEther("120")]) {
+        const quote = await client.quoteBuyGameTokens(created.gameId, xpAmount);
+        expect(quote.tokensOut).to.equal(await gameTokenFactory.calculateCurveBuy(created.gameId, xpAmount));
+        const bought = await client.buyGameTokens(created.gameId, xpAmount);
+        expect(bought.tokensOut).to.equal(quote.tokensOut);
+        expect(bought.xpLocked).to.equal(quote.xpLocked);
+      }
+
+      const gameToken = await client.getGameToken(created.gameId);
+      const tokenAmount = (await gameToken.balanceOf(buyer.address)) / 2n;
+      const quote = await client.quoteSellGameTokens(created.gameId, tokenAmount);
+      const [xpOut, fee] = await gameTokenFactory.calculateCurveSell(buyer.address, created.gameId, tokenAmount);
+      expect([quote.xpOut, quote.fee]).to.deep.equal([xpOut, fee]);
+
+      const sold = await client.sellGameTokens(created.gameId, tokenAmount);
+      expect(sold.xpOut).to.equal(quote.xpOut);
+      expect(sold.fee).to.equal(quote.fee);
+      expect(sold.xpLocked).to.equal(quote.xpLocked);
+    });
+
+    it("Should decode slippage errors and report games without a curve", async function () {
+      const { gameId } = await createCurveGame(CURVES.linear);
+      const { tokensOut } = await client.quoteBuyGameTokens(gameId, BUY_XP);
+      const error = await client.buyGameTokens(gameId, BUY_XP, { minTokensOut: tokensOut + 1n }).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.SlippageExceeded);
+
+      await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Plain", "PLN", 18);
+      expect(await client.getPricingCurve(gameId + 1n)).to.equal(null);
+      await expect(client.quoteBuyGameTokens(gameId + 1n, BUY_XP)).to.be.rejectedWith("has no pricing curve");
+    });
+  });
+
+  describe("Curve math", function () {
+    it("Should compute exp and ln to within rounding of floating point", async function () {
+      for (const x of [0n, 1n, WAD / 3n, WAD, ethers.parseEther("2.5"), ethers.parseEther("41")]) {
+        const exact = Math.exp(Number(x) / 1e18);
+        expect(Math.abs(Number(expWad(x)) / 1e18 / exact - 1)).to.be.lessThan(1e-15);
+      }
+      expect(lnWad(WAD)).to.equal(0n);
+      for (const x of [WAD + 1n, ethers.parseEther("1.5"), ethers.parseEther("2"), ethers.parseEther("1234.5")]) {
+        const exact = Math.log(Number(x) / 1e18);
+        expect(Math.abs(Number(lnWad(x)) / 1e18 - exact)).to.be.lessThan(1e-15);
+      }
+      expect(() => expWad(ethers.parseEther("131"))).to.throw(RangeError);
+    });
+
+    it("Should refuse exponential supplies that could not be priced back", function () {
+      const curve = { kind: CurveKind.Exponential, a: WAD, b: WAD };
+      // With a = b = 1, x XP buys ln(1 + x) tokens, and the exponent is the supply
+      const xpAt = (exponent) => expWad(ethers.parseEther(exponent)) - WAD;
+      expect(curveSupply(curve, xpAt("129"))).to.be.closeTo(ethers.parseEther("129"), 1000n);
+      expect(() => curveSupply(curve, xpAt("129") * 4n)).to.throw(RangeError, /CURVE_EXP/);
+    });
+
+    it("Should match the contract's quotes across curves and amounts", async function () {
+      const curves = [
+        ...Object.values(CURVES),
+        { kind: CurveKind.Linear, a: 0n, b: 7n },
+        { kind: CurveKind.Linear, a: ethers.parseEther("3"), b: 0n },
+        { kind: CurveKind.Exponential, a: 12345n, b: ethers.parseEther("0.5") },
+        { kind: CurveKind.ConstantProduct, a: ethers.parseEther("1000000"), b: ethers.parseEther("7.5") },
+      ];
+      const amounts = [1n, 999n, WAD, ethers.parseEther("77.7"), ethers.parseEther("900")];
+
+      for (const curve of curves) {
+        const { gameId } = await createCurveGame(curve, { decimals: 9 });
+        await gameTokenFactory.connect(buyer).buyGameTokens(gameId, ethers.parseEther("5"), 0, await deadline());
+        const state = await curveState(gameId);
+        for (const amount of amounts) {
+          expect(await gameTokenFactory.calculateCurveBuy(gameId, amount)).to.equal(quoteCurveBuy(state, amount));
+        }
+        for (const amount of [1n, state.totalSupply / 7n, state.totalSupply]) {
+          const [xpOut] = await gameTokenFactory.calculateCurveSell(buyer.address, gameId, amount);
+          expect(xpOut).to.equal(quoteCurveSell(state, amount));
+        }
+      }
+    });
+  });
+});
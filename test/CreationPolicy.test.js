@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGameToken1155, deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Creation Policy", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let user2;
+  let factoryAddress;
+  let client;
+
+  const XP = ethers.parseEther("100");
+  const NO_LIMITS = {
+    maxGamesPerCreator: 0,
+    cooldown: 0,
+    creatorRoleRequired: false,
+    minInitialSupply: 0,
+    maxInitialSupply: 0,
+  };
+
+  function setPolicy(changes) {
+    return gameTokenFactory.setCreationPolicy({ ...NO_LIMITS, ...changes });
+  }
+
+  function create(signer, name, xpAmount = XP, decimals = 18) {
+    return gameTokenFactory.connect(signer).createGameToken(xpAmount, name, name.slice(0, 4).toUpperCase(), decimals);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    for (const user of [user1, user2]) {
+      await fundUser(ecosystem, user, {
+        creda: ethers.parseEther("10000"),
+        lock: ethers.parseEther("10000"),
+        xpAllowance: ethers.MaxUint256,
+      });
+    }
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should start with every limit off", async function () {
+      const policy = await gameTokenFactory.creationPolicy();
+      expect(policy.maxGamesPerCreator).to.equal(0);
+      expect(policy.cooldown).to.equal(0);
+      expect(policy.creatorRoleRequired).to.be.false;
+
+      const [created, remaining, availableAt, authorized] = await gameTokenFactory.getCreationQuota(user1.address);
+      expect(created).to.equal(0);
+      expect(remaining).to.equal(ethers.MaxUint256);
+      expect(availableAt).to.equal(0);
+      expect(authorized).to.be.true;
+    });
+
+    it("Should emit the new policy", async function () {
+      await expect(setPolicy({ maxGamesPerCreator: 3, cooldown: 3600, minInitialSupply: XP }))
+        .to.emit(gameTokenFactory, "CreationPolicyUpdated")
+        .withArgs(owner.address, 3, 3600, false, XP, 0);
+    });
+
+    it("Should reject long cooldowns, inverted supply bounds and non-admins", async function () {
+      const maxCooldown = await gameTokenFactory.MAX_CREATION_COOLDOWN();
+      await expect(setPolicy({ cooldown: maxCooldown + 1n }))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount")
+        .withArgs(maxCooldown + 1n, maxCooldown);
+      await expect(setPolicy({ minInitialSupply: XP + 1n, maxInitialSupply: XP }))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidInitialSupply")
+        .withArgs(0, XP + 1n, XP);
+      await expect(gameTokenFactory.connect(user1).setCreationPolicy(NO_LIMITS))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Enforcement", function () {
+    it("Should cap the games per creator", async function () {
+      await setPolicy({ maxGamesPerCreator: 2 });
+      await create(user1, "Alpha");
+      await create(user1, "Beta");
+
+      await expect(create(user1, "Gamma"))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenLimitExceeded")
+        .withArgs(user1.address, 2, 2);
+      await create(user2, "Gamma");
+
+      const [created, remaining] = await gameTokenFactory.getCreationQuota(user1.address);
+      expect(created).to.equal(2);
+      expect(remaining).to.equal(0);
+    });
+
+    it("Should count a whole batch against the limit", async function () {
+      await setPolicy({ maxGamesPerCreator: 2 });
+      const games = ["Alpha", "Beta", "Gamma"].map((name) => ({ xpAmount: XP, name, symbol: "G", decimals: 18 }));
+
+      await expect(gameTokenFactory.connect(user1).createGameTokensBatch(games))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenLimitExceeded")
+        .withArgs(user1.address, 0, 2);
+      await gameTokenFactory.connect(user1).createGameTokensBatch(games.slice(0, 2));
+    });
+
+    it("Should make creators wait out the cooldown", async function () {
+      await setPolicy({ cooldown: 3600 });
+      await create(user1, "Alpha");
+      const createdAt = BigInt(await time.latest());
+
+      await expect(create(user1, "Beta"))
+        .to.be.revertedWithCustomError(gameTokenFactory, "TokenCreationCooldown");
+      const [, , availableAt] = await gameTokenFactory.getCreationQuota(user1.address);
+      expect(availableAt).to.equal(createdAt + 3600n);
+      expect(await gameTokenFactory.lastGameCreatedAt(user1.address)).to.equal(createdAt);
+
+      // Other creators and batches of several games are not held up
+      await gameTokenFactory.connect(user2).createGameTokensBatch([
+        { xpAmount: XP, name: "Beta", symbol: "B", decimals: 18 },
+        { xpAmount: XP, name: "Gamma", symbol: "G", decimals: 18 },
+      ]);
+
+      await time.increaseTo(availableAt);
+      await create(user1, "Beta");
+    });
+
+    it("Should apply the cooldown to ERC-1155 games", async function () {
+      await deployGameToken1155(gameTokenFactory);
+      await setPolicy({ cooldown: 3600 });
+
+      await create(user1, "Alpha");
+      await expect(gameTokenFactory.connect(user1).createGameToken1155(XP, "Beta", "B", 18))
+        .to.be.revertedWithCustomError(gameTokenFactory, "TokenCreationCooldown");
+    });
+
+    it("Should bound the initial supply whatever the decimals", async function () {
+      await setPolicy({ minInitialSupply: ethers.parseEther("50"), maxInitialSupply: ethers.parseEther("500") });
+
+      await expect(create(user1, "Small", ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidInitialSupply")
+        .withArgs(ethers.parseEther("10"), ethers.parseEther("50"), ethers.parseEther("500"));
+      await expect(create(user1, "Large", ethers.parseEther("501"), 6))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidInitialSupply")
+        .withArgs(ethers.parseEther("501"), ethers.parseEther("50"), ethers.parseEther("500"));
+
+      await create(user1, "Six", ethers.parseEther("500"), 6);
+      const [, metadata] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(metadata.initialSupply).to.equal(500n * 10n ** 6n);
+    });
+
+    it("Should only let CREATOR_ROLE holders create while the allowlist is on", async function () {
+      const role = await gameTokenFactory.CREATOR_ROLE();
+      await setPolicy({ creatorRoleRequired: true });
+
+      await expect(create(user1, "Alpha"))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, role);
+      const [, , , authorized] = await gameTokenFactory.getCreationQuota(user1.address);
+      expect(authorized).to.be.false;
+
+      await gameTokenFactory.grantRole(role, user1.address);
+      await create(user1, "Alpha");
+    });
+  });
+
+  describe("Client preflight", function () {
+    it("Should report the quota", async function () {
+      expect(await client.getCreationQuota()).to.deep.equal({
+        created: 0n,
+        remaining: null,
+        availableAt: 0n,
+        authorized: true,
+      });
+
+      await setPolicy({ maxGamesPerCreator: 3 });
+      await client.createGameToken(XP, "Alpha", "A", 18);
+      const quota = await client.getCreationQuota();
+      expect(quota.created).to.equal(1n);
+      expect(quota.remaining).to.equal(2n);
+      expect((await client.getCreationPolicy()).maxGamesPerCreator).to.equal(3n);
+    });
+
+    it("Should refuse a creation the policy would revert, without sending it", async function () {
+      await setPolicy({ cooldown: 3600 });
+      await client.createGameToken(XP, "Alpha", "A", 18);
+      const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+      const error = await client.createGameToken(XP, "Beta", "B", 18).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.TokenCreationCooldown);
+      expect(error.user).to.equal(user1.address);
+      expect(error.suggestion).to.match(/^Wait \d+ more seconds/);
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+    });
+
+    it("Should check supply bounds and the allowlist", async function () {
+      await setPolicy({ minInitialSupply: ethers.parseEther("500"), creatorRoleRequired: true });
+
+      const denied = await client.preflightCreateGameTokens([{ xpAmount: XP }]).catch((e) => e);
+      expect(denied).to.be.instanceOf(ContractErrors.AccessControlUnauthorizedAccount);
+
+      await gameTokenFactory.grantRole(await gameTokenFactory.CREATOR_ROLE(), user1.address);
+      const tooSmall = await client.preflightCreateGameTokens([{ xpAmount: XP }]).catch((e) => e);
+      expect(tooSmall).to.be.instanceOf(ContractErrors.InvalidInitialSupply);
+      expect(tooSmall.suggestion).to.equal("Choose an XP amount that yields a supply of at least 500");
+    });
+
+    it("Should check a batch against the remaining quota before approving", async function () {
+      await setPolicy({ maxGamesPerCreator: 1 });
+      const batch = client.batch().addGame(XP, "Alpha", "A").addGame(XP, "Beta", "B");
+
+      const error = await batch.send().catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.GameTokenLimitExceeded);
+      expect(await gameTokenFactory.nextGameId()).to.equal(0);
+    });
+
+    it("Should refuse a batch split across transactions while a cooldown is set", async function () {
+      await setPolicy({ cooldown: 60 });
+      const batch = client.batch({ maxItems: 1 }).addGame(XP, "Alpha", "A").addGame(XP, "Beta", "B");
+
+      await expect(batch.send()).to.be.rejectedWith(/need 2 transactions/);
+      expect(await gameTokenFactory.nextGameId()).to.equal(0);
+    });
+  });
+});
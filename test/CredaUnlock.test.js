@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - CREDA Unlocking", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let user2;
+  let treasury;
+  let ecosystem;
+  let factoryAddress;
+
+  const LOCK_AMOUNT = ethers.parseEther("1000");
+  const LOCKUP_PERIOD = 7 * 24 * 60 * 60; // 7 days
+  const PENALTY_BPS = 1000; // 10%
+
+  async function changeRate(newRate) {
+    await gameTokenFactory.proposeRateChange(newRate);
+    await time.increase(await gameTokenFactory.rateChangeDelay());
+    await gameTokenFactory.executeRateChange();
+  }
+
+  beforeEach(async function () {
+    [owner, user1, treasury, user2] = await ethers.getSigners();
+
+    ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    await fundUser(ecosystem, user1, { creda: ethers.parseEther("10000"), lock: LOCK_AMOUNT });
+  });
+
+  describe("unlockCreda", function () {
+    it("Should burn XP and return CREDA at the user's locked rate", async function () {
+      const unlockXp = ethers.parseEther("400");
+      const credaBefore = await credaToken.balanceOf(user1.address);
+
+      await xpToken.connect(user1).approve(factoryAddress, unlockXp);
+      await expect(gameTokenFactory.connect(user1).unlockCreda(unlockXp))
+        .to.emit(gameTokenFactory, "CredaUnlocked")
+        .withArgs(user1.address, unlockXp, unlockXp, 0);
+
+      expect(await credaToken.balanceOf(user1.address)).to.equal(credaBefore + unlockXp);
+      expect(await xpToken.balanceOf(user1.address)).to.equal(LOCK_AMOUNT - unlockXp);
+      expect(await gameTokenFactory.userLockedCreda(user1.address)).to.equal(LOCK_AMOUNT - unlockXp);
+      expect(await gameTokenFactory.userLockedXp(user1.address)).to.equal(LOCK_AMOUNT - unlockXp);
+      expect(await gameTokenFactory.totalLockedCreda()).to.equal(LOCK_AMOUNT - unlockXp);
+    });
+
+    it("Should use the rate in force when the CREDA was locked", async function () {
+      await changeRate(ethers.parseEther("1.5"));
+
+      // XP held now exceeds the original lock, but only the locked XP can be unlocked
+      await credaToken.connect(user1).approve(factoryAddress, LOCK_AMOUNT);
+      await gameTokenFactory.connect(user1).lockCreda(LOCK_AMOUNT);
+
+      // 1000 XP from the first lock at 1:1, then 300 XP from the second at 1.5 XP per CREDA
+      const unlockXp = ethers.parseEther("1300");
+      const [credaAmount] = await gameTokenFactory.calculateCredaReturn(user1.address, unlockXp);
+      expect(credaAmount).to.equal(ethers.parseEther("1200"));
+    });
+
+    it("Should revert when unlocking more XP than was issued for locked CREDA", async function () {
+      const tooMuch = LOCK_AMOUNT + 1n;
+      await expect(gameTokenFactory.connect(user1).unlockCreda(tooMuch))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount")
+        .withArgs(tooMuch, LOCK_AMOUNT);
+    });
+
+    it("Should revert without XP allowance", async function () {
+      await expect(gameTokenFactory.connect(user1).unlockCreda(ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance");
+    });
+
+    it("Should revert when unlocking zero", async function () {
+      await expect(gameTokenFactory.connect(user1).unlockCreda(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAmount");
+    });
+  });
+
+  describe("Lock-up period and early-exit penalty", function () {
+    beforeEach(async function () {
+      await gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD, PENALTY_BPS, treasury.address);
+      await fundUser(ecosystem, user2, { creda: LOCK_AMOUNT, lock: LOCK_AMOUNT });
+    });
+
+    it("Should charge the penalty during the lock-up period", async function () {
+      const unlockXp = ethers.parseEther("100");
+      const expectedPenalty = ethers.parseEther("10");
+
+      await xpToken.connect(user2).approve(factoryAddress, unlockXp);
+      await expect(gameTokenFactory.connect(user2).unlockCreda(unlockXp))
+        .to.emit(gameTokenFactory, "CredaUnlocked")
+        .withArgs(user2.address, unlockXp, unlockXp - expectedPenalty, expectedPenalty);
+
+      expect(await credaToken.balanceOf(treasury.address)).to.equal(expectedPenalty);
+      expect(await gameTokenFactory.userLockedCreda(user2.address)).to.equal(LOCK_AMOUNT - unlockXp);
+    });
+
+    it("Should not charge the penalty after the lock-up period", async function () {
+      await time.increase(LOCKUP_PERIOD);
+
+      const unlockXp = ethers.parseEther("100");
+      const [credaAmount, penalty] = await gameTokenFactory.calculateCredaReturn(user2.address, unlockXp);
+      expect(credaAmount).to.equal(unlockXp);
+      expect(penalty).to.equal(0);
+    });
+
+    it("Should keep the terms in force when a position was opened", async function () {
+      // user1 locked before any lock-up was configured
+      const unlockXp = ethers.parseEther("100");
+      const [, earlierPenalty] = await gameTokenFactory.calculateCredaReturn(user1.address, unlockXp);
+      expect(earlierPenalty).to.equal(0);
+
+      await gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD * 4, 5000, treasury.address);
+      const [credaAmount, penalty] = await gameTokenFactory.calculateCredaReturn(user2.address, unlockXp);
+      expect(penalty).to.equal(ethers.parseEther("10"));
+      expect(credaAmount).to.equal(ethers.parseEther("90"));
+
+      const position = await gameTokenFactory.getLockPosition(1);
+      expect(position.penaltyBps).to.equal(PENALTY_BPS);
+      expect(await gameTokenFactory.positionUnlockAvailableAt(1)).to.equal(position.lockedAt + BigInt(LOCKUP_PERIOD));
+
+      await time.increase(LOCKUP_PERIOD);
+      const [, afterLockup] = await gameTokenFactory.calculateCredaReturn(user2.address, unlockXp);
+      expect(afterLockup).to.equal(0);
+    });
+
+    it("Should reject a penalty above the maximum", async function () {
+      await expect(gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD, 5001, treasury.address))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+    });
+
+    it("Should require a penalty recipient when a penalty is set", async function () {
+      await expect(gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD, PENALTY_BPS, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAddress");
+    });
+
+    it("Should restrict configuration to admins", async function () {
+      await expect(gameTokenFactory.connect(user1).setUnlockConfig(0, 0, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Client helpers", function () {
+    it("Should quote, approve and unlock through the client", async function () {
+      await gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD, PENALTY_BPS, treasury.address);
+      await fundUser(ecosystem, user2, { creda: LOCK_AMOUNT, lock: LOCK_AMOUNT });
+
+      const client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: user2,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: factoryAddress,
+        },
+      });
+
+      const info = await client.getLockInfo();
+      expect(info.lockedCreda).to.equal(LOCK_AMOUNT);
+      expect(info.lockedXp).to.equal(LOCK_AMOUNT);
+      expect(info.positionCount).to.equal(1n);
+      expect(info.lockupPeriod).to.equal(BigInt(LOCKUP_PERIOD));
+      expect(info.penaltyBps).to.equal(BigInt(PENALTY_BPS));
+
+      const unlockXp = ethers.parseEther("200");
+      const quote = await client.calculateCredaReturn(unlockXp);
+      const result = await client.unlockCreda(unlockXp);
+
+      expect(result.credaReturned).to.equal(quote.credaAmount);
+      expect(result.penalty).to.equal(quote.penalty);
+      expect(result.penalty).to.equal(ethers.parseEther("20"));
+    });
+  });
+});
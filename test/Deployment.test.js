@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployEcosystem } = require("../scripts/deploy");
+const { GameEcosystemClient, readRegistry, writeRegistry } = require("../index");
+
+describe("Deployment pipeline and registry", function () {
+  const { ethers } = hre;
+  let dir;
+  let registryFile;
+  let deployer;
+
+  const quiet = () => {};
+  const deploy = (options = {}) => deployEcosystem(hre, { registryFile, log: quiet, credaTokenAddress: "", ...options });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "game-ecosystem-registry-"));
+    registryFile = path.join(dir, `${hre.network.name}.json`);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record addresses, tx hashes, constructor args, roles and ABI hashes", async function () {
+    await deploy();
+    const registry = readRegistry(registryFile);
+
+    expect(registry.chainId).to.equal(31337);
+    for (const name of [
+      "credaToken",
+      "xpToken",
+      "gameTokenFactory",
+      "gameTokenFactoryImplementation",
+      "gameTokenFactoryLocking",
+      "gameTokenFactoryExtension",
+      "gameTokenFactoryCurves",
+      "gameTokenDeployer",
+      "gameTokenImplementation",
+      "gameToken1155",
+    ]) {
+      const entry = registry.contracts[name];
+      expect(entry.address).to.be.properAddress;
+      expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(entry.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+    }
+
+    const { xpToken, gameTokenFactory, gameTokenFactoryImplementation } = registry.contracts;
+    const { interface: extension } = await ethers.getContractFactory("GameTokenFactoryExtension");
+    expect(gameTokenFactory.contract).to.equal("GameTokenFactoryProxy");
+    expect(gameTokenFactory.constructorArgs).to.deep.equal([
+      gameTokenFactoryImplementation.address,
+      extension.encodeFunctionData("initialize", [
+        registry.contracts.credaToken.address,
+        xpToken.address,
+        registry.contracts.gameTokenImplementation.address,
+      ]),
+    ]);
+    expect(gameTokenFactory.implementation).to.equal(gameTokenFactoryImplementation.address);
+    expect(gameTokenFactoryImplementation.constructorArgs).to.deep.equal([
+      registry.contracts.gameTokenFactoryLocking.address,
+    ]);
+    expect(gameTokenFactory.storageLayout.storage.map((v) => v.label)).to.include("gameTokenDeployer");
+
+    const minter = registry.roles["xpToken.MINTER_ROLE.gameTokenFactory"];
+    expect(minter.account).to.equal(gameTokenFactory.address);
+    expect(minter.granted).to.be.true;
+    expect(minter.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(registry.roles["xpToken.BURNER_ROLE.deployer"].granted).to.be.false;
+  });
+
+  it("Should hand XP mint/burn roles from the deployer to the factory", async function () {
+    const { contracts } = await deploy();
+    const { xpToken, gameTokenFactory } = contracts;
+    const factoryAddress = await gameTokenFactory.getAddress();
+
+    expect(await xpToken.hasRole(await xpToken.MINTER_ROLE(), factoryAddress)).to.be.true;
+    expect(await xpToken.hasRole(await xpToken.BURNER_ROLE(), factoryAddress)).to.be.true;
+    expect(await xpToken.hasRole(await xpToken.MINTER_ROLE(), deployer.address)).to.be.false;
+    expect(await xpToken.hasRole(await xpToken.BURNER_ROLE(), deployer.address)).to.be.false;
+  });
+
+  it("Should send no transactions when rerun against a complete registry", async function () {
+    await deploy();
+    const before = readRegistry(registryFile);
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    await deploy();
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    expect(readRegistry(registryFile).contracts).to.deep.equal(before.contracts);
+  });
+
+  it("Should resume after a partial deployment", async function () {
+    await deploy();
+    const registry = readRegistry(registryFile);
+    const { credaToken, xpToken, gameTokenFactory } = registry.contracts;
+
+    // Simulate a run that stopped after the tokens were deployed
+    delete registry.contracts.gameTokenFactory;
+    delete registry.contracts.gameTokenDeployer;
+    writeRegistry(registryFile, registry);
+
+    await deploy();
+    const resumed = readRegistry(registryFile);
+
+    expect(resumed.contracts.credaToken.address).to.equal(credaToken.address);
+    expect(resumed.contracts.xpToken.address).to.equal(xpToken.address);
+    expect(resumed.contracts.gameTokenFactory.address).to.not.equal(gameTokenFactory.address);
+
+    // The replaced factory no longer holds XP roles
+    const xp = await ethers.getContractAt("XPToken", xpToken.address);
+    expect(await xp.hasRole(await xp.MINTER_ROLE(), gameTokenFactory.address)).to.be.false;
+    expect(await xp.hasRole(await xp.MINTER_ROLE(), resumed.contracts.gameTokenFactory.address)).to.be.true;
+
+    // The replaced factory gets an ERC-1155 collection of its own
+    const factory = await ethers.getContractAt("GameTokenFactoryExtension", resumed.contracts.gameTokenFactory.address);
+    expect(resumed.contracts.gameToken1155.address).to.not.equal(registry.contracts.gameToken1155.address);
+    expect(await factory.gameToken1155()).to.equal(resumed.contracts.gameToken1155.address);
+  });
+
+  it("Should pick up a deployment whose transaction was sent but not recorded", async function () {
+    await deploy();
+    const registry = readRegistry(registryFile);
+    const { address } = registry.contracts.gameTokenFactory;
+    registry.contracts.gameTokenFactory.address = null;
+    writeRegistry(registryFile, registry);
+
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    await deploy();
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    expect(readRegistry(registryFile).contracts.gameTokenFactory.address).to.equal(address);
+  });
+
+  it("Should reject a registry written for another chain", async function () {
+    await deploy();
+    const registry = readRegistry(registryFile);
+    registry.chainId = 1;
+    writeRegistry(registryFile, registry);
+
+    let error;
+    try {
+      await deploy();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("is for chain 1");
+  });
+
+  it("Should build a working client from the registry", async function () {
+    await deploy();
+    const [, user] = await ethers.getSigners();
+    const client = await GameEcosystemClient.fromRegistry({
+      provider: ethers.provider,
+      signer: user,
+      network: hre.network.name,
+      dir,
+    });
+
+    const registry = readRegistry(registryFile);
+    expect(client.addresses.gameTokenFactory).to.equal(registry.contracts.gameTokenFactory.address);
+
+    const credaToken = await ethers.getContractAt("CRIDAToken", registry.contracts.credaToken.address);
+    await credaToken.transfer(user.address, ethers.parseEther("100"));
+    const { xpMinted } = await client.lockCreda(ethers.parseEther("100"));
+    expect(xpMinted).to.equal(ethers.parseEther("100"));
+  });
+});
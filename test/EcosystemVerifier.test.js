@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGameTokenFactory, deployEcosystemFixture } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { verifyEcosystem, Check } = require("../index");
+
+describe("Ecosystem invariant checker", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let addresses;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, addresses } = ecosystem);
+  });
+
+  async function useEcosystem() {
+    const factoryAddress = addresses.gameTokenFactory;
+    await credaToken.transfer(user1.address, ethers.parseEther("10000"));
+    await credaToken.connect(user1).approve(factoryAddress, ethers.parseEther("5000"));
+    await gameTokenFactory.connect(user1).lockCreda(ethers.parseEther("5000"));
+
+    await xpToken.connect(user1).approve(factoryAddress, ethers.parseEther("3000"));
+    await gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("1000"), "First Game", "FG", 18);
+    await gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("2000"), "Second Game", "SG", 18);
+
+    // Burn twice so the second burn prices against a reduced xpLocked and supply
+    await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("150"));
+    await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("150"));
+  }
+
+  it("Should pass a correctly wired ecosystem after locks, creations and burns", async function () {
+    await useEcosystem();
+
+    const result = await verifyEcosystem(addresses, {
+      provider: ethers.provider,
+      expectedAdmins: [owner.address],
+    });
+
+    expect(result.violations).to.deep.equal([]);
+    expect(result.ok).to.be.true;
+    expect(result.checks.map((c) => c.check)).to.include.members([
+      Check.FACTORY_ROLES,
+      Check.ADMINS,
+      Check.CREDA_BACKING,
+      Check.XP_RESERVES,
+    ]);
+    expect(() => JSON.stringify(result)).to.not.throw();
+  });
+
+  it("Should keep xpReserves equal to the XP locked in games across burns", async function () {
+    await useEcosystem();
+
+    const [first] = await gameTokenFactory.getGameTokenInfo(0);
+    const [second] = await gameTokenFactory.getGameTokenInfo(1);
+    expect(await gameTokenFactory.xpReserves()).to.equal(first.xpLocked + second.xpLocked);
+    expect(second.xpLocked).to.equal(ethers.parseEther("1700"));
+  });
+
+  it("Should report missing XP roles on the factory", async function () {
+    await xpToken.revokeRole(await xpToken.BURNER_ROLE(), addresses.gameTokenFactory);
+
+    const result = await verifyEcosystem(addresses, { provider: ethers.provider });
+
+    expect(result.ok).to.be.false;
+    expect(result.violations).to.have.length(1);
+    expect(result.violations[0]).to.include({
+      check: Check.FACTORY_ROLES,
+      contract: "xpToken",
+      address: addresses.xpToken,
+    });
+    expect(result.violations[0].details.role).to.equal("BURNER_ROLE");
+  });
+
+  it("Should report admins that differ from the expected list", async function () {
+    await gameTokenFactory.grantRole(ethers.ZeroHash, user1.address);
+
+    const result = await verifyEcosystem(addresses, {
+      provider: ethers.provider,
+      expectedAdmins: [owner.address],
+    });
+
+    const admins = result.violations.filter((v) => v.check === Check.ADMINS);
+    expect(admins).to.have.length(1);
+    expect(admins[0].contract).to.equal("gameTokenFactory");
+    expect(admins[0].details.unexpected).to.deep.equal([user1.address]);
+    expect(admins[0].details.missing).to.deep.equal([]);
+  });
+
+  it("Should not count revoked admins", async function () {
+    await gameTokenFactory.grantRole(ethers.ZeroHash, user1.address);
+    await gameTokenFactory.revokeRole(ethers.ZeroHash, user1.address);
+
+    const result = await verifyEcosystem(addresses, {
+      provider: ethers.provider,
+      expectedAdmins: { gameTokenFactory: [owner.address] },
+    });
+    expect(result.ok).to.be.true;
+  });
+
+  it("Should report a factory wired to a different CREDA token and the backing shortfall", async function () {
+    await useEcosystem();
+    const CRIDAToken = await ethers.getContractFactory("CRIDAToken");
+    const otherCreda = await CRIDAToken.deploy(owner.address);
+
+    const result = await verifyEcosystem(
+      { ...addresses, credaToken: await otherCreda.getAddress() },
+      { provider: ethers.provider }
+    );
+
+    const checks = result.violations.map((v) => v.check);
+    expect(checks).to.include(Check.TOKEN_WIRING);
+    expect(checks).to.include(Check.CREDA_BACKING);
+    const backing = result.violations.find((v) => v.check === Check.CREDA_BACKING);
+    expect(backing.details.shortfall).to.equal(ethers.parseEther("5000").toString());
+  });
+
+  it("Should report an XP token without mint/burnFrom", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockXp = await MockERC20.deploy("XP Token", "XP", 18, ethers.parseEther("1000"));
+    const factory = await deployGameTokenFactory(addresses.credaToken, await mockXp.getAddress());
+
+    const result = await verifyEcosystem(
+      {
+        credaToken: addresses.credaToken,
+        xpToken: await mockXp.getAddress(),
+        gameTokenFactory: await factory.getAddress(),
+      },
+      { provider: ethers.provider }
+    );
+
+    const missing = result.violations.filter((v) => v.check === Check.XP_TOKEN_INTERFACE).map((v) => v.expected);
+    expect(missing).to.include("burnFrom(address,uint256)");
+    expect(missing).to.include("hasRole(bytes32,address)");
+  });
+
+  it("Should report addresses without code", async function () {
+    const result = await verifyEcosystem(
+      { ...addresses, gameTokenFactory: ethers.Wallet.createRandom().address },
+      { provider: ethers.provider }
+    );
+
+    expect(result.ok).to.be.false;
+    expect(result.violations).to.have.length(1);
+    expect(result.violations[0].check).to.equal(Check.CODE);
+  });
+});
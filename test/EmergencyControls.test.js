@@ -0,0 +1,323 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGameToken1155, deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, setBalance, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Emergency Controls", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let guardian;
+  let user1;
+  let user2;
+  let factoryAddress;
+  let credaAddress;
+  let gameToken;
+  let client;
+
+  const DAY = 24 * 60 * 60;
+  const LOCKED = ethers.parseEther("1000");
+  const GAME_XP = ethers.parseEther("500");
+  const Operation = { Lock: 0, Create: 1, Redeem: 2 };
+
+  beforeEach(async function () {
+    [owner, guardian, user1, user2] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, credaAddress, factoryAddress } = ecosystem);
+    await gameTokenFactory.grantRole(await gameTokenFactory.EMERGENCY_ROLE(), guardian.address);
+
+    await fundUser(ecosystem, user1, {
+      creda: ethers.parseEther("10000"),
+      lock: LOCKED,
+      credaAllowance: ethers.MaxUint256,
+      xpAllowance: ethers.MaxUint256,
+    });
+    await gameTokenFactory.connect(user1).createGameToken(GAME_XP, "Racing", "RACE", 18);
+
+    const [info] = await gameTokenFactory.getGameTokenInfo(0);
+    gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+
+    // CREDA sent to the factory by mistake, on top of what backs locked XP
+    await credaToken.transfer(factoryAddress, ethers.parseEther("50"));
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: guardian,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  describe("Emergency withdrawals", function () {
+    it("Should hold a queued withdrawal until the delay has passed", async function () {
+      const delay = await gameTokenFactory.emergencyWithdrawalDelay();
+      expect(delay).to.equal(2 * DAY);
+
+      const amount = ethers.parseEther("50");
+      const tx = gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, amount);
+      await expect(tx).to.emit(gameTokenFactory, "EmergencyWithdrawalQueued");
+      const executableAt = BigInt(await time.latest()) + delay;
+      await expect(tx)
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalQueued")
+        .withArgs(0, credaAddress, user2.address, amount, executableAt, guardian.address);
+
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "EmergencyWithdrawalNotReady")
+        .withArgs(0, executableAt);
+
+      await time.increaseTo(executableAt);
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalExecuted")
+        .withArgs(0, credaAddress, user2.address, amount, guardian.address);
+      expect(await credaToken.balanceOf(user2.address)).to.equal(amount);
+
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "EmergencyWithdrawalNotQueued")
+        .withArgs(0);
+    });
+
+    it("Should never touch CREDA backing locked XP", async function () {
+      expect(await gameTokenFactory.withdrawableBalanceOf(credaAddress)).to.equal(ethers.parseEther("50"));
+
+      await expect(
+        gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, ethers.parseEther("51"))
+      )
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance")
+        .withArgs(factoryAddress, credaAddress, ethers.parseEther("51"), ethers.parseEther("50"));
+
+      // Both fit when queued, but only the first still fits when executed
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, ethers.parseEther("30"));
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, ethers.parseEther("30"));
+      await time.increase(2 * DAY);
+      await gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0);
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance")
+        .withArgs(factoryAddress, credaAddress, ethers.parseEther("30"), ethers.parseEther("20"));
+
+      expect(await credaToken.balanceOf(factoryAddress)).to.equal(LOCKED + ethers.parseEther("20"));
+    });
+
+    it("Should refuse escrowed game tokens", async function () {
+      expect(await gameTokenFactory.withdrawableBalanceOf(await gameToken.getAddress())).to.equal(0);
+      await expect(
+        gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(await gameToken.getAddress(), user2.address, 1)
+      ).to.be.revertedWithCustomError(gameTokenFactory, "RecoveryNotAllowed");
+    });
+
+    it("Should withdraw stray ETH", async function () {
+      await setBalance(factoryAddress, ethers.parseEther("1"));
+      expect(await gameTokenFactory.withdrawableBalanceOf(ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(ethers.ZeroAddress, user2.address, ethers.parseEther("1"));
+      await time.increase(2 * DAY);
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0))
+        .to.changeEtherBalances([factoryAddress, user2], [-ethers.parseEther("1"), ethers.parseEther("1")]);
+    });
+
+    it("Should let the guardian or the admin cancel a queued withdrawal", async function () {
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, 1);
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, 1);
+
+      await expect(gameTokenFactory.connect(user1).cancelEmergencyWithdrawal(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.connect(guardian).cancelEmergencyWithdrawal(0))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalCancelled")
+        .withArgs(0, guardian.address);
+      await expect(gameTokenFactory.cancelEmergencyWithdrawal(1))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalCancelled")
+        .withArgs(1, owner.address);
+
+      await time.increase(2 * DAY);
+      await expect(gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "EmergencyWithdrawalNotQueued");
+      await expect(gameTokenFactory.connect(guardian).cancelEmergencyWithdrawal(5))
+        .to.be.revertedWithCustomError(gameTokenFactory, "EmergencyWithdrawalNotQueued");
+    });
+
+    it("Should validate requests and the delay", async function () {
+      await expect(gameTokenFactory.connect(user1).queueEmergencyWithdrawal(credaAddress, user1.address, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, ethers.ZeroAddress, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAddress");
+      await expect(gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAmount");
+
+      const minDelay = await gameTokenFactory.MIN_EMERGENCY_WITHDRAWAL_DELAY();
+      const maxDelay = await gameTokenFactory.MAX_EMERGENCY_WITHDRAWAL_DELAY();
+      await expect(gameTokenFactory.setEmergencyWithdrawalDelay(minDelay - 1n))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAmount");
+      await expect(gameTokenFactory.setEmergencyWithdrawalDelay(maxDelay + 1n))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+      await expect(gameTokenFactory.connect(guardian).setEmergencyWithdrawalDelay(minDelay))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.setEmergencyWithdrawalDelay(minDelay))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalDelayUpdated")
+        .withArgs(2 * DAY, minDelay);
+    });
+  });
+
+  describe("Per-operation pauses", function () {
+    it("Should pause locking but leave unlocking and creation open", async function () {
+      await expect(gameTokenFactory.setOperationPaused(Operation.Lock, true))
+        .to.emit(gameTokenFactory, "OperationPauseUpdated")
+        .withArgs(Operation.Lock, true, owner.address);
+
+      await expect(gameTokenFactory.connect(user1).lockCreda(1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused")
+        .withArgs(Operation.Lock);
+      await gameTokenFactory.connect(user1).unlockCreda(ethers.parseEther("1"));
+      await gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("10"), "Puzzle", "PUZ", 18);
+    });
+
+    it("Should pause creation, supply increases and ERC-1155 games", async function () {
+      await deployGameToken1155(gameTokenFactory);
+      await gameTokenFactory.setOperationPaused(Operation.Create, true);
+
+      await expect(gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("10"), "Puzzle", "PUZ", 18))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused")
+        .withArgs(Operation.Create);
+      await expect(gameTokenFactory.connect(user1).createGameToken1155(ethers.parseEther("10"), "Cards", "CRD", 18))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused");
+      await expect(gameTokenFactory.connect(user1).increaseGameTokenSupply(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused");
+      await gameTokenFactory.connect(user1).burnGameToken(0, ethers.parseEther("10"));
+
+      await gameTokenFactory.setOperationPaused(Operation.Create, false);
+      await gameTokenFactory.connect(user1).increaseGameTokenSupply(0, ethers.parseEther("10"));
+    });
+
+    it("Should pause redemptions", async function () {
+      await gameTokenFactory.setOperationPaused(Operation.Redeem, true);
+      await expect(gameTokenFactory.connect(user1).burnGameToken(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "OperationPaused")
+        .withArgs(Operation.Redeem);
+      await gameTokenFactory.connect(user1).lockCreda(1);
+    });
+
+    it("Should only let pausers toggle operations", async function () {
+      await expect(gameTokenFactory.connect(user1).setOperationPaused(Operation.Lock, true))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Game freezes", function () {
+    it("Should stop redemptions, supply increases and finalization of a frozen game", async function () {
+      await gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("10"), "Puzzle", "PUZ", 18);
+      await expect(gameTokenFactory.setGameFrozen(0, true))
+        .to.emit(gameTokenFactory, "GameFreezeUpdated")
+        .withArgs(0, true, owner.address);
+
+      await expect(gameTokenFactory.connect(user1).burnGameToken(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameFrozen")
+        .withArgs(0);
+      await expect(gameTokenFactory.connect(user1).increaseGameTokenSupply(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameFrozen");
+      await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("10"));
+
+      await gameTokenFactory.connect(user1).sunsetGame(0);
+      await time.increase(await gameTokenFactory.sunsetRedemptionWindow());
+      await expect(gameTokenFactory.finalizeSunset(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameFrozen");
+
+      await gameTokenFactory.setGameFrozen(0, false);
+      await gameTokenFactory.finalizeSunset(0);
+    });
+
+    it("Should only freeze existing games, by pausers", async function () {
+      await expect(gameTokenFactory.setGameFrozen(7, true))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidGameId");
+      await expect(gameTokenFactory.connect(guardian).setGameFrozen(0, true))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Game token recovery", function () {
+    it("Should recover stray tokens and record it", async function () {
+      await credaToken.transfer(await gameToken.getAddress(), 100);
+      await expect(gameToken.connect(user1).emergencyRecover(credaAddress, user2.address, 100))
+        .to.emit(gameToken, "TokensRecovered")
+        .withArgs(credaAddress, user2.address, 100, user1.address);
+      expect(await credaToken.balanceOf(user2.address)).to.equal(100);
+    });
+
+    it("Should refuse the game token itself and failed transfers", async function () {
+      await expect(gameToken.connect(user1).emergencyRecover(await gameToken.getAddress(), user2.address, 1))
+        .to.be.revertedWithCustomError(gameToken, "RecoveryNotAllowed");
+      await expect(gameToken.connect(user1).emergencyRecover(credaAddress, user2.address, 1))
+        .to.be.revertedWithCustomError(gameToken, "RecoveryFailed")
+        .withArgs(credaAddress, "Token transfer failed");
+      // An address without code is not a token
+      await expect(gameToken.connect(user1).emergencyRecover(user2.address, user2.address, 1))
+        .to.be.revertedWithCustomError(gameToken, "RecoveryFailed")
+        .withArgs(user2.address, "Token transfer failed");
+      await expect(gameToken.connect(user2).emergencyRecover(credaAddress, user2.address, 1))
+        .to.be.revertedWithCustomError(gameToken, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Client", function () {
+    it("Should report pauses and queued withdrawals", async function () {
+      await gameTokenFactory.setOperationPaused(Operation.Redeem, true);
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, 1);
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, 2);
+      await gameTokenFactory.connect(guardian).cancelEmergencyWithdrawal(1);
+
+      expect(await client.getEmergencyStatus()).to.deep.equal({
+        paused: false,
+        operations: { lock: false, create: false, redeem: true },
+        withdrawalDelay: BigInt(2 * DAY),
+      });
+
+      let withdrawals = await client.getEmergencyWithdrawals();
+      expect(withdrawals.map((w) => w.status)).to.deep.equal(["queued", "cancelled"]);
+      expect(withdrawals[0].executable).to.be.false;
+
+      await time.increase(2 * DAY);
+      withdrawals = await client.getEmergencyWithdrawals();
+      expect(withdrawals[0].executable).to.be.true;
+      expect(withdrawals[1].executable).to.be.false;
+    });
+
+    it("Should render the emergency audit trail in order", async function () {
+      await credaToken.transfer(await gameToken.getAddress(), ethers.parseEther("5"));
+      await gameTokenFactory.pause();
+      await gameTokenFactory.unpause();
+      await gameTokenFactory.setOperationPaused(Operation.Lock, true);
+      await gameTokenFactory.setGameFrozen(0, true);
+      await gameTokenFactory.connect(guardian).queueEmergencyWithdrawal(credaAddress, user2.address, ethers.parseEther("5"));
+      await time.increase(2 * DAY);
+      await gameTokenFactory.connect(guardian).executeEmergencyWithdrawal(0);
+      await gameToken.connect(user1).emergencyRecover(credaAddress, user2.address, ethers.parseEther("5"));
+
+      const log = await client.getEmergencyLog({ gameTokens: [await gameToken.getAddress()] });
+
+      expect(log.map((entry) => entry.action)).to.deep.equal([
+        "Paused",
+        "Unpaused",
+        "OperationPauseUpdated",
+        "GameFreezeUpdated",
+        "EmergencyWithdrawalQueued",
+        "EmergencyWithdrawalExecuted",
+        "TokensRecovered",
+      ]);
+      expect(log[0].by).to.equal(owner.address);
+      expect(log[2].description).to.equal("Paused lock");
+      expect(log[3].description).to.equal("Froze game 0");
+      expect(log[4].by).to.equal(guardian.address);
+      expect(log[4].description).to.match(new RegExp(`^Queued withdrawal #0 of 5 CREDA to ${user2.address}, executable from `));
+      expect(log[5].description).to.equal(`Executed withdrawal #0: 5 CREDA to ${user2.address}`);
+      expect(log[6].description).to.equal(
+        `Recovered 5 CREDA from game token ${await gameToken.getAddress()} to ${user2.address}`
+      );
+    });
+
+    it("Should explain a paused operation", async function () {
+      await gameTokenFactory.setOperationPaused(Operation.Lock, true);
+      const error = await client.lockCreda(1n).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.OperationPaused);
+      expect(error.suggestion).to.match(/^Locking is paused/);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  GameEcosystemClient,
+  ContractErrors,
+  BalanceError,
+  ErrorCategory,
+  RevertError,
+  decodeContractError,
+} = require("../index");
+
+describe("Contract error decoder", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let client;
+  let tokens;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory } = ecosystem);
+
+    await credaToken.transfer(user1.address, ethers.parseEther("10000"));
+
+    tokens = { [await xpToken.getAddress()]: { symbol: "XP", decimals: 18 } };
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  async function catchRevert(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected transaction to revert");
+  }
+
+  it("Should decode InsufficientAllowance with BigInt fields and an approval hint", async function () {
+    await client.lockCreda(ethers.parseEther("2000"));
+    const factoryAddress = await gameTokenFactory.getAddress();
+    await xpToken.connect(user1).approve(factoryAddress, ethers.parseEther("1000"));
+
+    const error = await catchRevert(
+      gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("1500"), "Game", "GM", 18)
+    );
+    const decoded = decodeContractError(error, { tokens });
+
+    expect(decoded).to.be.instanceOf(ContractErrors.InsufficientAllowance);
+    expect(decoded).to.be.instanceOf(BalanceError);
+    expect(decoded.name).to.equal("InsufficientAllowanceError");
+    expect(decoded.category).to.equal(ErrorCategory.BALANCE);
+    expect(decoded.user).to.equal(user1.address);
+    expect(decoded.spender).to.equal(factoryAddress);
+    expect(decoded.required).to.equal(ethers.parseEther("1500"));
+    expect(decoded.current).to.equal(ethers.parseEther("1000"));
+    expect(typeof decoded.required).to.equal("bigint");
+    expect(decoded.suggestion).to.equal(`Approve 500 more XP for ${factoryAddress}`);
+  });
+
+  it("Should rethrow typed errors from client methods", async function () {
+    await client.lockCreda(ethers.parseEther("5000"));
+    await client.createGameToken(ethers.parseEther("1000"), "Same Name", "SN1", 18);
+
+    const error = await catchRevert(
+      client.createGameToken(ethers.parseEther("1000"), "Same Name", "SN2", 18)
+    );
+
+    expect(error).to.be.instanceOf(ContractErrors.DuplicateGameName);
+    expect(error.category).to.equal(ErrorCategory.VALIDATION);
+    expect(error.user).to.equal(user1.address);
+    expect(error.fields.name).to.equal("Same Name");
+    expect(error.suggestion).to.contain("Same Name");
+  });
+
+  it("Should decode rate errors", async function () {
+    const error = await catchRevert(gameTokenFactory.proposeRateChange(ethers.parseEther("2")));
+    const decoded = decodeContractError(error);
+
+    expect(decoded).to.be.instanceOf(ContractErrors.RateChangeTooBig);
+    expect(decoded.category).to.equal(ErrorCategory.RATE);
+    expect(decoded.oldRate).to.equal(ethers.parseEther("1"));
+    expect(decoded.newRate).to.equal(ethers.parseEther("2"));
+    expect(decoded.maxChangePercent).to.equal(50n);
+  });
+
+  it("Should decode OpenZeppelin access control errors", async function () {
+    const error = await catchRevert(gameTokenFactory.connect(user1).proposeRateChange(ethers.parseEther("1.1")));
+    const decoded = decodeContractError(error);
+
+    expect(decoded).to.be.instanceOf(ContractErrors.AccessControlUnauthorizedAccount);
+    expect(decoded.category).to.equal(ErrorCategory.ACCESS);
+    expect(decoded.account).to.equal(user1.address);
+    expect(decoded.neededRole).to.equal(await gameTokenFactory.RATE_MANAGER_ROLE());
+  });
+
+  it("Should decode raw revert data and require strings", function () {
+    const iface = new ethers.Interface(["error InsufficientXpReserves(uint256 required, uint256 available)"]);
+    const data = iface.encodeErrorResult("InsufficientXpReserves", [10n, 4n]);
+
+    const decoded = decodeContractError(data);
+    expect(decoded).to.be.instanceOf(ContractErrors.InsufficientXpReserves);
+    expect(decoded.required).to.equal(10n);
+    expect(decoded.available).to.equal(4n);
+
+    const revertString = ethers.concat([
+      "0x08c379a0",
+      ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["Only self-call allowed"]),
+    ]);
+    const reverted = decodeContractError(revertString);
+    expect(reverted).to.be.instanceOf(RevertError);
+    expect(reverted.message).to.equal("Only self-call allowed");
+  });
+
+  it("Should return null for errors without revert data", function () {
+    expect(decodeContractError(new Error("network down"))).to.be.null;
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deployGameToken1155, deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer, JsonFileStore } = require("../index");
+
+describe("Event indexer", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let user2;
+  let factoryAddress;
+  let startBlock;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    startBlock = (await gameTokenFactory.deploymentTransaction().wait()).blockNumber;
+
+    for (const user of [user1, user2]) {
+      await fundUser(ecosystem, user, {
+        creda: ethers.parseEther("10000"),
+        lock: ethers.parseEther("5000"),
+        credaAllowance: ethers.parseEther("10000"),
+        xpAllowance: ethers.parseEther("5000"),
+      });
+    }
+  });
+
+  function newIndexer(store) {
+    return new EventIndexer({ provider: ethers.provider, factoryAddress, startBlock, store });
+  }
+
+  async function createGame(user, xp, name, symbol) {
+    await gameTokenFactory.connect(user).createGameToken(ethers.parseEther(xp), name, symbol, 18);
+  }
+
+  it("Should answer creator, burn history and top-game queries", async function () {
+    await createGame(user1, "1000", "Racing", "RACE");
+    await createGame(user1, "2000", "Puzzle", "PUZ");
+    await createGame(user2, "1500", "Arena", "ARN");
+    await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("200"));
+    await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("100"));
+
+    const indexer = newIndexer();
+    const result = await indexer.sync();
+    expect(result.reorg).to.be.null;
+
+    const byUser1 = indexer.getGamesByCreator(user1.address);
+    expect(byUser1.map((game) => game.name)).to.deep.equal(["Racing", "Puzzle"]);
+
+    const history = indexer.getBurnHistory(1);
+    expect(history).to.have.length(2);
+    expect(history[0].user).to.equal(user1.address);
+    expect(history[0].burnAmount).to.equal(ethers.parseEther("200"));
+    expect(history[0].xpReturned).to.equal(ethers.parseEther("200"));
+
+    const top = indexer.getTopGamesByXpLocked(2);
+    expect(top.map((game) => game.name)).to.deep.equal(["Puzzle", "Arena"]);
+    expect(top[0].xpLocked).to.equal(ethers.parseEther("1700"));
+    expect(top[0].burnCount).to.equal(2);
+
+    expect(indexer.getLocksByUser(user2.address)).to.have.length(1);
+  });
+
+  it("Should index TokensBurned from game tokens with their game id", async function () {
+    await createGame(user1, "1000", "Racing", "RACE");
+    await createGame(user1, "2000", "Puzzle", "PUZ");
+    await gameTokenFactory.connect(user1).burnGameToken(1, ethers.parseEther("100"));
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const burns = indexer.getEvents("TokensBurned");
+    expect(burns).to.have.length(1);
+    expect(burns[0].args.gameId).to.equal(1n);
+    expect(burns[0].args.amount).to.equal(ethers.parseEther("100"));
+  });
+
+  it("Should index TokensBurned from the ERC-1155 collection in the same shape", async function () {
+    await deployGameToken1155(gameTokenFactory);
+    await gameTokenFactory.connect(user1).createGameToken1155(ethers.parseEther("1000"), "Racing", "RACE", 18);
+    await createGame(user1, "2000", "Puzzle", "PUZ");
+    await gameTokenFactory.connect(user2).createGameToken1155(ethers.parseEther("500"), "Arena", "ARN", 18);
+    await gameTokenFactory.connect(user1).burnGameToken(0, ethers.parseEther("100"));
+    await gameTokenFactory.connect(user2).burnGameToken(2, ethers.parseEther("50"));
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const burns = indexer.getEvents("TokensBurned");
+    expect(burns.map((burn) => burn.args.gameId)).to.deep.equal([0n, 2n]);
+    expect(burns[1].args.user).to.equal(user2.address);
+    expect(burns[1].args.amount).to.equal(ethers.parseEther("50"));
+    expect(burns[1].args.totalBurned).to.equal(ethers.parseEther("50"));
+    expect(burns[1].args.id).to.be.undefined;
+  });
+
+  it("Should index executed rate changes", async function () {
+    await gameTokenFactory.proposeRateChange(ethers.parseEther("1.2"));
+    await time.increase(await gameTokenFactory.rateChangeDelay());
+    await gameTokenFactory.executeRateChange();
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const [change] = indexer.getEvents("RateChangeExecuted");
+    expect(change.args.oldRate).to.equal(ethers.parseEther("1"));
+    expect(change.args.newRate).to.equal(ethers.parseEther("1.2"));
+  });
+
+  it("Should track game lifecycle status and XP swept to the treasury", async function () {
+    await createGame(user1, "1000", "Racing", "RACE");
+    await createGame(user1, "2000", "Puzzle", "PUZ");
+    await gameTokenFactory.connect(user1).deactivateGame(0);
+    await gameTokenFactory.connect(user1).sunsetGame(1);
+    await time.increase(await gameTokenFactory.sunsetRedemptionWindow());
+    await gameTokenFactory.finalizeSunset(1);
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const [racing, puzzle] = indexer.getGames();
+    expect(racing.status).to.equal("inactive");
+    expect(puzzle.status).to.equal("closed");
+    expect(puzzle.redemptionEndsAt).to.be.a("bigint");
+    expect(puzzle.xpLocked).to.equal(0n);
+  });
+
+  it("Should only index new blocks on later syncs", async function () {
+    const indexer = newIndexer();
+    await createGame(user1, "1000", "Racing", "RACE");
+    const first = await indexer.sync();
+
+    await createGame(user2, "1000", "Arena", "ARN");
+    const second = await indexer.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.events).to.equal(1);
+    expect(indexer.getGames()).to.have.length(2);
+  });
+
+  it("Should roll back events from reorged blocks", async function () {
+    await createGame(user1, "1000", "Racing", "RACE");
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await createGame(user1, "2000", "Orphaned", "ORPH");
+    await indexer.sync();
+    expect(indexer.getGames().map((game) => game.name)).to.include("Orphaned");
+
+    // Replace the orphaned block with a different chain of the same or greater height
+    await network.provider.send("evm_revert", [snapshot]);
+    await createGame(user2, "1500", "Canonical", "CANON");
+    await network.provider.send("hardhat_mine", ["0x2"]);
+
+    const result = await indexer.sync();
+    expect(result.reorg).to.not.be.null;
+    expect(result.reorg.removed).to.equal(1);
+    expect(indexer.getGames().map((game) => game.name)).to.deep.equal(["Racing", "Canonical"]);
+  });
+
+  it("Should persist to and resume from a JSON file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "game-ecosystem-index-"));
+    const file = path.join(dir, "index.json");
+    try {
+      await createGame(user1, "1000", "Racing", "RACE");
+      await newIndexer(new JsonFileStore(file)).sync();
+
+      await createGame(user2, "1000", "Arena", "ARN");
+      const resumed = newIndexer(new JsonFileStore(file));
+      expect(resumed.getGames()).to.have.length(1);
+
+      const result = await resumed.sync();
+      expect(result.events).to.equal(1);
+      expect(resumed.getGames()).to.have.length(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
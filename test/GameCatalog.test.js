@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - Paginated game catalog", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let user2;
+  let factoryAddress;
+
+  const XP_PER_GAME = ethers.parseEther("10");
+
+  function clientFor(signer) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpToken.target,
+        gameTokenFactory: factoryAddress,
+      },
+    });
+  }
+
+  async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) items.push(item);
+    return items;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    // Games 0-4 by user1, interleaved with games by user2 at ids 2 and 5
+    for (const user of [user1, user2]) {
+      await fundUser(ecosystem, user, {
+        creda: ethers.parseEther("1000"),
+        lock: ethers.parseEther("1000"),
+        xpAllowance: ethers.parseEther("1000"),
+      });
+    }
+    const creators = [user1, user1, user2, user1, user1, user2, user1];
+    for (let i = 0; i < creators.length; i++) {
+      await gameTokenFactory.connect(creators[i]).createGameToken(XP_PER_GAME, `Game ${i}`, `G${i}`, 18);
+    }
+  });
+
+  describe("On-chain views", function () {
+    it("Should page through all games in creation order", async function () {
+      const first = await gameTokenFactory.getGames(0, 3);
+      const last = await gameTokenFactory.getGames(6, 3);
+
+      expect(first.map((g) => g.gameId)).to.deep.equal([0n, 1n, 2n]);
+      expect(first[2].info.creator).to.equal(user2.address);
+      expect(first[2].metadata.name).to.equal("Game 2");
+      expect(last.map((g) => g.gameId)).to.deep.equal([6n]);
+      expect(await gameTokenFactory.getGames(7, 3)).to.have.length(0);
+    });
+
+    it("Should page through one creator's games", async function () {
+      expect(await gameTokenFactory.getUserGameTokenCount(user1.address)).to.equal(5);
+
+      const page = await gameTokenFactory.getUserGameTokensPaged(user1.address, 2, 2);
+      expect(page.map((g) => g.gameId)).to.deep.equal([3n, 4n]);
+      expect(page[0].metadata.symbol).to.equal("G3");
+
+      const other = await gameTokenFactory.getUserGameTokensPaged(user2.address, 0, 10);
+      expect(other.map((g) => g.gameId)).to.deep.equal([2n, 5n]);
+      expect(await gameTokenFactory.getUserGameTokensPaged(owner.address, 0, 10)).to.have.length(0);
+    });
+
+    it("Should page through active games", async function () {
+      expect(await gameTokenFactory.getActiveGameCount()).to.equal(7);
+
+      const page = await gameTokenFactory.getActiveGames(5, 5);
+      expect(page.map((g) => g.gameId)).to.deep.equal([5n, 6n]);
+      expect(page.every((g) => g.info.active)).to.be.true;
+    });
+
+    it("Should return the rest of the list for an unbounded limit", async function () {
+      const limit = ethers.MaxUint256;
+
+      expect((await gameTokenFactory.getGames(2, limit)).map((g) => g.gameId)).to.deep.equal([2n, 3n, 4n, 5n, 6n]);
+      expect((await gameTokenFactory.getUserGameTokensPaged(user2.address, 1, limit)).map((g) => g.gameId))
+        .to.deep.equal([5n]);
+      expect(await gameTokenFactory.getActiveGames(4, limit)).to.have.length(3);
+    });
+  });
+
+  describe("Client iterators", function () {
+    it("Should iterate every game across multicall batches", async function () {
+      const games = await collect(clientFor(user1).iterateGames({ pageSize: 2, batchSize: 2 }));
+
+      expect(games.map((g) => g.gameId)).to.deep.equal([0n, 1n, 2n, 3n, 4n, 5n, 6n]);
+      expect(games[5].creator).to.equal(user2.address);
+      expect(games[5].xpLocked).to.equal(XP_PER_GAME);
+      expect(games[5].decimals).to.equal(18);
+    });
+
+    it("Should iterate a user's games and active games", async function () {
+      const client = clientFor(user2);
+
+      const mine = await collect(client.iterateUserGames(undefined, { pageSize: 1, batchSize: 3 }));
+      expect(mine.map((g) => g.name)).to.deep.equal(["Game 2", "Game 5"]);
+
+      const active = await collect(client.iterateActiveGames({ pageSize: 3 }));
+      expect(active).to.have.length(7);
+    });
+
+    it("Should read every page at the block the iteration started", async function () {
+      const iterator = clientFor(user1).iterateGames({ pageSize: 2, batchSize: 2 });
+      const first = await iterator.next();
+      expect(first.value.gameId).to.equal(0n);
+
+      // Created after the first batch was read, before the second
+      await gameTokenFactory.connect(user1).createGameToken(XP_PER_GAME, "Late Game", "LATE", 18);
+
+      const rest = await collect(iterator);
+      expect(rest.map((g) => g.gameId)).to.deep.equal([1n, 2n, 3n, 4n, 5n, 6n]);
+    });
+
+    it("Should reject empty pages", async function () {
+      await expect(collect(clientFor(user1).iterateGames({ pageSize: 0 })))
+        .to.be.rejectedWith("pageSize and batchSize must be at least 1");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { deployEcosystemFixture, gameTokenFactoryAbi } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+const { FACTORY_ABI_PATH, formatAbi } = require("../scripts/exportFactoryAbi");
+
+describe("GameEcosystemClient - JavaScript SDK", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let client;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory } = ecosystem);
+
+    await credaToken.transfer(user1.address, ethers.parseEther("10000"));
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  it("Should ship the factory ABI of the current build", async function () {
+    // Regenerate with `npm run abi:factory` when this fails
+    expect(fs.readFileSync(FACTORY_ABI_PATH, "utf8")).to.equal(formatAbi(await gameTokenFactoryAbi()));
+  });
+
+  it("Should require the factory address", function () {
+    expect(() => new GameEcosystemClient({ provider: ethers.provider, addresses: {} }))
+      .to.throw("addresses.gameTokenFactory is required");
+  });
+
+  it("Should approve and lock CREDA in one call", async function () {
+    const lockAmount = ethers.parseEther("100");
+
+    const result = await client.lockCreda(lockAmount);
+
+    expect(result.user).to.equal(user1.address);
+    expect(result.credaAmount).to.equal(lockAmount);
+    expect(result.xpMinted).to.equal(lockAmount);
+    expect(await xpToken.balanceOf(user1.address)).to.equal(lockAmount);
+  });
+
+  it("Should skip approval when allowance is already sufficient", async function () {
+    const lockAmount = ethers.parseEther("100");
+    const factoryAddress = await gameTokenFactory.getAddress();
+    await credaToken.connect(user1).approve(factoryAddress, lockAmount * 2n);
+
+    await client.lockCreda(lockAmount);
+
+    expect(await credaToken.allowance(user1.address, factoryAddress)).to.equal(lockAmount);
+  });
+
+  it("Should create a game token and return parsed event data", async function () {
+    await client.lockCreda(ethers.parseEther("5000"));
+    const xpAmount = ethers.parseEther("2000");
+
+    const result = await client.createGameToken(xpAmount, "Client Game", "CG", 18);
+
+    expect(result.gameId).to.equal(0n);
+    expect(result.creator).to.equal(user1.address);
+    expect(result.tokenAddress).to.not.equal(ethers.ZeroAddress);
+    expect(result.xpLocked).to.equal(xpAmount);
+    expect(result.initialSupply).to.equal(xpAmount);
+
+    const info = await client.getGameTokenInfo(result.gameId);
+    expect(info.tokenAddress).to.equal(result.tokenAddress);
+    expect(info.name).to.equal("Client Game");
+    expect(info.decimals).to.equal(18);
+    expect(info.active).to.be.true;
+
+    expect(await client.getUserGameTokens()).to.deep.equal([0n]);
+  });
+
+  it("Should burn game tokens and report XP returned", async function () {
+    await client.lockCreda(ethers.parseEther("5000"));
+    await client.createGameToken(ethers.parseEther("1000"), "First Game", "FG", 18);
+    const { gameId } = await client.createGameToken(ethers.parseEther("2000"), "Second Game", "SG", 18);
+
+    const burnAmount = ethers.parseEther("100");
+    const quoted = await client.calculateXpReturn(gameId, burnAmount);
+    const result = await client.burnGameToken(gameId, burnAmount);
+
+    expect(result.gameId).to.equal(gameId);
+    expect(result.burnAmount).to.equal(burnAmount);
+    expect(result.xpReturned).to.equal(quoted);
+    expect(result.xpReturned).to.equal(burnAmount);
+  });
+
+  it("Should quote XP for CREDA at the current rate", async function () {
+    const credaAmount = ethers.parseEther("100");
+    expect(await client.calculateXpAmount(credaAmount)).to.equal(credaAmount);
+  });
+});
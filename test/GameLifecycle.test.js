@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Game lifecycle", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player;
+  let manager;
+  let treasury;
+  let factoryAddress;
+  let gameToken;
+
+  const GAME_XP = ethers.parseEther("1000");
+  const SUNSET_WINDOW = 30 * 24 * 60 * 60; // 30 days
+
+  beforeEach(async function () {
+    [owner, creator, player, manager, treasury] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+    await gameTokenFactory.grantRole(await gameTokenFactory.GAME_MANAGER_ROLE(), manager.address);
+    await gameTokenFactory.setTreasury(treasury.address);
+
+    await fundUser(ecosystem, creator, { creda: GAME_XP, lock: GAME_XP, xpAllowance: GAME_XP });
+    await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Racing", "RACE", 18);
+
+    // A player holds part of the supply
+    const [info] = await gameTokenFactory.getGameTokenInfo(0);
+    gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+    await gameToken.connect(creator).transfer(player.address, ethers.parseEther("300"));
+  });
+
+  describe("Deactivation", function () {
+    it("Should let the creator deactivate and reactivate a game", async function () {
+      await expect(gameTokenFactory.connect(creator).deactivateGame(0))
+        .to.emit(gameTokenFactory, "GameDeactivated")
+        .withArgs(0, creator.address);
+
+      expect(await gameTokenFactory.getGameStatus(0)).to.equal(1); // Inactive
+      expect(await gameTokenFactory.getActiveGameCount()).to.equal(0);
+
+      await expect(gameTokenFactory.connect(creator).reactivateGame(0))
+        .to.emit(gameTokenFactory, "GameReactivated")
+        .withArgs(0, creator.address);
+      expect(await gameTokenFactory.getGameStatus(0)).to.equal(0); // Active
+      expect(await gameTokenFactory.getActiveGameCount()).to.equal(1);
+    });
+
+    it("Should keep redemptions open while the creator has a game deactivated", async function () {
+      await gameTokenFactory.connect(creator).deactivateGame(0);
+
+      const burnAmount = ethers.parseEther("10");
+      const expected = (burnAmount * GAME_XP) / (await gameToken.totalSupply());
+      expect(await gameTokenFactory.calculateXpReturn(0, burnAmount)).to.equal(expected);
+      await expect(gameTokenFactory.connect(player).burnGameToken(0, burnAmount))
+        .to.changeTokenBalance(xpToken, player, expected);
+    });
+
+    it("Should suspend redemptions while a manager has a game deactivated", async function () {
+      await gameTokenFactory.connect(manager).deactivateGame(0);
+
+      expect(await gameTokenFactory.calculateXpReturn(0, ethers.parseEther("10"))).to.equal(0);
+      await expect(gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenNotActive")
+        .withArgs(0);
+
+      await gameTokenFactory.connect(manager).reactivateGame(0);
+      await gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("10"));
+    });
+
+    it("Should reject callers that are neither creator nor manager", async function () {
+      await expect(gameTokenFactory.connect(player).deactivateGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager")
+        .withArgs(0, player.address);
+      await expect(gameTokenFactory.connect(player).sunsetGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager");
+    });
+
+    it("Should not let the creator undo a manager's deactivation", async function () {
+      await gameTokenFactory.connect(manager).deactivateGame(0);
+
+      await expect(gameTokenFactory.connect(creator).reactivateGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager")
+        .withArgs(0, creator.address);
+      await expect(gameTokenFactory.connect(creator).sunsetGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedGameManager");
+
+      await gameTokenFactory.connect(manager).reactivateGame(0);
+      expect(await gameTokenFactory.getGameStatus(0)).to.equal(0);
+    });
+
+    it("Should reject redundant transitions", async function () {
+      await expect(gameTokenFactory.connect(creator).reactivateGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameAlreadyActive");
+
+      await gameTokenFactory.connect(creator).deactivateGame(0);
+      await expect(gameTokenFactory.connect(creator).deactivateGame(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenNotActive");
+    });
+  });
+
+  describe("Sunset", function () {
+    it("Should keep redemptions open only during the final window", async function () {
+      const tx = await gameTokenFactory.connect(creator).sunsetGame(0);
+      const endsAt = (await time.latest()) + SUNSET_WINDOW;
+      await expect(tx).to.emit(gameTokenFactory, "GameSunset").withArgs(0, creator.address, endsAt);
+      expect(await gameTokenFactory.getGameStatus(0)).to.equal(2); // Sunset
+
+      await gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("30"));
+
+      await time.increaseTo(endsAt);
+      expect(await gameTokenFactory.getGameStatus(0)).to.equal(3); // Closed
+      expect(await gameTokenFactory.calculateXpReturn(0, ethers.parseEther("10"))).to.equal(0);
+      await expect(gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RedemptionWindowClosed")
+        .withArgs(0, endsAt);
+    });
+
+    it("Should be permanent", async function () {
+      await gameTokenFactory.connect(creator).sunsetGame(0);
+
+      for (const action of ["deactivateGame", "reactivateGame", "sunsetGame"]) {
+        await expect(gameTokenFactory.connect(manager)[action](0))
+          .to.be.revertedWithCustomError(gameTokenFactory, "GameAlreadySunset")
+          .withArgs(0);
+      }
+    });
+
+    it("Should reopen redemptions for a deactivated game", async function () {
+      await gameTokenFactory.connect(manager).deactivateGame(0);
+      await gameTokenFactory.connect(manager).sunsetGame(0);
+
+      expect(await gameTokenFactory.getActiveGameCount()).to.equal(1);
+      await gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("10"));
+    });
+
+    it("Should send unredeemed XP backing to the treasury once the window ends", async function () {
+      await gameTokenFactory.connect(creator).sunsetGame(0);
+      await gameTokenFactory.connect(player).burnGameToken(0, ethers.parseEther("100"));
+      const leftover = GAME_XP - ethers.parseEther("100");
+
+      await expect(gameTokenFactory.finalizeSunset(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RedemptionWindowOpen");
+
+      await time.increase(SUNSET_WINDOW);
+      await expect(gameTokenFactory.connect(player).finalizeSunset(0))
+        .to.emit(gameTokenFactory, "GameSunsetFinalized")
+        .withArgs(0, treasury.address, leftover);
+
+      expect(await xpToken.balanceOf(treasury.address)).to.equal(leftover);
+      expect(await gameTokenFactory.xpReserves()).to.equal(0);
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(info.active).to.be.false;
+      expect(info.xpLocked).to.equal(0);
+      expect(await gameTokenFactory.getActiveGameCount()).to.equal(0);
+
+      await expect(gameTokenFactory.finalizeSunset(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "SunsetAlreadyFinalized");
+    });
+
+    it("Should only finalize sunset games", async function () {
+      await expect(gameTokenFactory.finalizeSunset(0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "GameNotSunset")
+        .withArgs(0);
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should bound the redemption window", async function () {
+      await expect(gameTokenFactory.setSunsetRedemptionWindow(24 * 60 * 60))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAmount");
+      await expect(gameTokenFactory.setSunsetRedemptionWindow(366 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+
+      await expect(gameTokenFactory.setSunsetRedemptionWindow(7 * 24 * 60 * 60))
+        .to.emit(gameTokenFactory, "SunsetRedemptionWindowUpdated")
+        .withArgs(SUNSET_WINDOW, 7 * 24 * 60 * 60);
+    });
+
+    it("Should restrict the treasury to admins and reject the zero address", async function () {
+      await expect(gameTokenFactory.connect(manager).setTreasury(manager.address))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAddress");
+    });
+  });
+
+  describe("Client helpers", function () {
+    let client;
+
+    beforeEach(async function () {
+      client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: creator,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: factoryAddress,
+        },
+      });
+    });
+
+    it("Should walk a game through its lifecycle", async function () {
+      expect((await client.getGameStatus(0)).status).to.equal("active");
+
+      await client.deactivateGame(0);
+      const inactive = await client.getGameStatus(0);
+      expect(inactive.status).to.equal("inactive");
+      expect(inactive.redeemable).to.be.true;
+      expect(inactive.deactivatedByManager).to.be.false;
+      expect(inactive.redemptionEndsAt).to.be.null;
+
+      const sunset = await client.sunsetGame(0);
+      const status = await client.getGameStatus(0);
+      expect(status.status).to.equal("sunset");
+      expect(status.redeemable).to.be.true;
+      expect(status.redemptionEndsAt).to.equal(sunset.redemptionEndsAt);
+
+      await time.increase(SUNSET_WINDOW);
+      const closed = await client.finalizeSunset(0);
+      expect(closed.treasury).to.equal(treasury.address);
+      expect(closed.xpToTreasury).to.equal(GAME_XP);
+      expect((await client.getGameStatus(0)).finalized).to.be.true;
+    });
+
+    it("Should surface lifecycle reverts as typed errors", async function () {
+      await client.sunsetGame(0);
+
+      const error = await client.deactivateGame(0).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.GameAlreadySunset);
+    });
+  });
+});
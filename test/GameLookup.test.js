@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - Game ids and token lookup", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let factoryAddress;
+  let client;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    await fundUser(ecosystem, user1, {
+      creda: ethers.parseEther("10000"),
+      lock: ethers.parseEther("5000"),
+      xpAllowance: ethers.parseEther("5000"),
+    });
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  describe("Game id 0", function () {
+    it("Should let the first game ever created be redeemed", async function () {
+      const { gameId } = await client.createGameToken(ethers.parseEther("1000"), "First Game", "FIRST", 18);
+      expect(gameId).to.equal(0n);
+
+      const burnAmount = ethers.parseEther("100");
+      await expect(gameTokenFactory.connect(user1).burnGameToken(0, burnAmount))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(0, user1.address, burnAmount, burnAmount);
+      expect(await gameTokenFactory.calculateXpReturn(0, burnAmount)).to.equal(burnAmount);
+    });
+
+    it("Should reject ids that have not been created", async function () {
+      await expect(gameTokenFactory.connect(user1).burnGameToken(0, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidGameId")
+        .withArgs(0, 0);
+
+      await client.createGameToken(ethers.parseEther("1000"), "First Game", "FIRST", 18);
+      await expect(gameTokenFactory.connect(user1).burnGameToken(1, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidGameId")
+        .withArgs(1, 0);
+    });
+  });
+
+  describe("Lookup by token address", function () {
+    it("Should map each token address back to its game", async function () {
+      await client.createGameToken(ethers.parseEther("1000"), "First Game", "FIRST", 18);
+      const { tokenAddress } = await client.createGameToken(ethers.parseEther("2000"), "Second Game", "SECOND", 18);
+
+      expect(await gameTokenFactory.isFactoryToken(tokenAddress)).to.be.true;
+      expect(await gameTokenFactory.gameIdByToken(tokenAddress)).to.equal(1);
+
+      const [gameId, info, metadata] = await gameTokenFactory.getGameByToken(tokenAddress);
+      expect(gameId).to.equal(1);
+      expect(info.creator).to.equal(user1.address);
+      expect(metadata.name).to.equal("Second Game");
+    });
+
+    it("Should not recognise a GameToken deployed outside the factory", async function () {
+      const GameToken = await ethers.getContractFactory("GameToken");
+      const fake = await GameToken.deploy();
+      const fakeAddress = await fake.getAddress();
+
+      expect(await gameTokenFactory.isFactoryToken(fakeAddress)).to.be.false;
+      await expect(gameTokenFactory.getGameByToken(fakeAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnknownGameToken")
+        .withArgs(fakeAddress);
+      expect(await client.isFactoryToken(fakeAddress)).to.be.false;
+      expect(await client.getGameByToken(fakeAddress)).to.be.null;
+    });
+
+    it("Should return formatted game info through the client", async function () {
+      const created = await client.createGameToken(ethers.parseEther("1000"), "First Game", "FIRST", 18);
+
+      const game = await client.getGameByToken(created.tokenAddress);
+      expect(game.gameId).to.equal(0n);
+      expect(game.tokenAddress).to.equal(created.tokenAddress);
+      expect(game.name).to.equal("First Game");
+      expect(game.xpLocked).to.equal(ethers.parseEther("1000"));
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployGameTokenFactory, deployGameToken1155, deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - ERC-1155 game tokens", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let collection;
+  let owner;
+  let creator;
+  let player;
+  let factoryAddress;
+  let collectionAddress;
+
+  const GAME_XP = ethers.parseEther("100");
+  const ERC20 = 0n;
+  const ERC1155 = 1n;
+
+  function clientFor(signer) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpToken.target,
+        gameTokenFactory: factoryAddress,
+      },
+    });
+  }
+
+  async function createGame(signer, name, standard) {
+    await xpToken.connect(signer).approve(factoryAddress, GAME_XP);
+    const factory = gameTokenFactory.connect(signer);
+    if (standard === ERC1155) {
+      await factory.createGameToken1155(GAME_XP, name, name.slice(0, 4).toUpperCase(), 18);
+    } else {
+      await factory.createGameToken(GAME_XP, name, name.slice(0, 4).toUpperCase(), 18);
+    }
+    return (await gameTokenFactory.nextGameId()) - 1n;
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    collection = await deployGameToken1155(gameTokenFactory);
+    collectionAddress = await collection.getAddress();
+
+    for (const signer of [creator, player]) {
+      await fundUser(ecosystem, signer, {
+        creda: ethers.parseEther("5000"),
+        lock: ethers.parseEther("5000"),
+      });
+    }
+  });
+
+  describe("Collection registration", function () {
+    it("Should register the collection once, for its own factory only", async function () {
+      expect(await gameTokenFactory.gameToken1155()).to.equal(collectionAddress);
+
+      const GameToken1155 = await ethers.getContractFactory("GameToken1155");
+      const another = await GameToken1155.deploy(factoryAddress, "", ethers.ZeroAddress);
+      await expect(gameTokenFactory.setGameToken1155(await another.getAddress()))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InvalidContractState")
+        .withArgs("ERC-1155 collection already set");
+
+      const other = await deployGameTokenFactory(await credaToken.getAddress(), await xpToken.getAddress());
+      await expect(other.setGameToken1155(collectionAddress))
+        .to.be.revertedWithCustomError(other, "InvalidContractState")
+        .withArgs("Collection belongs to another factory");
+      await expect(other.connect(player).setGameToken1155(await another.getAddress()))
+        .to.be.revertedWithCustomError(other, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep the forwarder it was deployed with when the factory's changes", async function () {
+      await gameTokenFactory.setTrustedForwarder(player.address);
+      const GameToken1155 = await ethers.getContractFactory("GameToken1155");
+      const relayed = await GameToken1155.deploy(factoryAddress, "", player.address);
+
+      await gameTokenFactory.setTrustedForwarder(creator.address);
+      expect(await relayed.trustedForwarder()).to.equal(player.address);
+      expect(await relayed.isTrustedForwarder(creator.address)).to.be.false;
+      expect(await collection.trustedForwarder()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reject ERC-1155 games until a collection is registered", async function () {
+      const other = await deployGameTokenFactory(await credaToken.getAddress(), await xpToken.getAddress());
+      await xpToken.grantRole(await xpToken.BURNER_ROLE(), await other.getAddress());
+      await xpToken.connect(creator).approve(await other.getAddress(), GAME_XP);
+
+      await expect(other.connect(creator).createGameToken1155(GAME_XP, "Racing", "RACE", 18))
+        .to.be.revertedWithCustomError(other, "TokenStandardUnavailable")
+        .withArgs(ERC1155);
+    });
+
+    it("Should only let the factory create, mint and burn", async function () {
+      await expect(collection.create(7, player.address, 1n, 18))
+        .to.be.revertedWithCustomError(collection, "UnauthorizedBurner");
+      await expect(collection.factoryMint(player.address, 7, 1n))
+        .to.be.revertedWithCustomError(collection, "UnauthorizedBurner");
+      await expect(collection.burnFrom(player.address, 7, 1n))
+        .to.be.revertedWithCustomError(collection, "UnauthorizedBurner");
+    });
+  });
+
+  describe("Game creation", function () {
+    it("Should open the game ID as a token id and mint the initial supply to the creator", async function () {
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP);
+
+      await expect(gameTokenFactory.connect(creator).createGameToken1155(GAME_XP, "Racing", "RACE", 6))
+        .to.emit(gameTokenFactory, "GameTokenCreated")
+        .withArgs(0n, creator.address, collectionAddress, "Racing", "RACE", GAME_XP, 100n * 10n ** 6n)
+        .and.to.emit(collection, "GameCreated")
+        .withArgs(0n, creator.address, 6, 100n * 10n ** 6n);
+
+      expect(await gameTokenFactory.gameTokenStandards(0)).to.equal(ERC1155);
+      expect(await collection.balanceOf(creator.address, 0)).to.equal(100n * 10n ** 6n);
+      expect(await collection.decimals(0)).to.equal(6);
+      expect(await collection.creatorOf(0)).to.equal(creator.address);
+      expect(await collection.uri(0)).to.equal("https://games.example/{id}.json");
+      // The collection is shared, so it is not registered as a game's own token
+      expect(await gameTokenFactory.isFactoryToken(collectionAddress)).to.be.false;
+    });
+
+    it("Should give ERC-20 and ERC-1155 games the same supply for the same XP", async function () {
+      const erc20Game = await createGame(creator, "Racing", ERC20);
+      const erc1155Game = await createGame(creator, "Puzzle", ERC1155);
+
+      const [erc20Info] = await gameTokenFactory.getGameTokenInfo(erc20Game);
+      const [erc1155Info] = await gameTokenFactory.getGameTokenInfo(erc1155Game);
+      const token = await ethers.getContractAt("GameToken", erc20Info.tokenAddress);
+
+      expect(await gameTokenFactory.gameTokenStandards(erc20Game)).to.equal(ERC20);
+      expect(erc1155Info.tokenAddress).to.equal(collectionAddress);
+      expect(erc1155Info.xpLocked).to.equal(erc20Info.xpLocked);
+      expect(await collection["totalSupply(uint256)"](erc1155Game)).to.equal(await token.totalSupply());
+    });
+
+    it("Should enforce the same name rules as ERC-20 games", async function () {
+      await createGame(creator, "Racing", ERC20);
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP);
+
+      await expect(gameTokenFactory.connect(creator).createGameToken1155(GAME_XP, "Racing", "RACE", 18))
+        .to.be.revertedWithCustomError(gameTokenFactory, "DuplicateGameName")
+        .withArgs(creator.address, "Racing");
+    });
+  });
+
+  describe("Supply and redemption", function () {
+    let gameId;
+
+    beforeEach(async function () {
+      gameId = await createGame(creator, "Racing", ERC1155);
+      await collection.connect(creator).safeTransferFrom(creator.address, player.address, gameId, ethers.parseEther("40"), "0x");
+    });
+
+    it("Should redeem for the same XP as an ERC-20 game", async function () {
+      const erc20Game = await createGame(creator, "Puzzle", ERC20);
+      const [info] = await gameTokenFactory.getGameTokenInfo(erc20Game);
+      const token = await ethers.getContractAt("GameToken", info.tokenAddress);
+      await token.connect(creator).transfer(player.address, ethers.parseEther("40"));
+      const burnAmount = ethers.parseEther("10");
+
+      const expected = await gameTokenFactory.calculateXpReturn(erc20Game, burnAmount);
+      expect(await gameTokenFactory.calculateXpReturn(gameId, burnAmount)).to.equal(expected);
+
+      const xpBefore = await xpToken.balanceOf(player.address);
+      await expect(gameTokenFactory.connect(player).burnGameToken(gameId, burnAmount))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(gameId, player.address, burnAmount, expected)
+        .and.to.emit(collection, "TokensBurned")
+        .withArgs(gameId, player.address, burnAmount, burnAmount);
+
+      expect(await xpToken.balanceOf(player.address)).to.equal(xpBefore + expected);
+      expect(await collection.balanceOf(player.address, gameId)).to.equal(ethers.parseEther("30"));
+      expect(await collection.totalBurned(gameId)).to.equal(burnAmount);
+    });
+
+    it("Should keep the XP per token when the creator tops up supply", async function () {
+      const minted = await gameTokenFactory.calculateSupplyIncrease(gameId, GAME_XP);
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP);
+
+      await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(gameId, GAME_XP))
+        .to.emit(gameTokenFactory, "GameTokenSupplyIncreased")
+        .withArgs(gameId, creator.address, GAME_XP, minted, GAME_XP * 2n);
+
+      expect(await collection["totalSupply(uint256)"](gameId)).to.equal(ethers.parseEther("200"));
+      expect(await gameTokenFactory.calculateXpReturn(gameId, ethers.parseEther("10"))).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should apply redemption limits per game", async function () {
+      const other = await createGame(creator, "Puzzle", ERC1155);
+      await collection.connect(creator).setRedemptionPolicy(gameId, {
+        maxPerTransaction: ethers.parseEther("5"),
+        maxPerAddressPerDay: 0,
+        maxGlobalPerDay: 0,
+        cooldown: 3600,
+      });
+
+      await expect(gameTokenFactory.connect(player).burnGameToken(gameId, ethers.parseEther("6")))
+        .to.be.revertedWithCustomError(collection, "RedemptionExceedsTransactionLimit");
+      await gameTokenFactory.connect(player).burnGameToken(gameId, ethers.parseEther("5"));
+      await expect(gameTokenFactory.connect(player).burnGameToken(gameId, ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(collection, "RedemptionCooldownActive");
+
+      // The other game's limits are untouched
+      await gameTokenFactory.connect(creator).burnGameToken(other, ethers.parseEther("50"));
+
+      await time.increase(3600);
+      const [amount] = await collection.maxRedeemable(player.address, gameId);
+      expect(amount).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should let only the game's creator or a game manager change its policy", async function () {
+      const policy = { maxPerTransaction: 0, maxPerAddressPerDay: 0, maxGlobalPerDay: 0, cooldown: 60 };
+
+      await expect(collection.connect(player).setRedemptionPolicy(gameId, policy))
+        .to.be.revertedWithCustomError(collection, "UnauthorizedPolicyManager")
+        .withArgs(player.address);
+      await expect(collection.connect(creator).setRedemptionPolicy(99, policy))
+        .to.be.revertedWithCustomError(collection, "UnknownGame")
+        .withArgs(99);
+
+      await gameTokenFactory.grantRole(await gameTokenFactory.GAME_MANAGER_ROLE(), player.address);
+      await expect(collection.connect(player).setRedemptionPolicy(gameId, policy))
+        .to.emit(collection, "RedemptionPolicyUpdated")
+        .withArgs(gameId, player.address, 0, 0, 0, 60);
+    });
+
+    it("Should block redemptions while the creator has burning disabled", async function () {
+      await expect(collection.connect(player).setBurnEnabled(gameId, false))
+        .to.be.revertedWithCustomError(collection, "UnauthorizedCreator")
+        .withArgs(gameId, player.address);
+      await collection.connect(creator).setBurnEnabled(gameId, false);
+
+      await expect(gameTokenFactory.connect(player).burnGameToken(gameId, ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(collection, "BurnDisabled");
+    });
+
+    it("Should not redeem ERC-1155 games by permit", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const deadline = BigInt(timestamp) + 3600n;
+
+      await expect(gameTokenFactory.burnGameTokenWithPermit(gameId, player.address, 1n, deadline, 27, ethers.ZeroHash, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnsupportedTokenStandard")
+        .withArgs(gameId, ERC1155);
+    });
+  });
+
+  describe("Client", function () {
+    it("Should create and read both standards through one interface", async function () {
+      const client = clientFor(creator);
+
+      const erc20 = await client.createGameToken(GAME_XP, "Racing", "RACE");
+      const erc1155 = await client.createGameToken(GAME_XP, "Puzzle", "PUZ", 18, { standard: "erc1155" });
+
+      expect(erc20.standard).to.equal("erc20");
+      expect(erc1155.standard).to.equal("erc1155");
+      expect(erc1155.tokenAddress).to.equal(collectionAddress);
+      expect(await client.getGameTokenStandard(erc20.gameId)).to.equal("erc20");
+      expect(await client.getGameTokenStandard(erc1155.gameId)).to.equal("erc1155");
+
+      for (const game of [erc20, erc1155]) {
+        const token = await client.getGameToken(game.gameId);
+        expect(token.gameId).to.equal(game.gameId);
+        expect(await token.getAddress()).to.equal(game.tokenAddress);
+        expect(await token.balanceOf(creator.address)).to.equal(game.initialSupply);
+        expect(await token.totalSupply()).to.equal(game.initialSupply);
+        expect(await token.decimals()).to.equal(18n);
+        expect(await token.burnEnabled()).to.be.true;
+
+        await client.setRedemptionPolicy(game.gameId, { maxPerTransaction: ethers.parseEther("10") });
+        expect((await client.getRedemptionPolicy(game.gameId)).maxPerTransaction).to.equal(ethers.parseEther("10"));
+
+        const redeemable = await client.getRedeemableAmount(game.gameId);
+        expect(redeemable.amount).to.equal(ethers.parseEther("10"));
+        expect(redeemable.limitedBy).to.equal("redemptionPolicy");
+
+        const preview = await client.previewSupplyIncrease(game.gameId, GAME_XP);
+        expect(preview.currentSupply).to.equal(game.initialSupply);
+
+        const burned = await client.burnGameToken(game.gameId, ethers.parseEther("10"));
+        expect(burned.xpReturned).to.equal(ethers.parseEther("10"));
+      }
+    });
+
+    it("Should refuse to sign a permit redemption for an ERC-1155 game", async function () {
+      const client = clientFor(creator);
+      const { gameId } = await client.createGameToken(GAME_XP, "Puzzle", "PUZ", 18, { standard: "erc1155" });
+
+      let error;
+      try {
+        await client.signRedemption(gameId, 1n);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("cannot be redeemed by permit");
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, signPermit } = require("../index");
+
+describe("GameTokenFactory - Clone deployment", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let gameTokenDeployer;
+  let owner;
+  let creator;
+  let player;
+  let factoryAddress;
+
+  const GAME_XP = ethers.parseEther("100");
+
+  function clientFor(signer) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpToken.target,
+        gameTokenFactory: factoryAddress,
+      },
+    });
+  }
+
+  async function createGame(signer, name, symbol) {
+    await xpToken.connect(signer).approve(factoryAddress, GAME_XP);
+    const receipt = await (await gameTokenFactory.connect(signer).createGameToken(GAME_XP, name, symbol, 18)).wait();
+    const gameId = (await gameTokenFactory.nextGameId()) - 1n;
+    const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+    return { gameId, tokenAddress: info.tokenAddress, gasUsed: receipt.gasUsed };
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    gameTokenDeployer = await ethers.getContractAt("GameTokenDeployer", await gameTokenFactory.gameTokenDeployer());
+
+    for (const signer of [creator, player]) {
+      await fundUser(ecosystem, signer, {
+        creda: ethers.parseEther("5000"),
+        lock: ethers.parseEther("5000"),
+      });
+    }
+  });
+
+  describe("Deterministic addresses", function () {
+    it("Should create the token at the address predicted from creator and name", async function () {
+      const predicted = await gameTokenFactory.predictGameTokenAddress(creator.address, "Racing");
+      expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+      const { tokenAddress } = await createGame(creator, "Racing", "RACE");
+
+      expect(tokenAddress).to.equal(predicted);
+      const [gameId, info] = await gameTokenFactory.getGameByToken(predicted);
+      expect(gameId).to.equal(0n);
+      expect(info.tokenAddress).to.equal(predicted);
+    });
+
+    it("Should key the address by creator and name only", async function () {
+      const racing = await gameTokenFactory.predictGameTokenAddress(creator.address, "Racing");
+
+      expect(await gameTokenFactory.predictGameTokenAddress(player.address, "Racing")).to.not.equal(racing);
+      expect(await gameTokenFactory.predictGameTokenAddress(creator.address, "Puzzle")).to.not.equal(racing);
+
+      // The address does not depend on the game ID or the symbol
+      await createGame(player, "Puzzle", "PUZ");
+      const { tokenAddress } = await createGame(creator, "Racing", "OTHER");
+      expect(tokenAddress).to.equal(racing);
+    });
+
+    it("Should predict the same address through the client", async function () {
+      const client = clientFor(creator);
+      const predicted = await client.predictGameTokenAddress(creator.address, "Racing");
+
+      const game = await client.createGameToken(GAME_XP, "Racing", "RACE");
+
+      expect(game.tokenAddress).to.equal(predicted);
+    });
+  });
+
+  describe("Clones", function () {
+    it("Should deploy each token as an EIP-1167 proxy of the implementation", async function () {
+      const implementation = await gameTokenDeployer.implementation();
+      const { tokenAddress } = await createGame(creator, "Racing", "RACE");
+
+      const code = await ethers.provider.getCode(tokenAddress);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code).to.equal(
+        "0x363d3d373d3d3d363d73" + implementation.slice(2).toLowerCase() + "5af43d82803e903d91602b57fd5bf3"
+      );
+    });
+
+    it("Should keep each clone's metadata and state separate", async function () {
+      const racing = await ethers.getContractAt("GameToken", (await createGame(creator, "Racing", "RACE")).tokenAddress);
+      const puzzle = await ethers.getContractAt("GameToken", (await createGame(player, "Puzzle", "PUZ")).tokenAddress);
+
+      expect(await racing.name()).to.equal("Racing");
+      expect(await racing.symbol()).to.equal("RACE");
+      expect(await racing.owner()).to.equal(creator.address);
+      expect(await racing.gameId()).to.equal(0n);
+      expect(await racing.factory()).to.equal(factoryAddress);
+      expect(await puzzle.name()).to.equal("Puzzle");
+      expect(await puzzle.owner()).to.equal(player.address);
+      expect(await puzzle.gameId()).to.equal(1n);
+      expect(await racing.DOMAIN_SEPARATOR()).to.not.equal(await puzzle.DOMAIN_SEPARATOR());
+
+      await racing.connect(creator).transfer(player.address, 5n);
+      expect(await racing.balanceOf(player.address)).to.equal(5n);
+      expect(await puzzle.balanceOf(creator.address)).to.equal(0n);
+    });
+
+    it("Should not let the implementation or a clone be initialized again", async function () {
+      const implementation = await ethers.getContractAt("GameToken", await gameTokenDeployer.implementation());
+      const token = await ethers.getContractAt("GameToken", (await createGame(creator, "Racing", "RACE")).tokenAddress);
+      const args = ["Hijack", "HJK", 18, 1n, player.address, player.address, 99, ethers.ZeroAddress];
+
+      await expect(implementation.initialize(...args))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+      await expect(token.connect(player).initialize(...args))
+        .to.be.revertedWithCustomError(token, "InvalidInitialization");
+      expect(await token.owner()).to.equal(creator.address);
+    });
+
+    it("Should only deploy tokens for its factory", async function () {
+      await expect(gameTokenDeployer.deploy("Racing", "RACE", 18, 1n, player.address, 0, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(gameTokenDeployer, "UnauthorizedFactory")
+        .withArgs(owner.address, factoryAddress);
+    });
+
+    it("Should accept permits signed for the clone's own domain", async function () {
+      const { tokenAddress } = await createGame(creator, "Racing", "RACE");
+      const token = await ethers.getContractAt("GameToken", tokenAddress);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const value = ethers.parseEther("3");
+
+      const permit = await signPermit(creator, tokenAddress, player.address, value, { deadline: BigInt(timestamp) + 3600n });
+      await token.permit(creator.address, player.address, value, permit.deadline, permit.v, permit.r, permit.s);
+
+      expect(await token.allowance(creator.address, player.address)).to.equal(value);
+      expect(await token.nonces(creator.address)).to.equal(1n);
+    });
+  });
+
+  describe("Gas benchmarks", function () {
+    // Printed for comparison across changes; the assertions only pin the ordering
+    it("Should create a game for less gas than deploying a full GameToken", async function () {
+      const GameToken = await ethers.getContractFactory("GameToken");
+      const fullDeployment = await (await GameToken.deploy()).deploymentTransaction().wait();
+
+      const first = await createGame(creator, "Racing", "RACE");
+      const second = await createGame(creator, "Puzzle", "PUZ");
+
+      const games = Array.from({ length: 10 }, (_, i) => ({
+        xpAmount: GAME_XP,
+        name: `Season ${i}`,
+        symbol: `S${i}`,
+        decimals: 18,
+      }));
+      await xpToken.connect(player).approve(factoryAddress, GAME_XP * 10n);
+      const batch = await (await gameTokenFactory.connect(player).createGameTokensBatch(games)).wait();
+      const perBatchedGame = batch.gasUsed / 10n;
+
+      console.log("        GameToken gas benchmarks:");
+      console.log(`          full GameToken deployment (bytecode only):  ${fullDeployment.gasUsed}`);
+      console.log(`          createGameToken via clone (first game):      ${first.gasUsed}`);
+      console.log(`          createGameToken via clone (subsequent game): ${second.gasUsed}`);
+      console.log(`          createGameTokensBatch, per game (10 games):  ${perBatchedGame}`);
+
+      // A clone-based creation, including locking XP and the factory's
+      // bookkeeping, costs less than the token deployment alone used to
+      expect(second.gasUsed).to.be.lessThan(fullDeployment.gasUsed);
+      expect(perBatchedGame).to.be.lessThan(second.gasUsed);
+    });
+  });
+});
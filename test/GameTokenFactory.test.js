@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployEcosystemFixture } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("GameTokenFactory - Enhanced Security with Original Flow", function () {
   let gameTokenFactory;
@@ -11,24 +13,13 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
   let rateManager;
   let pauser;
 
-  const INITIAL_SUPPLY = ethers.parseEther("1000000"); // 1M tokens
   const CREDA_TO_XP_RATE = ethers.parseEther("1"); // 1:1 ratio with 18 decimals precision
   const MIN_XP_LOCK = ethers.parseEther("1000"); // 1000 XP minimum
 
   beforeEach(async function () {
     [owner, user1, user2, rateManager, pauser] = await ethers.getSigners();
 
-    // Deploy mock tokens
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    credaToken = await MockERC20.deploy("CREDA Token", "CREDA", 18, INITIAL_SUPPLY);
-    xpToken = await MockERC20.deploy("XP Token", "XP", 18, INITIAL_SUPPLY);
-
-    // Deploy GameTokenFactory
-    const GameTokenFactory = await ethers.getContractFactory("GameTokenFactory");
-    gameTokenFactory = await GameTokenFactory.deploy(
-      await credaToken.getAddress(),
-      await xpToken.getAddress()
-    );
+    ({ credaToken, xpToken, gameTokenFactory } = await loadFixture(deployEcosystemFixture));
 
     // Setup roles
     const RATE_MANAGER_ROLE = await gameTokenFactory.RATE_MANAGER_ROLE();
@@ -37,10 +28,8 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
     await gameTokenFactory.grantRole(RATE_MANAGER_ROLE, rateManager.address);
     await gameTokenFactory.grantRole(PAUSER_ROLE, pauser.address);
 
-    // Transfer some tokens to users and contract
     await credaToken.transfer(user1.address, ethers.parseEther("10000"));
     await credaToken.transfer(user2.address, ethers.parseEther("10000"));
-    await xpToken.transfer(await gameTokenFactory.getAddress(), ethers.parseEther("500000"));
   });
 
   describe("CREDA → XP Locking", function () {
@@ -73,15 +62,17 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       await credaToken.connect(user1).approve(await gameTokenFactory.getAddress(), lockAmount);
       
       await expect(gameTokenFactory.connect(user1).lockCreda(lockAmount))
-        .to.be.revertedWith("Pausable: paused");
+        .to.be.revertedWithCustomError(gameTokenFactory, "EnforcedPause");
     });
 
     it("Should handle rate changes correctly", async function () {
-      const newRate = ethers.parseEther("2"); // 1 CREDA = 2 XP
-      await gameTokenFactory.connect(rateManager).setRate(newRate);
+      const newRate = ethers.parseEther("1.5"); // 1 CREDA = 1.5 XP
+      await gameTokenFactory.connect(rateManager).proposeRateChange(newRate);
+      await time.increase(await gameTokenFactory.rateChangeDelay());
+      await gameTokenFactory.connect(rateManager).executeRateChange();
 
       const lockAmount = ethers.parseEther("100");
-      const expectedXP = ethers.parseEther("200"); // 2x rate
+      const expectedXP = ethers.parseEther("150"); // 1.5x rate
 
       await credaToken.connect(user1).approve(await gameTokenFactory.getAddress(), lockAmount);
       await gameTokenFactory.connect(user1).lockCreda(lockAmount);
@@ -117,7 +108,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       expect(tokenAddress).to.not.equal(ethers.ZeroAddress);
 
       // Check game token info
-      const [gameInfo, metadata] = await gameTokenFactory.getGameTokenInfo(1);
+      const [gameInfo, metadata] = await gameTokenFactory.getGameTokenInfo(0);
       expect(gameInfo.creator).to.equal(user1.address);
       expect(gameInfo.tokenAddress).to.equal(tokenAddress);
       expect(gameInfo.xpLocked).to.equal(xpAmount);
@@ -172,7 +163,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
     });
 
     it("Should revert with insufficient XP amount", async function () {
-      const xpAmount = ethers.parseEther("500"); // Less than minimum
+      const xpAmount = ethers.parseEther("0.5"); // Less than minimum
       
       await expect(gameTokenFactory.connect(user1).createGameToken(xpAmount, "Test", "TST", 18))
         .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAmount");
@@ -193,18 +184,18 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       
       const userTokens = await gameTokenFactory.getUserGameTokens(user1.address);
       expect(userTokens.length).to.equal(1);
-      expect(userTokens[0]).to.equal(1);
+      expect(userTokens[0]).to.equal(0);
     });
 
     it("Should handle deployment failure gracefully", async function () {
       // This test simulates deployment failure by using extremely long name
       const xpAmount = ethers.parseEther("2000");
-      const longName = "x".repeat(100); // Exceeds MAX_NAME_LENGTH
+      const longName = "x".repeat(101); // Exceeds MAX_NAME_LENGTH
       
       await xpToken.connect(user1).approve(await gameTokenFactory.getAddress(), xpAmount);
       
       await expect(gameTokenFactory.connect(user1).createGameToken(xpAmount, longName, "TST", 18))
-        .to.be.revertedWithCustomError(gameTokenFactory, "NameTooLong");
+        .to.be.revertedWithCustomError(gameTokenFactory, "StringTooLong");
     });
   });
 
@@ -223,7 +214,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       const tx = await gameTokenFactory.connect(user1).createGameToken(xpAmount, "Test Game", "TG", 18);
       const receipt = await tx.wait();
       
-      gameId = 1;
+      gameId = 0;
       const event = receipt.logs.find(log => log.fragment?.name === "GameTokenCreated");
       gameTokenAddress = event.args[2];
     });
@@ -255,7 +246,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       const burnAmount = ethers.parseEther("3000"); // More than user's balance
       
       await expect(gameTokenFactory.connect(user1).burnGameToken(gameId, burnAmount))
-        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientBalance");
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance");
     });
 
     it("Should revert with invalid game ID", async function () {
@@ -287,10 +278,12 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
 
   describe("Admin Functions", function () {
     it("Should allow rate manager to update conversion rate", async function () {
-      const newRate = ethers.parseEther("2"); // 1 CREDA = 2 XP
+      const newRate = ethers.parseEther("1.5"); // 1 CREDA = 1.5 XP
       
-      await expect(gameTokenFactory.connect(rateManager).setRate(newRate))
-        .to.emit(gameTokenFactory, "RateUpdated")
+      await gameTokenFactory.connect(rateManager).proposeRateChange(newRate);
+      await time.increase(await gameTokenFactory.rateChangeDelay());
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.emit(gameTokenFactory, "RateChangeExecuted")
         .withArgs(CREDA_TO_XP_RATE, newRate);
 
       expect(await gameTokenFactory.credaToXpRate()).to.equal(newRate);
@@ -299,7 +292,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
     it("Should revert when non-rate-manager tries to update rate", async function () {
       const newRate = ethers.parseEther("2");
       
-      await expect(gameTokenFactory.connect(user1).setRate(newRate))
+      await expect(gameTokenFactory.connect(user1).proposeRateChange(newRate))
         .to.be.reverted;
     });
 
@@ -315,13 +308,19 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       const EMERGENCY_ROLE = await gameTokenFactory.EMERGENCY_ROLE();
       await gameTokenFactory.grantRole(EMERGENCY_ROLE, owner.address);
 
+      // CREDA sent to the factory without locking it is recoverable
       const withdrawAmount = ethers.parseEther("100");
+      await credaToken.transfer(await gameTokenFactory.getAddress(), withdrawAmount);
       
-      await expect(gameTokenFactory.emergencyWithdraw(
-        await xpToken.getAddress(),
+      await expect(gameTokenFactory.queueEmergencyWithdrawal(
+        await credaToken.getAddress(),
         owner.address,
         withdrawAmount
-      )).to.emit(gameTokenFactory, "EmergencyWithdraw");
+      )).to.emit(gameTokenFactory, "EmergencyWithdrawalQueued");
+
+      await time.increase(await gameTokenFactory.emergencyWithdrawalDelay());
+      await expect(gameTokenFactory.executeEmergencyWithdrawal(0))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalExecuted");
     });
   });
 
@@ -346,7 +345,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       const burnAmount = ethers.parseEther("1000");
       const expectedReturn = ethers.parseEther("1000"); // Half of locked XP
       
-      expect(await gameTokenFactory.calculateXpReturn(1, burnAmount)).to.equal(expectedReturn);
+      expect(await gameTokenFactory.calculateXpReturn(0, burnAmount)).to.equal(expectedReturn);
     });
 
     it("Should return complete game token information", async function () {
@@ -361,7 +360,7 @@ describe("GameTokenFactory - Enhanced Security with Original Flow", function ()
       await xpToken.connect(user1).approve(await gameTokenFactory.getAddress(), xpAmount);
       await gameTokenFactory.connect(user1).createGameToken(xpAmount, name, symbol, 18);
 
-      const [gameInfo, metadata] = await gameTokenFactory.getGameTokenInfo(1);
+      const [gameInfo, metadata] = await gameTokenFactory.getGameTokenInfo(0);
       
       expect(gameInfo.creator).to.equal(user1.address);
       expect(gameInfo.xpLocked).to.equal(xpAmount);
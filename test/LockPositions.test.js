@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, summarizePositions } = require("../index");
+
+describe("GameTokenFactory - Lock Positions", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let treasury;
+  let factoryAddress;
+  let client;
+
+  const LOCKUP_PERIOD = 7 * 24 * 60 * 60; // 7 days
+  const PENALTY_BPS = 1000; // 10%
+
+  async function lock(amount) {
+    await credaToken.connect(user1).approve(factoryAddress, amount);
+    await gameTokenFactory.connect(user1).lockCreda(amount);
+  }
+
+  async function changeRate(newRate) {
+    await gameTokenFactory.proposeRateChange(newRate);
+    await time.increase(await gameTokenFactory.rateChangeDelay());
+    await gameTokenFactory.executeRateChange();
+  }
+
+  beforeEach(async function () {
+    [owner, user1, treasury] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    await credaToken.transfer(user1.address, ethers.parseEther("10000"));
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  describe("Position records", function () {
+    it("Should record amount, rate and timestamp for each lock", async function () {
+      const amount = ethers.parseEther("100");
+      await credaToken.connect(user1).approve(factoryAddress, amount);
+
+      await expect(gameTokenFactory.connect(user1).lockCreda(amount))
+        .to.emit(gameTokenFactory, "LockPositionCreated")
+        .withArgs(0, user1.address, amount, amount, ethers.parseEther("1"));
+
+      const position = await gameTokenFactory.getLockPosition(0);
+      expect(position.id).to.equal(0);
+      expect(position.owner).to.equal(user1.address);
+      expect(position.rate).to.equal(ethers.parseEther("1"));
+      expect(position.credaAmount).to.equal(amount);
+      expect(position.xpAmount).to.equal(amount);
+      expect(position.lockedAt).to.equal(await time.latest());
+    });
+
+    it("Should keep each position's rate across rate changes", async function () {
+      await lock(ethers.parseEther("100"));
+      await changeRate(ethers.parseEther("1.5"));
+      await lock(ethers.parseEther("100"));
+
+      expect(await gameTokenFactory.getUserPositionCount(user1.address)).to.equal(2);
+      const positions = await gameTokenFactory.getUserPositions(user1.address, 0, 10);
+      expect(positions[0].rate).to.equal(ethers.parseEther("1"));
+      expect(positions[0].xpAmount).to.equal(ethers.parseEther("100"));
+      expect(positions[1].rate).to.equal(ethers.parseEther("1.5"));
+      expect(positions[1].xpAmount).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should paginate position enumeration", async function () {
+      for (let i = 0; i < 3; i++) {
+        await lock(ethers.parseEther("10"));
+      }
+
+      const page = await gameTokenFactory.getUserPositions(user1.address, 1, 5);
+      expect(page.length).to.equal(2);
+      expect(page[0].id).to.equal(1);
+      expect(page[1].id).to.equal(2);
+      expect((await gameTokenFactory.getUserPositions(user1.address, 3, 5)).length).to.equal(0);
+      expect((await gameTokenFactory.getUserPositions(user1.address, 1, ethers.MaxUint256)).length).to.equal(2);
+    });
+  });
+
+  describe("Unlocking against positions", function () {
+    beforeEach(async function () {
+      await lock(ethers.parseEther("100")); // position 0 at 1.0
+      await changeRate(ethers.parseEther("1.5"));
+      await lock(ethers.parseEther("100")); // position 1 at 1.5
+    });
+
+    it("Should unlock oldest positions first at their own rates", async function () {
+      // 100 XP from position 0 (100 CREDA) + 75 XP from position 1 (50 CREDA)
+      const unlockXp = ethers.parseEther("175");
+      await xpToken.connect(user1).approve(factoryAddress, unlockXp);
+
+      await expect(gameTokenFactory.connect(user1).unlockCreda(unlockXp))
+        .to.emit(gameTokenFactory, "CredaUnlocked")
+        .withArgs(user1.address, unlockXp, ethers.parseEther("150"), 0);
+
+      const [first, second] = await gameTokenFactory.getUserPositions(user1.address, 0, 2);
+      expect(first.xpRemaining).to.equal(0);
+      expect(first.credaRemaining).to.equal(0);
+      expect(second.xpRemaining).to.equal(ethers.parseEther("75"));
+      expect(second.credaRemaining).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should quote the same amount unlockCreda pays out", async function () {
+      const unlockXp = ethers.parseEther("175");
+      const [quoted] = await gameTokenFactory.calculateCredaReturn(user1.address, unlockXp);
+      expect(quoted).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should unlock a specific position", async function () {
+      const unlockXp = ethers.parseEther("150");
+      await xpToken.connect(user1).approve(factoryAddress, unlockXp);
+
+      await expect(gameTokenFactory.connect(user1).unlockPosition(1, unlockXp))
+        .to.emit(gameTokenFactory, "LockPositionUnlocked")
+        .withArgs(1, user1.address, unlockXp, ethers.parseEther("100"), 0);
+
+      expect(await gameTokenFactory.userLockedCreda(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await gameTokenFactory.userLockedXp(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should reject unlocking another user's position", async function () {
+      await expect(gameTokenFactory.connect(owner).unlockPosition(0, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "LockPositionNotFound")
+        .withArgs(owner.address, 0);
+    });
+
+    it("Should apply the penalty only to positions inside the lock-up period", async function () {
+      await gameTokenFactory.setUnlockConfig(LOCKUP_PERIOD, PENALTY_BPS, treasury.address);
+      await time.increase(LOCKUP_PERIOD);
+      await lock(ethers.parseEther("100")); // position 2, still locked up
+
+      // 250 XP clears positions 0 and 1 penalty-free; 50 XP from position 2 is penalised
+      const unlockXp = ethers.parseEther("300");
+      const [credaAmount, penalty] = await gameTokenFactory.calculateCredaReturn(user1.address, unlockXp);
+      const position2Creda = (ethers.parseEther("50") * ethers.parseEther("100")) / ethers.parseEther("150");
+      const expectedPenalty = (position2Creda * BigInt(PENALTY_BPS)) / 10000n;
+
+      expect(penalty).to.equal(expectedPenalty);
+      expect(credaAmount).to.equal(ethers.parseEther("200") + position2Creda - expectedPenalty);
+    });
+  });
+
+  describe("Client portfolio summary", function () {
+    it("Should summarise positions by issuance rate", async function () {
+      const first = await client.lockCreda(ethers.parseEther("100"));
+      expect(first.positionId).to.equal(0n);
+      expect(first.rate).to.equal(ethers.parseEther("1"));
+
+      await changeRate(ethers.parseEther("1.5"));
+      await client.lockCreda(ethers.parseEther("300"));
+      await client.unlockPosition(0, ethers.parseEther("40"));
+
+      const summary = await client.getPortfolioSummary();
+      expect(summary.positionCount).to.equal(2);
+      expect(summary.openPositionCount).to.equal(2);
+      expect(summary.totalCredaLocked).to.equal(ethers.parseEther("400"));
+      expect(summary.totalXpIssued).to.equal(ethers.parseEther("550"));
+      expect(summary.credaRemaining).to.equal(ethers.parseEther("360"));
+      expect(summary.xpRemaining).to.equal(ethers.parseEther("510"));
+      expect(summary.averageRate).to.equal(ethers.parseEther("1.375"));
+      expect(summary.penaltyFreeCreda).to.equal(ethers.parseEther("360"));
+      expect(summary.byRate.map((bucket) => bucket.rate)).to.deep.equal([
+        ethers.parseEther("1"),
+        ethers.parseEther("1.5"),
+      ]);
+      expect(summary.byRate[1].xpIssued).to.equal(ethers.parseEther("450"));
+    });
+
+    it("Should summarise an empty portfolio", function () {
+      const summary = summarizePositions([]);
+      expect(summary.positionCount).to.equal(0);
+      expect(summary.averageRate).to.equal(0n);
+      expect(summary.byRate).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  GameEcosystemClient,
+  Relayer,
+  RelayerError,
+  RelayerErrorCode,
+  signForwardRequest,
+  serializeForwardRequest,
+  submitForwardRequest,
+} = require("../index");
+
+describe("Meta-transactions (ERC-2771)", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let forwarder;
+  let owner;
+  let player;
+  let relayerAccount;
+  let other;
+  let factoryAddress;
+  let forwarderAddress;
+
+  const LOCK_AMOUNT = ethers.parseEther("1000");
+  const GAME_XP = ethers.parseEther("500");
+  const GAS = 600_000n;
+
+  async function deadline(seconds = 600) {
+    return BigInt(await time.latest()) + BigInt(seconds);
+  }
+
+  async function signCall(signer, to, data, overrides = {}) {
+    return signForwardRequest(signer, forwarderAddress, { to, data, gas: GAS, deadline: await deadline(), ...overrides });
+  }
+
+  function clientFor(signer, options = {}) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpToken.target,
+        gameTokenFactory: factoryAddress,
+        forwarder: forwarderAddress,
+      },
+      ...options,
+    });
+  }
+
+  function newRelayer(options = {}) {
+    return new Relayer({
+      signer: relayerAccount,
+      addresses: { forwarder: forwarderAddress, gameTokenFactory: factoryAddress },
+      ...options,
+    });
+  }
+
+  async function expectRelayerError(promise, code) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error).to.be.instanceOf(RelayerError);
+      expect(error.code).to.equal(code);
+      return error;
+    }
+    expect.fail(`expected a ${code} RelayerError`);
+  }
+
+  beforeEach(async function () {
+    [owner, player, relayerAccount, other] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    const GameForwarder = await ethers.getContractFactory("GameForwarder");
+    forwarder = await GameForwarder.deploy();
+    forwarderAddress = await forwarder.getAddress();
+    await gameTokenFactory.setTrustedForwarder(forwarderAddress);
+
+    await fundUser(ecosystem, player, { creda: LOCK_AMOUNT, credaAllowance: LOCK_AMOUNT });
+  });
+
+  describe("Trusted forwarder", function () {
+    it("Should let only the admin change the forwarder", async function () {
+      expect(await gameTokenFactory.trustedForwarder()).to.equal(forwarderAddress);
+      expect(await gameTokenFactory.isTrustedForwarder(forwarderAddress)).to.equal(true);
+
+      await expect(gameTokenFactory.connect(player).setTrustedForwarder(player.address))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(gameTokenFactory, "TrustedForwarderUpdated")
+        .withArgs(forwarderAddress, ethers.ZeroAddress);
+    });
+
+    it("Should refuse to forward to a factory that does not trust the forwarder", async function () {
+      await gameTokenFactory.setTrustedForwarder(ethers.ZeroAddress);
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [LOCK_AMOUNT]);
+      const request = await signCall(player, factoryAddress, data);
+
+      expect(await forwarder.verify(request)).to.equal(false);
+      await expect(forwarder.connect(relayerAccount).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget")
+        .withArgs(factoryAddress, forwarderAddress);
+    });
+  });
+
+  describe("Relayed calls", function () {
+    it("Should attribute a relayed lockCreda to the signer", async function () {
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [LOCK_AMOUNT]);
+      const request = await signCall(player, factoryAddress, data);
+      const playerEth = await ethers.provider.getBalance(player.address);
+
+      await expect(forwarder.connect(relayerAccount).execute(request))
+        .to.emit(gameTokenFactory, "CredaLocked")
+        .withArgs(player.address, LOCK_AMOUNT, LOCK_AMOUNT);
+
+      expect(await xpToken.balanceOf(player.address)).to.equal(LOCK_AMOUNT);
+      expect(await gameTokenFactory.userLockedCreda(player.address)).to.equal(LOCK_AMOUNT);
+      expect(await xpToken.balanceOf(relayerAccount.address)).to.equal(0n);
+      expect(await ethers.provider.getBalance(player.address)).to.equal(playerEth);
+    });
+
+    it("Should create, transfer and redeem a game token entirely through the forwarder", async function () {
+      const client = clientFor(player);
+      await forwarder.connect(relayerAccount).execute(await client.signLockCreda(LOCK_AMOUNT));
+
+      await forwarder.connect(relayerAccount).execute(await client.signCreateGameToken(GAME_XP, "Racing", "RACE", 18));
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(info.creator).to.equal(player.address);
+      expect(await xpToken.nonces(player.address)).to.equal(1n);
+
+      const gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+      expect(await gameToken.isTrustedForwarder(forwarderAddress)).to.equal(true);
+      const amount = ethers.parseEther("50");
+      const transfer = gameToken.interface.encodeFunctionData("transfer", [other.address, amount]);
+      await forwarder.connect(relayerAccount).execute(await signCall(player, info.tokenAddress, transfer));
+      expect(await gameToken.balanceOf(other.address)).to.equal(amount);
+
+      const xpBefore = await xpToken.balanceOf(player.address);
+      await expect(forwarder.connect(relayerAccount).execute(await client.signBurnGameToken(0, amount)))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(0, player.address, amount, amount);
+      expect(await xpToken.balanceOf(player.address)).to.equal(xpBefore + amount);
+    });
+
+    it("Should not accept a request twice", async function () {
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [ethers.parseEther("10")]);
+      const request = await signCall(player, factoryAddress, data);
+
+      await forwarder.connect(relayerAccount).execute(request);
+      await expect(forwarder.connect(relayerAccount).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should refuse to sign a relayed lock for a token without permit or allowance", async function () {
+      await credaToken.connect(player).approve(factoryAddress, 0);
+      await expect(clientFor(player).signLockCreda(LOCK_AMOUNT)).to.be.rejectedWith(/has no permit/);
+    });
+  });
+
+  describe("Relayer", function () {
+    it("Should validate, simulate and submit a request", async function () {
+      const relayer = newRelayer();
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [LOCK_AMOUNT]);
+      const request = await signCall(player, factoryAddress, data);
+
+      const result = await relayer.relay(serializeForwardRequest(request));
+
+      expect(result.from).to.equal(player.address);
+      expect(result.function).to.equal("lockCreda");
+      const receipt = await ethers.provider.getTransactionReceipt(result.txHash);
+      expect(receipt.from).to.equal(relayerAccount.address);
+      expect(await gameTokenFactory.userLockedCreda(player.address)).to.equal(LOCK_AMOUNT);
+    });
+
+    it("Should only relay allowed targets and functions", async function () {
+      const relayer = newRelayer();
+      const approve = credaToken.interface.encodeFunctionData("approve", [other.address, 1n]);
+      await expectRelayerError(
+        relayer.relay(await signCall(player, credaToken.target, approve)),
+        RelayerErrorCode.TARGET_NOT_ALLOWED
+      );
+
+      const pause = gameTokenFactory.interface.encodeFunctionData("pause");
+      const error = await expectRelayerError(
+        relayer.relay(await signCall(owner, factoryAddress, pause)),
+        RelayerErrorCode.FUNCTION_NOT_ALLOWED
+      );
+      expect(error.status).to.equal(400);
+    });
+
+    it("Should reject excessive gas, expired requests and bad signatures", async function () {
+      const relayer = newRelayer({ maxGas: 1_000_000n });
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [LOCK_AMOUNT]);
+
+      await expectRelayerError(
+        relayer.relay(await signCall(player, factoryAddress, data, { gas: 2_000_000n })),
+        RelayerErrorCode.GAS_LIMIT_EXCEEDED
+      );
+
+      const expiring = await signCall(player, factoryAddress, data, { deadline: await deadline(10) });
+      await time.increase(11);
+      await expectRelayerError(relayer.relay(expiring), RelayerErrorCode.EXPIRED);
+
+      const forged = { ...(await signCall(player, factoryAddress, data)), from: other.address };
+      await expectRelayerError(relayer.relay(forged), RelayerErrorCode.INVALID_SIGNATURE);
+    });
+
+    it("Should report a reverting call with its decoded contract error without submitting it", async function () {
+      const relayer = newRelayer();
+      const data = gameTokenFactory.interface.encodeFunctionData("lockCreda", [LOCK_AMOUNT * 2n]);
+      const request = await signCall(player, factoryAddress, data);
+      const relayerNonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+      const error = await expectRelayerError(relayer.relay(request), RelayerErrorCode.SIMULATION_FAILED);
+
+      expect(error.status).to.equal(422);
+      expect(error.details.errorName).to.equal("InsufficientUserBalance");
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(relayerNonce);
+    });
+
+    it("Should rate limit each signer over a sliding window", async function () {
+      let clock = 1_000_000;
+      const relayer = newRelayer({ rateLimit: { maxRequests: 2, windowMs: 60_000 }, now: () => clock });
+      const lock = () => gameTokenFactory.interface.encodeFunctionData("lockCreda", [ethers.parseEther("10")]);
+
+      await relayer.relay(await signCall(player, factoryAddress, lock()));
+      await relayer.relay(await signCall(player, factoryAddress, lock()));
+      const third = await signCall(player, factoryAddress, lock());
+      const error = await expectRelayerError(relayer.relay(third), RelayerErrorCode.RATE_LIMITED);
+      expect(error.status).to.equal(429);
+      expect(error.details.retryAfterMs).to.equal(60_000);
+
+      await credaToken.transfer(other.address, ethers.parseEther("10"));
+      await credaToken.connect(other).approve(factoryAddress, ethers.parseEther("10"));
+      await relayer.relay(await signCall(other, factoryAddress, lock()));
+
+      clock += 60_001;
+      await relayer.relay(third);
+      expect(await gameTokenFactory.userLockedCreda(player.address)).to.equal(ethers.parseEther("30"));
+    });
+  });
+
+  describe("HTTP endpoint", function () {
+    let relayer;
+    let url;
+
+    beforeEach(async function () {
+      relayer = newRelayer();
+      url = await relayer.listen(0);
+    });
+
+    afterEach(async function () {
+      await relayer.close();
+    });
+
+    it("Should report its health", async function () {
+      const response = await fetch(`${url}/health`);
+      const body = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(body.relayer).to.equal(relayerAccount.address);
+      expect(body.forwarder).to.equal(forwarderAddress);
+    });
+
+    it("Should relay a client's signed requests", async function () {
+      const client = clientFor(player, { relayerUrl: url });
+
+      const locked = await client.relay(await client.signLockCreda(LOCK_AMOUNT));
+      expect(locked.function).to.equal("lockCreda");
+      expect(locked.receipt.from).to.equal(relayerAccount.address);
+
+      await client.relay(await client.signCreateGameToken(GAME_XP, "Racing", "RACE", 18));
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(info.creator).to.equal(player.address);
+    });
+
+    it("Should return rejections with their code and status", async function () {
+      const data = gameTokenFactory.interface.encodeFunctionData("pause");
+      const request = await signCall(owner, factoryAddress, data);
+
+      const error = await expectRelayerError(submitForwardRequest(url, request), RelayerErrorCode.FUNCTION_NOT_ALLOWED);
+      expect(error.status).to.equal(400);
+
+      const response = await fetch(`${url}/relay`, { method: "POST", body: "{not json" });
+      expect(response.status).to.equal(400);
+      expect((await response.json()).error.code).to.equal(RelayerErrorCode.INVALID_REQUEST);
+    });
+  });
+});
@@ -0,0 +1,477 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Multi-Asset Locking", function () {
+  let credaToken;
+  let xpToken;
+  let usdc;
+  let weth;
+  let gameTokenFactory;
+  let owner;
+  let user1;
+  let user2;
+  let treasury;
+  let factoryAddress;
+  let usdcAddress;
+
+  const USDC_RATE = ethers.parseEther("2"); // 2 XP per whole USDC
+  const USDC_USER_CAP = 1000n * 10n ** 6n;
+  const USDC_TOTAL_CAP = 1500n * 10n ** 6n;
+  const usdcAmount = (whole) => BigInt(whole) * 10n ** 6n;
+
+  async function lockAsset(signer, token, amount) {
+    await token.connect(signer).approve(factoryAddress, amount);
+    await gameTokenFactory.connect(signer).lock(await token.getAddress(), amount);
+  }
+
+  async function lockCreda(signer, amount) {
+    await credaToken.connect(signer).approve(factoryAddress, amount);
+    await gameTokenFactory.connect(signer).lockCreda(amount);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasury] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6, usdcAmount(1_000_000));
+    weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18, ethers.parseEther("1000"));
+    usdcAddress = await usdc.getAddress();
+
+    await gameTokenFactory.addLockableAsset(usdcAddress, USDC_RATE, USDC_USER_CAP, USDC_TOTAL_CAP);
+
+    for (const user of [user1, user2]) {
+      await credaToken.transfer(user.address, ethers.parseEther("10000"));
+      await usdc.transfer(user.address, usdcAmount(5000));
+      await weth.transfer(user.address, ethers.parseEther("100"));
+    }
+  });
+
+  describe("Asset registry", function () {
+    it("Should list an asset with its decimals and configuration", async function () {
+      await expect(gameTokenFactory.addLockableAsset(await weth.getAddress(), ethers.parseEther("3000"), 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+
+      const wethRate = ethers.parseEther("500");
+      await expect(gameTokenFactory.addLockableAsset(await weth.getAddress(), wethRate, 0, 0))
+        .to.emit(gameTokenFactory, "LockableAssetAdded")
+        .withArgs(await weth.getAddress(), wethRate, 18, 0, 0);
+
+      const [assets, configs] = await gameTokenFactory.getLockableAssets();
+      expect(assets).to.deep.equal([usdcAddress, await weth.getAddress()]);
+      expect(configs[0].decimals).to.equal(6);
+      expect(configs[0].rate).to.equal(USDC_RATE);
+      expect(configs[0].userCap).to.equal(USDC_USER_CAP);
+      expect(configs[0].totalCap).to.equal(USDC_TOTAL_CAP);
+      expect(configs[1].decimals).to.equal(18);
+      expect(configs[1].paused).to.be.false;
+    });
+
+    it("Should refuse CREDA, XP, game tokens, accounts without code and duplicates", async function () {
+      await expect(gameTokenFactory.addLockableAsset(await credaToken.getAddress(), USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetAlreadyListed");
+      await expect(gameTokenFactory.addLockableAsset(usdcAddress, USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetAlreadyListed")
+        .withArgs(usdcAddress);
+      await expect(gameTokenFactory.addLockableAsset(await xpToken.getAddress(), USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetNotLockable");
+      await expect(gameTokenFactory.addLockableAsset(user1.address, USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetNotLockable")
+        .withArgs(user1.address);
+      await expect(gameTokenFactory.addLockableAsset(await weth.getAddress(), 0, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroRate");
+
+      await lockCreda(user1, ethers.parseEther("100"));
+      await xpToken.connect(user1).approve(factoryAddress, ethers.parseEther("100"));
+      await gameTokenFactory.connect(user1).createGameToken(ethers.parseEther("100"), "Test Game", "TG", 18);
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      await expect(gameTokenFactory.addLockableAsset(info.tokenAddress, USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetNotLockable")
+        .withArgs(info.tokenAddress);
+    });
+
+    it("Should restrict registry changes to their roles", async function () {
+      await expect(gameTokenFactory.connect(user1).addLockableAsset(await weth.getAddress(), USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.connect(user1).updateLockableAsset(usdcAddress, USDC_RATE, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.connect(user1).setLockableAssetPaused(usdcAddress, true))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should timelock rate changes within the rate-change bound", async function () {
+      const newRate = ethers.parseEther("2.5");
+      const delay = await gameTokenFactory.rateChangeDelay();
+      await expect(gameTokenFactory.updateLockableAsset(usdcAddress, newRate, USDC_USER_CAP, 0))
+        .to.emit(gameTokenFactory, "AssetRateChangeProposed")
+        .withArgs(usdcAddress, USDC_RATE, newRate, BigInt(await time.latest()) + 1n + delay)
+        .and.to.emit(gameTokenFactory, "LockableAssetUpdated")
+        .withArgs(usdcAddress, USDC_RATE, USDC_USER_CAP, 0);
+
+      // The caps apply at once; the rate only once the delay has passed
+      expect((await gameTokenFactory.lockableAssets(usdcAddress)).totalCap).to.equal(0);
+      expect(await gameTokenFactory.calculateLockXp(usdcAddress, usdcAmount(10))).to.equal(ethers.parseEther("20"));
+      await expect(gameTokenFactory.updateLockableAsset(usdcAddress, ethers.parseEther("3"), 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeAlreadyPending");
+      await expect(gameTokenFactory.executeAssetRateChange(usdcAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeNotReady");
+
+      await time.increase(delay);
+      await expect(gameTokenFactory.executeAssetRateChange(usdcAddress))
+        .to.emit(gameTokenFactory, "LockableAssetUpdated")
+        .withArgs(usdcAddress, newRate, USDC_USER_CAP, 0);
+      expect(await gameTokenFactory.calculateLockXp(usdcAddress, usdcAmount(10))).to.equal(ethers.parseEther("25"));
+      const [pendingRate, , effectiveAt] = await gameTokenFactory.pendingAssetRateChanges(usdcAddress);
+      expect(pendingRate).to.equal(0);
+      expect(effectiveAt).to.equal(0);
+
+      await expect(gameTokenFactory.updateLockableAsset(usdcAddress, ethers.parseEther("10"), 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeTooBig");
+      await expect(gameTokenFactory.updateLockableAsset(await weth.getAddress(), newRate, 0, 0))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetNotLockable");
+    });
+
+    it("Should cancel a pending asset rate change", async function () {
+      await gameTokenFactory.updateLockableAsset(usdcAddress, ethers.parseEther("2.5"), 0, 0);
+      await expect(gameTokenFactory.cancelAssetRateChange(usdcAddress))
+        .to.emit(gameTokenFactory, "AssetRateChangeCancelled")
+        .withArgs(usdcAddress, ethers.parseEther("2.5"));
+
+      await time.increase(await gameTokenFactory.rateChangeDelay());
+      await expect(gameTokenFactory.executeAssetRateChange(usdcAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "NoPendingRateChange");
+      await expect(gameTokenFactory.connect(user1).cancelAssetRateChange(usdcAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      expect((await gameTokenFactory.lockableAssets(usdcAddress)).rate).to.equal(USDC_RATE);
+    });
+  });
+
+  describe("Locking", function () {
+    it("Should normalise the asset's decimals when minting XP", async function () {
+      const amount = usdcAmount(100);
+      await usdc.connect(user1).approve(factoryAddress, amount);
+
+      await expect(gameTokenFactory.connect(user1).lock(usdcAddress, amount))
+        .to.emit(gameTokenFactory, "AssetLocked")
+        .withArgs(user1.address, usdcAddress, amount, ethers.parseEther("200"))
+        .and.to.emit(gameTokenFactory, "LockPositionCreated")
+        .withArgs(0, user1.address, amount, ethers.parseEther("200"), USDC_RATE);
+
+      expect(await xpToken.balanceOf(user1.address)).to.equal(ethers.parseEther("200"));
+      expect(await usdc.balanceOf(factoryAddress)).to.equal(amount);
+      const [locked, xp] = await gameTokenFactory.lockedBalanceOf(usdcAddress, user1.address);
+      expect(locked).to.equal(amount);
+      expect(xp).to.equal(ethers.parseEther("200"));
+      expect(await gameTokenFactory.totalLockedOf(usdcAddress)).to.equal(amount);
+
+      // Per-asset accounting leaves CREDA's untouched
+      expect(await gameTokenFactory.userLockedCreda(user1.address)).to.equal(0);
+      expect(await gameTokenFactory.userLockedXp(user1.address)).to.equal(0);
+      expect(await gameTokenFactory.totalLockedCreda()).to.equal(0);
+    });
+
+    it("Should record the asset on each position, zero for CREDA", async function () {
+      await lockCreda(user1, ethers.parseEther("100"));
+      await lockAsset(user1, usdc, usdcAmount(10));
+
+      const [credaPosition, usdcPosition] = await gameTokenFactory.getUserPositions(user1.address, 0, 10);
+      expect(credaPosition.asset).to.equal(ethers.ZeroAddress);
+      expect(usdcPosition.asset).to.equal(usdcAddress);
+      expect(usdcPosition.credaAmount).to.equal(usdcAmount(10));
+      expect(usdcPosition.xpAmount).to.equal(ethers.parseEther("20"));
+
+      const [creda, credaXp] = await gameTokenFactory.lockedBalanceOf(await credaToken.getAddress(), user1.address);
+      expect(creda).to.equal(ethers.parseEther("100"));
+      expect(credaXp).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should accept CREDA through lock", async function () {
+      const amount = ethers.parseEther("50");
+      await credaToken.connect(user1).approve(factoryAddress, amount);
+      await expect(gameTokenFactory.connect(user1).lock(await credaToken.getAddress(), amount))
+        .to.emit(gameTokenFactory, "CredaLocked")
+        .withArgs(user1.address, amount, amount);
+      expect(await gameTokenFactory.userLockedCreda(user1.address)).to.equal(amount);
+    });
+
+    it("Should account for CREDA as for listed assets, without listing it", async function () {
+      const credaAddress = await credaToken.getAddress();
+      await lockCreda(user1, ethers.parseEther("50"));
+      await lockAsset(user1, usdc, usdcAmount(10));
+
+      expect(await gameTokenFactory.lockedBalanceOf(credaAddress, user1.address))
+        .to.deep.equal([ethers.parseEther("50"), ethers.parseEther("50")]);
+      expect(await gameTokenFactory.userLockedXp(user1.address)).to.equal(ethers.parseEther("50"));
+      const config = await gameTokenFactory.lockableAssets(credaAddress);
+      expect(config.totalLocked).to.equal(ethers.parseEther("50"));
+      expect(config.listed).to.be.false;
+      expect(await gameTokenFactory.totalLockedCreda()).to.equal(ethers.parseEther("50"));
+      expect(await gameTokenFactory.totalLockedOf(credaAddress)).to.equal(ethers.parseEther("50"));
+
+      await xpToken.connect(user1).approve(factoryAddress, ethers.parseEther("20"));
+      await gameTokenFactory.connect(user1).unlockCreda(ethers.parseEther("20"));
+      expect(await gameTokenFactory.totalLockedCreda()).to.equal(ethers.parseEther("30"));
+      expect(await gameTokenFactory.lockedBalanceOf(usdcAddress, user1.address))
+        .to.deep.equal([usdcAmount(10), ethers.parseEther("20")]);
+    });
+
+    it("Should enforce the per-user and total caps", async function () {
+      await usdc.connect(user1).approve(factoryAddress, USDC_USER_CAP + 1n);
+      await expect(gameTokenFactory.connect(user1).lock(usdcAddress, USDC_USER_CAP + 1n))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetCapExceeded")
+        .withArgs(usdcAddress, USDC_USER_CAP + 1n, USDC_USER_CAP);
+
+      await lockAsset(user1, usdc, usdcAmount(900));
+      await usdc.connect(user2).approve(factoryAddress, usdcAmount(700));
+      await expect(gameTokenFactory.connect(user2).lock(usdcAddress, usdcAmount(700)))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetCapExceeded")
+        .withArgs(usdcAddress, usdcAmount(700), usdcAmount(600));
+
+      await gameTokenFactory.connect(user2).lock(usdcAddress, usdcAmount(600));
+      expect(await gameTokenFactory.totalLockedOf(usdcAddress)).to.equal(USDC_TOTAL_CAP);
+    });
+
+    it("Should stop locks of a paused asset only", async function () {
+      await expect(gameTokenFactory.setLockableAssetPaused(usdcAddress, true))
+        .to.emit(gameTokenFactory, "LockableAssetPaused")
+        .withArgs(usdcAddress, true);
+      expect(await gameTokenFactory.calculateLockXp(usdcAddress, usdcAmount(10))).to.equal(0);
+
+      await usdc.connect(user1).approve(factoryAddress, usdcAmount(10));
+      await expect(gameTokenFactory.connect(user1).lock(usdcAddress, usdcAmount(10)))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetLockingPaused")
+        .withArgs(usdcAddress);
+      await lockCreda(user1, ethers.parseEther("10"));
+
+      await gameTokenFactory.setLockableAssetPaused(usdcAddress, false);
+      await gameTokenFactory.connect(user1).lock(usdcAddress, usdcAmount(10));
+    });
+
+    it("Should reject assets that are not listed", async function () {
+      const wethAddress = await weth.getAddress();
+      await weth.connect(user1).approve(factoryAddress, ethers.parseEther("1"));
+      await expect(gameTokenFactory.connect(user1).lock(wethAddress, ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AssetNotLockable")
+        .withArgs(wethAddress);
+      expect(await gameTokenFactory.calculateLockXp(wethAddress, ethers.parseEther("1"))).to.equal(0);
+    });
+
+    it("Should reject amounts worth no XP", async function () {
+      await gameTokenFactory.addLockableAsset(await weth.getAddress(), 1, 0, 0);
+      await weth.connect(user1).approve(factoryAddress, 1);
+      await expect(gameTokenFactory.connect(user1).lock(await weth.getAddress(), 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ConversionResultsInZero");
+    });
+  });
+
+  describe("Unlocking", function () {
+    beforeEach(async function () {
+      // CREDA, USDC, CREDA, USDC: unlocks of one asset must skip the other's positions
+      await lockCreda(user1, ethers.parseEther("100"));
+      await lockAsset(user1, usdc, usdcAmount(50));
+      await lockCreda(user1, ethers.parseEther("100"));
+      await lockAsset(user1, usdc, usdcAmount(50));
+      await xpToken.connect(user1).approve(factoryAddress, ethers.MaxUint256);
+    });
+
+    it("Should unlock only the asset's positions, oldest first", async function () {
+      const xp = ethers.parseEther("150");
+      await expect(gameTokenFactory.connect(user1).unlock(usdcAddress, xp))
+        .to.emit(gameTokenFactory, "AssetUnlocked")
+        .withArgs(user1.address, usdcAddress, xp, usdcAmount(75), 0)
+        .and.to.emit(gameTokenFactory, "LockPositionUnlocked")
+        .withArgs(1, user1.address, ethers.parseEther("100"), usdcAmount(50), 0);
+
+      const positions = await gameTokenFactory.getUserPositions(user1.address, 0, 10);
+      expect(positions.map((p) => p.xpRemaining)).to.deep.equal([
+        ethers.parseEther("100"),
+        0n,
+        ethers.parseEther("100"),
+        ethers.parseEther("50"),
+      ]);
+      expect(await usdc.balanceOf(user1.address)).to.equal(usdcAmount(4975));
+      expect(await gameTokenFactory.totalLockedOf(usdcAddress)).to.equal(usdcAmount(25));
+      expect(await gameTokenFactory.userLockedCreda(user1.address)).to.equal(ethers.parseEther("200"));
+
+      // CREDA unlocks walk past the drained USDC position
+      await gameTokenFactory.connect(user1).unlockCreda(ethers.parseEther("200"));
+      const [amount, xpLeft] = await gameTokenFactory.lockedBalanceOf(usdcAddress, user1.address);
+      expect(amount).to.equal(usdcAmount(25));
+      expect(xpLeft).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should cap unlocks at the XP issued for the asset", async function () {
+      const tooMuch = ethers.parseEther("200") + 1n;
+      await expect(gameTokenFactory.connect(user1).unlock(usdcAddress, tooMuch))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount")
+        .withArgs(tooMuch, ethers.parseEther("200"));
+      await expect(gameTokenFactory.connect(user1).unlock(await weth.getAddress(), 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+    });
+
+    it("Should charge the early-unlock penalty in the asset", async function () {
+      await gameTokenFactory.setUnlockConfig(7 * 24 * 60 * 60, 1000, treasury.address);
+      await lockAsset(user2, usdc, usdcAmount(100));
+      await xpToken.connect(user2).approve(factoryAddress, ethers.MaxUint256);
+      const xp = ethers.parseEther("100");
+      const [quoted, quotedPenalty] = await gameTokenFactory.calculateUnlockReturn(usdcAddress, user2.address, xp);
+      expect(quoted).to.equal(usdcAmount(45));
+      expect(quotedPenalty).to.equal(usdcAmount(5));
+
+      await expect(gameTokenFactory.connect(user2).unlock(usdcAddress, xp))
+        .to.emit(gameTokenFactory, "AssetUnlocked")
+        .withArgs(user2.address, usdcAddress, xp, usdcAmount(45), usdcAmount(5));
+      expect(await usdc.balanceOf(treasury.address)).to.equal(usdcAmount(5));
+
+      await time.increase(7 * 24 * 60 * 60);
+      const [afterLockup, penalty] = await gameTokenFactory.calculateUnlockReturn(usdcAddress, user2.address, xp);
+      expect(afterLockup).to.equal(usdcAmount(50));
+      expect(penalty).to.equal(0);
+    });
+
+    it("Should return the position's asset from unlockPosition", async function () {
+      await expect(gameTokenFactory.connect(user1).unlockPosition(3, ethers.parseEther("40")))
+        .to.emit(gameTokenFactory, "AssetUnlocked")
+        .withArgs(user1.address, usdcAddress, ethers.parseEther("40"), usdcAmount(20), 0);
+      await expect(gameTokenFactory.connect(user1).unlockPosition(2, ethers.parseEther("40")))
+        .to.emit(gameTokenFactory, "CredaUnlocked")
+        .withArgs(user1.address, ethers.parseEther("40"), ethers.parseEther("40"), 0);
+    });
+
+    it("Should keep unlocks of a paused asset open", async function () {
+      await gameTokenFactory.setLockableAssetPaused(usdcAddress, true);
+      await gameTokenFactory.connect(user1).unlock(usdcAddress, ethers.parseEther("200"));
+      expect(await gameTokenFactory.totalLockedOf(usdcAddress)).to.equal(0);
+    });
+
+    it("Should refuse emergency withdrawals of a locked asset", async function () {
+      await gameTokenFactory.grantRole(await gameTokenFactory.EMERGENCY_ROLE(), owner.address);
+      await expect(gameTokenFactory.queueEmergencyWithdrawal(usdcAddress, owner.address, 1))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientUserBalance")
+        .withArgs(factoryAddress, usdcAddress, 1, 0);
+
+      await gameTokenFactory.connect(user1).unlock(usdcAddress, ethers.parseEther("200"));
+      await usdc.transfer(factoryAddress, usdcAmount(1));
+      await gameTokenFactory.queueEmergencyWithdrawal(usdcAddress, owner.address, usdcAmount(1));
+      await time.increase(await gameTokenFactory.emergencyWithdrawalDelay());
+      await expect(gameTokenFactory.executeEmergencyWithdrawal(0))
+        .to.emit(gameTokenFactory, "EmergencyWithdrawalExecuted")
+        .withArgs(0, usdcAddress, owner.address, usdcAmount(1), owner.address);
+    });
+  });
+
+  describe("Client", function () {
+    let client;
+
+    beforeEach(async function () {
+      client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: user1,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: factoryAddress,
+        },
+      });
+    });
+
+    it("Should list CREDA first, then the registry", async function () {
+      const assets = await client.getLockableAssets();
+      expect(assets.map((a) => a.symbol)).to.deep.equal(["CREDA", "USDC"]);
+      expect(assets[0].isCreda).to.be.true;
+      expect(assets[1]).to.include({ asset: usdcAddress, decimals: 6, rate: USDC_RATE, paused: false });
+    });
+
+    it("Should quote XP and the room left under the caps", async function () {
+      await lockAsset(user2, usdc, usdcAmount(800));
+
+      const quote = await client.quoteLock(usdcAddress, usdcAmount(10));
+      expect(quote.xpAmount).to.equal(ethers.parseEther("20"));
+      expect(quote.available).to.equal(usdcAmount(700));
+
+      await lockAsset(user1, usdc, usdcAmount(400));
+      expect((await client.quoteLock(usdcAddress, 1n)).available).to.equal(usdcAmount(300));
+
+      const credaQuote = await client.quoteLock(await credaToken.getAddress(), ethers.parseEther("10"));
+      expect(credaQuote.xpAmount).to.equal(ethers.parseEther("10"));
+      expect(credaQuote.available).to.be.null;
+    });
+
+    it("Should lock and unlock listed assets", async function () {
+      const locked = await client.lockAsset(usdcAddress, usdcAmount(25));
+      expect(locked).to.include({ asset: usdcAddress, amount: usdcAmount(25), xpMinted: ethers.parseEther("50") });
+      expect(await client.getLockedBalance(usdcAddress)).to.deep.equal({
+        amount: usdcAmount(25),
+        xp: ethers.parseEther("50"),
+      });
+      const [position] = await client.getLockPositions();
+      expect(position.asset).to.equal(usdcAddress);
+
+      const unlocked = await client.unlockAsset(usdcAddress, ethers.parseEther("50"));
+      expect(unlocked).to.include({ asset: usdcAddress, amountReturned: usdcAmount(25), penalty: 0n });
+
+      const creda = await client.lockAsset(await credaToken.getAddress(), ethers.parseEther("5"));
+      expect(creda).to.include({ amount: ethers.parseEther("5"), xpMinted: ethers.parseEther("5") });
+    });
+
+    it("Should summarise a mixed portfolio per asset", async function () {
+      await lockCreda(user1, ethers.parseEther("100"));
+      await lockAsset(user1, usdc, usdcAmount(25));
+      await lockCreda(user1, ethers.parseEther("50"));
+
+      const summary = await client.getPortfolioSummary();
+      expect(summary.positionCount).to.equal(3);
+      expect(summary.totalXpIssued).to.equal(ethers.parseEther("200"));
+      // The USDC locked is not counted as CREDA
+      expect(summary.totalCredaLocked).to.equal(ethers.parseEther("150"));
+      expect(summary.averageRate).to.equal(ethers.parseEther("1"));
+      expect(summary.byRate).to.have.length(1);
+      expect(summary.byRate[0]).to.include({ rate: ethers.parseEther("1"), positionCount: 2 });
+
+      expect(summary.byAsset.map((entry) => entry.asset)).to.deep.equal([ethers.ZeroAddress, usdcAddress]);
+      expect(summary.byAsset[1]).to.include({
+        positionCount: 1,
+        totalLocked: usdcAmount(25),
+        totalXpIssued: ethers.parseEther("50"),
+        remaining: usdcAmount(25),
+        averageRate: USDC_RATE,
+        penaltyFree: usdcAmount(25), // no lock-up configured
+      });
+      expect(summary.byAsset[1].byRate.map((bucket) => bucket.rate)).to.deep.equal([USDC_RATE]);
+    });
+
+    it("Should report the balance locked in every asset", async function () {
+      await lockCreda(user1, ethers.parseEther("100"));
+      await lockAsset(user1, usdc, usdcAmount(25));
+
+      const info = await client.getLockInfo();
+      expect(info.assets).to.deep.equal([
+        { asset: await credaToken.getAddress(), amount: ethers.parseEther("100"), xp: ethers.parseEther("100") },
+        { asset: usdcAddress, amount: usdcAmount(25), xp: ethers.parseEther("50") },
+      ]);
+      expect(info.lockedCreda).to.equal(ethers.parseEther("100"));
+      expect(info.lockedXp).to.equal(ethers.parseEther("100"));
+      expect(info.totalLockedXp).to.equal(ethers.parseEther("150"));
+      expect(info.positionCount).to.equal(2n);
+    });
+
+    it("Should rethrow pause and cap reverts as typed errors naming the asset", async function () {
+      await gameTokenFactory.setLockableAssetPaused(usdcAddress, true);
+      await client.getLockableAssets();
+      const paused = await client.lockAsset(usdcAddress, usdcAmount(1)).catch((error) => error);
+      expect(paused).to.be.instanceOf(ContractErrors.AssetLockingPaused);
+      expect(paused.asset).to.equal(usdcAddress);
+      expect(paused.suggestion).to.include("USDC");
+
+      await gameTokenFactory.setLockableAssetPaused(usdcAddress, false);
+      const capped = await client.lockAsset(usdcAddress, USDC_USER_CAP + 1n).catch((error) => error);
+      expect(capped).to.be.instanceOf(ContractErrors.AssetCapExceeded);
+      expect(capped.suggestion).to.equal("Lock at most 1000 USDC; the asset's lock cap is nearly reached");
+    });
+  });
+});
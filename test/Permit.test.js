@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, getPermitDomain, signPermit } = require("../index");
+
+describe("GameTokenFactory - EIP-2612 permits", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player;
+  let relayer;
+  let factoryAddress;
+  let xpAddress;
+
+  const GAME_XP = ethers.parseEther("1000");
+
+  async function deadline(seconds = 3600) {
+    return BigInt(await time.latest()) + BigInt(seconds);
+  }
+
+  async function signXpPermit(signer, value, permitDeadline) {
+    return signPermit(signer, xpAddress, factoryAddress, value, { deadline: permitDeadline || (await deadline()) });
+  }
+
+  function clientFor(signer, options = {}) {
+    return new GameEcosystemClient({
+      provider: ethers.provider,
+      signer,
+      addresses: {
+        credaToken: credaToken.target,
+        xpToken: xpAddress,
+        gameTokenFactory: factoryAddress,
+      },
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player, relayer] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, xpAddress, factoryAddress } = ecosystem);
+
+    await fundUser(ecosystem, creator, { creda: ethers.parseEther("5000"), lock: ethers.parseEther("5000") });
+  });
+
+  describe("Token support", function () {
+    it("Should expose an EIP-712 domain on XPToken and GameToken", async function () {
+      const xpDomain = await getPermitDomain(xpAddress, ethers.provider);
+      expect(xpDomain.name).to.equal("Experience Points");
+      expect(xpDomain.version).to.equal("1");
+
+      const permit = await signXpPermit(creator, GAME_XP);
+      await gameTokenFactory.connect(creator).createGameTokenWithPermit(
+        GAME_XP, "Racing", "RACE", 18, permit.deadline, permit.v, permit.r, permit.s
+      );
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      const gameDomain = await getPermitDomain(info.tokenAddress, ethers.provider);
+      expect(gameDomain.name).to.equal("Racing");
+      expect(gameDomain.verifyingContract).to.equal(info.tokenAddress);
+    });
+
+    it("Should report CREDA without permit as unsupported", async function () {
+      expect(await getPermitDomain(await credaToken.getAddress(), ethers.provider)).to.equal(null);
+    });
+  });
+
+  describe("createGameTokenWithPermit", function () {
+    it("Should create a game without a prior approve", async function () {
+      const permit = await signXpPermit(creator, GAME_XP);
+
+      await expect(gameTokenFactory.connect(creator).createGameTokenWithPermit(
+        GAME_XP, "Racing", "RACE", 18, permit.deadline, permit.v, permit.r, permit.s
+      )).to.emit(gameTokenFactory, "GameTokenCreated");
+
+      expect(await xpToken.nonces(creator.address)).to.equal(1n);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP);
+    });
+
+    it("Should fall back to the allowance when the permit was already used", async function () {
+      const permit = await signXpPermit(creator, GAME_XP);
+      // A front-runner submits the permit on its own first
+      await xpToken.connect(relayer).permit(
+        creator.address, factoryAddress, GAME_XP, permit.deadline, permit.v, permit.r, permit.s
+      );
+
+      await expect(gameTokenFactory.connect(creator).createGameTokenWithPermit(
+        GAME_XP, "Racing", "RACE", 18, permit.deadline, permit.v, permit.r, permit.s
+      )).to.emit(gameTokenFactory, "GameTokenCreated");
+    });
+
+    it("Should revert with InsufficientAllowance when the permit is invalid", async function () {
+      // Signed by the wrong account, and nothing approved
+      const permit = await signXpPermit(player, GAME_XP);
+
+      await expect(gameTokenFactory.connect(creator).createGameTokenWithPermit(
+        GAME_XP, "Racing", "RACE", 18, permit.deadline, permit.v, permit.r, permit.s
+      )).to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance");
+    });
+  });
+
+  describe("lockCredaWithPermit", function () {
+    it("Should fall back to an approve for a CREDA token without permit", async function () {
+      const amount = ethers.parseEther("100");
+      const unused = { deadline: await deadline(), v: 27, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+      await credaToken.transfer(player.address, amount);
+      await expect(gameTokenFactory.connect(player).lockCredaWithPermit(
+        amount, unused.deadline, unused.v, unused.r, unused.s
+      )).to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance");
+
+      await credaToken.connect(player).approve(factoryAddress, amount);
+      await expect(gameTokenFactory.connect(player).lockCredaWithPermit(
+        amount, unused.deadline, unused.v, unused.r, unused.s
+      )).to.emit(gameTokenFactory, "CredaLocked").withArgs(player.address, amount, amount);
+    });
+  });
+
+  describe("burnGameTokenWithPermit", function () {
+    let gameToken;
+    let gameTokenAddress;
+
+    beforeEach(async function () {
+      await xpToken.connect(creator).approve(factoryAddress, GAME_XP);
+      await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Racing", "RACE", 18);
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      gameTokenAddress = info.tokenAddress;
+      gameToken = await ethers.getContractAt("GameToken", gameTokenAddress);
+      await gameToken.connect(creator).transfer(player.address, ethers.parseEther("100"));
+    });
+
+    async function signRedemption(signer, amount, permitDeadline) {
+      return signPermit(signer, gameTokenAddress, factoryAddress, amount, {
+        deadline: permitDeadline || (await deadline()),
+      });
+    }
+
+    it("Should let a relayer redeem on the holder's behalf", async function () {
+      const amount = ethers.parseEther("40");
+      const permit = await signRedemption(player, amount);
+      const relayerXp = await xpToken.balanceOf(relayer.address);
+
+      await expect(gameTokenFactory.connect(relayer).burnGameTokenWithPermit(
+        0, player.address, amount, permit.deadline, permit.v, permit.r, permit.s
+      )).to.emit(gameTokenFactory, "GameTokenBurned").withArgs(0, player.address, amount, amount);
+
+      expect(await gameToken.balanceOf(player.address)).to.equal(ethers.parseEther("60"));
+      expect(await xpToken.balanceOf(player.address)).to.equal(amount);
+      expect(await xpToken.balanceOf(relayer.address)).to.equal(relayerXp);
+    });
+
+    it("Should not accept a permit twice", async function () {
+      const amount = ethers.parseEther("10");
+      const permit = await signRedemption(player, amount);
+      const args = [0, player.address, amount, permit.deadline, permit.v, permit.r, permit.s];
+
+      await gameTokenFactory.connect(relayer).burnGameTokenWithPermit(...args);
+      expect(await gameToken.allowance(player.address, factoryAddress)).to.equal(0);
+      await expect(gameTokenFactory.connect(relayer).burnGameTokenWithPermit(...args))
+        .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedRedeemer")
+        .withArgs(player.address, relayer.address);
+    });
+
+    it("Should not let a third party redeem against an existing allowance", async function () {
+      const amount = ethers.parseEther("10");
+      await gameToken.connect(player).approve(factoryAddress, amount);
+
+      await expect(gameTokenFactory.connect(relayer).burnGameTokenWithPermit(
+        0, player.address, amount, await deadline(), 27, ethers.ZeroHash, ethers.ZeroHash
+      )).to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedRedeemer")
+        .withArgs(player.address, relayer.address);
+      expect(await gameToken.balanceOf(player.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should let the holder redeem when their own permit was front-run", async function () {
+      const amount = ethers.parseEther("10");
+      const permit = await signRedemption(player, amount);
+      await gameToken.connect(relayer).permit(
+        player.address, factoryAddress, amount, permit.deadline, permit.v, permit.r, permit.s
+      );
+
+      await expect(gameTokenFactory.connect(player).burnGameTokenWithPermit(
+        0, player.address, amount, permit.deadline, permit.v, permit.r, permit.s
+      )).to.emit(gameTokenFactory, "GameTokenBurned").withArgs(0, player.address, amount, amount);
+      expect(await gameToken.balanceOf(player.address)).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should reject an expired permit", async function () {
+      const amount = ethers.parseEther("10");
+      const permitDeadline = await deadline(60);
+      const permit = await signRedemption(player, amount, permitDeadline);
+      await time.increaseTo(permitDeadline + 1n);
+
+      await expect(gameTokenFactory.connect(relayer).burnGameTokenWithPermit(
+        0, player.address, amount, permit.deadline, permit.v, permit.r, permit.s
+      )).to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedRedeemer");
+    });
+
+    it("Should not let a signature for one holder redeem another's tokens", async function () {
+      const amount = ethers.parseEther("10");
+      const permit = await signRedemption(player, amount);
+
+      await expect(gameTokenFactory.connect(relayer).burnGameTokenWithPermit(
+        0, creator.address, amount, permit.deadline, permit.v, permit.r, permit.s
+      )).to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedRedeemer")
+        .withArgs(creator.address, relayer.address);
+    });
+  });
+
+  describe("Client helpers", function () {
+    it("Should create a game in one transaction by signing a permit", async function () {
+      const client = clientFor(creator);
+      const nonceBefore = await ethers.provider.getTransactionCount(creator.address);
+
+      const result = await client.createGameToken(GAME_XP, "Racing", "RACE", 18);
+
+      expect(result.gameId).to.equal(0n);
+      expect(await ethers.provider.getTransactionCount(creator.address)).to.equal(nonceBefore + 1);
+      expect(await xpToken.nonces(creator.address)).to.equal(1n);
+    });
+
+    it("Should fall back to approve for CREDA", async function () {
+      const amount = ethers.parseEther("100");
+      await credaToken.transfer(player.address, amount);
+      const client = clientFor(player);
+      const nonceBefore = await ethers.provider.getTransactionCount(player.address);
+
+      const result = await client.lockCreda(amount);
+
+      expect(result.xpMinted).to.equal(amount);
+      expect(await ethers.provider.getTransactionCount(player.address)).to.equal(nonceBefore + 2);
+    });
+
+    it("Should approve instead of signing when permits are disabled", async function () {
+      const client = clientFor(creator, { permitTtl: 0 });
+
+      await client.createGameToken(GAME_XP, "Racing", "RACE", 18);
+
+      expect(await xpToken.nonces(creator.address)).to.equal(0n);
+      expect(await xpToken.allowance(creator.address, factoryAddress)).to.equal(GAME_XP);
+    });
+
+    it("Should sign a redemption for a relayer to submit", async function () {
+      await clientFor(creator).createGameToken(GAME_XP, "Racing", "RACE", 18);
+      const amount = ethers.parseEther("25");
+
+      const redemption = await clientFor(creator).signRedemption(0n, amount);
+      expect(redemption.holder).to.equal(creator.address);
+
+      const xpBefore = await xpToken.balanceOf(creator.address);
+      const result = await clientFor(relayer).burnGameTokenWithPermit(redemption);
+
+      expect(result.user).to.equal(creator.address);
+      expect(result.xpReturned).to.equal(amount);
+      expect(await xpToken.balanceOf(creator.address)).to.equal(xpBefore + amount);
+    });
+  });
+});
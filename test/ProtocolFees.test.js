@@ -0,0 +1,343 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser, setFee } = require("./helpers/factory");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameTokenFactory - Protocol Fees", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let treasury;
+  let user1;
+  let user2;
+  let factoryAddress;
+  let credaAddress;
+  let xpAddress;
+  let client;
+
+  const GAME_XP = ethers.parseEther("100");
+  const Operation = { Lock: 0, Create: 1, Redeem: 2 };
+  const FeeAsset = { XP: 0, CREDA: 1 };
+
+  beforeEach(async function () {
+    [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, credaAddress, xpAddress, factoryAddress } = ecosystem);
+    await gameTokenFactory.setTreasury(treasury.address);
+
+    for (const user of [user1, user2]) {
+      await fundUser(ecosystem, user, {
+        creda: ethers.parseEther("10000"),
+        lock: ethers.parseEther("1000"),
+        credaAllowance: ethers.MaxUint256,
+        xpAllowance: ethers.MaxUint256,
+      });
+    }
+
+    client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: user1,
+      addresses: ecosystem.addresses,
+    });
+  });
+
+  async function createGame(user, name, xpAmount = GAME_XP) {
+    await gameTokenFactory.connect(user).createGameToken(xpAmount, name, name.slice(0, 4).toUpperCase(), 18);
+    const gameId = (await gameTokenFactory.nextGameId()) - 1n;
+    const [info] = await gameTokenFactory.getGameTokenInfo(gameId);
+    return { gameId, gameToken: await ethers.getContractAt("GameToken", info.tokenAddress) };
+  }
+
+  describe("Fee configuration", function () {
+    it("Should charge no fees by default", async function () {
+      expect(await gameTokenFactory.calculateCreationFee(user1.address, GAME_XP)).to.deep.equal([0n, xpAddress]);
+
+      const xpBefore = await xpToken.balanceOf(user1.address);
+      await createGame(user1, "Racing");
+      expect(xpBefore - (await xpToken.balanceOf(user1.address))).to.equal(GAME_XP);
+      expect(await gameTokenFactory.accruedFees(xpAddress)).to.equal(0);
+    });
+
+    it("Should let only the admin set fees, within the caps", async function () {
+      const maxBps = await gameTokenFactory.MAX_FEE_BPS();
+      const maxFlat = await gameTokenFactory.MAX_FLAT_FEE();
+
+      await expect(gameTokenFactory.connect(user1).setCreationFee(100, 0, FeeAsset.XP))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+      await expect(gameTokenFactory.setCreationFee(maxBps + 1n, 0, FeeAsset.XP))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount")
+        .withArgs(maxBps + 1n, maxBps);
+      await expect(gameTokenFactory.setRedemptionFee(0, maxFlat + 1n))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount")
+        .withArgs(maxFlat + 1n, maxFlat);
+
+      await setFee(gameTokenFactory, Operation.Create, { bps: maxBps, flat: maxFlat, asset: FeeAsset.CREDA });
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 250 });
+
+      // Result.flat is Array.prototype.flat, so read the fields by position
+      const [bps, flat, asset] = await gameTokenFactory.creationFee();
+      expect([bps, flat, asset]).to.deep.equal([maxBps, maxFlat, BigInt(FeeAsset.CREDA)]);
+      const [redemptionBps] = await gameTokenFactory.redemptionFee();
+      expect(redemptionBps).to.equal(250);
+    });
+  });
+
+  describe("Fee changes", function () {
+    it("Should hold a fee increase until the delay has passed", async function () {
+      const delay = await gameTokenFactory.rateChangeDelay();
+      const tx = gameTokenFactory.setRedemptionFee(250, 0);
+      const effectiveAt = BigInt(await time.latest()) + 1n + delay;
+      await expect(tx)
+        .to.emit(gameTokenFactory, "FeeChangeProposed")
+        .withArgs(Operation.Redeem, 250, 0, FeeAsset.XP, effectiveAt)
+        .and.to.not.emit(gameTokenFactory, "FeeScheduleUpdated");
+      const [bps] = await gameTokenFactory.redemptionFee();
+      expect(bps).to.equal(0);
+
+      await expect(gameTokenFactory.executeFeeChange(Operation.Redeem))
+        .to.be.revertedWithCustomError(gameTokenFactory, "FeeChangeNotReady");
+      await expect(gameTokenFactory.connect(user1).executeFeeChange(Operation.Redeem))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+
+      await time.increaseTo(effectiveAt);
+      await expect(gameTokenFactory.executeFeeChange(Operation.Redeem))
+        .to.emit(gameTokenFactory, "FeeScheduleUpdated")
+        .withArgs(Operation.Redeem, 250, 0, FeeAsset.XP, owner.address);
+      expect((await gameTokenFactory.redemptionFee())[0]).to.equal(250);
+      expect((await gameTokenFactory.pendingFeeChanges(Operation.Redeem))[3]).to.equal(0);
+      await expect(gameTokenFactory.executeFeeChange(Operation.Redeem))
+        .to.be.revertedWithCustomError(gameTokenFactory, "NoPendingFeeChange")
+        .withArgs(Operation.Redeem);
+    });
+
+    it("Should delay a change of fee asset and apply decreases at once", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { bps: 200 });
+
+      await expect(gameTokenFactory.setCreationFee(200, 0, FeeAsset.CREDA))
+        .to.emit(gameTokenFactory, "FeeChangeProposed");
+      // A decrease replaces the pending change and applies immediately
+      await expect(gameTokenFactory.setCreationFee(100, 0, FeeAsset.XP))
+        .to.emit(gameTokenFactory, "FeeChangeCancelled")
+        .withArgs(Operation.Create)
+        .and.to.emit(gameTokenFactory, "FeeScheduleUpdated")
+        .withArgs(Operation.Create, 100, 0, FeeAsset.XP, owner.address);
+      const [bps, , asset] = await gameTokenFactory.creationFee();
+      expect([bps, asset]).to.deep.equal([100n, BigInt(FeeAsset.XP)]);
+      expect((await gameTokenFactory.pendingFeeChanges(Operation.Create))[3]).to.equal(0);
+    });
+
+    it("Should let a redemption set the least XP it accepts", async function () {
+      const { gameId } = await createGame(user1, "Racing");
+      const burnAmount = ethers.parseEther("10");
+      const quoted = await gameTokenFactory.calculateXpReturn(gameId, burnAmount);
+
+      // The fee increase lands before the redemption that was quoted without it
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 1_000 });
+      const [xpReturn] = await gameTokenFactory.calculateRedemptionReturn(user1.address, gameId, burnAmount);
+      await expect(gameTokenFactory.connect(user1).burnGameTokenWithMinXp(gameId, burnAmount, quoted))
+        .to.be.revertedWithCustomError(gameTokenFactory, "SlippageExceeded")
+        .withArgs(xpReturn, quoted);
+
+      await expect(gameTokenFactory.connect(user1).burnGameTokenWithMinXp(gameId, burnAmount, xpReturn))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(gameId, user1.address, burnAmount, xpReturn);
+    });
+  });
+
+  describe("Creation fees", function () {
+    it("Should burn an XP creation fee on top of the XP locked", async function () {
+      // 2% + 1 XP
+      await setFee(gameTokenFactory, Operation.Create, { bps: 200, flat: ethers.parseEther("1") });
+      const fee = ethers.parseEther("3");
+      expect(await gameTokenFactory.calculateCreationFee(user1.address, GAME_XP)).to.deep.equal([fee, xpAddress]);
+
+      const xpBefore = await xpToken.balanceOf(user1.address);
+      await expect(gameTokenFactory.connect(user1).createGameToken(GAME_XP, "Racing", "RACE", 18))
+        .to.emit(gameTokenFactory, "FeesCollected")
+        .withArgs(Operation.Create, 0, user1.address, xpAddress, fee);
+
+      expect(xpBefore - (await xpToken.balanceOf(user1.address))).to.equal(GAME_XP + fee);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP);
+      const [info] = await gameTokenFactory.getGameTokenInfo(0);
+      expect(info.xpLocked).to.equal(GAME_XP);
+      expect(await gameTokenFactory.accruedFees(xpAddress)).to.equal(fee);
+    });
+
+    it("Should transfer a CREDA creation fee into the factory", async function () {
+      const fee = ethers.parseEther("5");
+      await setFee(gameTokenFactory, Operation.Create, { flat: fee, asset: FeeAsset.CREDA });
+
+      const xpBefore = await xpToken.balanceOf(user1.address);
+      const credaBefore = await credaToken.balanceOf(user1.address);
+      await expect(gameTokenFactory.connect(user1).createGameToken(GAME_XP, "Racing", "RACE", 18))
+        .to.emit(gameTokenFactory, "FeesCollected")
+        .withArgs(Operation.Create, 0, user1.address, credaAddress, fee);
+
+      expect(xpBefore - (await xpToken.balanceOf(user1.address))).to.equal(GAME_XP);
+      expect(credaBefore - (await credaToken.balanceOf(user1.address))).to.equal(fee);
+      expect(await gameTokenFactory.accruedFees(credaAddress)).to.equal(fee);
+      // Accrued CREDA fees are owed to the treasury, not recoverable by emergency withdrawal
+      expect(await gameTokenFactory.withdrawableBalanceOf(credaAddress)).to.equal(0);
+    });
+
+    it("Should check the batch allowance against XP fees", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { flat: ethers.parseEther("1") });
+      await xpToken.connect(user1).approve(factoryAddress, GAME_XP * 2n);
+
+      const games = [
+        { xpAmount: GAME_XP, name: "Racing", symbol: "RACE", decimals: 18 },
+        { xpAmount: GAME_XP, name: "Puzzle", symbol: "PUZZ", decimals: 18 },
+      ];
+      await expect(gameTokenFactory.connect(user1).createGameTokensBatch(games))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance")
+        .withArgs(user1.address, factoryAddress, xpAddress, GAME_XP * 2n + ethers.parseEther("2"), GAME_XP * 2n);
+
+      await xpToken.connect(user1).approve(factoryAddress, ethers.MaxUint256);
+      await gameTokenFactory.connect(user1).createGameTokensBatch(games);
+      expect(await gameTokenFactory.accruedFees(xpAddress)).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should not charge FEE_EXEMPT_ROLE holders", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { bps: 500 });
+      await gameTokenFactory.grantRole(await gameTokenFactory.FEE_EXEMPT_ROLE(), user1.address);
+      expect(await gameTokenFactory.calculateCreationFee(user1.address, GAME_XP)).to.deep.equal([0n, xpAddress]);
+
+      const xpBefore = await xpToken.balanceOf(user1.address);
+      await expect(gameTokenFactory.connect(user1).createGameToken(GAME_XP, "Racing", "RACE", 18))
+        .to.not.emit(gameTokenFactory, "FeesCollected");
+      expect(xpBefore - (await xpToken.balanceOf(user1.address))).to.equal(GAME_XP);
+    });
+  });
+
+  describe("Redemption fees", function () {
+    it("Should keep the redemption fee out of the XP returned", async function () {
+      const { gameId, gameToken } = await createGame(user1, "Racing");
+      await gameToken.connect(user1).transfer(user2.address, ethers.parseEther("50"));
+      // 1% + 0.1 XP
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 100, flat: ethers.parseEther("0.1") });
+
+      const burnAmount = ethers.parseEther("10");
+      const gross = await gameTokenFactory.calculateXpReturn(gameId, burnAmount);
+      const fee = gross / 100n + ethers.parseEther("0.1");
+      expect(await gameTokenFactory.calculateRedemptionReturn(user2.address, gameId, burnAmount))
+        .to.deep.equal([gross - fee, fee]);
+
+      const xpBefore = await xpToken.balanceOf(user2.address);
+      await expect(gameTokenFactory.connect(user2).burnGameToken(gameId, burnAmount))
+        .to.emit(gameTokenFactory, "GameTokenBurned")
+        .withArgs(gameId, user2.address, burnAmount, gross - fee)
+        .and.to.emit(gameTokenFactory, "FeesCollected")
+        .withArgs(Operation.Redeem, gameId, user2.address, xpAddress, fee);
+
+      expect((await xpToken.balanceOf(user2.address)) - xpBefore).to.equal(gross - fee);
+      expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP - gross);
+      expect(await gameTokenFactory.accruedFees(xpAddress)).to.equal(fee);
+    });
+
+    it("Should reject redemptions the fee would swallow", async function () {
+      const { gameId } = await createGame(user1, "Racing");
+      await setFee(gameTokenFactory, Operation.Redeem, { flat: ethers.parseEther("1") });
+
+      const burnAmount = ethers.parseEther("1");
+      expect(await gameTokenFactory.calculateRedemptionReturn(user1.address, gameId, burnAmount))
+        .to.deep.equal([0n, ethers.parseEther("1")]);
+      await expect(gameTokenFactory.connect(user1).burnGameToken(gameId, burnAmount))
+        .to.be.revertedWithCustomError(gameTokenFactory, "FeeExceedsAmount")
+        .withArgs(ethers.parseEther("1"), ethers.parseEther("1"));
+    });
+  });
+
+  describe("Fee withdrawal", function () {
+    it("Should send XP and CREDA fees to the treasury", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { flat: ethers.parseEther("5"), asset: FeeAsset.CREDA });
+      const { gameId } = await createGame(user1, "Racing");
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 1_000 });
+      await gameTokenFactory.connect(user1).burnGameToken(gameId, ethers.parseEther("10"));
+      const xpFees = await gameTokenFactory.accruedFees(xpAddress);
+      expect(xpFees).to.equal(ethers.parseEther("1"));
+
+      await expect(gameTokenFactory.connect(user2).withdrawFees(xpAddress))
+        .to.emit(gameTokenFactory, "FeesWithdrawn")
+        .withArgs(xpAddress, treasury.address, xpFees, user2.address);
+      expect(await xpToken.balanceOf(treasury.address)).to.equal(xpFees);
+
+      await expect(gameTokenFactory.connect(user2).withdrawFees(credaAddress))
+        .to.emit(gameTokenFactory, "FeesWithdrawn")
+        .withArgs(credaAddress, treasury.address, ethers.parseEther("5"), user2.address);
+      expect(await credaToken.balanceOf(treasury.address)).to.equal(ethers.parseEther("5"));
+      expect(await credaToken.balanceOf(factoryAddress)).to.equal(await gameTokenFactory.totalLockedCreda());
+
+      await expect(gameTokenFactory.withdrawFees(credaAddress))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ZeroAmount");
+    });
+  });
+
+  describe("Client", function () {
+    it("Should quote and pay fees on creation and redemption", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { bps: 100 });
+      await setFee(gameTokenFactory, Operation.Redeem, { bps: 500 });
+      await xpToken.connect(user1).approve(factoryAddress, 0);
+
+      const quote = await client.quoteCreateGameToken(GAME_XP);
+      expect(quote).to.deep.include({ fee: ethers.parseEther("1"), xpRequired: GAME_XP + ethers.parseEther("1"), credaRequired: 0n });
+
+      const created = await client.createGameToken(GAME_XP, "Racing", "RACE", 18);
+      expect(created.fee).to.equal(ethers.parseEther("1"));
+
+      const redemption = await client.quoteRedemption(created.gameId, ethers.parseEther("20"));
+      expect(redemption).to.deep.equal({
+        grossXp: ethers.parseEther("20"),
+        fee: ethers.parseEther("1"),
+        xpReturn: ethers.parseEther("19"),
+      });
+      const burned = await client.burnGameToken(created.gameId, ethers.parseEther("20"));
+      expect(burned.xpReturned).to.equal(redemption.xpReturn);
+      expect(burned.fee).to.equal(redemption.fee);
+
+      const fees = await client.getFees();
+      expect(fees.creation).to.deep.equal({ bps: 100n, flat: 0n, asset: "xp" });
+      expect(fees.pending).to.deep.equal({ creation: null, redemption: null });
+      expect(fees.accrued).to.deep.equal({ xp: ethers.parseEther("2"), creda: 0n });
+      expect(fees.treasury).to.equal(treasury.address);
+    });
+
+    it("Should approve a CREDA creation fee and decode fee errors", async function () {
+      await setFee(gameTokenFactory, Operation.Create, { flat: ethers.parseEther("5"), asset: FeeAsset.CREDA });
+      await credaToken.connect(user1).approve(factoryAddress, 0);
+
+      const created = await client.createGameToken(GAME_XP, "Racing", "RACE", 18);
+      expect(created.fee).to.equal(ethers.parseEther("5"));
+      expect(await gameTokenFactory.accruedFees(credaAddress)).to.equal(ethers.parseEther("5"));
+
+      await setFee(gameTokenFactory, Operation.Redeem, { flat: ethers.parseEther("1") });
+      const error = await client.burnGameToken(created.gameId, ethers.parseEther("1")).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.FeeExceedsAmount);
+    });
+
+    it("Should report, execute and guard against fee increases", async function () {
+      const admin = new GameEcosystemClient({ provider: ethers.provider, signer: owner, addresses: client.addresses });
+      const created = await client.createGameToken(GAME_XP, "Racing", "RACE", 18);
+      const burnAmount = ethers.parseEther("10");
+      const { xpReturn } = await client.quoteRedemption(created.gameId, burnAmount);
+
+      const proposed = await admin.setRedemptionFee({ bps: 500 });
+      expect(proposed.pending).to.equal(true);
+      const { pending } = await client.getFees();
+      expect(pending.redemption).to.deep.equal({ bps: 500n, flat: 0n, asset: "xp", effectiveAt: proposed.effectiveAt, executable: false });
+      const early = await admin.executeFeeChange("redemption").catch((e) => e);
+      expect(early).to.be.instanceOf(ContractErrors.FeeChangeNotReady);
+
+      await time.increaseTo(proposed.effectiveAt);
+      expect(await admin.executeFeeChange("redemption")).to.deep.include({ bps: 500n, flat: 0n, asset: "xp" });
+      const error = await client.burnGameToken(created.gameId, burnAmount, { minXpOut: xpReturn }).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.SlippageExceeded);
+
+      const burned = await client.burnGameToken(created.gameId, burnAmount, { minXpOut: (xpReturn * 95n) / 100n });
+      expect(burned.xpReturned).to.equal((xpReturn * 95n) / 100n);
+      expect(await admin.setRedemptionFee({ bps: 100 })).to.deep.include({ pending: false, effectiveAt: null });
+    });
+  });
+});
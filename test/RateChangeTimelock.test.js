@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - Timelocked Rate Changes", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let rateManager;
+  let user1;
+
+  const INITIAL_RATE = ethers.parseEther("1");
+  const NEW_RATE = ethers.parseEther("1.2");
+  const DELAY = 24 * 60 * 60; // 1 day default
+
+  beforeEach(async function () {
+    [owner, rateManager, user1] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory } = ecosystem);
+    await gameTokenFactory.grantRole(await gameTokenFactory.RATE_MANAGER_ROLE(), rateManager.address);
+  });
+
+  describe("Proposing", function () {
+    it("Should record the pending change without touching the current rate", async function () {
+      const tx = gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+      await expect(tx).to.emit(gameTokenFactory, "RateChangeProposed");
+
+      const proposedAt = BigInt(await time.latest());
+      const [newRate, pendingProposedAt, effectiveAt] = await gameTokenFactory.getPendingRateChange();
+      expect(newRate).to.equal(NEW_RATE);
+      expect(pendingProposedAt).to.equal(proposedAt);
+      expect(effectiveAt).to.equal(proposedAt + BigInt(DELAY));
+      expect(await gameTokenFactory.credaToXpRate()).to.equal(INITIAL_RATE);
+    });
+
+    it("Should reject a second proposal while one is pending", async function () {
+      await gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+      const [, , effectiveAt] = await gameTokenFactory.getPendingRateChange();
+
+      await expect(gameTokenFactory.connect(rateManager).proposeRateChange(ethers.parseEther("1.1")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeAlreadyPending")
+        .withArgs(NEW_RATE, effectiveAt);
+    });
+
+    it("Should keep the 50% change limit", async function () {
+      await expect(gameTokenFactory.connect(rateManager).proposeRateChange(ethers.parseEther("2")))
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeTooBig")
+        .withArgs(INITIAL_RATE, ethers.parseEther("2"), 50);
+    });
+
+    it("Should restrict proposals to rate managers", async function () {
+      await expect(gameTokenFactory.connect(user1).proposeRateChange(NEW_RATE))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Executing", function () {
+    beforeEach(async function () {
+      await gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+    });
+
+    it("Should not execute before the delay has elapsed", async function () {
+      const [, , effectiveAt] = await gameTokenFactory.getPendingRateChange();
+
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeNotReady");
+      expect(effectiveAt).to.be.greaterThan(BigInt(await time.latest()));
+    });
+
+    it("Should apply the rate and clear the proposal after the delay", async function () {
+      await time.increase(DELAY);
+
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.emit(gameTokenFactory, "RateChangeExecuted")
+        .withArgs(INITIAL_RATE, NEW_RATE);
+
+      expect(await gameTokenFactory.credaToXpRate()).to.equal(NEW_RATE);
+      const [newRate, , effectiveAt] = await gameTokenFactory.getPendingRateChange();
+      expect(newRate).to.equal(0);
+      expect(effectiveAt).to.equal(0);
+    });
+
+    it("Should revert when nothing is pending", async function () {
+      await gameTokenFactory.connect(rateManager).cancelRateChange();
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.be.revertedWithCustomError(gameTokenFactory, "NoPendingRateChange");
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("Should cancel the pending change", async function () {
+      await gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+
+      await expect(gameTokenFactory.connect(rateManager).cancelRateChange())
+        .to.emit(gameTokenFactory, "RateChangeCancelled")
+        .withArgs(NEW_RATE);
+
+      await time.increase(DELAY);
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.be.revertedWithCustomError(gameTokenFactory, "NoPendingRateChange");
+      expect(await gameTokenFactory.credaToXpRate()).to.equal(INITIAL_RATE);
+    });
+  });
+
+  describe("Delay configuration", function () {
+    it("Should let admins change the delay within bounds", async function () {
+      const newDelay = 2 * 60 * 60;
+      await expect(gameTokenFactory.setRateChangeDelay(newDelay))
+        .to.emit(gameTokenFactory, "RateChangeDelayUpdated")
+        .withArgs(DELAY, newDelay);
+
+      await expect(gameTokenFactory.setRateChangeDelay(60))
+        .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAmount")
+        .withArgs(60, 60 * 60);
+      await expect(gameTokenFactory.setRateChangeDelay(31 * DELAY))
+        .to.be.revertedWithCustomError(gameTokenFactory, "ExcessiveAmount");
+    });
+
+    it("Should not shorten a proposal that is already pending", async function () {
+      await gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+      await gameTokenFactory.setRateChangeDelay(60 * 60);
+      await time.increase(60 * 60);
+
+      await expect(gameTokenFactory.connect(rateManager).executeRateChange())
+        .to.be.revertedWithCustomError(gameTokenFactory, "RateChangeNotReady");
+    });
+
+    it("Should restrict delay changes to admins", async function () {
+      await expect(gameTokenFactory.connect(rateManager).setRateChangeDelay(60 * 60))
+        .to.be.revertedWithCustomError(gameTokenFactory, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Client", function () {
+    it("Should expose the upcoming rate change", async function () {
+      const client = new GameEcosystemClient({
+        provider: ethers.provider,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: await gameTokenFactory.getAddress(),
+        },
+      });
+
+      expect(await client.getPendingRateChange()).to.be.null;
+
+      await gameTokenFactory.connect(rateManager).proposeRateChange(NEW_RATE);
+      const pending = await client.getPendingRateChange();
+      expect(pending.currentRate).to.equal(INITIAL_RATE);
+      expect(pending.newRate).to.equal(NEW_RATE);
+      expect(pending.executable).to.be.false;
+
+      await time.increase(DELAY);
+      expect((await client.getPendingRateChange()).executable).to.be.true;
+    });
+  });
+});
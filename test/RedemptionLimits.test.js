@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("GameToken - Redemption limits", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player1;
+  let player2;
+  let manager;
+  let factoryAddress;
+  let gameToken;
+
+  const SUPPLY = ethers.parseEther("1000");
+  const DAY = 24 * 60 * 60;
+
+  function policy(overrides = {}) {
+    return { maxPerTransaction: 0, maxPerAddressPerDay: 0, maxGlobalPerDay: 0, cooldown: 0, ...overrides };
+  }
+
+  function redeem(signer, amount) {
+    return gameTokenFactory.connect(signer).burnGameToken(0, amount);
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player1, player2, manager] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+    await gameTokenFactory.grantRole(await gameTokenFactory.GAME_MANAGER_ROLE(), manager.address);
+
+    await fundUser(ecosystem, creator, { creda: SUPPLY, lock: SUPPLY, xpAllowance: SUPPLY });
+    await gameTokenFactory.connect(creator).createGameToken(SUPPLY, "Racing", "RACE", 18);
+
+    const [info] = await gameTokenFactory.getGameTokenInfo(0);
+    gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+    await gameToken.connect(creator).transfer(player1.address, ethers.parseEther("300"));
+    await gameToken.connect(creator).transfer(player2.address, ethers.parseEther("300"));
+  });
+
+  it("Should let a holder redeem their whole balance in one transaction by default", async function () {
+    await redeem(creator, ethers.parseEther("400"));
+    await redeem(player1, ethers.parseEther("300"));
+
+    // The last holder can redeem the entire remaining supply
+    await expect(redeem(player2, ethers.parseEther("300")))
+      .to.emit(gameTokenFactory, "GameTokenBurned")
+      .withArgs(0, player2.address, ethers.parseEther("300"), ethers.parseEther("300"));
+    expect(await gameToken.totalSupply()).to.equal(0);
+    expect(await gameTokenFactory.xpReserves()).to.equal(0);
+  });
+
+  it("Should enforce the per-transaction cap", async function () {
+    await gameToken.connect(creator).setRedemptionPolicy(policy({ maxPerTransaction: ethers.parseEther("50") }));
+
+    await expect(redeem(player1, ethers.parseEther("51")))
+      .to.be.revertedWithCustomError(gameToken, "RedemptionExceedsTransactionLimit")
+      .withArgs(ethers.parseEther("51"), ethers.parseEther("50"));
+    await redeem(player1, ethers.parseEther("50"));
+    await redeem(player1, ethers.parseEther("50"));
+  });
+
+  it("Should enforce the per-address daily cap over a 24-hour window", async function () {
+    const cap = ethers.parseEther("100");
+    await gameToken.connect(creator).setRedemptionPolicy(policy({ maxPerAddressPerDay: cap }));
+
+    await redeem(player1, ethers.parseEther("70"));
+    const resetsAt = (await time.latest()) + DAY;
+
+    await expect(redeem(player1, ethers.parseEther("40")))
+      .to.be.revertedWithCustomError(gameToken, "RedemptionExceedsDailyLimit")
+      .withArgs(player1.address, ethers.parseEther("40"), ethers.parseEther("30"), resetsAt);
+
+    // Other addresses have their own allowance
+    await redeem(player2, cap);
+
+    await time.increaseTo(resetsAt);
+    await redeem(player1, cap);
+  });
+
+  it("Should enforce the global daily cap across addresses", async function () {
+    await gameToken.connect(creator).setRedemptionPolicy(policy({ maxGlobalPerDay: ethers.parseEther("150") }));
+
+    await redeem(player1, ethers.parseEther("100"));
+    await expect(redeem(player2, ethers.parseEther("60")))
+      .to.be.revertedWithCustomError(gameToken, "RedemptionExceedsGlobalDailyLimit");
+    await redeem(player2, ethers.parseEther("50"));
+
+    await time.increase(DAY);
+    await redeem(player2, ethers.parseEther("100"));
+  });
+
+  it("Should enforce the cooldown between an address's redemptions", async function () {
+    await gameToken.connect(creator).setRedemptionPolicy(policy({ cooldown: 3600 }));
+
+    await redeem(player1, ethers.parseEther("10"));
+    const availableAt = (await time.latest()) + 3600;
+
+    await expect(redeem(player1, ethers.parseEther("10")))
+      .to.be.revertedWithCustomError(gameToken, "RedemptionCooldownActive")
+      .withArgs(player1.address, availableAt);
+    await redeem(player2, ethers.parseEther("10"));
+
+    await time.increaseTo(availableAt);
+    await redeem(player1, ethers.parseEther("10"));
+  });
+
+  describe("Policy management", function () {
+    it("Should accept the token owner and factory game managers only", async function () {
+      await expect(gameToken.connect(manager).setRedemptionPolicy(policy({ cooldown: 60 })))
+        .to.emit(gameToken, "RedemptionPolicyUpdated")
+        .withArgs(manager.address, 0, 0, 0, 60);
+
+      await expect(gameToken.connect(player1).setRedemptionPolicy(policy()))
+        .to.be.revertedWithCustomError(gameToken, "UnauthorizedPolicyManager")
+        .withArgs(player1.address);
+    });
+
+    it("Should reject limits that would lock holders in", async function () {
+      const minLimit = SUPPLY / 100n;
+      await expect(gameToken.connect(creator).setRedemptionPolicy(policy({ maxPerTransaction: minLimit - 1n })))
+        .to.be.revertedWithCustomError(gameToken, "InvalidAmount");
+      await expect(gameToken.connect(creator).setRedemptionPolicy(policy({ maxGlobalPerDay: 1 })))
+        .to.be.revertedWithCustomError(gameToken, "InvalidAmount");
+      await expect(gameToken.connect(creator).setRedemptionPolicy(policy({ cooldown: 7 * DAY + 1 })))
+        .to.be.revertedWithCustomError(gameToken, "InvalidAmount");
+
+      await gameToken.connect(creator).setRedemptionPolicy(policy({ maxPerTransaction: minLimit, cooldown: 7 * DAY }));
+    });
+  });
+
+  describe("Client helpers", function () {
+    let client;
+
+    beforeEach(async function () {
+      client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: player1,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: factoryAddress,
+        },
+      });
+    });
+
+    it("Should report how much can be redeemed right now", async function () {
+      let redeemable = await client.getRedeemableAmount(0);
+      expect(redeemable.amount).to.equal(ethers.parseEther("300"));
+      expect(redeemable.xpReturn).to.equal(ethers.parseEther("300"));
+      expect(redeemable.limitedBy).to.be.null;
+
+      await gameToken.connect(creator).setRedemptionPolicy(policy({
+        maxPerTransaction: ethers.parseEther("80"),
+        maxPerAddressPerDay: ethers.parseEther("100"),
+      }));
+      expect((await client.getRedemptionPolicy(0)).maxPerAddressPerDay).to.equal(ethers.parseEther("100"));
+
+      redeemable = await client.getRedeemableAmount(0);
+      expect(redeemable.amount).to.equal(ethers.parseEther("80"));
+      expect(redeemable.limitedBy).to.equal("redemptionPolicy");
+      expect(redeemable.availableAt).to.be.null;
+
+      await client.burnGameToken(0, ethers.parseEther("80"));
+      redeemable = await client.getRedeemableAmount(0);
+      expect(redeemable.amount).to.equal(ethers.parseEther("20"));
+
+      await client.burnGameToken(0, ethers.parseEther("20"));
+      redeemable = await client.getRedeemableAmount(0);
+      expect(redeemable.amount).to.equal(0);
+      expect(redeemable.availableAt).to.be.greaterThan(BigInt(await time.latest()));
+
+      await gameTokenFactory.pause();
+      expect((await client.getRedeemableAmount(0, player2.address)).limitedBy).to.equal("paused");
+    });
+
+    it("Should report nothing redeemable while the factory would refuse the redemption", async function () {
+      const cases = [
+        ["paused", () => gameTokenFactory.setOperationPaused(2, true), () => gameTokenFactory.setOperationPaused(2, false)],
+        ["frozen", () => gameTokenFactory.setGameFrozen(0, true), () => gameTokenFactory.setGameFrozen(0, false)],
+        ["gameStatus", () => gameTokenFactory.connect(manager).deactivateGame(0), () => gameTokenFactory.connect(manager).reactivateGame(0)],
+      ];
+
+      for (const [reason, block, unblock] of cases) {
+        await block();
+        const redeemable = await client.getRedeemableAmount(0);
+        expect(redeemable.amount).to.equal(0n);
+        expect(redeemable.xpReturn).to.equal(0n);
+        expect(redeemable.limitedBy).to.equal(reason);
+        await unblock();
+      }
+
+      await gameTokenFactory.connect(creator).deactivateGame(0);
+      expect((await client.getRedeemableAmount(0)).amount).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should decode limit violations raised through the factory", async function () {
+      await gameToken.connect(creator).setRedemptionPolicy(policy({ maxPerTransaction: ethers.parseEther("50") }));
+
+      const error = await client.burnGameToken(0, ethers.parseEther("60")).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.RedemptionExceedsTransactionLimit);
+      expect(error.fields.maxPerTransaction).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should set the policy as the token owner", async function () {
+      const creatorClient = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: creator,
+        addresses: client.addresses,
+      });
+
+      await creatorClient.setRedemptionPolicy(0, { cooldown: 600 });
+      expect((await client.getRedemptionPolicy(0)).cooldown).to.equal(600n);
+    });
+  });
+});
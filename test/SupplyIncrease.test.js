@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystemFixture, fundUser } = require("./helpers/factory");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient } = require("../index");
+
+describe("GameTokenFactory - Supply top-ups", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player;
+  let factoryAddress;
+  let gameToken;
+
+  const GAME_XP = ethers.parseEther("1000");
+
+  beforeEach(async function () {
+    [owner, creator, player] = await ethers.getSigners();
+
+    const ecosystem = await loadFixture(deployEcosystemFixture);
+    ({ credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem);
+
+    await fundUser(ecosystem, creator, {
+      creda: ethers.parseEther("5000"),
+      lock: ethers.parseEther("5000"),
+      xpAllowance: ethers.parseEther("5000"),
+    });
+
+    // 6 decimals: 1000 XP backs 1000e6 token units
+    await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Racing", "RACE", 6);
+    const [info] = await gameTokenFactory.getGameTokenInfo(0);
+    gameToken = await ethers.getContractAt("GameToken", info.tokenAddress);
+  });
+
+  it("Should burn XP, grow the backing and mint supply through factoryMint", async function () {
+    const xpAdded = ethers.parseEther("250");
+    const xpBefore = await xpToken.balanceOf(creator.address);
+
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(0, xpAdded))
+      .to.emit(gameTokenFactory, "GameTokenSupplyIncreased")
+      .withArgs(0, creator.address, xpAdded, 250_000_000n, GAME_XP + xpAdded);
+
+    expect(await xpToken.balanceOf(creator.address)).to.equal(xpBefore - xpAdded);
+    expect(await gameToken.totalSupply()).to.equal(1_250_000_000n);
+    expect(await gameToken.balanceOf(creator.address)).to.equal(1_250_000_000n);
+    expect(await gameTokenFactory.xpReserves()).to.equal(GAME_XP + xpAdded);
+
+    const [info, metadata] = await gameTokenFactory.getGameTokenInfo(0);
+    expect(info.xpLocked).to.equal(GAME_XP + xpAdded);
+    expect(metadata.initialSupply).to.equal(1_000_000_000n);
+  });
+
+  it("Should keep the redemption value of existing tokens unchanged", async function () {
+    await gameToken.connect(creator).transfer(player.address, 300_000_000n);
+    await gameTokenFactory.connect(player).burnGameToken(0, 100_000_000n);
+
+    const quoteBefore = await gameTokenFactory.calculateXpReturn(0, 50_000_000n);
+    await gameTokenFactory.connect(creator).increaseGameTokenSupply(0, ethers.parseEther("333"));
+    const quoteAfter = await gameTokenFactory.calculateXpReturn(0, 50_000_000n);
+
+    expect(quoteAfter).to.equal(quoteBefore);
+  });
+
+  it("Should only accept top-ups from the creator of an active game", async function () {
+    await expect(gameTokenFactory.connect(player).increaseGameTokenSupply(0, GAME_XP))
+      .to.be.revertedWithCustomError(gameTokenFactory, "UnauthorizedCreator")
+      .withArgs(0, player.address);
+
+    await gameTokenFactory.connect(creator).deactivateGame(0);
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(0, GAME_XP))
+      .to.be.revertedWithCustomError(gameTokenFactory, "GameTokenNotActive");
+
+    await gameTokenFactory.connect(creator).sunsetGame(0);
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(0, GAME_XP))
+      .to.be.revertedWithCustomError(gameTokenFactory, "GameAlreadySunset");
+
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(1, GAME_XP))
+      .to.be.revertedWithCustomError(gameTokenFactory, "InvalidGameId");
+  });
+
+  it("Should reject top-ups that mint nothing", async function () {
+    await gameTokenFactory.connect(creator).createGameToken(GAME_XP, "Chess", "CHESS", 0);
+
+    // 1000 XP backs 1000 indivisible tokens, so half an XP mints nothing
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(1, ethers.parseEther("0.5")))
+      .to.be.revertedWithCustomError(gameTokenFactory, "ConversionResultsInZero");
+  });
+
+  it("Should require XP balance and allowance", async function () {
+    await xpToken.connect(creator).approve(factoryAddress, 0);
+    await expect(gameTokenFactory.connect(creator).increaseGameTokenSupply(0, GAME_XP))
+      .to.be.revertedWithCustomError(gameTokenFactory, "InsufficientAllowance");
+  });
+
+  it("Should preview and apply a top-up through the client", async function () {
+    const client = new GameEcosystemClient({
+      provider: ethers.provider,
+      signer: creator,
+      addresses: {
+        credaToken: await credaToken.getAddress(),
+        xpToken: await xpToken.getAddress(),
+        gameTokenFactory: factoryAddress,
+      },
+    });
+    await xpToken.connect(creator).approve(factoryAddress, 0);
+
+    const xpAdded = ethers.parseEther("500");
+    const preview = await client.previewSupplyIncrease(0, xpAdded);
+    expect(preview.currentSupply).to.equal(1_000_000_000n);
+    expect(preview.newSupply).to.equal(1_500_000_000n);
+    expect(preview.newXpLocked).to.equal(GAME_XP + xpAdded);
+
+    const result = await client.increaseGameTokenSupply(0, xpAdded);
+    expect(result.tokensMinted).to.equal(preview.tokensMinted);
+    expect(await gameToken.totalSupply()).to.equal(preview.newSupply);
+
+    const after = await client.previewSupplyIncrease(0, xpAdded);
+    expect(after.xpPerToken).to.equal(preview.xpPerToken);
+  });
+});
@@ -0,0 +1,528 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  deployGameTokenFactory,
+  deployGameTokenFactoryLocking,
+  deployGameToken1155,
+  deployEcosystemFixture,
+} = require("./helpers/factory");
+const { loadFixture, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEcosystem } = require("../scripts/deploy");
+const { upgradeFactory, implementationAddress } = require("../scripts/upgrade");
+const { migrateFactory } = require("../scripts/migrateFactory");
+const {
+  FACTORY_MODULES,
+  readStorageLayout,
+  validateUpgradeSafety,
+  compareStorageLayouts,
+  checkFactoryUpgrade,
+} = require("../scripts/upgradeValidation");
+const { GameEcosystemClient, readRegistry, writeRegistry } = require("../index");
+
+describe("GameTokenFactory - Upgrades and migration", function () {
+  const { ethers } = hre;
+  const GAME_XP = ethers.parseEther("100");
+  const quiet = () => {};
+
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let creator;
+  let player;
+
+  // Another factory on the same tokens, beside the fixture's
+  async function deployFactory() {
+    const factory = await deployGameTokenFactory(await credaToken.getAddress(), await xpToken.getAddress());
+    const factoryAddress = await factory.getAddress();
+    await xpToken.grantRole(await xpToken.MINTER_ROLE(), factoryAddress);
+    await xpToken.grantRole(await xpToken.BURNER_ROLE(), factoryAddress);
+    return factory;
+  }
+
+  async function lockCreda(factory, signer, amount) {
+    await credaToken.transfer(signer.address, amount);
+    await credaToken.connect(signer).approve(await factory.getAddress(), amount);
+    await factory.connect(signer).lockCreda(amount);
+  }
+
+  async function createGame(factory, name, symbol) {
+    await xpToken.connect(creator).approve(await factory.getAddress(), GAME_XP);
+    await factory.connect(creator).createGameToken(GAME_XP, name, symbol, 18);
+    const gameId = (await factory.nextGameId()) - 1n;
+    const [info] = await factory.getGameTokenInfo(gameId);
+    return { gameId, token: await ethers.getContractAt("GameToken", info.tokenAddress) };
+  }
+
+  beforeEach(async function () {
+    [owner, creator, player] = await ethers.getSigners();
+
+    ({ credaToken, xpToken, gameTokenFactory } = await loadFixture(deployEcosystemFixture));
+  });
+
+  describe("Proxy setup", function () {
+    let factory;
+
+    beforeEach(async function () {
+      factory = gameTokenFactory;
+    });
+
+    it("Should initialize the proxy's state and roles once", async function () {
+      expect(await factory.credaToken()).to.equal(await credaToken.getAddress());
+      expect(await factory.xpToken()).to.equal(await xpToken.getAddress());
+      expect(await factory.credaToXpRate()).to.equal(ethers.parseEther("1"));
+      expect(await factory.rateChangeDelay()).to.equal(24n * 60n * 60n);
+      expect(await factory.treasury()).to.equal(owner.address);
+      expect(await factory.hasRole(await factory.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await factory.initializedVersion()).to.equal(1n);
+
+      const deployer = await ethers.getContractAt("GameTokenDeployer", await factory.gameTokenDeployer());
+      expect(await deployer.factory()).to.equal(await factory.getAddress());
+
+      await expect(
+        factory.initialize(await credaToken.getAddress(), await xpToken.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(factory, "InvalidInitialization");
+    });
+
+    it("Should lock the implementation", async function () {
+      const implementation = factory.attach(await implementationAddress(ethers.provider, await factory.getAddress()));
+      await expect(
+        implementation.connect(player).initialize(await credaToken.getAddress(), await xpToken.getAddress(), player.address)
+      ).to.be.revertedWithCustomError(factory, "InvalidInitialization");
+      expect(await implementation.proxiableUUID()).to.equal(
+        "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+      );
+      await expect(implementation.upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(factory, "UUPSUnauthorizedCallContext");
+    });
+
+    it("Should validate the initializer's arguments", async function () {
+      await expect(deployGameTokenFactory(ethers.ZeroAddress, await xpToken.getAddress()))
+        .to.be.revertedWithCustomError(factory, "ZeroAddress");
+      await expect(deployGameTokenFactory(await xpToken.getAddress(), await xpToken.getAddress()))
+        .to.be.revertedWithCustomError(factory, "InvalidContractState");
+    });
+  });
+
+  describe("Upgrades", function () {
+    let factory;
+    let v2;
+
+    beforeEach(async function () {
+      factory = gameTokenFactory;
+      await lockCreda(factory, creator, ethers.parseEther("1000"));
+      const V2 = await ethers.getContractFactory("GameTokenFactoryV2Mock");
+      v2 = await V2.deploy(await deployGameTokenFactoryLocking());
+    });
+
+    it("Should keep games and balances and run the new version's reinitializer", async function () {
+      const { gameId, token } = await createGame(factory, "Keep Me", "KEEP");
+      const before = await factory.getGameTokenInfo(gameId);
+      const reserves = await factory.xpReserves();
+
+      const initializeV2 = v2.interface.encodeFunctionData("initializeV2", [42]);
+      await expect(factory.upgradeToAndCall(await v2.getAddress(), initializeV2))
+        .to.emit(factory, "Upgraded")
+        .withArgs(await v2.getAddress());
+
+      const upgraded = v2.attach(await factory.getAddress());
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.upgradeMarker()).to.equal(42n);
+      expect(await factory.initializedVersion()).to.equal(2n);
+      expect(await factory.getGameTokenInfo(gameId)).to.deep.equal(before);
+      expect(await factory.xpReserves()).to.equal(reserves);
+      expect(await factory.userLockedCreda(creator.address)).to.equal(ethers.parseEther("1000"));
+
+      // The extension of the new version still serves the factory's admin functions
+      await factory.sunsetGame(gameId);
+      await expect(factory.connect(creator).burnGameToken(gameId, await token.balanceOf(creator.address)))
+        .to.emit(factory, "GameTokenBurned");
+    });
+
+    it("Should count CREDA locked under the legacy accounting and move it on the next unlock", async function () {
+      const factoryAddress = await factory.getAddress();
+      const credaAddress = await credaToken.getAddress();
+      await lockCreda(factory, player, ethers.parseEther("100"));
+
+      // Put the player's balance, and its share of the total, where implementations
+      // from before CREDA used assetLockedBalances kept them
+      const { storage } = await readStorageLayout(hre, "GameTokenFactory");
+      const slotOf = (label) => BigInt(storage.find((variable) => variable.label === label).slot);
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const mappingSlot = (key, slot) => BigInt(ethers.keccak256(coder.encode(["address", "uint256"], [key, slot])));
+      const balanceSlot = mappingSlot(player.address, mappingSlot(credaAddress, slotOf("assetLockedBalances")));
+      const totalSlot = mappingSlot(credaAddress, slotOf("lockableAssets")) + 3n; // LockableAsset.totalLocked
+      const amount = ethers.parseEther("100");
+      await setStorageAt(factoryAddress, balanceSlot, 0);
+      await setStorageAt(factoryAddress, balanceSlot + 1n, 0);
+      await setStorageAt(factoryAddress, mappingSlot(player.address, slotOf("legacyLockedCreda")), amount);
+      await setStorageAt(factoryAddress, mappingSlot(player.address, slotOf("legacyLockedXp")), amount);
+      await setStorageAt(factoryAddress, totalSlot, ethers.parseEther("1000"));
+      await setStorageAt(factoryAddress, slotOf("legacyTotalLockedCreda"), amount);
+
+      expect(await factory.lockedBalanceOf(credaAddress, player.address)).to.deep.equal([amount, amount]);
+      expect(await factory.totalLockedCreda()).to.equal(ethers.parseEther("1100"));
+      expect(await factory.withdrawableBalanceOf(credaAddress)).to.equal(0);
+
+      await xpToken.connect(player).approve(factoryAddress, ethers.parseEther("40"));
+      await expect(factory.connect(player).unlockCreda(ethers.parseEther("40")))
+        .to.emit(factory, "CredaUnlocked")
+        .withArgs(player.address, ethers.parseEther("40"), ethers.parseEther("40"), 0);
+      expect(await factory.userLockedCreda(player.address)).to.equal(ethers.parseEther("60"));
+      expect(await factory.totalLockedCreda()).to.equal(ethers.parseEther("1060"));
+      expect(BigInt(await ethers.provider.getStorage(factoryAddress, slotOf("legacyTotalLockedCreda")))).to.equal(0n);
+      expect(BigInt(await ethers.provider.getStorage(factoryAddress, balanceSlot))).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should move positions opened before the per-asset lists into them on the next unlock", async function () {
+      const factoryAddress = await factory.getAddress();
+      await lockCreda(factory, player, ethers.parseEther("100"));
+      await lockCreda(factory, player, ethers.parseEther("100"));
+
+      // Leave the player's positions only in userPositionIds, as implementations from
+      // before the per-asset lists did
+      const { storage } = await readStorageLayout(hre, "GameTokenFactory");
+      const slotOf = (label) => BigInt(storage.find((variable) => variable.label === label).slot);
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const mappingSlot = (key, slot) => BigInt(ethers.keccak256(coder.encode(["address", "uint256"], [key, slot])));
+      const listSlot = mappingSlot(ethers.ZeroAddress, mappingSlot(player.address, slotOf("userAssetPositionIds")));
+      await setStorageAt(factoryAddress, listSlot, 0);
+      await setStorageAt(factoryAddress, mappingSlot(player.address, slotOf("userPositionsByAsset")), 0);
+
+      const unlockXp = ethers.parseEther("150");
+      const [quoted] = await factory.calculateCredaReturn(player.address, unlockXp);
+      expect(quoted).to.equal(unlockXp);
+
+      await xpToken.connect(player).approve(factoryAddress, unlockXp);
+      await expect(factory.connect(player).unlockCreda(unlockXp))
+        .to.emit(factory, "LockPositionUnlocked")
+        .withArgs(2, player.address, ethers.parseEther("50"), ethers.parseEther("50"), 0);
+      expect(BigInt(await ethers.provider.getStorage(factoryAddress, listSlot))).to.equal(2n);
+
+      const [, second] = await factory.getUserPositions(player.address, 0, 2);
+      expect(second.xpRemaining).to.equal(ethers.parseEther("50"));
+      const [remaining] = await factory.calculateCredaReturn(player.address, ethers.parseEther("50"));
+      expect(remaining).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should only let the admin upgrade, and only to a factory implementation", async function () {
+      await expect(factory.connect(player).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+
+      for (const target of [await xpToken.getAddress(), await factory.getAddress()]) {
+        await expect(factory.upgradeToAndCall(target, "0x"))
+          .to.be.revertedWithCustomError(factory, "ERC1967InvalidImplementation")
+          .withArgs(target);
+      }
+      await expect(factory.upgradeToAndCall(player.address, "0x")).to.be.reverted;
+    });
+  });
+
+  describe("Storage layout checks", function () {
+    let layout;
+
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    beforeEach(async function () {
+      layout = await readStorageLayout(hre, "GameTokenFactory");
+    });
+
+    it("Should accept the same layout and one with appended state", async function () {
+      expect(compareStorageLayouts(layout, layout)).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, await readStorageLayout(hre, "GameTokenFactoryV2Mock"))).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, await readStorageLayout(hre, "GameTokenFactoryExtension"))).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, await readStorageLayout(hre, "GameTokenFactoryLocking"))).to.deep.equal([]);
+      expect((await checkFactoryUpgrade(hre, layout)).problems).to.deep.equal([]);
+    });
+
+    it("Should find the factory and its modules upgrade safe", async function () {
+      for (const name of ["GameTokenFactory", "GameTokenFactoryV2Mock", ...FACTORY_MODULES]) {
+        expect(await validateUpgradeSafety(hre, name), name).to.deep.equal([]);
+      }
+    });
+
+    it("Should flag state that moves, changes type or disappears", async function () {
+      const shifted = clone(layout);
+      shifted.storage = [
+        { ...shifted.storage[0], label: "inserted", type: "t_uint256" },
+        ...shifted.storage.map((v) => ({ ...v, slot: String(Number(v.slot) + 1) })),
+      ];
+      const [shiftedProblem] = compareStorageLayouts(layout, shifted);
+      expect(shiftedProblem).to.include("Inserted `inserted`");
+
+      const retyped = clone(layout);
+      retyped.storage.find((v) => v.label === "nextGameId").type = "t_address";
+      const [retypedProblem] = compareStorageLayouts(layout, retyped);
+      expect(retypedProblem).to.include("Upgraded `nextGameId` to an incompatible type");
+      expect(retypedProblem).to.include("Bad upgrade from uint256 to address");
+
+      const removed = clone(layout);
+      const last = removed.storage.pop();
+      expect(compareStorageLayouts(layout, removed)[0]).to.include(`Deleted \`${last.label}\``);
+    });
+
+    it("Should only let structs grow where nothing follows them", async function () {
+      const reordered = clone(layout);
+      const info = Object.entries(reordered.types).find(([id]) => id.startsWith("t_struct(GameTokenInfo)"))[1];
+      [info.members[0].label, info.members[1].label] = [info.members[1].label, info.members[0].label];
+      const [reorderedProblem] = compareStorageLayouts(layout, reordered);
+      expect(reorderedProblem).to.include("Upgraded `gameTokens` to an incompatible type");
+      expect(reorderedProblem).to.include("Deleted `tokenAddress`");
+
+      const item = (...members) => ({
+        label: "struct Item",
+        numberOfBytes: String(32 * members.length),
+        members: members.map((label, i) => ({ label, slot: String(i), offset: 0, type: "t_uint256" })),
+      });
+      const withItem = (itemType) => ({
+        storage: [
+          { contract: "Shop", src: "Shop.sol:1", label: "itemsById", slot: "0", offset: 0, type: "t_mapping(t_uint256,t_struct(Item)1_storage)" },
+          { contract: "Shop", src: "Shop.sol:2", label: "itemList", slot: "1", offset: 0, type: "t_array(t_struct(Item)1_storage)dyn_storage" },
+        ],
+        types: {
+          "t_uint256": { label: "uint256", numberOfBytes: "32" },
+          "t_struct(Item)1_storage": itemType,
+          "t_mapping(t_uint256,t_struct(Item)1_storage)": { label: "mapping(uint256 => struct Item)", numberOfBytes: "32" },
+          "t_array(t_struct(Item)1_storage)dyn_storage": { label: "struct Item[]", numberOfBytes: "32" },
+        },
+        namespaces: {},
+      });
+
+      // Each mapping value has storage of its own; array elements start right after the previous one
+      const [grown] = compareStorageLayouts(withItem(item("price")), withItem(item("price", "stock")));
+      expect(grown).to.include("Upgraded `itemList` to an incompatible type");
+      expect(grown).to.not.include("itemsById");
+      const [swapped] = compareStorageLayouts(withItem(item("price", "stock")), withItem(item("stock", "price")));
+      expect(swapped).to.include("Upgraded `itemsById` to an incompatible type");
+      expect(swapped).to.include("Upgraded `itemList` to an incompatible type");
+    });
+
+    it("Should flag a factory version with state its modules lack", async function () {
+      const { problems } = await checkFactoryUpgrade(hre, layout, "GameTokenFactoryV2Mock");
+      expect(problems).to.have.length(FACTORY_MODULES.length);
+      problems.forEach((problem, i) => {
+        expect(problem).to.include(`${FACTORY_MODULES[i]} layout differs from GameTokenFactoryV2Mock`);
+        expect(problem).to.include("Deleted `upgradeMarker`");
+      });
+    });
+
+    describe("upgrade script", function () {
+      let dir;
+      let registryFile;
+
+      beforeEach(async function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "game-ecosystem-upgrade-"));
+        registryFile = path.join(dir, `${hre.network.name}.json`);
+        await deployEcosystem(hre, { registryFile, log: quiet, credaTokenAddress: "" });
+      });
+
+      afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it("Should upgrade the registry's proxy and record the new implementation", async function () {
+        const { address, implementation } = readRegistry(registryFile).contracts.gameTokenFactory;
+
+        const result = await upgradeFactory(hre, { registryFile, log: quiet });
+
+        const entry = readRegistry(registryFile).contracts.gameTokenFactory;
+        expect(await implementationAddress(ethers.provider, address)).to.equal(result.implementation);
+        expect(entry.implementation).to.equal(result.implementation);
+        expect(entry.upgrades).to.have.length(1);
+        expect(entry.upgrades[0].previousImplementation).to.equal(implementation);
+        expect(entry.upgrades[0].upgradeTxHash).to.match(/^0x[0-9a-f]{64}$/);
+        // The locking module's code is unchanged, so the new implementation reuses it
+        expect(entry.upgrades[0].locking.reused).to.be.true;
+        expect(entry.upgrades[0].locking.address).to.equal(readRegistry(registryFile).contracts.gameTokenFactoryLocking.address);
+
+        // A rerun of the deployment keeps the upgraded proxy
+        const { registry } = await deployEcosystem(hre, { registryFile, log: quiet, credaTokenAddress: "" });
+        expect(registry.contracts.gameTokenFactory.address).to.equal(address);
+        expect(registry.contracts.gameTokenFactoryExtension.txHash).to.equal(entry.upgrades[0].txHash);
+      });
+
+      it("Should refuse an unsafe upgrade before sending anything", async function () {
+        const registry = readRegistry(registryFile);
+        const { address, implementation, storageLayout } = registry.contracts.gameTokenFactory;
+        storageLayout.storage.push({
+          contract: "GameTokenFactoryStorage",
+          src: "contracts/GameTokenFactoryStorage.sol:999",
+          label: "droppedInNewVersion",
+          slot: "999",
+          offset: 0,
+          type: "t_uint256",
+        });
+        writeRegistry(registryFile, registry);
+        const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+        await expect(upgradeFactory(hre, { registryFile, log: quiet }))
+          .to.be.rejectedWith(
+            "Refusing unsafe GameTokenFactory upgrade:\n  - GameTokenFactoryStorage: Deleted `droppedInNewVersion`"
+          );
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+        expect(await implementationAddress(ethers.provider, address)).to.equal(implementation);
+      });
+    });
+  });
+
+  describe("Migration", function () {
+    let source;
+    let target;
+    let targetAddress;
+    let alpha;
+    let beta;
+
+    const migrate = () => migrateFactory(hre, {
+      sourceFactory: source.target,
+      targetFactory: targetAddress,
+      log: quiet,
+    });
+
+    beforeEach(async function () {
+      source = gameTokenFactory;
+      target = await deployFactory();
+      targetAddress = await target.getAddress();
+      await lockCreda(source, creator, ethers.parseEther("1000"));
+
+      alpha = await createGame(source, "Alpha", "ALP");
+      beta = await createGame(source, "Beta", "BET");
+      await alpha.token.connect(creator).transfer(player.address, ethers.parseEther("100"));
+      await source.sunsetGame(beta.gameId);
+    });
+
+    it("Should import games with their records, backing and lifecycle", async function () {
+      const [alphaInfo, alphaMetadata] = await source.getGameTokenInfo(alpha.gameId);
+      const betaLifecycle = await source.gameLifecycles(beta.gameId);
+
+      const { imported } = await migrate();
+
+      expect(imported.map((g) => g.gameId)).to.deep.equal([0n, 1n]);
+      expect(await target.xpReserves()).to.equal(GAME_XP * 2n);
+
+      expect(await target.getGameTokenInfo(0)).to.deep.equal([alphaInfo, alphaMetadata]);
+      expect(await target.gameLifecycles(1)).to.deep.equal(betaLifecycle);
+      expect(await target.gameImportedFrom(0)).to.equal(source.target);
+      expect(await target.importedGameId(source.target, beta.gameId)).to.deep.equal([true, 1n]);
+      expect(await target.getUserGameTokens(creator.address)).to.deep.equal([0n, 1n]);
+      expect((await target.getGameByToken(await alpha.token.getAddress()))[0]).to.equal(0n);
+    });
+
+    it("Should stop the source from paying out the same backing", async function () {
+      await migrate();
+      expect(await source.paused()).to.be.true;
+      expect(await xpToken.hasRole(await xpToken.MINTER_ROLE(), source.target)).to.be.false;
+      expect(await xpToken.hasRole(await xpToken.BURNER_ROLE(), source.target)).to.be.true;
+
+      await source.unpause();
+      await expect(source.connect(player).burnGameToken(alpha.gameId, ethers.parseEther("10")))
+        .to.be.revertedWithCustomError(source, "MintFailed");
+      await expect(source.connect(creator).unlockCreda(ethers.parseEther("100")))
+        .to.emit(source, "CredaUnlocked");
+    });
+
+    it("Should be safe to run again", async function () {
+      await migrate();
+      const { imported } = await migrate();
+      expect(imported).to.deep.equal([]);
+      expect(await target.nextGameId()).to.equal(2n);
+      expect(await target.xpReserves()).to.equal(GAME_XP * 2n);
+    });
+
+    it("Should leave ERC-1155 games with the source factory", async function () {
+      await deployGameToken1155(source);
+      await xpToken.connect(creator).approve(source.target, GAME_XP);
+      await source.connect(creator).createGameToken1155(GAME_XP, "Gamma", "GAM", 18);
+
+      const { imported, skipped } = await migrate();
+      expect(imported).to.have.length(2);
+      expect(skipped).to.deep.equal([2n]);
+      expect(await target.nextGameId()).to.equal(2n);
+    });
+
+    it("Should reject duplicate imports, other factories' tokens and non-admins", async function () {
+      await migrate();
+      const [info, metadata] = await source.getGameTokenInfo(alpha.gameId);
+      const lifecycle = await source.gameLifecycles(alpha.gameId);
+      const game = {
+        sourceGameId: alpha.gameId,
+        info: info.toObject(),
+        metadata: metadata.toObject(),
+        lifecycle: lifecycle.toObject(),
+      };
+
+      await expect(target.importGames(source.target, [game]))
+        .to.be.revertedWithCustomError(target, "GameAlreadyImported")
+        .withArgs(source.target, alpha.gameId);
+      await expect(target.importGames(player.address, [{ ...game, sourceGameId: 7 }]))
+        .to.be.revertedWithCustomError(target, "GameAlreadyImported");
+      await expect(target.connect(player).importGames(source.target, [game]))
+        .to.be.revertedWithCustomError(target, "AccessControlUnauthorizedAccount");
+
+      const other = await deployFactory();
+      await lockCreda(other, creator, ethers.parseEther("200"));
+      const delta = await createGame(other, "Delta", "DEL");
+      const [deltaInfo, deltaMetadata] = await other.getGameTokenInfo(delta.gameId);
+      const foreign = { sourceGameId: 99, info: deltaInfo.toObject(), metadata: deltaMetadata.toObject(), lifecycle: game.lifecycle };
+      await expect(target.importGames(source.target, [foreign]))
+        .to.be.revertedWithCustomError(target, "UnknownGameToken")
+        .withArgs(deltaInfo.tokenAddress);
+    });
+
+    it("Should redeem imported games by escrowing their tokens", async function () {
+      await migrate();
+      const amount = ethers.parseEther("10");
+      const supply = await alpha.token.totalSupply();
+      const expectedXp = (amount * GAME_XP) / supply;
+
+      await alpha.token.connect(player).approve(targetAddress, amount);
+      await expect(target.connect(player).burnGameToken(0, amount))
+        .to.emit(target, "GameTokenBurned")
+        .withArgs(0, player.address, amount, expectedXp);
+
+      expect(await alpha.token.balanceOf(targetAddress)).to.equal(amount);
+      expect(await alpha.token.totalSupply()).to.equal(supply);
+      expect(await xpToken.balanceOf(player.address)).to.equal(expectedXp);
+
+      // Escrowed tokens no longer share the backing, so the next redemption pays the same rate
+      await alpha.token.connect(player).approve(targetAddress, amount);
+      await expect(target.connect(player).burnGameToken(0, amount))
+        .to.emit(target, "GameTokenBurned")
+        .withArgs(0, player.address, amount, expectedXp);
+
+      await expect(target.queueEmergencyWithdrawal(await alpha.token.getAddress(), owner.address, amount))
+        .to.be.revertedWithCustomError(target, "RecoveryNotAllowed");
+    });
+
+    it("Should not increase the supply of imported games", async function () {
+      await migrate();
+      await lockCreda(target, creator, ethers.parseEther("100"));
+      await xpToken.connect(creator).approve(targetAddress, GAME_XP);
+      await expect(target.connect(creator).increaseGameTokenSupply(0, GAME_XP))
+        .to.be.revertedWithCustomError(target, "UnsupportedForImportedGame")
+        .withArgs(0, source.target);
+    });
+
+    it("Should let the client redeem imported games with a signed allowance", async function () {
+      await migrate();
+      const client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: player,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: targetAddress,
+        },
+      });
+      const amount = ethers.parseEther("5");
+      const result = await client.burnGameToken(0, amount);
+
+      expect(result.burnAmount).to.equal(amount);
+      expect(result.user).to.equal(player.address);
+      expect(await alpha.token.balanceOf(targetAddress)).to.equal(amount);
+      expect(await alpha.token.allowance(player.address, targetAddress)).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployGameTokenFactory } = require("./helpers/factory");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GameEcosystemClient, ContractErrors } = require("../index");
+
+describe("XPToken - Mint Limits and Circuit Breaker", function () {
+  let credaToken;
+  let xpToken;
+  let gameTokenFactory;
+  let owner;
+  let minter;
+  let user1;
+  let factoryAddress;
+
+  const DAY = 24n * 60n * 60n;
+  const xp = (whole) => ethers.parseEther(String(whole));
+
+  beforeEach(async function () {
+    [owner, minter, user1] = await ethers.getSigners();
+
+    const XPToken = await ethers.getContractFactory("XPToken");
+    xpToken = await XPToken.deploy("Experience Points", "XP", owner.address, minter.address);
+  });
+
+  describe("Daily mint allowances", function () {
+    it("Should leave minters unlimited by default", async function () {
+      const [dailyLimit, mintedToday, remaining] = await xpToken.getMintAllowance(minter.address);
+      expect(dailyLimit).to.equal(0);
+      expect(mintedToday).to.equal(0);
+      expect(remaining).to.equal(ethers.MaxUint256);
+      await xpToken.connect(minter).mint(user1.address, xp(1_000_000));
+    });
+
+    it("Should cap what a minter mints per day and reset the next day", async function () {
+      await expect(xpToken.setDailyMintLimit(minter.address, xp(1000)))
+        .to.emit(xpToken, "DailyMintLimitUpdated")
+        .withArgs(minter.address, xp(1000), owner.address);
+
+      await xpToken.connect(minter).mint(user1.address, xp(600));
+      await expect(xpToken.connect(minter).mint(user1.address, xp(401)))
+        .to.be.revertedWithCustomError(xpToken, "DailyMintLimitExceeded")
+        .withArgs(minter.address, xp(1000), xp(600));
+      await xpToken.connect(minter).mint(user1.address, xp(400));
+
+      let [, mintedToday, remaining] = await xpToken.getMintAllowance(minter.address);
+      expect(mintedToday).to.equal(xp(1000));
+      expect(remaining).to.equal(0);
+
+      const now = BigInt(await time.latest());
+      await time.increaseTo((now / DAY + 1n) * DAY);
+      [, mintedToday, remaining] = await xpToken.getMintAllowance(minter.address);
+      expect(mintedToday).to.equal(0);
+      expect(remaining).to.equal(xp(1000));
+      await xpToken.connect(minter).mint(user1.address, xp(1000));
+    });
+
+    it("Should only let the admin set limits", async function () {
+      await expect(xpToken.connect(minter).setDailyMintLimit(minter.address, 0))
+        .to.be.revertedWithCustomError(xpToken, "AccessControlUnauthorizedAccount");
+      await expect(xpToken.setDailyMintLimit(ethers.ZeroAddress, 1))
+        .to.be.revertedWithCustomError(xpToken, "ZeroAddress");
+    });
+  });
+
+  describe("Max supply", function () {
+    it("Should refuse mints above the cap", async function () {
+      await xpToken.connect(minter).mint(user1.address, xp(100));
+      const defaultCap = await xpToken.maxSupply();
+      await expect(xpToken.setMaxSupply(xp(150)))
+        .to.emit(xpToken, "MaxSupplyUpdated")
+        .withArgs(defaultCap, xp(150), owner.address);
+
+      await expect(xpToken.connect(minter).mint(user1.address, xp(51)))
+        .to.be.revertedWithCustomError(xpToken, "TotalSupplyLimitExceeded")
+        .withArgs(xp(151), xp(150));
+      await xpToken.connect(minter).mint(user1.address, xp(50));
+
+      const headroom = await xpToken.getMintHeadroom();
+      expect(headroom.supplyHeadroom).to.equal(0);
+    });
+
+    it("Should not set the cap below the current supply", async function () {
+      await xpToken.connect(minter).mint(user1.address, xp(100));
+      await expect(xpToken.setMaxSupply(xp(99)))
+        .to.be.revertedWithCustomError(xpToken, "TotalSupplyLimitExceeded")
+        .withArgs(xp(100), xp(99));
+    });
+  });
+
+  describe("Circuit breaker", function () {
+    beforeEach(async function () {
+      await expect(xpToken.setCircuitBreaker(3600, xp(1000)))
+        .to.emit(xpToken, "CircuitBreakerUpdated")
+        .withArgs(3600, xp(1000), owner.address);
+    });
+
+    it("Should refuse mints that would take a window's volume above the threshold", async function () {
+      await xpToken.connect(minter).mint(user1.address, xp(600));
+      let headroom = await xpToken.getMintHeadroom();
+      expect(headroom.currentWindowMinted).to.equal(xp(600));
+      expect(headroom.windowHeadroom).to.equal(xp(400));
+
+      await expect(xpToken.connect(minter).mint(user1.address, xp(500)))
+        .to.be.revertedWithCustomError(xpToken, "ExcessiveMintRequest")
+        .withArgs(xp(500), xp(400));
+      expect(await xpToken.balanceOf(user1.address)).to.equal(xp(600));
+      expect(await xpToken.paused()).to.be.false;
+
+      await xpToken.connect(minter).mint(user1.address, xp(400));
+      headroom = await xpToken.getMintHeadroom();
+      expect(headroom.windowHeadroom).to.equal(0);
+      await expect(xpToken.connect(minter).mint(user1.address, 1))
+        .to.be.revertedWithCustomError(xpToken, "ExcessiveMintRequest")
+        .withArgs(1, 0);
+      await xpToken.connect(user1).transfer(owner.address, 1);
+    });
+
+    it("Should keep getStats to minted, burned and circulating supply", async function () {
+      await xpToken.connect(minter).mint(user1.address, xp(600));
+      expect(await xpToken.getStats()).to.deep.equal([xp(600), 0n, xp(600)]);
+    });
+
+    it("Should refuse a single mint above the threshold", async function () {
+      await expect(xpToken.connect(minter).mint(user1.address, xp(1001)))
+        .to.be.revertedWithCustomError(xpToken, "ExcessiveMintRequest")
+        .withArgs(xp(1001), xp(1000));
+      expect(await xpToken.paused()).to.be.false;
+    });
+
+    it("Should start a new window once the current one ends", async function () {
+      await xpToken.connect(minter).mint(user1.address, xp(900));
+      await time.increase(3600);
+      expect((await xpToken.getMintHeadroom()).currentWindowMinted).to.equal(0);
+      await xpToken.connect(minter).mint(user1.address, xp(900));
+      expect(await xpToken.paused()).to.be.false;
+    });
+
+    it("Should validate the window and turn off with a zero threshold", async function () {
+      const maxWindow = await xpToken.MAX_CIRCUIT_BREAKER_WINDOW();
+      await expect(xpToken.setCircuitBreaker(0, xp(1)))
+        .to.be.revertedWithCustomError(xpToken, "InvalidContractState");
+      await expect(xpToken.setCircuitBreaker(maxWindow + 1n, xp(1)))
+        .to.be.revertedWithCustomError(xpToken, "InvalidContractState");
+      await expect(xpToken.connect(minter).setCircuitBreaker(60, 0))
+        .to.be.revertedWithCustomError(xpToken, "AccessControlUnauthorizedAccount");
+
+      await xpToken.setCircuitBreaker(0, 0);
+      expect((await xpToken.getMintHeadroom()).windowHeadroom).to.equal(ethers.MaxUint256);
+      await xpToken.connect(minter).mint(user1.address, xp(5000));
+    });
+  });
+
+  describe("Through the factory", function () {
+    let client;
+
+    beforeEach(async function () {
+      const CRIDAToken = await ethers.getContractFactory("CRIDAToken");
+      credaToken = await CRIDAToken.deploy(owner.address);
+      gameTokenFactory = await deployGameTokenFactory(
+        await credaToken.getAddress(),
+        await xpToken.getAddress()
+      );
+      factoryAddress = await gameTokenFactory.getAddress();
+      await xpToken.grantRole(await xpToken.MINTER_ROLE(), factoryAddress);
+      await xpToken.grantRole(await xpToken.BURNER_ROLE(), factoryAddress);
+
+      await credaToken.transfer(user1.address, xp(10000));
+      await credaToken.connect(user1).approve(factoryAddress, xp(10000));
+
+      client = new GameEcosystemClient({
+        provider: ethers.provider,
+        signer: user1,
+        addresses: {
+          credaToken: await credaToken.getAddress(),
+          xpToken: await xpToken.getAddress(),
+          gameTokenFactory: factoryAddress,
+        },
+      });
+    });
+
+    it("Should hold locks to the factory's daily allowance", async function () {
+      await xpToken.setDailyMintLimit(factoryAddress, xp(1500));
+      await gameTokenFactory.connect(user1).lockCreda(xp(1000));
+
+      await expect(gameTokenFactory.connect(user1).lockCreda(xp(1000)))
+        .to.be.revertedWithCustomError(xpToken, "DailyMintLimitExceeded")
+        .withArgs(factoryAddress, xp(1500), xp(1000));
+
+      expect(await client.getMintAllowance()).to.deep.equal({
+        dailyLimit: xp(1500),
+        mintedToday: xp(1000),
+        remaining: xp(500),
+      });
+    });
+
+    it("Should report supply and window headroom", async function () {
+      expect((await client.getXpStats()).windowHeadroom).to.be.null;
+
+      await xpToken.setMaxSupply(xp(5000));
+      await xpToken.setCircuitBreaker(3600, xp(2000));
+      await gameTokenFactory.connect(user1).lockCreda(xp(1500));
+
+      const stats = await client.getXpStats();
+      expect(stats.minted).to.equal(xp(1500));
+      expect(stats.maxSupply).to.equal(xp(5000));
+      expect(stats.supplyHeadroom).to.equal(xp(3500));
+      expect(stats.windowMinted).to.equal(xp(1500));
+      expect(stats.windowHeadroom).to.equal(xp(500));
+      expect(stats.paused).to.be.false;
+
+      const error = await client.lockCreda(xp(2500)).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractErrors.ExcessiveMintRequest);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readFactoryAbi } = require("../../scripts/exportFactoryAbi");
+
+/**
+ * ABI of the whole factory, its modules included, from the current build;
+ * sdk/abi/GameTokenFactory.json is the published copy
+ */
+async function gameTokenFactoryAbi() {
+  return readFactoryAbi(artifacts);
+}
+
+/**
+ * Attach to a deployed GameTokenFactory with the combined ABI
+ * @param {string} address Factory address
+ * @param {import("ethers").ContractRunner} [runner] Defaults to the first signer
+ * @param {import("ethers").TransactionResponse} [deployTx] Kept for deploymentTransaction()
+ */
+async function attachGameTokenFactory(address, runner, deployTx) {
+  const signer = runner || (await ethers.getSigners())[0];
+  return new ethers.Contract(address, await gameTokenFactoryAbi(), signer, deployTx);
+}
+
+/**
+ * Deploy the GameToken implementation game tokens are cloned from
+ * @param {import("ethers").Signer} [signer]
+ * @returns {Promise<string>} Implementation address
+ */
+async function deployGameTokenImplementation(signer) {
+  const GameToken = await ethers.getContractFactory("GameToken", signer);
+  const implementation = await GameToken.deploy();
+  await implementation.waitForDeployment();
+  return implementation.getAddress();
+}
+
+/**
+ * Deploy the GameTokenFactoryLocking module a factory implementation forwards locking to
+ * @param {import("ethers").Signer} [signer]
+ * @returns {Promise<string>} Module address
+ */
+async function deployGameTokenFactoryLocking(signer) {
+  const GameTokenFactoryLocking = await ethers.getContractFactory("GameTokenFactoryLocking", signer);
+  const locking = await GameTokenFactoryLocking.deploy();
+  await locking.waitForDeployment();
+  return locking.getAddress();
+}
+
+/**
+ * Deploy a GameTokenFactory implementation, with its locking module and the
+ * extension it serves from
+ * @param {import("ethers").Signer} [signer]
+ * @param {string} [contractName] GameTokenFactory or a later version of it
+ * @returns {Promise<string>} Implementation address
+ */
+async function deployGameTokenFactoryImplementation(signer, contractName = "GameTokenFactory") {
+  const locking = await deployGameTokenFactoryLocking(signer);
+  const GameTokenFactory = await ethers.getContractFactory(contractName, signer);
+  const implementation = await GameTokenFactory.deploy(locking);
+  await implementation.waitForDeployment();
+  return implementation.getAddress();
+}
+
+/**
+ * Deploy a GameTokenFactory behind a GameTokenFactoryProxy, initialized with a
+ * fresh GameToken implementation, and attach to the proxy with the combined ABI
+ * @param {string} credaAddress CREDA token address
+ * @param {string} xpAddress XP token address
+ * @param {import("ethers").Signer} [signer] Deployer, and the admin of the factory
+ */
+async function deployGameTokenFactory(credaAddress, xpAddress, signer) {
+  const owner = signer || (await ethers.getSigners())[0];
+  const gameTokenImplementation = await deployGameTokenImplementation(owner);
+  const implementation = await deployGameTokenFactoryImplementation(owner);
+  const { interface: extension } = await ethers.getContractFactory("GameTokenFactoryExtension");
+  const initData = extension.encodeFunctionData("initialize", [credaAddress, xpAddress, gameTokenImplementation]);
+
+  const GameTokenFactoryProxy = await ethers.getContractFactory("GameTokenFactoryProxy", owner);
+  const proxy = await GameTokenFactoryProxy.deploy(implementation, initData);
+  await proxy.waitForDeployment();
+  return attachGameTokenFactory(await proxy.getAddress(), owner, proxy.deploymentTransaction());
+}
+
+/**
+ * Deploy CREDA, XP and a GameTokenFactory proxy allowed to mint and burn XP, all
+ * owned by the first signer. Pass it to loadFixture, so each test starts from a
+ * snapshot of this state instead of deploying it again.
+ */
+async function deployEcosystemFixture() {
+  const [owner] = await ethers.getSigners();
+  const CRIDAToken = await ethers.getContractFactory("CRIDAToken");
+  const credaToken = await CRIDAToken.deploy(owner.address);
+  const XPToken = await ethers.getContractFactory("XPToken");
+  const xpToken = await XPToken.deploy("Experience Points", "XP", owner.address, owner.address);
+  const credaAddress = await credaToken.getAddress();
+  const xpAddress = await xpToken.getAddress();
+
+  const gameTokenFactory = await deployGameTokenFactory(credaAddress, xpAddress, owner);
+  const factoryAddress = await gameTokenFactory.getAddress();
+  await xpToken.grantRole(await xpToken.MINTER_ROLE(), factoryAddress);
+  await xpToken.grantRole(await xpToken.BURNER_ROLE(), factoryAddress);
+
+  return {
+    credaToken,
+    xpToken,
+    gameTokenFactory,
+    credaAddress,
+    xpAddress,
+    factoryAddress,
+    // GameEcosystemClient's `addresses` option
+    addresses: { credaToken: credaAddress, xpToken: xpAddress, gameTokenFactory: factoryAddress },
+  };
+}
+
+/**
+ * Send `user` CREDA from the first signer, lock part of it for XP and approve
+ * the factory to spend their CREDA and XP
+ * @param {Awaited<ReturnType<typeof deployEcosystemFixture>>} ecosystem
+ * @param {import("ethers").Signer} user
+ * @param {{ creda?: bigint, lock?: bigint, credaAllowance?: bigint, xpAllowance?: bigint }} amounts
+ * CREDA sent, CREDA locked, and the allowances left in place; the CREDA
+ * allowance defaults to the amount locked, the XP allowance to none
+ */
+async function fundUser(ecosystem, user, { creda = 0n, lock = 0n, credaAllowance = lock, xpAllowance = 0n } = {}) {
+  const { credaToken, xpToken, gameTokenFactory, factoryAddress } = ecosystem;
+  if (creda > 0n) await credaToken.transfer(user.address, creda);
+  if (credaAllowance > 0n) await credaToken.connect(user).approve(factoryAddress, credaAllowance);
+  if (lock > 0n) await gameTokenFactory.connect(user).lockCreda(lock);
+  if (xpAllowance > 0n) await xpToken.connect(user).approve(factoryAddress, xpAllowance);
+}
+
+/**
+ * Set a fee schedule as the factory admin and, when that only proposes an
+ * increase, wait out the delay and execute it, so the fee applies from the next call
+ * @param {import("ethers").Contract} factory Factory attached with the combined ABI, as its admin
+ * @param {number} operation Operation.Create or Operation.Redeem
+ * @param {{ bps?: bigint|number, flat?: bigint, asset?: number }} fee Omitted amounts are 0, the asset XP
+ */
+async function setFee(factory, operation, { bps = 0, flat = 0n, asset = 0 } = {}) {
+  if (operation === 1) {
+    await (await factory.setCreationFee(bps, flat, asset)).wait();
+  } else {
+    await (await factory.setRedemptionFee(bps, flat)).wait();
+  }
+  const [, , , effectiveAt] = await factory.pendingFeeChanges(operation);
+  if (effectiveAt === 0n) return;
+  await time.increaseTo(effectiveAt);
+  await (await factory.executeFeeChange(operation)).wait();
+}
+
+/**
+ * Deploy a GameToken1155 collection for a factory and register it, enabling createGameToken1155.
+ * The collection trusts the factory's current forwarder.
+ * @param {import("ethers").Contract} factory Factory attached with the combined ABI, as its admin
+ * @param {string} [uri] ERC-1155 metadata URI
+ */
+async function deployGameToken1155(factory, uri = "https://games.example/{id}.json") {
+  const GameToken1155 = await ethers.getContractFactory("GameToken1155", factory.runner);
+  const collection = await GameToken1155.deploy(await factory.getAddress(), uri, await factory.trustedForwarder());
+  await collection.waitForDeployment();
+  await (await factory.setGameToken1155(await collection.getAddress())).wait();
+  return collection;
+}
+
+module.exports = {
+  gameTokenFactoryAbi,
+  attachGameTokenFactory,
+  deployGameTokenImplementation,
+  deployGameTokenFactoryLocking,
+  deployGameTokenFactoryImplementation,
+  deployGameTokenFactory,
+  deployEcosystemFixture,
+  fundUser,
+  setFee,
+  deployGameToken1155,
+};